@@ -0,0 +1,9 @@
+// Settings for token-based authentication.
+// - Values are read from environment variables (see the .env file) so secrets never live in the codebase.
+// - The fallback secret only exists to make local development work out of the box; always set JWT_SECRET in production.
+module.exports = {
+    // The secret used to sign and verify JSON Web Tokens.
+    jwtSecret: process.env.JWT_SECRET || 'dev-only-secret-change-me',
+    // How long a token stays valid after login, in a format understood by jsonwebtoken (e.g. '1h', '7d').
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '1h'
+};
@@ -0,0 +1,40 @@
+// Role-based access control (RBAC) configuration.
+// Every user has exactly one role, and every role is granted a fixed list of permissions.
+// Scenario:
+// - Admins manage users and tags, and can change any post.
+// - Editors can change the status of any post (draft/active/archived), on top of writing their own posts.
+// - Authors can only create, update, and delete their own posts.
+// - Readers are read-only, apart from taking part in the discussion under posts.
+// - Everyone can comment; admins and editors can also moderate (edit or delete) anyone's comments.
+// - Everyone can see and restore their own deleted records; only admins can see everyone's trash and purge it.
+// - Only admins can see operational details such as which database migrations have been applied.
+// - Only admins can manage webhooks, which send the application's events to outside services.
+// - Everyone can follow other users, to see their posts in a personal feed, and react to posts (like, love, ...).
+// - Roles apply inside the user's own workspace; only admins of the default workspace can create workspaces.
+// Keeping this map in one place means changing what a role may do never requires touching a controller.
+
+// The list of roles, in order of decreasing privilege. The User model uses it for its `role` ENUM.
+const ROLES = ['admin', 'editor', 'author', 'reader'];
+
+// The permissions granted to each role.
+// - Permissions ending in ':any' apply to resources owned by other users; without them, only your own resources are allowed.
+const PERMISSIONS = {
+    admin: [
+        'users:create', 'users:update:any', 'users:delete:any', 'users:role',
+        'tags:manage',
+        'posts:create', 'posts:update', 'posts:update:any', 'posts:delete', 'posts:delete:any', 'posts:status:any',
+        'comments:create', 'comments:moderate',
+        'trash:view:any', 'trash:restore:any', 'trash:purge',
+        'admin:migrations', 'webhooks:manage', 'workspaces:manage',
+        'users:follow', 'posts:react'
+    ],
+    editor: ['posts:create', 'posts:update', 'posts:delete', 'posts:status:any', 'comments:create', 'comments:moderate', 'users:follow', 'posts:react'],
+    author: ['posts:create', 'posts:update', 'posts:delete', 'comments:create', 'users:follow', 'posts:react'],
+    reader: ['comments:create', 'users:follow', 'posts:react']
+};
+
+// Check whether a role has a permission.
+// - Unknown roles have no permissions at all.
+const hasPermission = (role, permission) => (PERMISSIONS[role] || []).includes(permission);
+
+module.exports = { ROLES, PERMISSIONS, hasPermission };
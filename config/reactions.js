@@ -0,0 +1,7 @@
+// The reactions readers can leave on a post.
+// A user can leave each type once per post, so liking and loving the same post are two reactions,
+// but liking it twice is still one. The Reaction model uses this list for its `type` ENUM.
+// Adding a type here also needs a migration that adds it to the ENUM column.
+const REACTION_TYPES = ['like', 'love', 'insightful', 'celebrate', 'funny'];
+
+module.exports = { REACTION_TYPES };
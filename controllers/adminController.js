@@ -0,0 +1,18 @@
+// Importing the migration runner to report which migrations have been applied to the database.
+const { getMigrationStatus } = require('../utils/migrator');
+
+// Get the migration status
+// This function lists the applied and the pending migrations, so admins can check that the database schema is up to date
+// after a deployment. Pending migrations are applied with `node utils/sync.js`, or on startup with MIGRATE_ON_START=true.
+exports.getMigrations = async (req, res, next) => {
+    try {
+        const { executed, pending } = await getMigrationStatus();
+        res.status(200).json({
+            executed,                      // Applied migrations, oldest first
+            pending,                       // Migrations that have not run yet, in the order they will run
+            upToDate: pending.length === 0
+        });
+    } catch (error) {
+        next(error);
+    }
+};
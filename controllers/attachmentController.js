@@ -0,0 +1,135 @@
+// Importing the models needed for attachments.
+// - Attachment describes the uploaded files, Post is used to check that the post exists and who may change it,
+//   and Profile is the owner of avatars.
+const { Attachment, Post, Profile } = require('../models');
+
+// Importing the permission helpers to decide whether a user may change the attachments of someone else's post.
+const { hasPermission } = require('../config/permissions');
+const { forbidden } = require('../middlewares/roleMiddleware');
+const { NotFoundError } = require('../utils/errors');
+
+// Importing the upload helpers and the storage, which keeps the bytes of the files (see utils/storage.js).
+const { storeUpload, removeStoredFiles } = require('../utils/uploads');
+const { getStorage } = require('../utils/storage');
+
+// Find the post in the URL, or fail with a 404 status.
+const findPost = async (req) => {
+    const post = await Post.findByPk(req.params.postId);
+    if (!post) {
+        throw new NotFoundError('Post not found');
+    }
+    return post;
+};
+
+// Only the author of a post, or roles with 'posts:update:any', may add or remove its attachments.
+const checkCanModify = (req, post) => {
+    if (post.userId !== req.user.id && !hasPermission(req.user.role, 'posts:update:any')) {
+        throw forbidden(req.user.role, 'posts:update:any', 'You can only change the attachments of your own posts');
+    }
+};
+
+// Upload attachments to a post
+// This function stores the files checked by the upload middleware and records them as attachments of the post.
+// - Several files can be sent at once in the 'files' field; all of them are stored, or none.
+// - Images get a thumbnail, and their width and height are recorded.
+exports.uploadAttachments = async (req, res, next) => {
+    const storedKeys = [];
+    try {
+        const post = await findPost(req);
+        checkCanModify(req, post);
+
+        const rows = [];
+        for (const file of req.files) {
+            const stored = await storeUpload(file, `posts/${post.id}`);
+            storedKeys.push(stored.storageKey, stored.thumbnailKey);
+            rows.push({ ...stored, postId: post.id, userId: req.user.id });
+        }
+        const attachments = await Attachment.bulkCreate(rows, { validate: true });
+
+        // Reload the new rows, so the response has the same shape as the attachments list (without the storage keys).
+        const data = await Attachment.findAll({ where: { id: attachments.map(({ id }) => id) }, order: [['id', 'ASC']] });
+        res.status(201).json({ data });
+    } catch (error) {
+        // Files stored before a failure belong to no attachment, so they are removed again.
+        await removeStoredFiles(storedKeys);
+        next(error);
+    }
+};
+
+// Get the attachments of a post
+// This function lists the files attached to a post, oldest first, each with its download URLs.
+exports.getAttachments = async (req, res, next) => {
+    try {
+        const post = await findPost(req);
+        const data = await Attachment.findAll({ where: { postId: post.id }, order: [['id', 'ASC']] });
+        res.status(200).json({ data });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Delete an attachment of a post
+// This function deletes an attachment and, through the Attachment hooks, its stored file and thumbnail.
+exports.deleteAttachment = async (req, res, next) => {
+    try {
+        const post = await findPost(req);
+        checkCanModify(req, post);
+
+        const attachment = await Attachment.findOne({ where: { id: req.params.attachmentId, postId: post.id } });
+        if (!attachment) {
+            throw new NotFoundError('Attachment not found');
+        }
+
+        // Attachments are not kept in the trash: the file is removed right away and a 204 (No Content) status is returned.
+        await attachment.destroy();
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Send a stored file in the response, with its type and a name for browsers that save it.
+// - Attachments of posts or profiles in the trash are not served, as if they did not exist.
+const sendStoredFile = (pickFile) => async (req, res, next) => {
+    try {
+        const attachment = await Attachment.scope('withKeys').findByPk(req.params.id, {
+            include: [{ model: Post, attributes: ['id'] }, { model: Profile, attributes: ['id'] }]
+        });
+        // Post and Profile are paranoid, so the include is empty when the owner is in the trash.
+        const file = attachment && (attachment.Post || attachment.Profile) ? pickFile(attachment) : null;
+        const stream = file && await getStorage().get(file.key);
+        if (!stream) {
+            throw new NotFoundError('File not found');
+        }
+
+        // `res.attachment` also guesses a Content-Type from the name, so the recognized type is set after it.
+        // - `nosniff` stops browsers from treating a file as another type than the one it was checked to be.
+        if (file.name) {
+            res.attachment(file.name);
+        }
+        res.status(200).set({
+            'Content-Type': file.contentType,
+            'X-Content-Type-Options': 'nosniff',
+            'Cache-Control': 'private, max-age=86400'
+        });
+        stream.on('error', next);
+        stream.pipe(res);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Download a file
+// This function sends the content of an uploaded file (an attachment or an avatar) with its original name.
+exports.downloadFile = sendStoredFile(attachment => ({
+    key: attachment.storageKey,
+    contentType: attachment.mimeType,
+    name: attachment.originalName
+}));
+
+// Download a thumbnail
+// This function sends the small WebP version of an uploaded image; other files have no thumbnail (404).
+exports.downloadThumbnail = sendStoredFile(attachment => attachment.thumbnailKey && {
+    key: attachment.thumbnailKey,
+    contentType: 'image/webp'
+});
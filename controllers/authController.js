@@ -0,0 +1,58 @@
+// Importing jsonwebtoken to issue signed tokens after a successful signup or login.
+// - The token is sent back to the client, which includes it in the `Authorization` header of later requests.
+const jwt = require('jsonwebtoken');
+const { jwtSecret, jwtExpiresIn } = require('../config/auth');
+
+// Importing the User model to register new accounts and look up existing ones.
+const { User } = require('../models');
+const { UnauthorizedError } = require('../utils/errors');
+
+// Issue a token for a user
+// The user's ID is stored in the standard `sub` (subject) claim, which the authentication middleware reads back.
+const issueToken = (user) => jwt.sign({ sub: user.id }, jwtSecret, { expiresIn: jwtExpiresIn });
+
+// Sign up
+// This function registers a new user and immediately returns a token, so the client does not need a separate login call.
+exports.signup = async (req, res, next) => {
+    try {
+        const { firstName, lastName, email, password } = req.body;  // Destructure the account details from the request body
+
+        // Create the user. The password is hashed by the model's beforeSave hook before it reaches the database.
+        const user = await User.create({ firstName, lastName, email, password });
+
+        // Return the new user (without the password hash) and a token with a 201 status.
+        res.status(201).json({ user, token: issueToken(user) });
+    } catch (error) {
+        // Pass errors to the central error handler.
+        // - A duplicate email becomes a 409 (Conflict), and a model validation failure (e.g. a short password) a 422.
+        next(error);
+    }
+};
+
+// Log in
+// This function checks an email and password combination and returns a token if they match.
+// The request body has already been checked by the `authSchemas.login` schema, so both fields are present.
+exports.login = async (req, res, next) => {
+    try {
+        const { email, password } = req.body;
+
+        // Load the user together with the password hash, which the default scope normally hides.
+        const user = await User.scope('withPassword').findOne({ where: { email } });
+
+        // Use the same message for an unknown email and a wrong password,
+        // so the response does not reveal which email addresses are registered.
+        if (!user || !(await user.validPassword(password))) {
+            throw new UnauthorizedError('Invalid email or password');
+        }
+
+        res.status(200).json({ user, token: issueToken(user) });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Get the current user
+// This function returns the user attached to the request by the authentication middleware.
+exports.me = (req, res) => {
+    res.status(200).json(req.user);
+};
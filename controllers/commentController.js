@@ -0,0 +1,172 @@
+// Importing the models needed for the discussion under a post.
+// - Comment stores the comments themselves, Post is used to check that the post exists, and User provides author details.
+const { Comment, Post, User } = require('../models');
+
+// Importing the permission helpers to decide whether a user may moderate comments written by someone else.
+const { hasPermission } = require('../config/permissions');
+const { forbidden } = require('../middlewares/roleMiddleware');
+const { NotFoundError } = require('../utils/errors');
+
+// Importing the list query helpers for filtering, sorting, and cursor pagination.
+const { parseListQuery, paginate } = require('../utils/listQuery');
+
+// Only the public details of a comment's author are included in responses.
+const authorInclude = { model: User, attributes: ['id', 'firstName', 'lastName'] };
+
+// Comments are shown oldest first, like a conversation. The ID breaks ties between comments created in the same instant.
+const commentOrder = [['createdAt', 'ASC'], ['id', 'ASC']];
+
+// The Comment attributes clients may filter and sort the top-level comments on in `GET /posts/:postId/comments`.
+const COMMENT_LIST_OPTIONS = {
+    filterable: ['userId', 'createdAt'],
+    sortable: ['id', 'createdAt', 'updatedAt'],
+    defaultSort: 'createdAt'
+};
+
+// Find a comment that belongs to the post in the URL.
+// - Matching on both IDs prevents editing a comment through the URL of a different post.
+const findPostComment = (req) => Comment.findOne({
+    where: { id: req.params.commentId, postId: req.params.postId }
+});
+
+// Arrange a flat list of comments into threads.
+// - Each comment gets a `replies` array holding its direct replies, and each top-level comment is returned in `roots` order.
+const buildTree = (roots, comments) => {
+    const nodes = new Map(comments.map(comment => [comment.id, { ...comment.toJSON(), replies: [] }]));
+    comments.forEach((comment) => {
+        if (comment.parentId && nodes.has(comment.parentId)) {
+            nodes.get(comment.parentId).replies.push(nodes.get(comment.id));
+        }
+    });
+    return roots.map(root => nodes.get(root.id));
+};
+
+// Flatten threads back into a list in reading order, recording how deeply each comment is nested.
+// - Top-level comments have depth 0, their replies depth 1, and so on.
+// - This format suits clients that render comments as an indented list rather than a nested structure.
+const flattenTree = (nodes, depth = 0) => nodes.flatMap(({ replies, ...comment }) => [
+    { ...comment, depth },
+    ...flattenTree(replies, depth + 1)
+]);
+
+// Create a comment on a post
+// This function adds a top-level comment, or a reply when `parentId` is provided.
+exports.createComment = async (req, res, next) => {
+    try {
+        const { content, parentId } = req.body;
+
+        // Make sure the post exists before attaching a comment to it.
+        const post = await Post.findByPk(req.params.postId);
+        if (!post) {
+            throw new NotFoundError('Post not found');
+        }
+
+        // A reply must answer a comment under the same post.
+        if (parentId) {
+            const parent = await Comment.findOne({ where: { id: parentId, postId: post.id } });
+            if (!parent) {
+                throw new NotFoundError('Parent comment not found');
+            }
+        }
+
+        // The author is always the authenticated user.
+        const comment = await Comment.create({
+            content,
+            postId: post.id,
+            userId: req.user.id,
+            parentId: parentId || null
+        });
+
+        res.status(201).json(comment);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Get the comments of a post with pagination
+// This function returns one page of top-level comments together with all of their replies.
+// - `format=tree` (the default) nests replies under their parent in a `replies` array.
+// - `format=flat` returns a single list in reading order, with a `depth` field on each comment.
+// - The generic `filter`, `sort`, `limit`, and `cursor` parameters (see utils/listQuery.js) apply to the top-level
+//   comments; replies always follow their parent, oldest first.
+exports.getComments = async (req, res, next) => {
+    // Pagination applies to top-level comments (threads), so a thread is never split across pages.
+    const { format = 'tree' } = req.query;
+    try {
+        const post = await Post.findByPk(req.params.postId);
+        if (!post) {
+            throw new NotFoundError('Post not found');
+        }
+
+        // Load the top-level comments for the requested page.
+        const listQuery = parseListQuery(Comment, req.query, COMMENT_LIST_OPTIONS);
+        const { data: roots, pageInfo } = await paginate(Comment, listQuery, {
+            where: { postId: post.id, parentId: null },
+            include: [authorInclude]
+        });
+
+        // Load the replies one level at a time.
+        // - Each query fetches every reply to the comments found in the previous level,
+        //   so the number of queries grows with the depth of the threads, not with the number of comments.
+        const comments = [...roots];
+        let parentIds = roots.map(comment => comment.id);
+        while (parentIds.length > 0) {
+            const replies = await Comment.findAll({
+                where: { parentId: parentIds },
+                include: [authorInclude],
+                order: commentOrder
+            });
+            comments.push(...replies);
+            parentIds = replies.map(reply => reply.id);
+        }
+
+        const tree = buildTree(roots, comments);
+        res.status(200).json({ data: format === 'flat' ? flattenTree(tree) : tree, pageInfo });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Update a comment
+// This function changes the text of a comment. Authors may edit their own comments; moderators may edit any comment.
+exports.updateComment = async (req, res, next) => {
+    try {
+        const { content } = req.body;
+
+        const comment = await findPostComment(req);
+        if (!comment) {
+            throw new NotFoundError('Comment not found');
+        }
+
+        if (comment.userId !== req.user.id && !hasPermission(req.user.role, 'comments:moderate')) {
+            throw forbidden(req.user.role, 'comments:moderate', 'You can only modify your own comments');
+        }
+
+        const updatedComment = await comment.update({ content });
+        res.status(200).json(updatedComment);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Delete a comment
+// This function deletes a comment together with all of its replies.
+// Authors may delete their own comments; moderators may delete any comment.
+exports.deleteComment = async (req, res, next) => {
+    try {
+        const comment = await findPostComment(req);
+        if (!comment) {
+            throw new NotFoundError('Comment not found');
+        }
+
+        if (comment.userId !== req.user.id && !hasPermission(req.user.role, 'comments:moderate')) {
+            throw forbidden(req.user.role, 'comments:moderate', 'You can only delete your own comments');
+        }
+
+        // The 'replies' association cascades, so the replies below this comment are deleted as well.
+        await comment.destroy();
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+};
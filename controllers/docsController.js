@@ -0,0 +1,36 @@
+// Importing the OpenAPI generator, which describes the API from its routes, request schemas, and models.
+const { getOpenApiDocument } = require('../utils/openapi');
+
+// Get the OpenAPI document
+// This function returns the OpenAPI 3 description of the API, for client generators and the docs page.
+exports.getOpenApi = (req, res, next) => {
+    try {
+        res.status(200).json(getOpenApiDocument(req.app));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// The version of Swagger UI used by the docs page, loaded from a CDN so the project needs no extra dependency.
+const SWAGGER_UI = 'https://cdn.jsdelivr.net/npm/swagger-ui-dist@5';
+
+// Get the docs page
+// This function returns an HTML page that renders `/openapi.json` with Swagger UI, where every route can be browsed and tried out.
+// - Protected routes can be tried after pasting a token from `POST /auth/login` into the "Authorize" dialog.
+exports.getDocsPage = (req, res) => {
+    res.status(200).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>API documentation</title>
+    <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+    <div id="docs"></div>
+    <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+    <script>
+        SwaggerUIBundle({ url: '/openapi.json', dom_id: '#docs' });
+    </script>
+</body>
+</html>`);
+};
@@ -0,0 +1,121 @@
+// Importing the models needed for the follow graph and the feed.
+// - Follow stores who follows whom, User provides the people on both ends, and Post and Tag make up the feed.
+const { Op } = require('sequelize');
+const { Follow, User, Post, Tag, sequelize } = require('../models');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+
+// Importing the list query helpers for cursor pagination.
+const { parseListQuery, paginate } = require('../utils/listQuery');
+const { withCounts } = require('../utils/postCounts');
+
+// Only the public details of the other user are included in the follower and following lists.
+const userAttributes = ['id', 'firstName', 'lastName'];
+
+// The follower and following lists show the newest follows first.
+const FOLLOW_LIST_OPTIONS = { sortable: ['createdAt'], defaultSort: '-createdAt' };
+
+// The feed shows the newest posts first.
+// - Only `limit` and `cursor` are accepted (see userSchemas.feed): the order is fixed, which keeps every page an index range scan.
+const FEED_OPTIONS = { sortable: ['createdAt'], defaultSort: '-createdAt' };
+
+// Find the user in the URL, or fail with a 404 status.
+const findUser = async (id) => {
+    const user = await User.findByPk(id);
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+    return user;
+};
+
+// Follow a user
+// This function makes the authenticated user follow the user in the URL.
+// - Following someone you already follow changes nothing: the existing follow is returned with a 200 status instead of 201.
+exports.followUser = async (req, res, next) => {
+    try {
+        const followingId = Number(req.params.id);
+        if (followingId === req.user.id) {
+            throw new BadRequestError('You cannot follow yourself');
+        }
+        await findUser(followingId);
+
+        // `findOrCreate` relies on the unique (followerId, followingId) index, so two identical requests never create two rows.
+        const [follow, created] = await Follow.findOrCreate({
+            where: { followerId: req.user.id, followingId }
+        });
+
+        res.status(created ? 201 : 200).json(follow);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Unfollow a user
+// This function makes the authenticated user stop following the user in the URL.
+// - Like following, it is idempotent: unfollowing someone you do not follow also answers 204 (No Content).
+exports.unfollowUser = async (req, res, next) => {
+    try {
+        await Follow.destroy({
+            where: { followerId: req.user.id, followingId: req.params.id }
+        });
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// List one side of a user's follow graph, newest follows first.
+// - `side` is the Follow column that must match the user in the URL, and `other` the association holding the other user.
+// - The pages are taken from the Follow rows, so the cursors point at follows; each row is returned as the other user
+//   with `followedAt`, the moment the follow started.
+// - Users in the trash are left out, since the include is required and User is paranoid.
+const listFollows = (side, other) => async (req, res, next) => {
+    try {
+        await findUser(req.params.id);
+
+        const listQuery = parseListQuery(Follow, req.query, FOLLOW_LIST_OPTIONS);
+        const { data, pageInfo } = await paginate(Follow, listQuery, {
+            where: { [side]: req.params.id },
+            include: [{ model: User, as: other, attributes: userAttributes, required: true }]
+        });
+
+        res.status(200).json({
+            data: data.map(follow => ({ ...follow[other].toJSON(), followedAt: follow.createdAt })),
+            pageInfo
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Get the followers of a user: the users whose follow points at them.
+exports.getFollowers = listFollows('followingId', 'follower');
+
+// Get the users a user follows.
+exports.getFollowing = listFollows('followerId', 'followed');
+
+// Get a user's feed
+// This function returns the active posts of the authors a user follows, newest first, with cursor pagination.
+// - The posts have the same shape as in `GET /posts`: the author, the tags, `commentCount`, and `reactionCounts`.
+// - The followed authors are selected by a subquery rather than loaded first, so the database gets a single query
+//   and can use the (userId, status, createdAt) index, however many authors are followed or posts exist.
+exports.getFeed = async (req, res, next) => {
+    try {
+        await findUser(req.params.id);
+
+        const listQuery = parseListQuery(Post, req.query, FEED_OPTIONS);
+        const followedAuthors = sequelize.getQueryInterface().queryGenerator.selectQuery(Follow.getTableName(), {
+            attributes: ['followingId'],
+            where: { followerId: req.params.id }
+        }).slice(0, -1); // Without the trailing ';', to be used as a subquery
+
+        const { data, pageInfo } = await paginate(Post.scope('active'), listQuery, {
+            where: { userId: { [Op.in]: sequelize.literal(`(${followedAuthors})`) } },
+            include: [User, Tag]
+        });
+
+        // Add the comment and reaction counts with one grouped query each, as in `GET /posts`.
+        res.status(200).json({ data: await withCounts(data), pageInfo });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,82 @@
+// Importing graphql to run queries against the schema defined in graphql/schema.js.
+const { parse, validate, execute, specifiedRules, GraphQLError } = require('graphql');
+const { schema } = require('../graphql/schema');
+const { createLoaders } = require('../graphql/loaders');
+const { depthLimit } = require('../graphql/depthLimit');
+
+// The standard validation rules of GraphQL, plus the limit on nesting.
+const VALIDATION_RULES = [...specifiedRules, depthLimit()];
+
+// Importing the error conversion of the error handler, so GraphQL errors carry the same codes and statuses as REST errors.
+const { toAppError } = require('../middlewares/errorMiddleware');
+const { logger } = require('../utils/logger');
+
+// Describe an error of a GraphQL response.
+// - Errors from resolvers (e.g. a NotFoundError, or a 403 from a mutation's permission check) get the code, status,
+//   and details the REST API would send, in `extensions`.
+// - Errors in the query itself (a syntax error, an unknown field, a wrong variable type) are reported as 400 errors.
+const formatError = (error) => {
+    const { originalError } = error;
+    const base = { message: error.message, locations: error.locations, path: error.path };
+    if (!originalError || originalError instanceof GraphQLError) {
+        return { ...base, extensions: { code: 'graphql_invalid', status: 400 } };
+    }
+
+    const appError = toAppError(originalError);
+    // Unexpected errors are logged with their stack trace; their details are never sent to the client.
+    if (appError.status >= 500) {
+        logger.error('Unhandled error', { error: originalError });
+    }
+    return {
+        ...base,
+        message: appError.message,
+        extensions: {
+            code: appError.code,
+            status: appError.status,
+            ...(appError.details !== undefined && { details: appError.details })
+        }
+    };
+};
+
+// Parse, validate, and execute a query, the steps `graphql()` takes, with the validation rules above.
+// - A syntax error or a validation error ends the request before anything runs, as a result with `errors` and no `data`.
+const run = async (query, variables, operationName, req) => {
+    let document;
+    try {
+        document = parse(query);
+    } catch (error) {
+        return { errors: [error] };
+    }
+    const errors = validate(schema, document, VALIDATION_RULES);
+    if (errors.length > 0) {
+        return { errors };
+    }
+    return execute({
+        schema,
+        document,
+        variableValues: variables,
+        operationName,
+        contextValue: { req, loaders: createLoaders() }
+    });
+};
+
+// Run a GraphQL request
+// This function runs the query or mutation in the body: `{ "query": "...", "variables": { ... }, "operationName": "..." }`.
+// - The response is `{ "data": ..., "errors": [...] }`. A field that fails is null in `data` and described in `errors`,
+//   while the rest of the query still succeeds, so the status is 200 whenever the query could run.
+// - A query that cannot run at all (a syntax error, an unknown field, too deep a nesting) gets a 400 status and no `data`.
+// - Every request gets fresh loaders (see graphql/loaders.js), and the caller's Authorization header is used by the mutations.
+exports.execute = async (req, res, next) => {
+    try {
+        const { query, variables, operationName } = req.body;
+        const result = await run(query, variables, operationName, req);
+
+        const response = { data: result.data };
+        if (result.errors) {
+            response.errors = result.errors.map(formatError);
+        }
+        res.status(result.data === undefined ? 400 : 200).json(response);
+    } catch (error) {
+        next(error);
+    }
+};
@@ -1,154 +1,243 @@
 // Importing necessary models and the sequelize instance for database interactions.
 // - Post, User, and Tag models allow us to interact with the respective tables in the database.
 // - sequelize is imported for managing transactions, which ensure data consistency when performing multiple database operations.
-const { Post, User, Tag, sequelize } = require('../models');
+const { Post, User, Tag, Attachment, sequelize } = require('../models');
+
+// Importing the permission helpers to decide whether a user may act on posts written by someone else.
+const { hasPermission } = require('../config/permissions');
+const { forbidden } = require('../middlewares/roleMiddleware');
+
+// Importing the list query helpers for filtering, sorting, and cursor pagination.
+const { parseListQuery, paginate } = require('../utils/listQuery');
+const { NotFoundError } = require('../utils/errors');
+
+// Importing the helper that adds comment and reaction counts to posts (see utils/postCounts.js).
+const { withCounts } = require('../utils/postCounts');
+
+// Importing the ETag helpers for optimistic concurrency control (see utils/versioning.js).
+const { sendVersioned, checkIfMatch } = require('../utils/versioning');
+
+// Importing the PATCH helper and the document schema that patched posts are validated against.
+const { buildPatchChanges } = require('../utils/patch');
+const postSchemas = require('../validators/postSchemas');
+
+// The Post attributes clients may filter and sort on in `GET /posts`. Status is chosen with `?status=` instead.
+// - `sort=popular` lists the posts with the most reactions first, the newest first among equals.
+const POST_LIST_OPTIONS = {
+    filterable: ['userId', 'title', 'createdAt', 'updatedAt', 'publishedAt'],
+    sortable: ['id', 'title', 'createdAt', 'updatedAt', 'reactionCount'],
+    sortAliases: { popular: '-reactionCount,-createdAt' },
+    defaultSort: '-createdAt'
+};
+// The GraphQL `posts` query accepts the same parameters (see graphql/schema.js).
+exports.POST_LIST_OPTIONS = POST_LIST_OPTIONS;
 
 // Create a new post for a user with a transaction
-// This function creates a new post associated with a specific user, and optionally tags the post with categories.
-exports.createPost = async (req, res) => {
+// This function creates a new post for the authenticated user, and optionally tags the post with categories.
+exports.createPost = async (req, res, next) => {
     // Start a transaction, which is a sequence of database operations that are treated as a single unit.
     // - Transactions ensure that either all operations succeed or none of them do.
     // - This is useful when performing multiple related database actions, so partial changes aren’t saved if an error occurs.
     const transaction = await sequelize.transaction();
     try {
-        const { title, content, userId, tags, status } = req.body;
+        const { title, content, tags, status, publishAt } = req.body;
 
-        // Find the user who is creating the post by their primary key (userId).
-        // - If the user does not exist, we throw an error to prevent creating a post without a valid user association.
-        const user = await User.findByPk(userId);
-        if (!user) {
-            throw new Error('User not found');
-        }
+        // The author is always the authenticated user.
+        // - Any `userId` sent in the request body is ignored, so nobody can create posts on behalf of someone else.
+        const userId = req.user.id;
 
         // Create the post in the database.
         // - The `status` field has a default value of 'draft' if not provided.
+        // - `publishAt` schedules a draft to be published automatically at that time.
         // - The `transaction` option ensures this step is part of the transaction.
         const post = await Post.create(
-            { title, content, userId, status: status || 'draft' },
+            { title, content, userId, status: status || 'draft', publishAt },
             { transaction }
         );
 
         // Handle the tags associated with the post.
         // - `tags` is an array of tag names.
         // - We find or create each tag and associate it with the post.
+        // - Tags are matched by slug, so 'javascript' reuses an existing 'JavaScript' tag.
+        // - New tags are created inside the transaction too, so a failure does not leave tags behind without their post.
+        // - A tag in the trash is only restored for roles that manage tags; for others, the request fails with a 409.
         if (tags && tags.length > 0) {
-            const tagPromises = tags.map(tagName => Tag.findOrCreate({ where: { name: tagName } }));
-            const tagInstances = await Promise.all(tagPromises);
+            const restore = hasPermission(req.user.role, 'tags:manage');
+            const tagInstances = await Tag.resolve(tags, { create: true, restore, transaction });
             // Add tags to the post within the transaction.
-            await post.addTags(tagInstances.map(tag => tag[0]), { transaction });
+            await post.addTags(tagInstances, { transaction });
         }
 
         // Commit the transaction to save all changes.
         // - If no errors occurred, the transaction completes successfully, saving the post and its tags.
         await transaction.commit();
-        res.status(201).json(post);
+        sendVersioned(res, 201, post);
     } catch (error) {
         // Roll back the transaction if an error occurs.
         // - This undoes any changes made during the transaction to keep the database consistent.
         await transaction.rollback();
-        res.status(400).json({ error: error.message });
+        next(error);
     }
 };
 
-// Get all posts with pagination and optional status filter
-// This function retrieves all posts, with options to filter by status and paginate results.
-exports.getAllPosts = async (req, res) => {
-    // Destructure the query parameters and set defaults.
-    // - `page` and `limit` control pagination.
-    // - `status` is used to filter posts by their current status (e.g., active, draft, archived).
-    const { page = 1, limit = 10, status = 'active' } = req.query;
+// Get all posts with cursor pagination, filtering, sorting, and an optional status filter
+// This function retrieves posts in one status, with the generic list parameters described in utils/listQuery.js
+// (`filter[...]`, `sort`, `limit`, and `cursor`).
+exports.getAllPosts = async (req, res, next) => {
+    // `status` is used to filter posts by their current status (e.g., active, draft, archived) through the model's scopes.
+    // - The `postSchemas.list` schema only accepts known statuses and defaults to 'active'.
+    const { status } = req.query;
     try {
-        // Calculate the offset for pagination.
-        // - `offset` determines where the database query starts returning rows.
-        // - For example, if page is 2 and limit is 10, the offset will be 10, skipping the first 10 results.
-        const offset = (page - 1) * limit;
+        // Validate the list parameters against the Post attributes this endpoint exposes.
+        const listQuery = parseListQuery(Post, req.query, POST_LIST_OPTIONS);
 
         // Use a scope to filter posts by status and retrieve them with related user and tag information.
         // - `scope(status)`: applies a predefined scope to filter posts based on the specified status.
-        const posts = await Post.scope(status).findAndCountAll({
-            include: [User, Tag],               // Include User and Tag associations
-            limit: parseInt(limit),             // Limit results for pagination
-            offset: parseInt(offset),           // Skip rows for pagination
-            order: [['createdAt', 'DESC']]      // Order posts by creation date in descending order
+        const { data, pageInfo } = await paginate(Post.scope(status), listQuery, {
+            include: [User, Tag]                // Include User and Tag associations
         });
 
-        // Calculate the total number of pages based on the result count and limit.
-        // - `totalPages` helps frontend applications display pagination controls.
-        const totalPages = Math.ceil(posts.count / limit);
+        // Count the comments and reactions of every post on this page with one grouped query each,
+        // and add the results to each post as `commentCount` and `reactionCounts`.
+        const rows = await withCounts(data);
+
         res.status(200).json({
-            posts: posts.rows,                  // List of posts for the current page
-            totalPages,                         // Total pages available
-            currentPage: parseInt(page),        // Current page number
+            data: rows,                         // List of posts for the current page, with comment and reaction counts
+            pageInfo                            // Cursors for the next and previous pages
         });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        // An invalid filter, sort, or cursor is a ListQueryError, which the error handler turns into a 400 status.
+        next(error);
     }
 };
 
 // Get post by ID with tags and user
 // This function retrieves a specific post by its ID, along with associated tags and user details.
-exports.getPostById = async (req, res) => {
+exports.getPostById = async (req, res, next) => {
     try {
-        // Find the post by its primary key (ID) and include User and Tag associations.
-        // - This allows the client to see who created the post and any tags it has.
+        // Find the post by its primary key (ID) and include the User, Tag, and Attachment associations.
+        // - This allows the client to see who created the post, any tags it has, and the files attached to it.
         const post = await Post.findByPk(req.params.id, {
-            include: [User, Tag]
+            include: [User, Tag, { model: Attachment, as: 'attachments' }],
+            order: [[{ model: Attachment, as: 'attachments' }, 'id', 'ASC']]
         });
         if (!post) {
             // If the post does not exist, return a 404 error.
-            return res.status(404).json({ message: 'Post not found' });
+            throw new NotFoundError('Post not found');
         }
-        res.status(200).json(post);
+
+        // Add the number of comments and reactions, so clients can show them without loading the discussion.
+        // The ETag carries the post's version, to be sent back in If-Match when updating or deleting it.
+        const [row] = await withCounts([post]);
+        sendVersioned(res, 200, post, row);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 };
 
+// The fields an editor may change on someone else's post: the status and the publishing schedule.
+const STATUS_FIELDS = ['status', 'publishAt'];
+
+// Check that the user may make these changes to a post, then save them and respond with the updated post.
+// Shared by `updatePost` (PUT) and `patchPost` (PATCH), which only differ in how they work out the changes.
+// Ownership and role check:
+// - The author may change anything on their own post.
+// - Roles with 'posts:update:any' may change anything on any post.
+// - Roles with 'posts:status:any' may change only the status (and publishing schedule) of someone else's post.
+// - A 403 (Forbidden) status tells the client it is authenticated but not allowed to perform this action.
+const savePostChanges = async (req, res, post, changes) => {
+    const { role } = req.user;
+    const isOwner = post.userId === req.user.id;
+    const onlyStatus = Object.keys(changes).every(field => STATUS_FIELDS.includes(field));
+    if (!isOwner && !hasPermission(role, 'posts:update:any')) {
+        if (!onlyStatus) {
+            throw forbidden(role, 'posts:update:any', 'You can only modify your own posts');
+        }
+        if (!hasPermission(role, 'posts:status:any')) {
+            throw forbidden(role, 'posts:status:any');
+        }
+    }
+
+    // With If-Match, only update the version the client last read; a 412 status means someone else saved it since.
+    checkIfMatch(req, res, post, 'post');
+
+    // Update the post's data in the database and return the updated post.
+    // - `userId` is not a post field; it is passed to the Post hooks so the new revision records who made the change.
+    // - The update runs in a transaction, which the Post hooks join: the post and its new revision are saved together,
+    //   or not at all.
+    // - The Post model rejects status changes outside the workflow with an InvalidStatusTransitionError,
+    //   which the error handler answers with a 409 (Conflict) status listing the statuses allowed instead.
+    const updatedPost = await sequelize.transaction(async (transaction) => (
+        post.update(changes, { userId: req.user.id, transaction })
+    ));
+    sendVersioned(res, 200, updatedPost);
+};
+
 // Update a post with validation
 // This function updates a post's details, such as the title, content, and status, with custom validation.
-exports.updatePost = async (req, res) => {
+// Authors may update their own posts, editors may change the status of any post, and admins may update any post.
+// The title length and the other fields have already been checked by the `postSchemas.update` schema.
+exports.updatePost = async (req, res, next) => {
     try {
-        const { title, content, status } = req.body;
+        // Only the fields present in the body are changed.
+        const changes = ['title', 'content', 'status', 'publishAt']
+            .filter(field => req.body[field] !== undefined)
+            .reduce((fields, field) => ({ ...fields, [field]: req.body[field] }), {});
 
-        // Custom validation to ensure title meets length requirements.
-        // - If the title is too short, we throw an error to prevent the update.
-        if (title && title.length < 5) {
-            throw new Error('Title must be at least 5 characters long.');
+        // Find the post first, so we can check who owns it before changing anything.
+        const post = await Post.findByPk(req.params.id);
+        if (!post) {
+            // If no post was found to update, return a 404 error.
+            throw new NotFoundError('Post not found');
         }
 
-        // Update the post's data in the database based on its ID.
-        const [updated] = await Post.update(
-            { title, content, status },        // Fields to update
-            { where: { id: req.params.id } }   // Find the post by ID
-        );
+        await savePostChanges(req, res, post, changes);
+    } catch (error) {
+        next(error);
+    }
+};
 
-        if (updated) {
-            // If the update was successful, retrieve the updated post and return it.
-            const updatedPost = await Post.findByPk(req.params.id);
-            res.status(200).json(updatedPost);
-        } else {
-            // If no post was found to update, return a 404 error.
-            res.status(404).json({ message: 'Post not found' });
+// Patch a post
+// This function applies a JSON Merge Patch or a JSON Patch to a post (see utils/patch.js), e.g. `{ "publishAt": null }`.
+// The patched post is validated as a whole against `postSchemas.document`, and only the fields that changed are saved,
+// with the same ownership rules as `updatePost`.
+exports.patchPost = async (req, res, next) => {
+    try {
+        const post = await Post.findByPk(req.params.id);
+        if (!post) {
+            throw new NotFoundError('Post not found');
         }
+
+        const changes = buildPatchChanges(req, post, postSchemas.document);
+        await savePostChanges(req, res, post, changes);
     } catch (error) {
-        res.status(400).json({ error: error.message });
+        next(error);
     }
 };
 
 // Delete a post
-// This function deletes a post based on its ID.
-exports.deletePost = async (req, res) => {
+// This function deletes a post based on its ID. Authors may delete their own posts; admins may delete any post.
+exports.deletePost = async (req, res, next) => {
     try {
-        // Delete the post with the specified ID.
-        const deleted = await Post.destroy({ where: { id: req.params.id } });
-        if (deleted) {
-            // If the post was deleted successfully, return a 204 (No Content) status.
-            res.status(204).send();
-        } else {
+        // Find the post first, so we can check who owns it before deleting it.
+        const post = await Post.findByPk(req.params.id);
+        if (!post) {
             // If no post was found to delete, return a 404 error.
-            res.status(404).json({ message: 'Post not found' });
+            throw new NotFoundError('Post not found');
         }
+
+        // Ownership check: only the author may delete the post, unless their role may delete any post.
+        if (post.userId !== req.user.id && !hasPermission(req.user.role, 'posts:delete:any')) {
+            throw forbidden(req.user.role, 'posts:delete:any', 'You can only delete your own posts');
+        }
+
+        // With If-Match, do not delete a post that changed since the client last read it.
+        checkIfMatch(req, res, post, 'post');
+
+        // Delete the post and return a 204 (No Content) status.
+        await post.destroy();
+        res.status(204).send();
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 };
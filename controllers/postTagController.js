@@ -1,66 +1,100 @@
 // Importing the Post and Tag models to interact with their respective tables in the database.
 // - Post represents the posts in the application, which can be tagged with multiple tags.
 // - Tag represents categories or labels that can be associated with posts.
-const { Post, Tag } = require('../models');
+// - sequelize is imported for transactions, so each change to a post's tags is applied entirely or not at all.
+const { Post, Tag, sequelize } = require('../models');
 
-// Associate a tag with a post
-// This function links an existing tag to an existing post by adding a tag to the post's associated tags.
-exports.addTagToPost = async (req, res) => {
-    try {
-        const { tagId } = req.body;  // Extract the tagId from the request body
+// Importing the permission helpers to decide whether a user may change tags on posts written by someone else.
+const { hasPermission } = require('../config/permissions');
+const { forbidden } = require('../middlewares/roleMiddleware');
+const { NotFoundError } = require('../utils/errors');
 
+// The three routes below share the same steps, and differ only in which tags end up on the post:
+// - `add` keeps the current tags and adds the requested ones.
+// - `remove` keeps the current tags except the requested ones.
+// - `replace` makes the requested tags the post's full tag set.
+// The request body names the tags either with `tags`, a list of tag IDs (numbers) and names (strings),
+// or with a single `tagId` as before. Names that do not exist yet are created when adding or replacing.
+const changeTags = async (req, mode) => {
+    const transaction = await sequelize.transaction();
+    try {
         // Find the post by its primary key (postId) in the URL parameter.
-        // - This ensures the post exists before trying to associate a tag with it.
-        const post = await Post.findByPk(req.params.postId);
-
-        // Find the tag by its primary key (tagId) to ensure it exists in the database.
-        const tag = await Tag.findByPk(tagId);
+        const post = await Post.findByPk(req.params.postId, { transaction });
+        if (!post) {
+            throw new NotFoundError('Post not found');
+        }
 
-        // If either the post or tag doesn’t exist, return a 404 error.
-        // - This prevents associating a tag with a post that doesn’t exist and vice versa.
-        if (!post || !tag) {
-            return res.status(404).json({ message: 'Post or Tag not found' });
+        // Ownership check: only the author of the post may change its tags, unless their role may update any post.
+        if (post.userId !== req.user.id && !hasPermission(req.user.role, 'posts:update:any')) {
+            throw forbidden(req.user.role, 'posts:update:any', 'You can only change tags on your own posts');
         }
 
-        // Add the tag to the post using the addTag method provided by Sequelize.
-        // - addTag is a convenience method generated by Sequelize for many-to-many relationships.
-        await post.addTag(tag);
+        // Resolve the requested tags inside the transaction, creating missing names unless they are being removed.
+        // - An unknown tag ID (or name, when removing) fails the whole request with a 404, before anything changes.
+        // - A tag name in the trash is only restored for roles that manage tags; for others, the request fails with a 409.
+        const refs = req.body.tags || [req.body.tagId];
+        const requested = await Tag.resolve(refs, {
+            create: mode !== 'remove',
+            restore: hasPermission(req.user.role, 'tags:manage'),
+            transaction
+        });
+        const requestedIds = new Set(requested.map(tag => tag.id));
+
+        const current = await post.getTags({ transaction, joinTableAttributes: [] });
+        const currentIds = new Set(current.map(tag => tag.id));
+
+        const added = mode === 'remove' ? [] : requested.filter(tag => !currentIds.has(tag.id));
+        const removed = mode === 'add' ? [] : current.filter(tag => (mode === 'remove') === requestedIds.has(tag.id));
+        const removedIds = new Set(removed.map(tag => tag.id));
+        const unchanged = current.filter(tag => !removedIds.has(tag.id));
 
-        // Respond with a success message if the association was created successfully.
-        res.status(200).json({ message: 'Tag added to post successfully' });
+        // Apply the difference with one insert and one delete on the join table.
+        if (added.length > 0) {
+            await post.addTags(added, { transaction });
+        }
+        if (removed.length > 0) {
+            await post.removeTags(removed, { transaction });
+        }
+
+        await transaction.commit();
+        return { postId: post.id, added, removed, unchanged };
     } catch (error) {
-        // If an error occurs, respond with a 500 status and the error message.
-        // - This helps to catch and communicate issues such as database errors.
-        res.status(500).json({ error: error.message });
+        // Roll back so that neither the links nor any tag created for this request are kept.
+        await transaction.rollback();
+        throw error;
     }
 };
 
-// Remove a tag from a post
-// This function removes an association between a tag and a post, unlinking the tag from the post's tags.
-exports.removeTagFromPost = async (req, res) => {
+// Add tags to a post
+// This function links one or more tags to an existing post, e.g. `{ "tags": [1, "Node.js"] }`.
+exports.addTagToPost = async (req, res, next) => {
     try {
-        const { tagId } = req.body;  // Extract the tagId from the request body
-
-        // Find the post by its primary key (postId) from the URL parameter to ensure it exists.
-        const post = await Post.findByPk(req.params.postId);
-
-        // Find the tag by its primary key (tagId) to verify it exists in the database.
-        const tag = await Tag.findByPk(tagId);
-
-        // If either the post or tag is not found, return a 404 error.
-        // - This prevents attempting to remove an association if either the post or tag doesn’t exist.
-        if (!post || !tag) {
-            return res.status(404).json({ message: 'Post or Tag not found' });
-        }
+        // Respond with the tags that were added, and the tags the post already had.
+        res.status(200).json(await changeTags(req, 'add'));
+    } catch (error) {
+        next(error);
+    }
+};
 
-        // Remove the tag from the post using the removeTag method generated by Sequelize.
-        // - removeTag is used to delete the association between the post and the specified tag.
-        await post.removeTag(tag);
+// Remove tags from a post
+// This function unlinks one or more tags from a post. The tags themselves are kept.
+exports.removeTagFromPost = async (req, res, next) => {
+    try {
+        // Respond with the tags that were removed, and the tags the post still has.
+        res.status(200).json(await changeTags(req, 'remove'));
+    } catch (error) {
+        next(error);
+    }
+};
 
-        // Respond with a success message confirming the tag was removed from the post.
-        res.status(200).json({ message: 'Tag removed from post successfully' });
+// Replace the tags of a post
+// This function makes the given tags the post's full tag set, e.g. `{ "tags": ["JavaScript", "Node.js"] }`.
+// - An empty list removes every tag from the post.
+exports.replacePostTags = async (req, res, next) => {
+    try {
+        // Respond with the tags that were added and removed, and the ones the post kept.
+        res.status(200).json(await changeTags(req, 'replace'));
     } catch (error) {
-        // If an error occurs, respond with a 500 status and the error message.
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 };
@@ -1,98 +1,238 @@
 // Importing the Profile and User models to interact with their respective tables in the database.
 // - Profile represents additional user information, linked in a one-to-one relationship with User.
 // - User represents individual users, who may each have one profile.
-const { Profile, User } = require('../models');
+const { Profile, User, Attachment, sequelize } = require('../models');
+
+// Importing the list query helpers for filtering, sorting, and cursor pagination.
+const { parseListQuery, paginate } = require('../utils/listQuery');
+const { NotFoundError, ForbiddenError, ConflictError } = require('../utils/errors');
+
+// Importing the ETag helpers for optimistic concurrency control (see utils/versioning.js).
+const { sendVersioned, checkIfMatch } = require('../utils/versioning');
+
+// Importing the PATCH helper and the document schema that patched profiles are validated against.
+const { buildPatchChanges } = require('../utils/patch');
+const profileSchemas = require('../validators/profileSchemas');
+
+// Importing the upload helpers, which store avatars and their thumbnails (see utils/uploads.js).
+const { storeUpload, removeStoredFiles } = require('../utils/uploads');
+
+// Profiles are returned with their avatar, if they have one.
+const avatarInclude = { model: Attachment, as: 'avatar' };
+
+// The Profile attributes clients may filter and sort on in `GET /profiles`.
+// - `filter[bio][contains]=designer` finds profiles whose bio mentions a word.
+const PROFILE_LIST_OPTIONS = {
+    filterable: ['userId', 'bio', 'createdAt'],
+    sortable: ['id', 'userId', 'createdAt'],
+    defaultSort: 'userId'
+};
+// The GraphQL `profiles` query accepts the same parameters (see graphql/schema.js).
+exports.PROFILE_LIST_OPTIONS = PROFILE_LIST_OPTIONS;
+
+// Ownership check shared by the update and delete handlers.
+// - Profiles are addressed by the userId in the URL, so a user may only change the profile whose userId matches their own ID.
+const isOwnProfile = (req) => Number(req.params.userId) === req.user.id;
 
 // Create a profile for a user
-// This function allows the creation of a profile associated with a specific user.
-exports.createProfile = async (req, res) => {
+// This function creates the profile of the authenticated user.
+// - A user has at most one profile. A second one is rejected with a 409 (Conflict) status, also when the first one is
+//   in the trash: it can be restored with `POST /profiles/:userId/restore` instead.
+exports.createProfile = async (req, res, next) => {
     try {
-        const { bio, userId } = req.body;  // Destructure bio and userId from the request body
+        const { bio } = req.body;  // Destructure bio from the request body
 
-        // Find the user by their primary key (userId) to ensure the user exists before creating a profile.
-        const user = await User.findByPk(userId);
-        if (!user) {
-            // If the user is not found, return a 404 error message.
-            return res.status(404).json({ message: 'User not found' });
+        // The profile always belongs to the authenticated user, regardless of any userId sent in the body.
+        const userId = req.user.id;
+
+        // `paranoid: false` also finds a profile in the trash.
+        const existing = await Profile.findOne({ where: { userId }, paranoid: false });
+        if (existing) {
+            throw new ConflictError(
+                existing.deletedAt ? 'Your profile is in the trash; restore it instead' : 'You already have a profile',
+                { userId, deleted: Boolean(existing.deletedAt) }
+            );
         }
 
         // Create the profile associated with the user by using the userId as a foreign key.
         const profile = await Profile.create({ bio, userId });
 
         // Return the newly created profile with a 201 status to indicate successful creation.
-        res.status(201).json(profile);
+        sendVersioned(res, 201, profile);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Get all profiles
+// This function retrieves profiles one page at a time, each with its user, using the list parameters described in utils/listQuery.js.
+exports.getAllProfiles = async (req, res, next) => {
+    try {
+        const listQuery = parseListQuery(Profile, req.query, PROFILE_LIST_OPTIONS);
+        const { data, pageInfo } = await paginate(Profile, listQuery, { include: [User, avatarInclude] });
+
+        res.status(200).json({ data, pageInfo });
     } catch (error) {
-        // If an error occurs, return a 400 status and the error message.
-        res.status(400).json({ error: error.message });
+        next(error);
     }
 };
 
 // Get a user's profile
 // This function retrieves the profile for a specific user, along with the associated user details.
-exports.getProfile = async (req, res) => {
+exports.getProfile = async (req, res, next) => {
     try {
         // Find the profile by matching the userId, and include the User model to retrieve user information.
         const profile = await Profile.findOne({
             where: { userId: req.params.userId },
-            include: [User]
+            include: [User, avatarInclude]
         });
 
         // If no profile is found, return a 404 error message.
         if (!profile) {
-            return res.status(404).json({ message: 'Profile not found' });
+            throw new NotFoundError('Profile not found');
         }
 
         // Return the profile data with a 200 status to indicate successful retrieval.
-        res.status(200).json(profile);
+        // - The ETag carries the profile's version, to be sent back in If-Match when updating or deleting it.
+        sendVersioned(res, 200, profile);
     } catch (error) {
-        // If an error occurs, return a 500 status and the error message.
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 };
 
 // Update a user's profile
 // This function updates the profile for a specific user, modifying fields such as bio.
-exports.updateProfile = async (req, res) => {
+// Only the owner of the profile is allowed to update it.
+exports.updateProfile = async (req, res, next) => {
     try {
-        const { bio } = req.body;  // Destructure the bio from the request body
+        if (!isOwnProfile(req)) {
+            // A 403 (Forbidden) status tells the client it is authenticated but not allowed to perform this action.
+            throw new ForbiddenError('You can only modify your own profile');
+        }
 
-        // Update the profile where the userId matches, using the new bio.
-        const [updated] = await Profile.update({ bio }, {
-            where: { userId: req.params.userId }
-        });
+        const { bio } = req.body;  // Destructure the bio from the request body
 
-        if (updated) {
-            // If the profile was updated, retrieve the updated profile to confirm changes.
-            const updatedProfile = await Profile.findOne({ where: { userId: req.params.userId } });
-            res.status(200).json(updatedProfile);
-        } else {
+        // Find the profile first, then update it through the instance.
+        // - The static `Profile.update` would skip the version check and leave the version unchanged.
+        const profile = await Profile.findOne({ where: { userId: req.params.userId } });
+        if (!profile) {
             // If no profile was found to update, return a 404 error.
-            res.status(404).json({ message: 'Profile not found' });
+            throw new NotFoundError('Profile not found');
         }
+
+        // With If-Match, only update the version the client last read; a 412 status means the profile changed since.
+        checkIfMatch(req, res, profile, 'profile');
+
+        await profile.update({ bio });
+        sendVersioned(res, 200, profile);
     } catch (error) {
-        // If an error occurs, return a 400 status and the error message.
-        res.status(400).json({ error: error.message });
+        next(error);
+    }
+};
+
+// Patch a user's profile
+// This function applies a JSON Merge Patch or a JSON Patch to the authenticated user's profile (see utils/patch.js).
+// - `{ "bio": null }` clears the bio; an empty patch `{}` changes nothing.
+exports.patchProfile = async (req, res, next) => {
+    try {
+        if (!isOwnProfile(req)) {
+            throw new ForbiddenError('You can only modify your own profile');
+        }
+
+        const profile = await Profile.findOne({ where: { userId: req.params.userId } });
+        if (!profile) {
+            throw new NotFoundError('Profile not found');
+        }
+
+        const changes = buildPatchChanges(req, profile, profileSchemas.document);
+
+        // With If-Match, only update the version the client last read; a 412 status means the profile changed since.
+        checkIfMatch(req, res, profile, 'profile');
+
+        await profile.update(changes);
+        sendVersioned(res, 200, profile);
+    } catch (error) {
+        next(error);
     }
 };
 
 // Delete a user's profile
-// This function deletes the profile for a specific user.
-exports.deleteProfile = async (req, res) => {
+// This function deletes the profile for a specific user. Only the owner of the profile is allowed to delete it.
+exports.deleteProfile = async (req, res, next) => {
     try {
-        // Delete the profile where the userId matches the specified parameter.
-        const deleted = await Profile.destroy({
-            where: { userId: req.params.userId }
-        });
+        if (!isOwnProfile(req)) {
+            throw new ForbiddenError('You can only delete your own profile');
+        }
 
-        if (deleted) {
-            // If deletion is successful, return a 204 (No Content) status.
-            res.status(204).send();
-        } else {
+        // Find the profile whose userId matches the specified parameter.
+        const profile = await Profile.findOne({ where: { userId: req.params.userId } });
+        if (!profile) {
             // If no profile was found to delete, return a 404 error.
-            res.status(404).json({ message: 'Profile not found' });
+            throw new NotFoundError('Profile not found');
+        }
+
+        // With If-Match, do not delete a profile that changed since the client last read it.
+        checkIfMatch(req, res, profile, 'profile');
+
+        // Move the profile to the trash and return a 204 (No Content) status.
+        await profile.destroy();
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Upload an avatar
+// This function stores the image checked by the upload middleware as the avatar of the authenticated user's profile.
+// - A new avatar replaces the previous one, whose files are removed once the change is saved.
+// - The avatar is not part of the profile's own fields, so the profile's version (and ETag) does not change.
+exports.uploadAvatar = async (req, res, next) => {
+    let stored;
+    try {
+        if (!isOwnProfile(req)) {
+            throw new ForbiddenError('You can only modify your own profile');
+        }
+
+        const profile = await Profile.findOne({ where: { userId: req.params.userId } });
+        if (!profile) {
+            throw new NotFoundError('Profile not found');
         }
+
+        stored = await storeUpload(req.files[0], `profiles/${profile.id}`);
+
+        // Replacing the avatar is one transaction: the old row is deleted (its files go after the commit) and the new one created.
+        const avatar = await sequelize.transaction(async (transaction) => {
+            await Attachment.destroy({ where: { profileId: profile.id }, transaction });
+            return Attachment.create({ ...stored, profileId: profile.id, userId: req.user.id }, { transaction });
+        });
+
+        res.status(200).json(await Attachment.findByPk(avatar.id));
+    } catch (error) {
+        // A stored file that did not become the avatar belongs to nothing, so it is removed again.
+        if (stored) {
+            await removeStoredFiles([stored.storageKey, stored.thumbnailKey]);
+        }
+        next(error);
+    }
+};
+
+// Delete an avatar
+// This function removes the avatar of the authenticated user's profile, with its files.
+// - Like unfollowing, it is idempotent: a profile without an avatar also answers 204 (No Content).
+exports.deleteAvatar = async (req, res, next) => {
+    try {
+        if (!isOwnProfile(req)) {
+            throw new ForbiddenError('You can only modify your own profile');
+        }
+
+        const profile = await Profile.findOne({ where: { userId: req.params.userId } });
+        if (!profile) {
+            throw new NotFoundError('Profile not found');
+        }
+
+        await Attachment.destroy({ where: { profileId: profile.id } });
+        res.status(204).send();
     } catch (error) {
-        // If an error occurs, return a 500 status and the error message.
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 };
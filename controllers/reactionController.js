@@ -0,0 +1,82 @@
+// Importing the models needed for reactions.
+// - Reaction stores the reactions themselves, Post is used to check that the post exists, and User provides who reacted.
+const { Reaction, Post, User } = require('../models');
+const { NotFoundError } = require('../utils/errors');
+
+// Importing the list query helpers for filtering and cursor pagination.
+const { parseListQuery, paginate } = require('../utils/listQuery');
+
+// Only the public details of the user who reacted are included in responses.
+const userInclude = { model: User, attributes: ['id', 'firstName', 'lastName'] };
+
+// The reactions of a post are listed newest first, and can be filtered by type.
+const REACTION_LIST_OPTIONS = { filterable: ['type'], sortable: ['createdAt'], defaultSort: '-createdAt' };
+
+// Find the post in the URL, or fail with a 404 status.
+const findPost = async (req) => {
+    const post = await Post.findByPk(req.params.postId);
+    if (!post) {
+        throw new NotFoundError('Post not found');
+    }
+    return post;
+};
+
+// React to a post
+// This function adds a reaction of the given type from the authenticated user.
+// - Reacting with a type you already used changes nothing: the existing reaction is returned with a 200 status instead of 201.
+// - The Reaction hooks update the post's `reactionCount`.
+exports.addReaction = async (req, res, next) => {
+    try {
+        const post = await findPost(req);
+
+        // `findOrCreate` relies on the unique (postId, userId, type) index, so two identical requests never create two rows.
+        const [reaction, created] = await Reaction.findOrCreate({
+            where: { postId: post.id, userId: req.user.id, type: req.body.type }
+        });
+
+        res.status(created ? 201 : 200).json(reaction);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Get the reactions to a post
+// This function returns the number of reactions of each type, and one page of the reactions with the users who left them.
+// - `filter[type]=love` lists only one type; the counts always cover every type.
+exports.getReactions = async (req, res, next) => {
+    try {
+        const post = await findPost(req);
+
+        const listQuery = parseListQuery(Reaction, req.query, REACTION_LIST_OPTIONS);
+        const [counts, { data, pageInfo }] = await Promise.all([
+            Reaction.countByPost([post.id]),
+            paginate(Reaction, listQuery, { where: { postId: post.id }, include: [userInclude] })
+        ]);
+
+        res.status(200).json({
+            counts: counts.get(post.id) || Reaction.emptyCounts(),     // e.g. { like: 12, love: 3, ... }
+            data,                                                       // The reactions on this page, with their users
+            pageInfo                                                    // Cursors for the next and previous pages
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Remove a reaction
+// This function removes the authenticated user's reaction of the type in the URL.
+// - Removing a reaction you did not leave also answers 204 (No Content), so clients can toggle reactions without checking first.
+// - The reaction is destroyed as an instance, so its hook updates the post's `reactionCount`.
+exports.removeReaction = async (req, res, next) => {
+    try {
+        const reaction = await Reaction.findOne({
+            where: { postId: req.params.postId, userId: req.user.id, type: req.params.type }
+        });
+        if (reaction) {
+            await reaction.destroy();
+        }
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,110 @@
+// Importing the models needed for post history.
+// - PostRevision stores the versions, Post is the current version, and User tells us who made each change.
+const { PostRevision, Post, User, sequelize } = require('../models');
+
+// Importing the permission helpers to decide whether a user may roll back a post written by someone else.
+const { hasPermission } = require('../config/permissions');
+const { forbidden } = require('../middlewares/roleMiddleware');
+const { NotFoundError } = require('../utils/errors');
+
+// Only the public details of the user who made a change are included in responses.
+const editorInclude = { model: User, attributes: ['id', 'firstName', 'lastName'] };
+
+// Find a revision of the post in the URL by its revision number.
+const findRevision = (req, transaction) => PostRevision.findOne({
+    where: { postId: req.params.postId, revision: req.params.rev },
+    include: [editorInclude],
+    transaction
+});
+
+// Compare a revision with the current version of the post, field by field.
+// - For each tracked field, the result holds the value in the revision, the current value, and whether they differ.
+const diffWithCurrent = (revision, post) => PostRevision.TRACKED_FIELDS.reduce((diff, field) => ({
+    ...diff,
+    [field]: {
+        revision: revision[field],
+        current: post[field],
+        changed: revision[field] !== post[field]
+    }
+}), {});
+
+// List the revisions of a post
+// This function returns the history of a post, newest first, without the copied title and content to keep the list small.
+exports.getRevisions = async (req, res, next) => {
+    try {
+        const post = await Post.findByPk(req.params.postId);
+        if (!post) {
+            throw new NotFoundError('Post not found');
+        }
+
+        const revisions = await PostRevision.findAll({
+            where: { postId: post.id },
+            attributes: ['id', 'revision', 'userId', 'changedFields', 'status', 'restoredFrom', 'createdAt'],
+            include: [editorInclude],
+            order: [['revision', 'DESC']]
+        });
+
+        res.status(200).json(revisions);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Get a single revision
+// This function returns one revision together with a field-level diff against the current version of the post.
+exports.getRevision = async (req, res, next) => {
+    try {
+        const post = await Post.findByPk(req.params.postId);
+        if (!post) {
+            throw new NotFoundError('Post not found');
+        }
+
+        const revision = await findRevision(req);
+        if (!revision) {
+            throw new NotFoundError('Revision not found');
+        }
+
+        res.status(200).json({ revision, diff: diffWithCurrent(revision, post) });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Roll a post back to an earlier revision
+// This function copies the title, content, and status of a revision back onto the post.
+// - The rollback is itself a change, so it is recorded as a new revision (with `restoredFrom` set) and can be undone too.
+// - Authors may roll back their own posts; admins may roll back any post.
+exports.restoreRevision = async (req, res, next) => {
+    const transaction = await sequelize.transaction();
+    try {
+        const post = await Post.findByPk(req.params.postId, { transaction });
+        if (!post) {
+            throw new NotFoundError('Post not found');
+        }
+
+        if (post.userId !== req.user.id && !hasPermission(req.user.role, 'posts:update:any')) {
+            throw forbidden(req.user.role, 'posts:update:any', 'You can only roll back your own posts');
+        }
+
+        const revision = await findRevision(req, transaction);
+        if (!revision) {
+            throw new NotFoundError('Revision not found');
+        }
+
+        // Update through the instance so the Post hooks record the rollback as a new revision, in the same transaction.
+        const { title, content, status } = revision;
+        await post.update({ title, content, status }, {
+            transaction,
+            userId: req.user.id,
+            restoredFrom: revision.revision
+        });
+
+        await transaction.commit();
+        res.status(200).json(post);
+    } catch (error) {
+        // Undo any changes, then let the error handler respond.
+        // - Restoring an old status still has to follow the status workflow, so an invalid transition becomes a 409 (Conflict).
+        await transaction.rollback();
+        next(error);
+    }
+};
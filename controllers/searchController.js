@@ -0,0 +1,35 @@
+// Importing the Post, User, and Tag models to load the full posts for a page of search results.
+const { Post, User, Tag } = require('../models');
+
+// Importing the search helper, which picks Postgres full-text search or the portable fallback.
+const { searchPosts } = require('../utils/postSearch');
+
+// Search posts
+// This function searches the title and content of posts, ranks the matches by relevance, and returns:
+// - `results`: the posts for the current page, each with its relevance `rank` and `highlights` of the matched text.
+// - `facets`: how many matches each tag and each author has, across all pages.
+// Optional filters: `status` (defaults to 'active'), `tagId`, and `userId`.
+// The `postSchemas.search` schema has already required `q`, checked the status, and converted the numbers.
+exports.searchPosts = async (req, res, next) => {
+    const { q, page, limit, status, tagId, userId } = req.query;
+    try {
+        const offset = (page - 1) * limit;
+        const { total, hits, facets } = await searchPosts({ q, status, tagId, userId, limit, offset });
+
+        // Load the posts of this page with their author and tags, the same way `getAllPosts` does,
+        // then put them back in relevance order (the database returns them in no particular order).
+        const posts = await Post.findAll({ where: { id: hits.map(hit => hit.id) }, include: [User, Tag] });
+        const postsById = new Map(posts.map(post => [post.id, post]));
+        const results = hits.map(({ id, rank, highlights }) => ({ post: postsById.get(id), rank, highlights }));
+
+        res.status(200).json({
+            results,                                  // Matches for the current page, most relevant first
+            facets,                                   // Match counts per tag and per author
+            totalResults: total,                      // Total number of matches
+            totalPages: Math.ceil(total / limit),     // Total pages available
+            currentPage: page                         // Current page number
+        });
+    } catch (error) {
+        next(error);
+    }
+};
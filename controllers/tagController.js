@@ -1,10 +1,52 @@
 // Importing the Tag model to interact with the tags table in the database.
 // - Tag represents a category or label that can be associated with multiple posts.
-const { Tag } = require('../models');
+const { Tag, Post, PostTag, User, sequelize } = require('../models');
+const { Op } = require('sequelize');
+
+// Importing the list query helpers for filtering, sorting, and cursor pagination.
+const { parseListQuery, paginate } = require('../utils/listQuery');
+const { NotFoundError, BadRequestError } = require('../utils/errors');
+
+// Importing the ETag helpers for optimistic concurrency control (see utils/versioning.js).
+const { sendVersioned, checkIfMatch } = require('../utils/versioning');
+
+// Importing the PATCH helper and the document schema that patched tags are validated against.
+const { buildPatchChanges } = require('../utils/patch');
+const tagSchemas = require('../validators/tagSchemas');
+
+// The Tag attributes clients may filter and sort on in `GET /tags`. Tags are listed alphabetically by default.
+const TAG_LIST_OPTIONS = {
+    filterable: ['name', 'slug', 'createdAt'],
+    sortable: ['id', 'name', 'slug', 'createdAt'],
+    defaultSort: 'name'
+};
+// The GraphQL `tags` query accepts the same parameters (see graphql/schema.js).
+exports.TAG_LIST_OPTIONS = TAG_LIST_OPTIONS;
+
+// The Post attributes clients may filter and sort on in `GET /tags/:slug/posts`, the same as in `GET /posts`.
+const TAG_POST_LIST_OPTIONS = {
+    filterable: ['userId', 'title', 'createdAt', 'updatedAt', 'publishedAt'],
+    sortable: ['id', 'title', 'createdAt', 'updatedAt'],
+    defaultSort: '-createdAt'
+};
+// The `posts` field of the GraphQL Tag type accepts the same parameters (see graphql/schema.js).
+exports.TAG_POST_LIST_OPTIONS = TAG_POST_LIST_OPTIONS;
+
+// A condition matching the posts that carry a tag: `"Post"."id" IN (SELECT "postId" FROM "PostTags" WHERE "tagId" = ...)`.
+// - Filtering through a subquery (rather than an inner join on Tag) keeps every tag of each post in the response,
+//   and keeps the page size correct, since the join would otherwise multiply rows.
+const taggedWith = (tagId) => {
+    const subquery = sequelize.getQueryInterface().queryGenerator
+        .selectQuery(PostTag.getTableName(), { attributes: ['postId'], where: { tagId } })
+        .slice(0, -1);  // Drop the trailing ';'
+    return { id: { [Op.in]: sequelize.literal(`(${subquery})`) } };
+};
+// The GraphQL Tag type lists its posts with the same condition.
+exports.taggedWith = taggedWith;
 
 // Create a new tag
 // This function allows the creation of a new tag, which can be associated with posts for categorization.
-exports.createTag = async (req, res) => {
+exports.createTag = async (req, res, next) => {
     try {
         const { name } = req.body;  // Destructure the name of the tag from the request body
 
@@ -12,68 +54,183 @@ exports.createTag = async (req, res) => {
         const tag = await Tag.create({ name });
 
         // Return the newly created tag with a 201 status to indicate successful creation.
-        res.status(201).json(tag);
+        sendVersioned(res, 201, tag);
     } catch (error) {
-        // If an error occurs, return a 400 status with the error message.
-        res.status(400).json({ error: error.message });
+        next(error);
     }
 };
 
 // Get all tags
-// This function retrieves all tags in the database, which can be used for tagging posts.
-exports.getAllTags = async (req, res) => {
+// This function retrieves tags one page at a time, with the list parameters described in utils/listQuery.js.
+exports.getAllTags = async (req, res, next) => {
     try {
-        // Find all tags using the findAll method, which returns an array of tags.
-        const tags = await Tag.findAll();
+        // Validate the list parameters, then fetch one page of tags.
+        const listQuery = parseListQuery(Tag, req.query, TAG_LIST_OPTIONS);
+        let { data, pageInfo } = await paginate(Tag, listQuery);
+
+        // `?withCounts=true` adds the number of published posts of each tag, counted for the whole page in one query.
+        if (req.query.withCounts) {
+            const counts = await Tag.countPosts(data.map(tag => tag.id));
+            data = data.map(tag => ({ ...tag.toJSON(), postCount: counts.get(tag.id) || 0 }));
+        }
 
-        // Return the list of tags with a 200 status to indicate successful retrieval.
-        res.status(200).json(tags);
+        // Return the page of tags and the cursors for the next and previous pages with a 200 status.
+        res.status(200).json({ data, pageInfo });
     } catch (error) {
-        // If an error occurs, return a 500 status with the error message.
-        res.status(500).json({ error: error.message });
+        // An invalid filter, sort, limit, or cursor gets a 400 status.
+        next(error);
     }
 };
 
 // Update a tag
 // This function updates a tag's name, allowing administrators to correct or modify tag names.
-exports.updateTag = async (req, res) => {
+exports.updateTag = async (req, res, next) => {
     try {
         const { name } = req.body;  // Destructure the name from the request body
 
-        // Update the tag's name where the id matches the specified parameter.
-        // - The `update` method returns an array where the first element is the number of affected rows.
-        const [updated] = await Tag.update({ name }, { where: { id: req.params.id } });
-
-        if (updated) {
-            // If the update was successful, retrieve the updated tag to confirm changes.
-            const updatedTag = await Tag.findByPk(req.params.id);
-            res.status(200).json(updatedTag);
-        } else {
+        // Find the tag first, then update it through the instance.
+        // - The static `Tag.update` would skip the name setter, leaving the slug out of step with the new name.
+        const tag = await Tag.findByPk(req.params.id);
+        if (!tag) {
             // If no tag was found to update, return a 404 error message.
-            res.status(404).json({ message: 'Tag not found' });
+            throw new NotFoundError('Tag not found');
+        }
+
+        // With If-Match, only rename the version the client last read; a 412 status means the tag changed since.
+        checkIfMatch(req, res, tag, 'tag');
+
+        // Renaming to a name with the same slug as another tag (e.g. 'programming' when 'Programming' exists) gets a 409 status.
+        await tag.update({ name });
+        sendVersioned(res, 200, tag);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Patch a tag
+// This function applies a JSON Merge Patch or a JSON Patch to a tag (see utils/patch.js), e.g. `{ "name": "Node.js" }`.
+exports.patchTag = async (req, res, next) => {
+    try {
+        const tag = await Tag.findByPk(req.params.id);
+        if (!tag) {
+            throw new NotFoundError('Tag not found');
+        }
+
+        const changes = buildPatchChanges(req, tag, tagSchemas.document);
+
+        // With If-Match, only update the version the client last read; a 412 status means the tag changed since.
+        checkIfMatch(req, res, tag, 'tag');
+
+        // The name setter keeps the slug in step, as in `updateTag`.
+        await tag.update(changes);
+        sendVersioned(res, 200, tag);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Get the posts of a tag
+// This function lists the published posts carrying a tag, found by its slug (e.g. `GET /tags/web-development/posts`).
+exports.getTagPosts = async (req, res, next) => {
+    try {
+        const tag = await Tag.findOne({ where: { slug: req.params.slug } });
+        if (!tag) {
+            throw new NotFoundError('Tag not found');
         }
+
+        // Fetch one page of the tag's published posts, with the same list parameters as `GET /posts`.
+        const listQuery = parseListQuery(Post, req.query, TAG_POST_LIST_OPTIONS);
+        const { data, pageInfo } = await paginate(Post.scope('active'), listQuery, {
+            where: taggedWith(tag.id),
+            include: [User, Tag]
+        });
+
+        res.status(200).json({ tag, data, pageInfo });
     } catch (error) {
-        // If an error occurs, return a 400 status with the error message.
-        res.status(400).json({ error: error.message });
+        next(error);
+    }
+};
+
+// Merge tags
+// This function folds one or more duplicate tags into the tag in the URL, e.g. 'JS' and 'ECMAScript' into 'JavaScript'.
+// - The posts of the source tags are moved to the target tag, and the source tags are deleted for good.
+// - Everything runs in one transaction, so a failure leaves all the tags as they were.
+exports.mergeTags = async (req, res, next) => {
+    const targetId = req.params.id;
+    const { sourceIds } = req.body;
+    const transaction = await sequelize.transaction();
+    try {
+        if (sourceIds.includes(targetId)) {
+            throw new BadRequestError('A tag cannot be merged into itself', { targetId });
+        }
+
+        const target = await Tag.findByPk(targetId, { transaction });
+        if (!target) {
+            throw new NotFoundError('Tag not found');
+        }
+        const sources = await Tag.findAll({ where: { id: sourceIds }, transaction });
+        const missing = sourceIds.filter(id => !sources.some(source => source.id === id));
+        if (missing.length > 0) {
+            throw new NotFoundError('Some of the tags to merge were not found', { missing });
+        }
+
+        // A post carrying both the target and a source tag only loses the source link, since it already has the target.
+        const targetLinks = await PostTag.findAll({ where: { tagId: targetId }, attributes: ['postId'], transaction });
+        const targetPostIds = targetLinks.map(link => link.postId);
+        await PostTag.destroy({ where: { tagId: sourceIds, postId: targetPostIds }, transaction });
+
+        // Two sources may share a post too; keep one of its links and drop the others before moving them.
+        // - PostTag rows are identified by their (postId, tagId) pair, which is the join table's primary key.
+        const sourceLinks = await PostTag.findAll({ where: { tagId: sourceIds }, attributes: ['postId', 'tagId'], transaction });
+        const seenPostIds = new Set();
+        const duplicateLinks = [];
+        for (const { postId, tagId } of sourceLinks) {
+            if (seenPostIds.has(postId)) {
+                duplicateLinks.push({ postId, tagId });
+            } else {
+                seenPostIds.add(postId);
+            }
+        }
+        if (duplicateLinks.length > 0) {
+            await PostTag.destroy({ where: { [Op.or]: duplicateLinks }, transaction });
+        }
+
+        // Move the remaining links onto the target, then delete the source tags without going through the trash.
+        const [moved] = await PostTag.update({ tagId: targetId }, { where: { tagId: sourceIds }, transaction });
+        await Tag.destroy({ where: { id: sourceIds }, force: true, transaction });
+
+        await transaction.commit();
+
+        const counts = await Tag.countPosts([target.id]);
+        res.status(200).json({
+            tag: { ...target.toJSON(), postCount: counts.get(target.id) || 0 },
+            merged: sourceIds,
+            movedPosts: moved
+        });
+    } catch (error) {
+        await transaction.rollback();
+        next(error);
     }
 };
 
 // Delete a tag
 // This function deletes a tag by its ID, which is useful for removing obsolete or irrelevant tags.
-exports.deleteTag = async (req, res) => {
+exports.deleteTag = async (req, res, next) => {
     try {
-        // Delete the tag with the specified ID from the database.
-        const deleted = await Tag.destroy({ where: { id: req.params.id } });
-
-        if (deleted) {
-            // If deletion is successful, return a 204 status (No Content).
-            res.status(204).send();
-        } else {
+        // Find the tag with the specified ID.
+        const tag = await Tag.findByPk(req.params.id);
+        if (!tag) {
             // If no tag was found to delete, return a 404 error message.
-            res.status(404).json({ message: 'Tag not found' });
+            throw new NotFoundError('Tag not found');
         }
+
+        // With If-Match, do not delete a tag that changed since the client last read it.
+        checkIfMatch(req, res, tag, 'tag');
+
+        // Move the tag to the trash and return a 204 status (No Content).
+        await tag.destroy();
+        res.status(204).send();
     } catch (error) {
-        // If an error occurs, return a 500 status with the error message.
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 };
@@ -0,0 +1,140 @@
+// Importing the models that support soft delete, and the sequelize instance for transactions.
+// - Op provides the comparison operators used to find rows by their `deletedAt` timestamp.
+const { Op } = require('sequelize');
+const { User, Profile, Post, Tag, Comment, Reaction, sequelize } = require('../models');
+
+// Importing the permission helpers to decide whether a user may act on records owned by someone else.
+const { hasPermission } = require('../config/permissions');
+const { forbidden } = require('../middlewares/roleMiddleware');
+const { NotFoundError } = require('../utils/errors');
+
+// Importing the list query helpers for filtering, sorting, and cursor pagination.
+const { parseListQuery, paginate } = require('../utils/listQuery');
+
+// How long deleted records stay in the trash before they may be purged for good.
+// - Read from the TRASH_RETENTION_DAYS environment variable, defaulting to 30 days.
+const RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+
+// The resources that have a trash, keyed by the name used in URLs (e.g. GET /trash/posts).
+// - `model` is the paranoid Sequelize model.
+// - `key` is both the URL parameter and the attribute it is matched against. Profiles are addressed by their userId everywhere else, so here too.
+// - `owner` is the attribute holding the owner's user ID; users own their own account. Tags have no owner and are admin-only.
+// - `dependents` are models whose rows point at the resource through `foreignKey`; they are removed first when it is purged permanently.
+//   PostTag rows and comments under purged posts are removed by the database itself (ON DELETE CASCADE).
+//   Reactions are removed here, so their hooks update the reaction counts of the posts they were left on.
+// - `filterable` lists the attributes clients may filter on in `GET /trash/<resource>`, on top of `deletedAt`.
+const RESOURCES = {
+    users: {
+        model: User, key: 'id', owner: 'id', foreignKey: 'userId', dependents: [Comment, Reaction, Profile, Post],
+        filterable: ['role', 'email']
+    },
+    posts: {
+        model: Post, key: 'id', owner: 'userId', foreignKey: 'postId', dependents: [Comment, Reaction],
+        filterable: ['userId', 'status', 'title']
+    },
+    tags: { model: Tag, key: 'id', owner: null, dependents: [], filterable: ['name', 'slug'] },
+    profiles: { model: Profile, key: 'userId', owner: 'userId', dependents: [], filterable: ['userId'] }
+};
+
+// Look up the resource named in the URL, answering 404 for anything that has no trash.
+const resolveResource = (name) => {
+    const resource = RESOURCES[name];
+    if (!resource) {
+        throw new NotFoundError(`Unknown resource '${name}'. Expected one of: ${Object.keys(RESOURCES).join(', ')}`);
+    }
+    return resource;
+};
+
+// List deleted records
+// This function lists the records of a resource that are in the trash, most recently deleted first.
+// - Admins see every deleted record; everyone else only sees their own.
+// - The list accepts the generic `filter`, `sort`, `limit`, and `cursor` parameters (see utils/listQuery.js), and
+//   includes how many days records stay in the trash before they may be purged.
+exports.listTrash = async (req, res, next) => {
+    try {
+        const resource = resolveResource(req.params.resource);
+        const listQuery = parseListQuery(resource.model, req.query, {
+            filterable: [...resource.filterable, 'deletedAt'],
+            sortable: ['id', 'createdAt', 'deletedAt'],
+            defaultSort: '-deletedAt'
+        });
+
+        // `paranoid: false` makes Sequelize include soft-deleted rows, and the `deletedAt` condition keeps only those.
+        const where = { deletedAt: { [Op.ne]: null } };
+        if (!hasPermission(req.user.role, 'trash:view:any')) {
+            if (!resource.owner) {
+                throw forbidden(req.user.role, 'trash:view:any');
+            }
+            where[resource.owner] = req.user.id;
+        }
+
+        const { data, pageInfo } = await paginate(resource.model, listQuery, { where, paranoid: false });
+        res.status(200).json({ retentionDays: RETENTION_DAYS, data, pageInfo });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Restore a deleted record
+// This factory returns the handler for `POST /<resource>/:id/restore`, which brings a record back from the trash.
+// - Associations come back with it: PostTag rows are never removed by a soft delete, and restoring a user
+//   also restores the profile and posts that were trashed with them (see the User model's beforeRestore hook).
+// - Owners may restore their own records; admins may restore anything.
+exports.restore = (name) => async (req, res, next) => {
+    try {
+        const resource = RESOURCES[name];
+        const record = await resource.model.findOne({
+            where: { [resource.key]: req.params[resource.key], deletedAt: { [Op.ne]: null } },
+            paranoid: false
+        });
+        if (!record) {
+            throw new NotFoundError('No deleted record found');
+        }
+
+        const isOwner = resource.owner && record[resource.owner] === req.user.id;
+        if (!isOwner && !hasPermission(req.user.role, 'trash:restore:any')) {
+            throw forbidden(req.user.role, 'trash:restore:any', 'You can only restore your own records');
+        }
+
+        await sequelize.transaction(transaction => record.restore({ transaction }));
+        res.status(200).json(record);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Purge the trash
+// This function permanently deletes the records of a resource that have been in the trash for longer than the retention period.
+// - Rows that reference a purged record (its dependents) are deleted first, all in one transaction.
+exports.purgeTrash = async (req, res, next) => {
+    try {
+        const resource = resolveResource(req.params.resource);
+
+        const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        const purged = await sequelize.transaction(async (transaction) => {
+            const expired = await resource.model.findAll({
+                attributes: ['id'],
+                where: { deletedAt: { [Op.lt]: cutoff } },
+                paranoid: false,
+                transaction
+            });
+            const ids = expired.map(record => record.id);
+            if (ids.length === 0) {
+                return 0;
+            }
+
+            for (const dependent of resource.dependents) {
+                await dependent.destroy({
+                    where: { [resource.foreignKey]: ids },
+                    force: true,
+                    transaction
+                });
+            }
+            return resource.model.destroy({ where: { id: ids }, force: true, transaction });
+        });
+
+        res.status(200).json({ purged, deletedBefore: cutoff });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -2,43 +2,69 @@
 // - User represents individuals with accounts in the application.
 // - Profile provides additional information about the user.
 // - Post represents content created by users and associated with their accounts.
-const { User, Profile, Post } = require('../models');
+const { User, Profile, Post, sequelize } = require('../models');
+
+// Importing the permission helpers to decide whether a user may act on accounts other than their own.
+const { hasPermission } = require('../config/permissions');
+const { forbidden } = require('../middlewares/roleMiddleware');
+const { NotFoundError } = require('../utils/errors');
+
+// Importing the ETag helpers for optimistic concurrency control (see utils/versioning.js).
+const { sendVersioned, checkIfMatch } = require('../utils/versioning');
+
+// Importing the PATCH helper and the document schema that patched users are validated against.
+const { buildPatchChanges } = require('../utils/patch');
+const userSchemas = require('../validators/userSchemas');
+
+// Importing the list query helpers for filtering, sorting, and cursor pagination.
+const { parseListQuery, paginate } = require('../utils/listQuery');
+
+// The User attributes clients may filter and sort on in `GET /users`. The password hash is never one of them.
+const USER_LIST_OPTIONS = {
+    filterable: ['firstName', 'lastName', 'email', 'role', 'createdAt'],
+    sortable: ['id', 'firstName', 'lastName', 'email', 'createdAt'],
+    defaultSort: 'id'
+};
+// The GraphQL `users` query accepts the same parameters (see graphql/schema.js).
+exports.USER_LIST_OPTIONS = USER_LIST_OPTIONS;
 
 // Create a new user
-// This function allows for the creation of a new user with basic details.
-exports.createUser = async (req, res) => {
+// This function allows administrators to create a new user with basic details and, optionally, a role.
+// Regular visitors register through `POST /auth/signup` instead.
+exports.createUser = async (req, res, next) => {
     try {
-        const { firstName, lastName, email } = req.body;  // Destructure user information from the request body
+        const { firstName, lastName, email, password, role } = req.body;  // Destructure user information from the request body
 
-        // Create the user in the database with the provided first name, last name, and email.
-        const user = await User.create({ firstName, lastName, email });
+        // Create the user in the database with the provided first name, last name, email, password, and role.
+        // - The password is hashed by the model's beforeSave hook before it is stored.
+        // - If no role is provided, the model's default ('author') is used.
+        const user = await User.create({ firstName, lastName, email, password, role });
 
         // Return the newly created user with a 201 status to indicate successful creation.
-        res.status(201).json(user);
+        sendVersioned(res, 201, user);
     } catch (error) {
-        // If an error occurs, return a 400 status and the error message.
-        res.status(400).json({ error: error.message });
+        next(error);
     }
 };
 
 // Get all users
-// This function retrieves all users in the database.
-exports.getAllUsers = async (req, res) => {
+// This function retrieves users one page at a time, with the list parameters described in utils/listQuery.js.
+exports.getAllUsers = async (req, res, next) => {
     try {
-        // Find all users using the findAll method, which returns an array of users.
-        const users = await User.findAll();
+        // Validate the list parameters, then fetch one page of users.
+        const listQuery = parseListQuery(User, req.query, USER_LIST_OPTIONS);
+        const { data, pageInfo } = await paginate(User, listQuery);
 
-        // Return the list of users with a 200 status to indicate successful retrieval.
-        res.status(200).json(users);
+        // Return the page of users and the cursors for the next and previous pages with a 200 status.
+        res.status(200).json({ data, pageInfo });
     } catch (error) {
-        // If an error occurs, return a 500 status and the error message.
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 };
 
 // Get user by ID and include associated profile and posts
 // This function retrieves a specific user by ID and includes their profile and posts.
-exports.getUserById = async (req, res) => {
+exports.getUserById = async (req, res, next) => {
     try {
         // Find the user by primary key (ID) and include Profile and Post associations.
         // - This allows for fetching a user along with their profile information and any posts they have created.
@@ -46,63 +72,114 @@ exports.getUserById = async (req, res) => {
             include: [Profile, Post]   // Include Profile and Post associations for detailed user information
         });
 
-        if (user) {
-            // If the user exists, return their data with a 200 status.
-            res.status(200).json(user);
-        } else {
+        if (!user) {
             // If no user is found with the specified ID, return a 404 error.
-            res.status(404).json({ message: 'User not found' });
+            throw new NotFoundError('User not found');
         }
+
+        // If the user exists, return their data with a 200 status.
+        // - The ETag carries the user's version, to be sent back in If-Match when updating or deleting the account.
+        sendVersioned(res, 200, user);
     } catch (error) {
-        // If an error occurs, return a 500 status and the error message.
-        res.status(500).json({ error: error.message });
+        next(error);
+    }
+};
+
+// Check that the user may make these changes to an account, then save them and respond with the updated user.
+// Shared by `updateUser` (PUT) and `patchUser` (PATCH), which only differ in how they work out the changes.
+// - Changing a role needs its own permission, so users cannot promote themselves.
+const saveUserChanges = async (req, res, user, changes) => {
+    const { role: currentRole } = req.user;
+    if (changes.role !== undefined && !hasPermission(currentRole, 'users:role')) {
+        throw forbidden(currentRole, 'users:role');
+    }
+
+    // With If-Match, only update the version the client last read; a 412 status means the account changed since.
+    checkIfMatch(req, res, user, 'user');
+
+    // Update the user through the instance rather than `User.update`,
+    // so the beforeSave hook runs and hashes a new password if one was provided.
+    const updatedUser = await user.update(changes);
+    sendVersioned(res, 200, updatedUser);
+};
+
+// Ownership check shared by the update handlers: the ID in the URL must match the authenticated user,
+// unless their role may update any account.
+// - A 403 (Forbidden) status tells the client it is authenticated but not allowed to perform this action.
+const checkCanUpdate = (req) => {
+    if (Number(req.params.id) !== req.user.id && !hasPermission(req.user.role, 'users:update:any')) {
+        throw forbidden(req.user.role, 'users:update:any', 'You can only modify your own account');
     }
 };
 
 // Update a user
-// This function updates user information, such as their name and email.
-exports.updateUser = async (req, res) => {
+// This function updates user information, such as their name, email, password, and role.
+// Users can update their own account; administrators can update any account and change roles.
+exports.updateUser = async (req, res, next) => {
     try {
-        const { firstName, lastName, email } = req.body;  // Destructure user information from the request body
+        checkCanUpdate(req);
 
-        // Update the user details where the ID matches the specified parameter.
-        // - The `update` method returns an array where the first element is the number of affected rows.
-        const [updated] = await User.update({ firstName, lastName, email }, {
-            where: { id: req.params.id }
-        });
+        // Only the fields present in the body are changed.
+        const changes = ['firstName', 'lastName', 'email', 'password', 'role']
+            .filter(field => req.body[field] !== undefined)
+            .reduce((fields, field) => ({ ...fields, [field]: req.body[field] }), {});
 
-        if (updated) {
-            // If the update was successful, retrieve the updated user to confirm changes.
-            const updatedUser = await User.findByPk(req.params.id);
-            res.status(200).json(updatedUser);
-        } else {
+        const user = await User.findByPk(req.params.id);
+        if (!user) {
             // If no user was found to update, return a 404 error.
-            res.status(404).json({ message: 'User not found' });
+            throw new NotFoundError('User not found');
         }
+
+        await saveUserChanges(req, res, user, changes);
     } catch (error) {
-        // If an error occurs, return a 500 status and the error message.
-        res.status(500).json({ error: error.message });
+        next(error);
+    }
+};
+
+// Patch a user
+// This function applies a JSON Merge Patch or a JSON Patch to an account (see utils/patch.js), e.g. `{ "lastName": "Smith" }`.
+// The patched user is validated as a whole against `userSchemas.document`, with the same rules as `updateUser`.
+exports.patchUser = async (req, res, next) => {
+    try {
+        checkCanUpdate(req);
+
+        const user = await User.findByPk(req.params.id);
+        if (!user) {
+            throw new NotFoundError('User not found');
+        }
+
+        const changes = buildPatchChanges(req, user, userSchemas.document);
+        await saveUserChanges(req, res, user, changes);
+    } catch (error) {
+        next(error);
     }
 };
 
 // Delete a user
-// This function deletes a user by their ID.
-exports.deleteUser = async (req, res) => {
+// This function moves a user to the trash by their ID. Users can delete their own account; administrators can delete any account.
+exports.deleteUser = async (req, res, next) => {
     try {
-        // Delete the user where the ID matches the specified parameter.
-        const deleted = await User.destroy({
-            where: { id: req.params.id }
-        });
+        // Ownership check: the ID in the URL must match the authenticated user, unless their role may delete any account.
+        if (Number(req.params.id) !== req.user.id && !hasPermission(req.user.role, 'users:delete:any')) {
+            throw forbidden(req.user.role, 'users:delete:any', 'You can only delete your own account');
+        }
 
-        if (deleted) {
-            // If deletion is successful, return a 204 status (No Content).
-            res.status(204).send();
-        } else {
+        const user = await User.findByPk(req.params.id);
+        if (!user) {
             // If no user was found to delete, return a 404 error.
-            res.status(404).json({ message: 'User not found' });
+            throw new NotFoundError('User not found');
         }
+
+        // With If-Match, do not delete an account that changed since the client last read it.
+        checkIfMatch(req, res, user, 'user');
+
+        // Move the user to the trash inside a transaction.
+        // - The model's afterDestroy hook also trashes the user's profile and posts, and the transaction makes that all-or-nothing.
+        await sequelize.transaction(transaction => user.destroy({ transaction }));
+
+        // If deletion is successful, return a 204 status (No Content).
+        res.status(204).send();
     } catch (error) {
-        // If an error occurs, return a 500 status and the error message.
-        res.status(500).json({ error: error.message });
+        next(error);
     }
 };
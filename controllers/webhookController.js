@@ -0,0 +1,154 @@
+// Importing the Webhook and WebhookDelivery models: the subscribers, and the log of events sent to them.
+const { Webhook, WebhookDelivery } = require('../models');
+
+// Importing the list query helpers for filtering, sorting, and cursor pagination.
+const { parseListQuery, paginate } = require('../utils/listQuery');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+// Importing the dispatcher, which sends deliveries again when they are replayed (see utils/webhookDispatcher.js).
+const { replayDelivery } = require('../utils/webhookDispatcher');
+
+// The attributes clients may filter and sort on in `GET /webhooks`.
+const WEBHOOK_LIST_OPTIONS = {
+    filterable: ['url', 'active', 'createdAt'],
+    sortable: ['id', 'url', 'createdAt'],
+    defaultSort: 'id'
+};
+
+// The attributes clients may filter and sort on in `GET /webhooks/:id/deliveries`. The latest deliveries come first.
+const DELIVERY_LIST_OPTIONS = {
+    filterable: ['status', 'eventType', 'eventId', 'createdAt'],
+    sortable: ['id', 'createdAt'],
+    defaultSort: '-id'
+};
+
+// Find the webhook in the URL, or fail with a 404 status.
+const findWebhook = async (id) => {
+    const webhook = await Webhook.findByPk(id);
+    if (!webhook) {
+        throw new NotFoundError('Webhook not found');
+    }
+    return webhook;
+};
+
+// Create a webhook
+// This function registers a subscriber for some event types, e.g. `{ "url": "https://...", "events": ["post.published"] }`.
+// - The response is the only one that includes the secret, so the subscriber can store it to check signatures.
+exports.createWebhook = async (req, res, next) => {
+    try {
+        const webhook = await Webhook.create(req.body);
+        res.status(201).json({ ...webhook.toJSON(), secret: webhook.secret });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Get all webhooks
+// This function lists the webhooks one page at a time, with the list parameters described in utils/listQuery.js.
+exports.getAllWebhooks = async (req, res, next) => {
+    try {
+        const listQuery = parseListQuery(Webhook, req.query, WEBHOOK_LIST_OPTIONS);
+        const { data, pageInfo } = await paginate(Webhook, listQuery);
+        res.status(200).json({ data, pageInfo });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Get a webhook by ID
+exports.getWebhookById = async (req, res, next) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+        res.status(200).json(webhook);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Update a webhook
+// This function changes only the fields sent, e.g. `{ "active": false }` to stop sending events for a while.
+// - A new secret takes effect for the next attempt, retries of earlier events included.
+exports.updateWebhook = async (req, res, next) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+        await webhook.update(req.body);
+        res.status(200).json(webhook);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Delete a webhook
+// This function removes the webhook and its delivery log. Pending retries are dropped with it.
+exports.deleteWebhook = async (req, res, next) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+        await webhook.destroy();
+        res.status(204).send();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Get the deliveries of a webhook
+// This function lists the delivery log, latest first, e.g. `?filter[status]=failed` for the deliveries that gave up.
+// - Each delivery includes the event that was sent and every attempt made, with the subscriber's status or the error.
+exports.getDeliveries = async (req, res, next) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+        const listQuery = parseListQuery(WebhookDelivery, req.query, DELIVERY_LIST_OPTIONS);
+        const { data, pageInfo } = await paginate(WebhookDelivery, listQuery, { where: { webhookId: webhook.id } });
+        res.status(200).json({ data, pageInfo });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Replay a delivery
+// This function sends a finished delivery again right away, with the same event and delivery ID.
+// - A delivery still waiting for a retry cannot be replayed (409 status): it will be sent anyway.
+// - The response is the delivery after the new attempt. If it fails again, it is retried with backoff as usual.
+exports.replayDelivery = async (req, res, next) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+        const delivery = await WebhookDelivery.findOne({
+            where: { id: req.params.deliveryId, webhookId: webhook.id }
+        });
+        if (!delivery) {
+            throw new NotFoundError('Delivery not found');
+        }
+        if (delivery.status === 'pending') {
+            throw new ConflictError('The delivery is still pending; it will be retried automatically');
+        }
+
+        const replayed = await replayDelivery(delivery);
+        res.status(200).json(replayed || delivery);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Replay the failed deliveries of a webhook
+// This function sends every failed delivery of the webhook again, oldest first, e.g. after the subscriber was fixed.
+// - The response lists how many were replayed and how many of them succeeded this time.
+exports.replayFailedDeliveries = async (req, res, next) => {
+    try {
+        const webhook = await findWebhook(req.params.id);
+        const failed = await WebhookDelivery.findAll({
+            where: { webhookId: webhook.id, status: 'failed' },
+            order: [['id', 'ASC']]
+        });
+
+        let succeeded = 0;
+        for (const delivery of failed) {
+            const replayed = await replayDelivery(delivery);
+            if (replayed && replayed.status === 'succeeded') {
+                succeeded += 1;
+            }
+        }
+
+        res.status(200).json({ replayed: failed.length, succeeded });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,63 @@
+// Importing the models needed for workspaces: the workspaces themselves, and User for the first admin of a new one.
+const { sequelize, Workspace, User } = require('../models');
+
+// Importing the list query helpers for filtering, sorting, and cursor pagination.
+const { parseListQuery, paginate } = require('../utils/listQuery');
+const { ForbiddenError } = require('../utils/errors');
+const { DEFAULT_WORKSPACE, runInWorkspace } = require('../utils/workspaces');
+
+// The attributes clients may filter and sort on in `GET /workspaces`.
+const WORKSPACE_LIST_OPTIONS = {
+    filterable: ['name', 'slug', 'createdAt'],
+    sortable: ['id', 'name', 'slug', 'createdAt'],
+    defaultSort: 'id'
+};
+
+// Workspaces are managed by the operators of the deployment: the admins of the default workspace.
+// - Admins of other workspaces only run their own blog, so they cannot see or create the others.
+const checkInDefaultWorkspace = (req) => {
+    if (req.workspace.slug !== DEFAULT_WORKSPACE) {
+        throw new ForbiddenError('Workspaces can only be managed from the default workspace');
+    }
+};
+
+// Get the current workspace
+// This function returns the workspace the request was sent to, e.g. so a client can show the name of the blog.
+exports.getCurrentWorkspace = (req, res) => {
+    res.status(200).json(req.workspace);
+};
+
+// Get all workspaces
+// This function lists the workspaces of the deployment one page at a time, with the list parameters described in utils/listQuery.js.
+exports.getAllWorkspaces = async (req, res, next) => {
+    try {
+        checkInDefaultWorkspace(req);
+        const listQuery = parseListQuery(Workspace, req.query, WORKSPACE_LIST_OPTIONS);
+        const { data, pageInfo } = await paginate(Workspace, listQuery);
+        res.status(200).json({ data, pageInfo });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Create a workspace
+// This function creates a new blog together with its first admin, e.g.
+// `{ "name": "Acme", "slug": "acme", "admin": { "firstName": "Ada", "lastName": "Lee", "email": "ada@acme.test", "password": "..." } }`.
+// - The admin is created inside the new workspace, so they log in with `X-Workspace: acme` (or at `acme.<domain>`).
+// - Both are created in one transaction: a taken slug or email creates neither.
+exports.createWorkspace = async (req, res, next) => {
+    try {
+        checkInDefaultWorkspace(req);
+        const { name, slug, admin } = req.body;
+
+        const { workspace, user } = await sequelize.transaction(async (transaction) => {
+            const workspace = await Workspace.create({ name, slug }, { transaction });
+            const user = await runInWorkspace(workspace.id, () => User.create({ ...admin, role: 'admin' }, { transaction }));
+            return { workspace, user };
+        });
+
+        res.status(201).json({ workspace, admin: user });
+    } catch (error) {
+        next(error);
+    }
+};
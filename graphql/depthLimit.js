@@ -0,0 +1,54 @@
+// A limit on how deeply a GraphQL query may nest its fields.
+// Scenario:
+// - The schema has cycles: a user has posts, a post has an author, who has posts, and so on. Without a limit, one short
+//   query could nest lists of posts ten levels deep and make the server load millions of rows.
+// - Every list is paginated (at most 100 records per page), so limiting the depth also limits how many records a query
+//   can reach. `{ posts { data { author { posts { data { title } } } } } }` is 6 levels deep.
+// - The limit is checked with the other validation rules, before anything runs, and a query over it gets a 400 status
+//   like any other invalid query (see controllers/graphqlController.js).
+//
+// Settings, read from environment variables:
+// - GRAPHQL_MAX_DEPTH: the deepest nesting allowed (default 8).
+const { GraphQLError, Kind } = require('graphql');
+
+const MAX_DEPTH = Number(process.env.GRAPHQL_MAX_DEPTH) || 8;
+
+// The depth of a selection set: 1 for each level of fields, however they are spelled.
+// - Fragments add no level of their own: `{ user { ...UserFields } }` is as deep as the fields of the fragment inside `user`.
+// - `visited` holds the fragments already on the path, so a fragment that spreads itself (which another validation rule
+//   reports) does not recurse forever.
+const selectionDepth = (context, selectionSet, visited = new Set()) => {
+    if (!selectionSet) {
+        return 0;
+    }
+    const depths = selectionSet.selections.map((selection) => {
+        if (selection.kind === Kind.FIELD) {
+            return 1 + selectionDepth(context, selection.selectionSet, visited);
+        }
+        if (selection.kind === Kind.INLINE_FRAGMENT) {
+            return selectionDepth(context, selection.selectionSet, visited);
+        }
+        const name = selection.name.value;
+        const fragment = context.getFragment(name);
+        if (!fragment || visited.has(name)) {
+            return 0;
+        }
+        return selectionDepth(context, fragment.selectionSet, new Set([...visited, name]));
+    });
+    return Math.max(0, ...depths);
+};
+
+// A validation rule for `validate(schema, document, rules)`, reporting every operation nested deeper than `maxDepth`.
+const depthLimit = (maxDepth = MAX_DEPTH) => context => ({
+    OperationDefinition(operation) {
+        const depth = selectionDepth(context, operation.selectionSet);
+        if (depth > maxDepth) {
+            context.reportError(new GraphQLError(
+                `The query is nested ${depth} levels deep; at most ${maxDepth} are allowed`,
+                { nodes: [operation] }
+            ));
+        }
+    }
+});
+
+module.exports = { depthLimit, MAX_DEPTH };
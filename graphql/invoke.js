@@ -0,0 +1,70 @@
+// Run the REST handlers of a route for a GraphQL mutation.
+// A mutation such as `updatePost` runs the same chain of middlewares and controller as `PUT /posts/:id`:
+// authentication, the permission check, the request schema, and the controller with its ownership rules and transaction.
+// The chain receives a request built from the mutation's arguments, and the response it sends becomes the mutation's result.
+// This keeps one implementation of every change, whichever API it comes from.
+
+// Build a minimal Express-like request.
+// - The Authorization header of the GraphQL request is passed on, so `authenticate` sees the same user.
+// - `headers` adds request headers for this call only, e.g. `{ 'if-match': '"v3"' }` for the ETag checks.
+const buildRequest = (httpRequest, { params = {}, query = {}, body = {}, headers = {} }) => {
+    const allHeaders = { authorization: httpRequest.headers.authorization };
+    Object.entries(headers).forEach(([name, value]) => {
+        if (value !== undefined && value !== null) {
+            allHeaders[name.toLowerCase()] = value;
+        }
+    });
+    return {
+        method: 'POST',
+        params,
+        query,
+        body,
+        headers: allHeaders,
+        get: name => allHeaders[name.toLowerCase()],
+        is: () => false
+    };
+};
+
+// Run `handlers` in order, like Express does for a route.
+// - Resolves with the body the controller sends: `res.json(body)` gives the body, and an empty response (204) gives `true`.
+// - Rejects with the error a handler passes to `next(error)` or throws, e.g. a 403 ForbiddenError,
+//   which the GraphQL controller reports with the same code and status as the REST API.
+const invoke = (handlers, httpRequest, input = {}) => new Promise((resolve, reject) => {
+    const req = buildRequest(httpRequest, input);
+    const responseHeaders = {};
+    const res = {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        set(name, value) {
+            responseHeaders[name.toLowerCase()] = value;
+            return this;
+        },
+        get: name => responseHeaders[name.toLowerCase()],
+        json: (body) => resolve(body),
+        send: (body) => resolve(body === undefined ? true : body),
+        end: () => resolve(true)
+    };
+
+    let index = 0;
+    const next = (error) => {
+        if (error) {
+            return reject(error);
+        }
+        const handler = handlers[index];
+        index += 1;
+        if (!handler) {
+            return reject(new Error('The handlers finished without sending a response'));
+        }
+        try {
+            Promise.resolve(handler(req, res, next)).catch(reject);
+        } catch (handlerError) {
+            reject(handlerError);
+        }
+    };
+    next();
+});
+
+module.exports = { invoke };
@@ -0,0 +1,63 @@
+// Batched loading for the GraphQL resolvers.
+// Scenario:
+// - A query asks for 20 posts, each with its author and tags. Resolved one post at a time, that would be 1 query for the
+//   posts plus 20 for the authors and 20 for the tags (the "N+1 queries" problem).
+// - With a DataLoader, every `load(key)` made while resolving one level of the query is collected and sent as a single
+//   query, e.g. `SELECT ... FROM Users WHERE id IN (1, 2, 3)`: 3 queries in total, however many posts there are.
+// Loaders also cache what they load, so the same user is only loaded once per request.
+// They are created for every request (see `createLoaders`), so one user's request never sees another's cached data.
+const DataLoader = require('dataloader');
+const { User, Profile, Post, Tag, Comment } = require('../models');
+
+// Index rows by one of their attributes, in the order of `keys`; a missing row gives null.
+const indexBy = (keys, rows, attribute) => {
+    const index = new Map(rows.map(row => [row[attribute], row]));
+    return keys.map(key => index.get(key) || null);
+};
+
+// Create the loaders for one request.
+// - Keys are numbers: GraphQL IDs arrive as strings and are converted by the resolvers.
+const createLoaders = () => {
+    const loaders = {
+        // Users by ID.
+        user: new DataLoader(async ids => indexBy(ids, await User.findAll({ where: { id: ids } }), 'id')),
+
+        // Profiles by the ID of their user.
+        profileByUser: new DataLoader(async userIds => indexBy(
+            userIds, await Profile.findAll({ where: { userId: userIds } }), 'userId'
+        )),
+
+        // Posts by ID, in any status.
+        post: new DataLoader(async ids => indexBy(ids, await Post.findAll({ where: { id: ids } }), 'id')),
+
+        // The tags of each post, alphabetically.
+        // - The posts are loaded with their tags in one query; trashed tags are left out like everywhere else.
+        tagsByPost: new DataLoader(async postIds => {
+            const posts = await Post.findAll({
+                where: { id: postIds },
+                attributes: ['id'],
+                include: [{ model: Tag, through: { attributes: [] } }],
+                order: [[Tag, 'name', 'ASC']]
+            });
+            return indexBy(postIds, posts, 'id').map(post => (post ? post.Tags : []));
+        }),
+
+        // The number of comments of each post, and of published posts of each tag, with one grouped query each.
+        commentCount: new DataLoader(async postIds => {
+            const counts = await Comment.countByPost(postIds);
+            return postIds.map(id => counts.get(id) || 0);
+        }),
+        postCount: new DataLoader(async tagIds => {
+            const counts = await Tag.countPosts(tagIds);
+            return tagIds.map(id => counts.get(id) || 0);
+        }),
+
+        // Forget everything loaded so far, e.g. after a mutation changed the data.
+        clearAll() {
+            Object.values(loaders).forEach(loader => loader instanceof DataLoader && loader.clearAll());
+        }
+    };
+    return loaders;
+};
+
+module.exports = { createLoaders };
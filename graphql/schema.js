@@ -0,0 +1,375 @@
+// The GraphQL schema: the types, queries, and mutations served at `/graphql`.
+// Scenario:
+// - The frontend needs a user with their profile, their posts, and each post's tags. Over REST that takes several requests,
+//   each returning more fields than needed. With GraphQL it is one request naming exactly the fields it wants:
+//     { user(id: 1) { firstName profile { bio } posts { data { title tags { name } } } } }
+//
+// - The types mirror the models and the associations defined in models/index.js.
+// - The list queries accept the same filtering, sorting, and cursor pagination as the REST list endpoints (utils/listQuery.js).
+// - The mutations run the REST route handlers (see graphql/invoke.js), so permissions, validation, ownership rules,
+//   and transactions are exactly the same in both APIs.
+// - Associations are loaded in batches (see graphql/loaders.js), so a query makes a handful of database queries
+//   however many records it returns.
+// - Nested lists (`User.posts`, `Tag.posts`) are paginated like the top-level ones, so no field loads a whole table,
+//   and queries are limited in depth (see graphql/depthLimit.js), so lists cannot be nested without end.
+const { buildSchema, GraphQLScalarType } = require('graphql');
+const { Post, Profile, Tag, User } = require('../models');
+const { parseListQuery, paginate } = require('../utils/listQuery');
+const { invoke } = require('./invoke');
+
+// The handlers of the REST routes the mutations reuse.
+const { authenticate } = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/roleMiddleware');
+const validate = require('../middlewares/validate');
+const userController = require('../controllers/userController');
+const profileController = require('../controllers/profileController');
+const postController = require('../controllers/postController');
+const postTagController = require('../controllers/postTagController');
+const tagController = require('../controllers/tagController');
+const userSchemas = require('../validators/userSchemas');
+const profileSchemas = require('../validators/profileSchemas');
+const postSchemas = require('../validators/postSchemas');
+const postTagSchemas = require('../validators/postTagSchemas');
+const tagSchemas = require('../validators/tagSchemas');
+
+const typeDefs = `
+    "A date and time, as an ISO 8601 string, e.g. 2024-10-15T09:00:00.000Z."
+    scalar DateTime
+
+    enum Role { admin editor author reader }
+    enum PostStatus { active draft archived }
+    enum FilterOperator { eq ne gt gte lt lte in contains }
+
+    "One condition of a list query, the same as filter[field][op]=value in the REST API. 'in' takes a comma-separated list."
+    input Filter {
+        field: String!
+        op: FilterOperator = eq
+        value: String!
+    }
+
+    "The cursors of a page, as in the REST list endpoints."
+    type PageInfo {
+        limit: Int!
+        hasNextPage: Boolean!
+        hasPreviousPage: Boolean!
+        nextCursor: String
+        prevCursor: String
+    }
+
+    type User {
+        id: ID!
+        firstName: String!
+        lastName: String!
+        email: String!
+        role: Role!
+        version: Int!
+        createdAt: DateTime!
+        updatedAt: DateTime!
+        profile: Profile
+        "The user's posts, newest first by default; all statuses unless one is given. Takes the parameters of the posts query."
+        posts(status: PostStatus, filter: [Filter!], sort: String, limit: Int, cursor: String): PostConnection!
+    }
+
+    type Profile {
+        id: ID!
+        userId: ID!
+        bio: String
+        version: Int!
+        createdAt: DateTime!
+        updatedAt: DateTime!
+        user: User
+    }
+
+    type Post {
+        id: ID!
+        title: String!
+        content: String!
+        status: PostStatus!
+        publishAt: DateTime
+        publishedAt: DateTime
+        archivedAt: DateTime
+        version: Int!
+        createdAt: DateTime!
+        updatedAt: DateTime!
+        author: User
+        tags: [Tag!]!
+        commentCount: Int!
+        reactionCount: Int!
+    }
+
+    type Tag {
+        id: ID!
+        name: String!
+        slug: String!
+        version: Int!
+        createdAt: DateTime!
+        updatedAt: DateTime!
+        "The number of published posts with this tag."
+        postCount: Int!
+        "The published posts with this tag, newest first by default, with the parameters of GET /tags/:slug/posts."
+        posts(filter: [Filter!], sort: String, limit: Int, cursor: String): PostConnection!
+    }
+
+    type UserConnection { data: [User!]!, pageInfo: PageInfo! }
+    type ProfileConnection { data: [Profile!]!, pageInfo: PageInfo! }
+    type PostConnection { data: [Post!]!, pageInfo: PageInfo! }
+    type TagConnection { data: [Tag!]!, pageInfo: PageInfo! }
+
+    "What a tagging mutation did, as in the REST post-tag routes."
+    type TagChanges {
+        post: Post
+        added: [Tag!]!
+        removed: [Tag!]!
+        unchanged: [Tag!]!
+    }
+
+    type Query {
+        users(filter: [Filter!], sort: String, limit: Int, cursor: String): UserConnection!
+        user(id: ID!): User
+        profiles(filter: [Filter!], sort: String, limit: Int, cursor: String): ProfileConnection!
+        profile(userId: ID!): Profile
+        posts(status: PostStatus = active, filter: [Filter!], sort: String, limit: Int, cursor: String): PostConnection!
+        post(id: ID!): Post
+        tags(filter: [Filter!], sort: String, limit: Int, cursor: String): TagConnection!
+        tag(slug: String!): Tag
+    }
+
+    input CreateUserInput {
+        firstName: String!
+        lastName: String!
+        email: String!
+        password: String!
+        role: Role
+    }
+
+    input UpdateUserInput {
+        firstName: String
+        lastName: String
+        email: String
+        password: String
+        role: Role
+    }
+
+    input ProfileInput {
+        bio: String
+    }
+
+    input CreatePostInput {
+        title: String!
+        content: String!
+        status: PostStatus
+        publishAt: DateTime
+        "Tag names; missing tags are created."
+        tags: [String!]
+    }
+
+    input UpdatePostInput {
+        title: String
+        content: String
+        status: PostStatus
+        publishAt: DateTime
+    }
+
+    "Tags named by ID or by name, like the tags list of the REST post-tag routes."
+    input TagRefs {
+        ids: [ID!]
+        names: [String!]
+    }
+
+    "The update and delete mutations accept the record's ETag in 'ifMatch', like the If-Match header of the REST API."
+    type Mutation {
+        createUser(input: CreateUserInput!): User!
+        updateUser(id: ID!, input: UpdateUserInput!, ifMatch: String): User!
+        deleteUser(id: ID!, ifMatch: String): Boolean!
+
+        createProfile(input: ProfileInput!): Profile!
+        updateProfile(userId: ID!, input: ProfileInput!, ifMatch: String): Profile!
+        deleteProfile(userId: ID!, ifMatch: String): Boolean!
+
+        createPost(input: CreatePostInput!): Post!
+        updatePost(id: ID!, input: UpdatePostInput!, ifMatch: String): Post!
+        deletePost(id: ID!, ifMatch: String): Boolean!
+        addPostTags(postId: ID!, tags: TagRefs!): TagChanges!
+        removePostTags(postId: ID!, tags: TagRefs!): TagChanges!
+        replacePostTags(postId: ID!, tags: TagRefs!): TagChanges!
+
+        createTag(name: String!): Tag!
+        updateTag(id: ID!, name: String!, ifMatch: String): Tag!
+        deleteTag(id: ID!, ifMatch: String): Boolean!
+    }
+`;
+
+// Convert `filter: [{ field: "role", op: in, value: "admin,editor" }]` to the REST form `{ role: { in: 'admin,editor' } }`.
+const toFilter = (conditions = []) => (conditions || []).reduce((filter, { field, op, value }) => ({
+    ...filter,
+    [field]: { ...filter[field], [op]: value }
+}), {});
+
+// A list query: one page of `target` with the REST list parameters, checked against the same options as the REST endpoint.
+// - `target` picks the model or scope from the arguments, e.g. `Post.scope('active')` for `status: active`, so statuses
+//   are filtered in SQL.
+// - `where` limits a nested list to its parent record, e.g. `{ userId: user.id }` for the posts of a user. Each parent
+//   gets a query of its own, since a page and its cursors belong to one parent; the page size keeps every query small.
+const listResolver = (model, options, target = () => model, where = () => ({})) => (root, args) => {
+    const { filter, sort, limit, cursor } = args;
+    const listQuery = parseListQuery(model, { filter: toFilter(filter), sort, limit, cursor }, options);
+    return paginate(target(args), listQuery, { where: where(root) });
+};
+
+// A mutation running the handlers of a REST route.
+// - `toInput` builds the request from the mutation's arguments: `{ params, body, headers }`.
+// - What the mutation changed may already be in the loaders' caches, so they are cleared afterwards.
+const mutationResolver = (handlers, toInput) => async (root, args, context) => {
+    const result = await invoke(handlers, context.req, toInput(args));
+    context.loaders.clearAll();
+    return result;
+};
+
+// GraphQL input objects have no prototype; the request schemas expect plain objects.
+const plain = input => ({ ...input });
+
+// The REST post-tag routes take one `tags` list, in which numbers are tag IDs and strings are tag names.
+const toTagRefs = ({ ids = [], names = [] }) => [...(ids || []).map(Number), ...(names || [])];
+
+const resolvers = {
+    DateTime: {
+        serialize: value => new Date(value).toISOString()
+    },
+
+    Query: {
+        users: listResolver(User, userController.USER_LIST_OPTIONS),
+        user: (root, { id }, { loaders }) => loaders.user.load(Number(id)),
+        profiles: listResolver(Profile, profileController.PROFILE_LIST_OPTIONS),
+        profile: (root, { userId }, { loaders }) => loaders.profileByUser.load(Number(userId)),
+        posts: listResolver(Post, postController.POST_LIST_OPTIONS, ({ status }) => Post.scope(status)),
+        post: (root, { id }, { loaders }) => loaders.post.load(Number(id)),
+        tags: listResolver(Tag, tagController.TAG_LIST_OPTIONS),
+        tag: (root, { slug }) => Tag.findOne({ where: { slug: slug.toLowerCase() } })
+    },
+
+    User: {
+        profile: (user, args, { loaders }) => loaders.profileByUser.load(user.id),
+        posts: listResolver(
+            Post,
+            postController.POST_LIST_OPTIONS,
+            ({ status }) => (status ? Post.scope(status) : Post),
+            user => ({ userId: user.id })
+        )
+    },
+
+    Profile: {
+        user: (profile, args, { loaders }) => loaders.user.load(profile.userId)
+    },
+
+    Post: {
+        author: (post, args, { loaders }) => loaders.user.load(post.userId),
+        tags: (post, args, { loaders }) => loaders.tagsByPost.load(post.id),
+        commentCount: (post, args, { loaders }) => loaders.commentCount.load(post.id)
+    },
+
+    Tag: {
+        postCount: (tag, args, { loaders }) => loaders.postCount.load(tag.id),
+        posts: listResolver(
+            Post,
+            tagController.TAG_POST_LIST_OPTIONS,
+            () => Post.scope('active'),
+            tag => tagController.taggedWith(tag.id)
+        )
+    },
+
+    TagChanges: {
+        post: (changes, args, { loaders }) => loaders.post.load(changes.postId)
+    },
+
+    Mutation: {
+        createUser: mutationResolver(
+            [authenticate, authorize('users:create'), validate(userSchemas.create), userController.createUser],
+            ({ input }) => ({ body: plain(input) })
+        ),
+        updateUser: mutationResolver(
+            [authenticate, validate(userSchemas.update), userController.updateUser],
+            ({ id, input, ifMatch }) => ({ params: { id }, body: plain(input), headers: { 'if-match': ifMatch } })
+        ),
+        deleteUser: mutationResolver(
+            [authenticate, validate(userSchemas.remove), userController.deleteUser],
+            ({ id, ifMatch }) => ({ params: { id }, headers: { 'if-match': ifMatch } })
+        ),
+
+        createProfile: mutationResolver(
+            [authenticate, validate(profileSchemas.create), profileController.createProfile],
+            ({ input }) => ({ body: plain(input) })
+        ),
+        updateProfile: mutationResolver(
+            [authenticate, validate(profileSchemas.update), profileController.updateProfile],
+            ({ userId, input, ifMatch }) => ({ params: { userId }, body: plain(input), headers: { 'if-match': ifMatch } })
+        ),
+        deleteProfile: mutationResolver(
+            [authenticate, validate(profileSchemas.remove), profileController.deleteProfile],
+            ({ userId, ifMatch }) => ({ params: { userId }, headers: { 'if-match': ifMatch } })
+        ),
+
+        createPost: mutationResolver(
+            [authenticate, authorize('posts:create'), validate(postSchemas.create), postController.createPost],
+            ({ input }) => ({ body: plain(input) })
+        ),
+        updatePost: mutationResolver(
+            [authenticate, authorize('posts:update'), validate(postSchemas.update), postController.updatePost],
+            ({ id, input, ifMatch }) => ({ params: { id }, body: plain(input), headers: { 'if-match': ifMatch } })
+        ),
+        deletePost: mutationResolver(
+            [authenticate, authorize('posts:delete'), validate(postSchemas.remove), postController.deletePost],
+            ({ id, ifMatch }) => ({ params: { id }, headers: { 'if-match': ifMatch } })
+        ),
+        addPostTags: mutationResolver(
+            [authenticate, authorize('posts:update'), validate(postTagSchemas.change), postTagController.addTagToPost],
+            ({ postId, tags }) => ({ params: { postId }, body: { tags: toTagRefs(tags) } })
+        ),
+        removePostTags: mutationResolver(
+            [authenticate, authorize('posts:update'), validate(postTagSchemas.change), postTagController.removeTagFromPost],
+            ({ postId, tags }) => ({ params: { postId }, body: { tags: toTagRefs(tags) } })
+        ),
+        replacePostTags: mutationResolver(
+            [authenticate, authorize('posts:update'), validate(postTagSchemas.replace), postTagController.replacePostTags],
+            ({ postId, tags }) => ({ params: { postId }, body: { tags: toTagRefs(tags) } })
+        ),
+
+        createTag: mutationResolver(
+            [authenticate, authorize('tags:manage'), validate(tagSchemas.create), tagController.createTag],
+            ({ name }) => ({ body: { name } })
+        ),
+        updateTag: mutationResolver(
+            [authenticate, authorize('tags:manage'), validate(tagSchemas.update), tagController.updateTag],
+            ({ id, name, ifMatch }) => ({ params: { id }, body: { name }, headers: { 'if-match': ifMatch } })
+        ),
+        deleteTag: mutationResolver(
+            [authenticate, authorize('tags:manage'), validate(tagSchemas.remove), tagController.deleteTag],
+            ({ id, ifMatch }) => ({ params: { id }, headers: { 'if-match': ifMatch } })
+        )
+    }
+};
+
+// Build the schema from the type definitions, then attach the resolvers.
+// - A field without a resolver reads the property of the same name, which works for model instances and plain objects alike.
+const buildExecutableSchema = () => {
+    const schema = buildSchema(typeDefs);
+    Object.entries(resolvers).forEach(([typeName, fields]) => {
+        const type = schema.getType(typeName);
+        if (!type) {
+            throw new Error(`Resolvers given for the unknown type '${typeName}'`);
+        }
+        // Scalars get their conversion functions (e.g. `serialize`) rather than field resolvers.
+        if (type instanceof GraphQLScalarType) {
+            Object.assign(type, fields);
+            return;
+        }
+        const typeFields = type.getFields();
+        Object.entries(fields).forEach(([fieldName, resolve]) => {
+            typeFields[fieldName].resolve = resolve;
+        });
+    });
+    return schema;
+};
+
+const schema = buildExecutableSchema();
+
+module.exports = { schema, typeDefs };
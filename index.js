@@ -1,14 +1,19 @@
+// Loads environment variables from a .env file into our application.
+// Environment variables allow us to keep sensitive information (like database credentials) outside of our codebase.
+// It runs first, so the database settings in config/database.js and everything else below can read them.
+require('dotenv').config();
+
 // Importing the express library, which is used to create our web server and handle HTTP requests.
 const express = require('express');
 
+// Importing the structured logger, which writes every log line as JSON (see utils/logger.js).
+const { logger } = require('./utils/logger');
+const { bindContext } = require('./utils/requestContext');
+
 // Importing the sequelize instance we set up in our models folder.
 // Sequelize is an Object-Relational Mapping (ORM) library, which lets us communicate with the database using JavaScript.
 const { sequelize } = require('./models');
 
-// Loads environment variables from a .env file into our application.
-// Environment variables allow us to keep sensitive information (like database credentials) outside of our codebase.
-require('dotenv').config();
-
 // Importing route files for users, profiles, posts, and tags. 
 // These files contain specific routes that handle requests related to each resource.
 // By organizing routes in separate files, we keep our code clean and modular.
@@ -17,25 +22,64 @@ const profileRoutes = require('./routes/profileRoutes');
 const postRoutes = require('./routes/postRoutes');
 const tagRoutes = require('./routes/tagRoutes');
 const postTagRoutes = require('./routes/postTagRoutes')
+const authRoutes = require('./routes/authRoutes');
+const trashRoutes = require('./routes/trashRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const graphqlRoutes = require('./routes/graphqlRoutes');
+const docsRoutes = require('./routes/docsRoutes');
+const attachmentRoutes = require('./routes/attachmentRoutes');
+const workspaceRoutes = require('./routes/workspaceRoutes');
 
 // Importing custom error handling middleware.
 // Middleware is a function that processes requests as they come in or responses as they go out.
 // This particular middleware will catch any errors in our application and send a formatted error response back to the client.
 const errorMiddleware = require('./middlewares/errorMiddleware');
+// Importing the middlewares that give every request an ID and write one access log line per request, with its duration.
+const requestIdMiddleware = require('./middlewares/requestIdMiddleware');
+const accessLogMiddleware = require('./middlewares/accessLogMiddleware');
+// Importing the middleware that finds the workspace (blog) of each request, from the X-Workspace header or the subdomain.
+const workspaceMiddleware = require('./middlewares/workspaceMiddleware');
+// Importing the catch-all middleware that reports unknown routes as 404 errors.
+const notFoundMiddleware = require('./middlewares/notFoundMiddleware');
+// Importing the development check that compares responses with the OpenAPI document (on with OPENAPI_VALIDATE_RESPONSES=true).
+const { validateResponses } = require('./middlewares/responseValidation');
+
+// Importing the scheduler that publishes drafts automatically once their `publishAt` time has passed.
+const { startScheduler } = require('./utils/scheduler');
+
+// Importing the webhook dispatcher, which sends domain events to the registered webhooks and retries failed deliveries.
+const { startWebhookDispatcher } = require('./utils/webhookDispatcher');
+
+// Importing the migration runner, which brings the database schema up to date (see the migrations folder).
+const { runPendingMigrations } = require('./utils/migrator');
 
 // Initializing our Express application, which will be used to handle incoming requests and send responses.
 const app = express();
 
+// Give every request an ID and log it once its response is sent.
+// They come first, so every log line written while handling a request (including its SQL queries) carries the request ID,
+// and the logged duration covers all the other middlewares.
+app.use(requestIdMiddleware);
+app.use(accessLogMiddleware);
+
 // Middleware to parse incoming JSON request payloads.
 // Express middleware functions are functions that have access to the request (req) and response (res) objects.
 // This `express.json()` middleware specifically processes JSON-formatted data and attaches it to `req.body`.
 // For example, if a client sends { "name": "Alice" } in a POST request, it will be available as req.body.name.
-app.use(express.json());
+// - Besides `application/json`, it also parses the JSON-based media types such as `application/merge-patch+json`
+//   and `application/json-patch+json`, used by the PATCH routes (see utils/patch.js).
+// - The parser calls back once the body has been read from the request stream, outside of the request context, so the
+//   callback is bound to the context: the request ID stays available to everything that runs after it.
+const parseJson = express.json({ type: ['application/json', 'application/*+json'] });
+app.use((req, res, next) => parseJson(req, res, bindContext(next)));
 
-// Adding our custom error handling middleware to the application.
-// Middleware functions are often used to modify request/response objects or handle errors before sending the response back to the client.
-// This error middleware will catch any errors that occur in our routes and format them into a consistent response.
-app.use(errorMiddleware);
+// Check every JSON response against the OpenAPI document, and log mismatches (development only, see middlewares/responseValidation.js).
+app.use(validateResponses());
+
+// Find the workspace of every request, and run the rest of the request inside it.
+// Every query made while handling the request only sees the data of that workspace (see utils/workspaces.js).
+app.use(workspaceMiddleware);
 
 // Registering route handlers for specific paths:
 // Each of these paths corresponds to a resource in our project.
@@ -43,12 +87,28 @@ app.use(errorMiddleware);
 // - "/profiles" will use the profileRoutes we imported.
 // - "/posts" will use the postRoutes we imported.
 // - "/tags" will use the tagRoutes we imported.
+// - "/auth" will use the authRoutes we imported, for signup and login.
+// - "/trash" will use the trashRoutes we imported, for soft-deleted records.
+// - "/admin" will use the adminRoutes we imported, for operational endpoints such as the migration status.
+// - "/webhooks" will use the webhookRoutes we imported, for outside services subscribed to the application's events.
+// - "/attachments" will use the attachmentRoutes we imported, to download uploaded files and thumbnails.
+// - "/workspaces" will use the workspaceRoutes we imported, for the blogs hosted by the deployment.
+// - "/graphql" will use the graphqlRoutes we imported, for GraphQL queries and mutations over the same models.
+// - "/openapi.json" and "/docs" come from the docsRoutes we imported: the generated API description and a page to browse it.
 // Example: When a client makes a GET request to /users, it will be handled by userRoutes.
 app.use('/users', userRoutes);
 app.use('/profiles', profileRoutes);
 app.use('/posts', postRoutes);
 app.use('/tags', tagRoutes);
 app.use('/post-tags', postTagRoutes);
+app.use('/auth', authRoutes);
+app.use('/trash', trashRoutes);
+app.use('/admin', adminRoutes);
+app.use('/webhooks', webhookRoutes);
+app.use('/attachments', attachmentRoutes);
+app.use('/workspaces', workspaceRoutes);
+app.use('/graphql', graphqlRoutes);
+app.use('/', docsRoutes);
 
 
 // Defining the root route ("/") for our application. 
@@ -58,15 +118,58 @@ app.get('/', (req, res) => {
     res.send('Welcome to Sequelize Demo');
 });
 
+// Any request that reached this point did not match a route, so it is reported as a 404 error.
+app.use(notFoundMiddleware);
+
+// Adding our custom error handling middleware to the application.
+// Middleware functions are often used to modify request/response objects or handle errors before sending the response back to the client.
+// This error middleware will catch any errors that occur in our routes and format them into a consistent response.
+// It must be registered after all routes: Express only passes errors to error handlers that come after the route that failed.
+app.use(errorMiddleware);
+
 // Defining the port number for our server.
 // If there's a PORT variable in the environment, we use that. If not, we default to 3000.
 // Using environment variables for settings like port numbers makes the application more flexible.
 const PORT = process.env.PORT || 3000;
 
+// Bring the database schema up to date before the server accepts requests.
+// - With MIGRATE_ON_START=true, pending migrations are applied on every start. This is opt-in, so deployments that
+//   run `node utils/sync.js` (or `npx sequelize-cli db:migrate`) as a separate step keep control over schema changes.
+// - An in-memory SQLite database (e.g. `DATABASE_URL=sqlite::memory:` or NODE_ENV=test) starts empty every time
+//   the process starts, so its migrations always run.
+const prepareDatabase = async () => {
+    const { storage } = sequelize.options;
+    const inMemory = sequelize.getDialect() === 'sqlite' && (!storage || storage === ':memory:');
+    if (process.env.MIGRATE_ON_START === 'true' || inMemory) {
+        const applied = await runPendingMigrations();
+        if (applied.length > 0) {
+            logger.info('Applied migrations', { migrations: applied });
+        }
+    }
+};
+
+// Start the server when this file is run directly (`node index.js`).
+// - The tests require this file instead, to send requests to `app` without opening a port (see the tests folder);
+//   they call `prepareDatabase` themselves, and never start the scheduler or the webhook dispatcher.
 // Telling our Express application to start listening for incoming requests on the specified port.
 // The app.listen() function starts a server and binds it to the specified port so it can accept requests.
 // Once the server is running, a message is logged to the console to confirm the server's URL.
 // Example: If PORT is 3000, we can access the server at http://localhost:3000/.
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-});
+if (require.main === module) {
+    prepareDatabase().then(() => {
+        app.listen(PORT, () => {
+            logger.info('Server running', { url: `http://localhost:${PORT}` });
+
+            // Start publishing scheduled posts once the server is up.
+            startScheduler();
+
+            // Start sending events to the webhooks.
+            startWebhookDispatcher();
+        });
+    }).catch((error) => {
+        logger.error('Could not prepare the database', { error });
+        process.exit(1);
+    });
+}
+
+module.exports = { app, prepareDatabase };
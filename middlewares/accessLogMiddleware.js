@@ -0,0 +1,44 @@
+const { logger } = require('../utils/logger');
+const { bindContext } = require('../utils/requestContext');
+
+// The log level of a finished request: server errors are errors, client errors are warnings.
+const levelOf = status => (status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info');
+
+// Access log middleware
+// This middleware writes one log line per request once its response is sent, with how long it took:
+//   {"level":"info","msg":"Request completed","requestId":"7f3c...","method":"GET","url":"/posts?limit=5","status":200,"durationMs":12.4,...}
+// - The duration runs from the moment the request arrives until the last byte of the response is handed to the network.
+// - A request whose client went away before the response was sent is logged as 'Request aborted'.
+// - The line carries the request ID, like every other log line (see utils/logger.js), the workspace of the request,
+//   and the ID of the user when the request was authenticated. Both are only known once the request has been handled.
+// It is registered right after the request ID middleware, so the duration includes everything else.
+const accessLogMiddleware = (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+
+    // The response events are emitted by the network layer, outside of the request context, so the listener is bound to it.
+    const log = bindContext((event) => {
+        res.removeListener('finish', onFinish);
+        res.removeListener('close', onClose);
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        const completed = event === 'finish';
+        logger[completed ? levelOf(res.statusCode) : 'warn'](completed ? 'Request completed' : 'Request aborted', {
+            method: req.method,
+            url: req.originalUrl,
+            status: res.statusCode,
+            durationMs: Math.round(durationMs * 10) / 10,
+            contentLength: Number(res.get('Content-Length')) || undefined,
+            workspaceId: req.workspace ? req.workspace.id : undefined,
+            userId: req.user ? req.user.id : undefined,
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+    });
+    const onFinish = () => log('finish');
+    const onClose = () => log('close');
+
+    res.on('finish', onFinish);
+    res.on('close', onClose);
+    next();
+};
+
+module.exports = accessLogMiddleware;
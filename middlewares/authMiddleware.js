@@ -0,0 +1,40 @@
+// Importing jsonwebtoken to verify the tokens issued by the login endpoint.
+// - A JSON Web Token (JWT) is a signed string that proves who the caller is without keeping sessions on the server.
+const jwt = require('jsonwebtoken');
+const { jwtSecret } = require('../config/auth');
+const { User } = require('../models');
+const { UnauthorizedError } = require('../utils/errors');
+
+// Authentication middleware
+// This middleware reads the token from the `Authorization: Bearer <token>` header, verifies it, and loads the matching user.
+// - On success, the user is attached to `req.user` so controllers can tell who is making the request.
+// - On failure, the request is rejected with a 401 (Unauthorized) status before it ever reaches the controller.
+exports.authenticate = async (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return next(new UnauthorizedError('Authentication required'));
+    }
+
+    let payload;
+    try {
+        // `jwt.verify` throws if the token was tampered with or has expired.
+        payload = jwt.verify(token, jwtSecret);
+    } catch (error) {
+        return next(new UnauthorizedError('Invalid or expired token'));
+    }
+
+    try {
+        // Look the user up again so deleted accounts cannot keep using old tokens.
+        const user = await User.findByPk(payload.sub);
+        if (!user) {
+            return next(new UnauthorizedError('Invalid or expired token'));
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,89 @@
+// Response caching and conditional requests for read endpoints.
+// Scenario:
+// - A client loads `GET /posts/1`, and the response carries `ETag: "5d41..."` and `Last-Modified`.
+// - When it asks again with `If-None-Match: "5d41..."` (or `If-Modified-Since`) and nothing changed,
+//   it gets an empty 304 (Not Modified) response and reuses its own copy.
+// - Meanwhile the server keeps the response itself in the cache (see utils/cache.js),
+//   so even clients without a copy are answered without querying the database.
+const { getCacheStore, getGenerations, TTL_SECONDS } = require('../utils/cache');
+const { bodyHash } = require('../utils/versioning');
+const { currentWorkspaceId } = require('../utils/workspaces');
+const { logger } = require('../utils/logger');
+
+// The ETag is a hash of the response body: the same body always gets the same tag.
+// Single versioned records set their own ETag, which also carries their version (see utils/versioning.js).
+const etagOf = (res, body) => res.get('ETag') || `"${bodyHash(body)}"`;
+
+// Whether the client's copy of a response is still current.
+// - If-None-Match lists the ETags of the copies the client has ('*' matches any). When it is sent, If-Modified-Since is ignored.
+// - If-Modified-Since is the Last-Modified date of the client's copy.
+// - Express's own `req.fresh` is not used, because it ignores both headers when the request says `Cache-Control: no-cache`,
+//   which `fetch` adds to every conditional request.
+const isNotModified = (req, entry) => {
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch) {
+        // Weak tags (W/"...") match their strong form.
+        const tags = ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+        return tags.includes('*') || tags.includes(entry.etag);
+    }
+    const ifModifiedSince = Date.parse(req.get('If-Modified-Since'));
+    return !Number.isNaN(ifModifiedSince) && entry.lastModified <= ifModifiedSince;
+};
+
+// Send a cached (or freshly built) response, or a 304 when the client's copy is still current.
+// - `Cache-Control: no-cache` lets clients keep a copy but makes them ask again each time, so they see changes at once.
+const sendEntry = (req, res, entry) => {
+    res.set({
+        ETag: entry.etag,
+        'Last-Modified': new Date(entry.lastModified).toUTCString(),
+        'Cache-Control': 'no-cache'
+    });
+    if (isNotModified(req, entry)) {
+        return res.status(304).end();
+    }
+    res.status(200).type('json').send(entry.body);
+};
+
+// Cache the 200 responses of a GET route.
+// - `dependsOn` names the models the response is built from, e.g. ['Post', 'User', 'Tag'].
+//   A change to any of them makes the cached responses of the route outdated.
+// - The cache key is the workspace and the request URL, so each page, filter, and sort is cached separately, and
+//   workspaces never see each other's responses.
+// - Error responses are never cached. When caching is turned off (or the store fails),
+//   the route runs as usual and still gets its ETag and Last-Modified headers.
+const cacheResponse = ({ dependsOn }) => async (req, res, next) => {
+    const store = getCacheStore();
+    let key = null;
+    try {
+        if (store) {
+            const generations = await getGenerations(dependsOn);
+            key = `response:${currentWorkspaceId()}:${req.originalUrl}|${generations.join('|')}`;
+            const cached = await store.get(key);
+            if (cached) {
+                return sendEntry(req, res, JSON.parse(cached));
+            }
+        }
+    } catch (error) {
+        logger.error('Error reading the cache', { error });
+        key = null;
+    }
+
+    // Capture the body the controller sends, then answer (and cache it) the same way as a cache hit.
+    res.json = (data) => {
+        if (res.statusCode !== 200) {
+            return res.type('json').send(JSON.stringify(data));
+        }
+
+        const body = JSON.stringify(data);
+        // HTTP dates have a precision of one second, so Last-Modified is rounded down to the second.
+        const entry = { body, etag: etagOf(res, body), lastModified: Math.floor(Date.now() / 1000) * 1000 };
+        if (key) {
+            store.set(key, JSON.stringify(entry), { ttl: TTL_SECONDS })
+                .catch(error => logger.error('Error writing the cache', { error }));
+        }
+        return sendEntry(req, res, entry);
+    };
+    next();
+};
+
+module.exports = { cacheResponse };
@@ -1,4 +1,94 @@
-module.exports = (err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).json({ error: 'Internal Server Error' });
+// Importing Sequelize's error classes so database errors can be turned into meaningful responses.
+// - UniqueConstraintError: a unique column (e.g. User.email) already has this value.
+// - ValidationError: a model validation failed (e.g. `isEmail`, `allowNull: false`).
+// - ForeignKeyConstraintError: a referenced row does not exist, or is still referenced.
+// - OptimisticLockError: a versioned record was saved by another request between loading and saving it.
+const {
+    UniqueConstraintError,
+    ValidationError: SequelizeValidationError,
+    ForeignKeyConstraintError,
+    OptimisticLockError
+} = require('sequelize');
+const {
+    AppError,
+    BadRequestError,
+    ConflictError,
+    PreconditionFailedError,
+    ValidationError
+} = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+// Convert any error into an AppError with an HTTP status.
+// - AppErrors (thrown by controllers and middlewares) are used as they are.
+// - Known Sequelize and body-parser errors are mapped to the matching client error.
+// - Anything else is an unexpected server error.
+const toAppError = (err) => {
+    if (err instanceof AppError) {
+        return err;
+    }
+    // UniqueConstraintError is a kind of Sequelize ValidationError, so it must be checked first.
+    // - Values unique per workspace (e.g. a tag's slug) also report 'workspaceId', which clients never send, so it is left out.
+    if (err instanceof UniqueConstraintError) {
+        return new ConflictError('A record with the same value already exists', err.errors
+            .filter(({ path }) => path !== 'workspaceId')
+            .map(({ path, message }) => ({ field: path, message })));
+    }
+    if (err instanceof SequelizeValidationError) {
+        return new ValidationError('Validation failed', err.errors.map(({ path, message }) => ({
+            field: path,
+            message
+        })));
+    }
+    if (err instanceof ForeignKeyConstraintError) {
+        return new ConflictError('The record is referenced by, or refers to, a record that does not exist', [
+            { field: (err.fields || []).join(', ') || err.index, message: err.message }
+        ]);
+    }
+    // The If-Match check passed, but another request saved the record before this one did.
+    if (err instanceof OptimisticLockError) {
+        return new PreconditionFailedError(`The ${err.modelName.toLowerCase()} was changed by another request`, {
+            id: err.where && err.where.id
+        });
+    }
+    // express.json() reports an unreadable body with `type: 'entity.parse.failed'`.
+    if (err.type === 'entity.parse.failed') {
+        return new BadRequestError('The request body is not valid JSON');
+    }
+    // Other body-parser errors (e.g. a body that is too large) carry their own 4xx status.
+    if (err.status >= 400 && err.status < 500) {
+        return new AppError(err.message, { status: err.status, code: 'bad_request' });
+    }
+    return new AppError('Internal Server Error');
 };
+
+// Central error handling middleware
+// Express recognizes error handlers by their four arguments. It must be registered after all routes,
+// so that errors passed to `next(error)` in any route end up here.
+// Every error response has the same shape:
+//   { "error": { "code": "not_found", "message": "Post not found", "details": [...] } }
+const errorMiddleware = (err, req, res, next) => {
+    // If the response has already started, let Express close the connection.
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    const error = toAppError(err);
+
+    // Unexpected errors are logged with their stack trace; their details are never sent to the client.
+    // - The log line carries the request ID, which the client also gets in the `X-Request-Id` header.
+    if (error.status >= 500) {
+        logger.error('Unhandled error', { error: err, method: req.method, url: req.originalUrl });
+    }
+
+    res.status(error.status).json({
+        error: {
+            code: error.code,
+            message: error.message,
+            ...(error.details !== undefined && { details: error.details })
+        }
+    });
+};
+
+// `toAppError` is also used by the GraphQL endpoint, so its errors carry the same codes and statuses.
+module.exports = errorMiddleware;
+module.exports.toAppError = toAppError;
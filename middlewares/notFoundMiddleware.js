@@ -0,0 +1,7 @@
+const { NotFoundError } = require('../utils/errors');
+
+// Catch-all for requests that did not match any route.
+// It is registered after all routes and before the error handler, which turns the NotFoundError into a 404 response.
+module.exports = (req, res, next) => {
+    next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`));
+};
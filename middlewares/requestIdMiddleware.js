@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+const { runWithContext } = require('../utils/requestContext');
+
+// The header carrying the request ID, in both directions.
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// An ID sent by the client is only kept when it is short and made of safe characters, e.g. a UUID.
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Request ID middleware
+// This middleware gives every request an ID, so all the log lines of one request can be found together.
+// - A proxy or client that already has an ID for the request (e.g. a load balancer's `X-Request-Id`) sends it in the
+//   header, and it is reused, so the same ID follows the request across services. Otherwise a random UUID is used.
+// - The ID is sent back in the `X-Request-Id` response header, so a client reporting a problem can quote it.
+// - It is attached to `req.id`, and stored in the request context, where the logger adds it to every line written while
+//   handling the request, including the SQL queries it runs (see utils/logger.js).
+// It is registered first, so every other middleware runs inside the context it sets up.
+const requestIdMiddleware = (req, res, next) => {
+    const received = req.get(REQUEST_ID_HEADER);
+    const requestId = received && VALID_REQUEST_ID.test(received) ? received : crypto.randomUUID();
+
+    req.id = requestId;
+    res.set(REQUEST_ID_HEADER, requestId);
+    runWithContext({ requestId }, next);
+};
+
+module.exports = requestIdMiddleware;
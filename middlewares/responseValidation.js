@@ -0,0 +1,84 @@
+// Response contract checks for development.
+// With OPENAPI_VALIDATE_RESPONSES=true, every JSON response is checked against the OpenAPI document (utils/openapi.js)
+// before it is sent, and mismatches are logged as warnings:
+//   {"level":"warn","msg":"OpenAPI mismatch","method":"GET","path":"/posts/1","status":200,"problems":["status must be one of: active, draft, archived"]}
+// Scenario:
+// - A controller starts returning a field under a new name, or a model attribute becomes nullable. The response still
+//   goes out unchanged, but the log points at the difference, so the code or the document can be fixed before clients notice.
+// The checks cost time on every response, so they are meant for development and tests, not production.
+const { getOpenApiDocument } = require('../utils/openapi');
+const { checkSchema } = require('../utils/jsonSchema');
+const { logger } = require('../utils/logger');
+
+const ENABLED = process.env.OPENAPI_VALIDATE_RESPONSES === 'true';
+
+// Match a request path to a path of the document: '/posts/1/comments' gives '/posts/{postId}/comments'.
+// - Paths with fewer parameters are tried first, so '/posts/search' wins over '/posts/{id}'.
+// - They are built once per document.
+const matchers = new WeakMap();
+const matchersFor = (document) => {
+    if (!matchers.has(document)) {
+        matchers.set(document, Object.keys(document.paths)
+            .map(template => ({
+                template,
+                params: (template.match(/\{/g) || []).length,
+                regexp: new RegExp(`^${template.replace(/\{\w+\}/g, '[^/]+')}/?$`)
+            }))
+            .sort((a, b) => a.params - b.params));
+    }
+    return matchers.get(document);
+};
+
+// The schema a response must match: the one for its status, or `default` for undocumented (error) statuses.
+// - Responses documented with another media type (e.g. file downloads) are not checked.
+const responseSchema = (operation, status) => {
+    const response = operation.responses[status] || operation.responses.default;
+    const json = response && response.content && response.content['application/json'];
+    return json && json.schema;
+};
+
+// Check a response body, and log what does not match.
+const checkResponse = (req, res, document, body) => {
+    const requestPath = req.originalUrl.split('?')[0];
+    const matcher = matchersFor(document).find(candidate => candidate.regexp.test(requestPath));
+    const operation = matcher && document.paths[matcher.template][req.method.toLowerCase()];
+    if (!operation) {
+        return;
+    }
+    const schema = responseSchema(operation, res.statusCode);
+    if (!schema) {
+        return;
+    }
+
+    const problems = checkSchema(JSON.parse(body), schema, document);
+    if (problems.length > 0) {
+        logger.warn('OpenAPI mismatch', {
+            method: req.method,
+            path: requestPath,
+            status: res.statusCode,
+            problems: problems.map(({ path, message }) => `${path} ${message}`)
+        });
+    }
+};
+
+// The middleware. It wraps `res.send`, which every JSON response goes through (including `res.json` and cached responses).
+// - A check that fails itself is logged and never affects the response.
+const validateResponses = () => (req, res, next) => {
+    if (!ENABLED) {
+        return next();
+    }
+    const send = res.send;
+    res.send = function (body) {
+        if ((typeof body === 'string' || Buffer.isBuffer(body)) && /json/.test(res.get('Content-Type') || '')) {
+            try {
+                checkResponse(req, res, getOpenApiDocument(req.app), body.toString());
+            } catch (error) {
+                logger.error('Error checking the response against the OpenAPI document', { error });
+            }
+        }
+        return send.call(this, body);
+    };
+    next();
+};
+
+module.exports = { validateResponses };
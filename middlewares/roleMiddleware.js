@@ -0,0 +1,29 @@
+// Importing the permission map so the middleware can check what the authenticated user's role allows.
+const { hasPermission } = require('../config/permissions');
+const { ForbiddenError } = require('../utils/errors');
+
+// Build the 403 (Forbidden) error for a missing permission.
+// Every permission failure, whether detected here or inside a controller, uses this helper so clients always receive the same error body:
+//   { "error": { "code": "forbidden", "message": "...", "details": { "role": "reader", "permission": "posts:create" } } }
+const forbidden = (role, permission, message) => new ForbiddenError(
+    message || `Role '${role}' does not have the '${permission}' permission`,
+    { role, permission }
+);
+
+// Authorization middleware
+// This middleware factory returns a middleware that only lets a request through when the user's role has the given permission.
+// - It must run after `authenticate`, which attaches the user (and therefore the role) to `req.user`.
+// - Example: `router.post('/', authenticate, authorize('tags:manage'), tagController.createTag)`.
+// - The permission is kept on the middleware as `permission`, so the OpenAPI document (utils/openapi.js) can list it.
+const authorize = (permission) => {
+    const middleware = (req, res, next) => {
+        if (!hasPermission(req.user.role, permission)) {
+            return next(forbidden(req.user.role, permission));
+        }
+        next();
+    };
+    middleware.permission = permission;
+    return middleware;
+};
+
+module.exports = { authorize, forbidden };
@@ -0,0 +1,75 @@
+// Importing multer, which parses multipart/form-data request bodies (the format browsers use to send files).
+const multer = require('multer');
+const { detectFileType } = require('../utils/uploads');
+const { bindContext } = require('../utils/requestContext');
+const {
+    BadRequestError,
+    PayloadTooLargeError,
+    UnsupportedMediaTypeError,
+    ValidationError
+} = require('../utils/errors');
+
+// Upload middleware
+// This middleware factory reads the files of a multipart request and checks them before they reach the controller.
+// - `rules` are the upload rules of the route (see AVATAR_UPLOAD and ATTACHMENT_UPLOAD in utils/uploads.js).
+// - Files are kept in memory (never more than `maxBytes` each), and are stored only by the controller, once the
+//   request is known to be allowed.
+// - The type of every file is recognized from its content; each file gets a `fileType` (`{ mimeType, extension }`).
+// - Problems are reported with the same error body as everywhere else:
+//   - 413 (Payload Too Large) for a file over the size limit,
+//   - 415 (Unsupported Media Type) for a request that is not multipart/form-data or a file of a type that is not accepted,
+//   - 422 for a missing file, and 400 for any other malformed upload (e.g. too many files).
+// Example: `router.put('/:userId/avatar', authenticate, validate(profileSchemas.avatar), upload(AVATAR_UPLOAD), profileController.uploadAvatar)`.
+// - The rules are kept on the middleware as `upload`, so the OpenAPI document (utils/openapi.js) can describe the request.
+const upload = (rules) => {
+    const { field, maxCount, maxBytes, types } = rules;
+    const parse = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxBytes, files: maxCount }
+    }).array(field, maxCount);
+
+    const middleware = (req, res, next) => {
+        if (!req.is('multipart/form-data')) {
+            return next(new UnsupportedMediaTypeError('Files must be sent as multipart/form-data'));
+        }
+
+        // multer calls back from the events of the request stream, which lose track of the request context
+        // (see utils/requestContext.js); binding the callback keeps the workspace and the request ID for the controller.
+        parse(req, res, bindContext((error) => {
+            if (error instanceof multer.MulterError) {
+                if (error.code === 'LIMIT_FILE_SIZE') {
+                    return next(new PayloadTooLargeError(`Files cannot be larger than ${maxBytes} bytes`, { field, maxBytes }));
+                }
+                // multer reports a file in an unknown field, or one file too many, as an unexpected file.
+                if (error.code === 'LIMIT_UNEXPECTED_FILE' || error.code === 'LIMIT_FILE_COUNT') {
+                    return next(new BadRequestError(`Send up to ${maxCount} file(s) in the '${field}' field`, { field, maxCount }));
+                }
+                return next(new BadRequestError(error.message));
+            }
+            if (error) {
+                return next(error);
+            }
+
+            if (!req.files || req.files.length === 0) {
+                return next(new ValidationError('Request validation failed', [
+                    { field: `body.${field}`, message: `"${field}" must contain a file` }
+                ]));
+            }
+
+            for (const file of req.files) {
+                file.fileType = detectFileType(file.buffer);
+                if (!file.fileType || !types.includes(file.fileType.mimeType)) {
+                    return next(new UnsupportedMediaTypeError(
+                        `'${file.originalname}' is not an accepted type of file`,
+                        { file: file.originalname, accepted: types }
+                    ));
+                }
+            }
+            next();
+        }));
+    };
+    middleware.upload = rules;
+    return middleware;
+};
+
+module.exports = upload;
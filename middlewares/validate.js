@@ -0,0 +1,42 @@
+// Importing the ValidationError class, which the central error handler turns into a 422 response.
+const { ValidationError } = require('../utils/errors');
+
+// The parts of the request that can have a schema.
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Request validation middleware
+// This middleware factory checks the request against Joi schemas before it reaches the controller.
+// - `schemas` may contain a `params`, `query`, and/or `body` schema (see the files in the validators folder).
+// - Every problem is reported at once, each with the field it belongs to, e.g. `{ field: 'body.email', message: '"email" must be a valid email' }`.
+// - On success, the validated values replace the originals, so controllers receive converted types (e.g. '5' becomes 5)
+//   and defaults from the schema.
+// Example: `router.post('/', validate(postSchemas.create), postController.createPost)`.
+// - The schemas are kept on the middleware as `schemas`, so the OpenAPI document (utils/openapi.js) can describe the request.
+const validate = (schemas) => {
+    const middleware = (req, res, next) => {
+        const details = [];
+
+        LOCATIONS.forEach((location) => {
+            if (!schemas[location]) {
+                return;
+            }
+            const { error, value } = schemas[location].validate(req[location] || {}, { abortEarly: false });
+            if (error) {
+                error.details.forEach(({ path, message }) => {
+                    details.push({ field: [location, ...path].join('.'), message });
+                });
+            } else {
+                req[location] = value;
+            }
+        });
+
+        if (details.length > 0) {
+            return next(new ValidationError('Request validation failed', details));
+        }
+        next();
+    };
+    middleware.schemas = schemas;
+    return middleware;
+};
+
+module.exports = validate;
@@ -0,0 +1,33 @@
+const { Workspace } = require('../models');
+const { NotFoundError } = require('../utils/errors');
+const { runWithContext } = require('../utils/requestContext');
+const { DEFAULT_WORKSPACE, WORKSPACE_HEADER } = require('../utils/workspaces');
+
+// Workspace middleware
+// This middleware finds the workspace (blog) a request is for, and runs the rest of the request inside it.
+// - The workspace is named by the `X-Workspace` header, or else by the subdomain the request was sent to:
+//   `X-Workspace: acme` and `https://acme.blog.example.com/posts` both read the posts of 'acme'.
+// - A request that names no workspace uses the default one (DEFAULT_WORKSPACE, see utils/workspaces.js).
+// - An unknown workspace is rejected with a 404 (Not Found) status.
+// - The workspace is attached to `req.workspace`, and its ID is stored in the request context, where the model hooks
+//   read it to keep every query inside the workspace.
+// Note: Express treats every part of the host name before the last two ('example.com') as a subdomain. A deployment
+// served from 'blog.example.com' sets `app.set('subdomain offset', 3)`, so 'blog' is not taken for a workspace.
+module.exports = async (req, res, next) => {
+    // `req.subdomains` lists the subdomains from right to left, so the last one is the leftmost: 'acme' in
+    // 'acme.blog.example.com'.
+    const slug = req.get(WORKSPACE_HEADER) || req.subdomains[req.subdomains.length - 1] || DEFAULT_WORKSPACE;
+
+    let workspace;
+    try {
+        workspace = await Workspace.findOne({ where: { slug: slug.toLowerCase() } });
+    } catch (error) {
+        return next(error);
+    }
+    if (!workspace) {
+        return next(new NotFoundError('Workspace not found', { workspace: slug }));
+    }
+
+    req.workspace = workspace;
+    runWithContext({ workspaceId: workspace.id }, next);
+};
@@ -0,0 +1,47 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Create the 'PostTags' join table for the many-to-many association between posts and tags.
+    // A row disappears when either its post or its tag is deleted.
+    await queryInterface.createTable('PostTags', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      postId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Posts', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      tagId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Tags', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    // A tag can be attached to a post only once. The index also serves lookups by post;
+    // the second one serves lookups by tag (e.g. all posts with a tag).
+    await queryInterface.addIndex('PostTags', ['postId', 'tagId'], { unique: true });
+    await queryInterface.addIndex('PostTags', ['tagId']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('PostTags');
+  }
+};
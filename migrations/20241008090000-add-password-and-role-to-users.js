@@ -0,0 +1,26 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Add the login password (a bcrypt hash) and the role used for permissions.
+    // Existing accounts get an empty password, which never matches a hash, so they have to be given a new one.
+    await queryInterface.addColumn('Users', 'password', {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: ''
+    });
+    await queryInterface.addColumn('Users', 'role', {
+      type: Sequelize.ENUM('admin', 'editor', 'author', 'reader'),
+      allowNull: false,
+      defaultValue: 'author'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('Users', 'role');
+    await queryInterface.removeColumn('Users', 'password');
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_Users_role";');
+    }
+  }
+};
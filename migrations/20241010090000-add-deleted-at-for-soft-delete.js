@@ -0,0 +1,24 @@
+'use strict';
+
+// The tables whose models are paranoid: deleting a row only sets its 'deletedAt' timestamp.
+const TABLES = ['Users', 'Profiles', 'Posts', 'Tags'];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const table of TABLES) {
+      await queryInterface.addColumn(table, 'deletedAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+      // Every query filters on 'deletedAt', and the trash lists rows by it.
+      await queryInterface.addIndex(table, ['deletedAt']);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    for (const table of TABLES) {
+      await queryInterface.removeIndex(table, ['deletedAt']);
+      await queryInterface.removeColumn(table, 'deletedAt');
+    }
+  }
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Create the 'PostRevisions' table, which keeps a copy of a post after every change.
+    // Revisions are never edited, so there is no 'updatedAt' column.
+    await queryInterface.createTable('PostRevisions', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      postId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Posts', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      revision: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      // The user who made the change. The history is kept when that user is deleted.
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      changedFields: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      title: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      content: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'draft', 'archived'),
+        allowNull: false
+      },
+      restoredFrom: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    // Revision numbers count up per post.
+    await queryInterface.addIndex('PostRevisions', ['postId', 'revision'], { unique: true });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('PostRevisions');
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_PostRevisions_status";');
+    }
+  }
+};
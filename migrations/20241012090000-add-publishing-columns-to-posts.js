@@ -0,0 +1,29 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 'publishAt' schedules a draft; 'publishedAt' and 'archivedAt' record when the post last changed status.
+    await queryInterface.addColumn('Posts', 'publishAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('Posts', 'publishedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('Posts', 'archivedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // The scheduler looks for drafts whose 'publishAt' has passed.
+    await queryInterface.addIndex('Posts', ['status', 'publishAt']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('Posts', ['status', 'publishAt']);
+    await queryInterface.removeColumn('Posts', 'archivedAt');
+    await queryInterface.removeColumn('Posts', 'publishedAt');
+    await queryInterface.removeColumn('Posts', 'publishAt');
+  }
+};
@@ -0,0 +1,61 @@
+'use strict';
+
+// The same normalization as utils/slugify.js, copied here so this migration keeps working if that file changes.
+const slugify = (name) => String(name)
+  .normalize('NFKD')
+  .replace(/[̀-ͯ]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Add the 'slug' column that makes tag names unique regardless of case.
+    // It starts out empty and is filled in below, before the unique index is added.
+    await queryInterface.addColumn('Tags', 'slug', {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: ''
+    });
+
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const [tags] = await queryInterface.sequelize.query(
+        'SELECT id, name FROM "Tags" ORDER BY id',
+        { transaction }
+      );
+
+      // Tags whose names only differ in case or punctuation (e.g. 'Programming' and 'programming') get the same slug.
+      // The oldest one is kept; the posts of the others are moved onto it, and the others are deleted.
+      const kept = new Map();
+      for (const tag of tags) {
+        const slug = slugify(tag.name) || `tag-${tag.id}`;
+        const keepId = kept.get(slug);
+        if (keepId === undefined) {
+          kept.set(slug, tag.id);
+          await queryInterface.bulkUpdate('Tags', { slug }, { id: tag.id }, { transaction });
+          continue;
+        }
+
+        // A post that already has the kept tag only loses the duplicate; the rest are moved over.
+        const [linked] = await queryInterface.sequelize.query(
+          'SELECT "postId" FROM "PostTags" WHERE "tagId" = :keepId',
+          { replacements: { keepId }, transaction }
+        );
+        const linkedPostIds = linked.map(row => row.postId);
+        if (linkedPostIds.length > 0) {
+          await queryInterface.bulkDelete('PostTags', { tagId: tag.id, postId: linkedPostIds }, { transaction });
+        }
+        await queryInterface.bulkUpdate('PostTags', { tagId: keepId }, { tagId: tag.id }, { transaction });
+        await queryInterface.bulkDelete('Tags', { id: tag.id }, { transaction });
+      }
+    });
+
+    await queryInterface.addIndex('Tags', ['slug'], { unique: true });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    // Merged duplicates are not brought back; only the column and its index are removed.
+    await queryInterface.removeIndex('Tags', ['slug']);
+    await queryInterface.removeColumn('Tags', 'slug');
+  }
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+// The tables whose models use optimistic locking (`version: true`): every update increases 'version' by one,
+// and an update made from an outdated copy of the row is rejected instead of overwriting newer changes.
+const TABLES = ['Users', 'Profiles', 'Posts', 'Tags'];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const table of TABLES) {
+      // Existing rows start at version 0, like rows created by the models.
+      await queryInterface.addColumn(table, 'version', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      });
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    for (const table of TABLES) {
+      await queryInterface.removeColumn(table, 'version');
+    }
+  }
+};
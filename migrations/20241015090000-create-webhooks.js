@@ -0,0 +1,120 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Create the 'Webhooks' table: outside services subscribed to domain events.
+    await queryInterface.createTable('Webhooks', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      url: {
+        type: Sequelize.STRING(2048),
+        allowNull: false
+      },
+      events: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      secret: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      description: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    // Create the 'WebhookDeliveries' table: the delivery log. Deleting a webhook deletes its log.
+    await queryInterface.createTable('WebhookDeliveries', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      webhookId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Webhooks', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      eventId: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      eventType: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      payload: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'succeeded', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      nextAttemptAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      responseStatus: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      lastError: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      log: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    // The dispatcher looks for due deliveries; the log is listed per webhook.
+    await queryInterface.addIndex('WebhookDeliveries', ['status', 'nextAttemptAt']);
+    await queryInterface.addIndex('WebhookDeliveries', ['webhookId']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('WebhookDeliveries');
+    await queryInterface.dropTable('Webhooks');
+    // Postgres keeps ENUM types after their table is dropped.
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_WebhookDeliveries_status";');
+    }
+  }
+};
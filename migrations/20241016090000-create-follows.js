@@ -0,0 +1,52 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Create the 'Follows' table: each row means the user 'followerId' follows the user 'followingId'.
+    // Deleting either user also deletes the row.
+    await queryInterface.createTable('Follows', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      followerId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      followingId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    // A user follows another user at most once. The unique index also serves "who does this user follow",
+    // and the second index serves "who follows this user".
+    await queryInterface.addIndex('Follows', ['followerId', 'followingId'], { unique: true });
+    await queryInterface.addIndex('Follows', ['followingId']);
+
+    // The feed reads the newest active posts of a set of authors: for each author, the index leads straight
+    // to their active posts in date order, however many posts the table holds.
+    await queryInterface.addIndex('Posts', ['userId', 'status', 'createdAt']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('Posts', ['userId', 'status', 'createdAt']);
+    await queryInterface.dropTable('Follows');
+  }
+};
@@ -0,0 +1,65 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Create the 'Reactions' table: each row is one user's reaction of one type to one post.
+    // Deleting the post or the user also deletes the reaction.
+    await queryInterface.createTable('Reactions', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      postId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Posts', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: Sequelize.ENUM('like', 'love', 'insightful', 'celebrate', 'funny'),
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    // One reaction per user, post, and type. The index also serves the per-post counts and lists.
+    await queryInterface.addIndex('Reactions', ['postId', 'userId', 'type'], { unique: true });
+    await queryInterface.addIndex('Reactions', ['userId']);
+
+    // The total number of reactions of each post, kept up to date by the Reaction hooks,
+    // so the posts list can be sorted by popularity without counting reactions for every post.
+    await queryInterface.addColumn('Posts', 'reactionCount', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addIndex('Posts', ['status', 'reactionCount', 'createdAt']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('Posts', ['status', 'reactionCount', 'createdAt']);
+    await queryInterface.removeColumn('Posts', 'reactionCount');
+    await queryInterface.dropTable('Reactions');
+    // Postgres keeps ENUM types after their table is dropped.
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_Reactions_type";');
+    }
+  }
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Create the 'Attachments' table: each row describes an uploaded file, either attached to a post or used as
+    // the avatar of a profile. The files themselves are kept in the storage (see utils/storage.js).
+    // Deleting the post or profile also deletes the row; deleting the uploader only clears 'userId'.
+    await queryInterface.createTable('Attachments', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      postId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'Posts', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      profileId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'Profiles', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      originalName: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      mimeType: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      size: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      width: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      height: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      storageKey: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      thumbnailKey: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    // The attachments of a post and the avatar of a profile are looked up by their owner.
+    await queryInterface.addIndex('Attachments', ['postId']);
+    await queryInterface.addIndex('Attachments', ['profileId']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('Attachments');
+  }
+};
@@ -0,0 +1,78 @@
+'use strict';
+
+// The tables whose rows belong to a workspace directly. The other tables belong to one through these
+// (a comment through its post, a profile through its user, ...).
+const SCOPED_TABLES = ['Users', 'Posts', 'Tags', 'Webhooks', 'Attachments'];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Create the 'Workspaces' table: each row is one of the blogs hosted by the deployment.
+    await queryInterface.createTable('Workspaces', {
+      id: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      slug: {
+        type: Sequelize.STRING(63),
+        allowNull: false,
+        unique: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    // The default workspace holds all the existing data, and the data of requests that name no workspace.
+    const now = new Date();
+    await queryInterface.bulkInsert('Workspaces', [{ name: 'Default', slug: 'default', createdAt: now, updatedAt: now }]);
+    const [[{ id: defaultId }]] = await queryInterface.sequelize.query(
+      'SELECT id FROM "Workspaces" WHERE slug = \'default\''
+    );
+
+    // Add 'workspaceId' to each scoped table, and move the existing rows into the default workspace.
+    // - The column stays nullable in the database: SQLite cannot add a NOT NULL column with a foreign key to an
+    //   existing table. The models require it, and fill it in on every new row.
+    // - Deleting a workspace deletes everything in it.
+    for (const table of SCOPED_TABLES) {
+      await queryInterface.addColumn(table, 'workspaceId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'Workspaces', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      });
+      await queryInterface.bulkUpdate(table, { workspaceId: defaultId }, {});
+      await queryInterface.addIndex(table, ['workspaceId']);
+    }
+
+    // Tag names are unique per workspace rather than across the deployment: both blogs can have a 'JavaScript' tag.
+    await queryInterface.removeIndex('Tags', ['slug']);
+    await queryInterface.addIndex('Tags', ['workspaceId', 'slug'], { unique: true });
+
+    // The posts lists of a workspace are read by status, newest first.
+    await queryInterface.addIndex('Posts', ['workspaceId', 'status', 'createdAt']);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeIndex('Posts', ['workspaceId', 'status', 'createdAt']);
+    // Tags with the same slug in different workspaces must be merged or renamed first, or the unique index fails.
+    await queryInterface.removeIndex('Tags', ['workspaceId', 'slug']);
+    await queryInterface.addIndex('Tags', ['slug'], { unique: true });
+    for (const table of SCOPED_TABLES) {
+      await queryInterface.removeIndex(table, ['workspaceId']);
+      await queryInterface.removeColumn(table, 'workspaceId');
+    }
+    await queryInterface.dropTable('Workspaces');
+  }
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface) => {
+    // A user has at most one profile, so the index on 'userId' becomes unique.
+    // Databases migrated before 20241007100100-create-profiles.js created it unique may hold several profiles per user.
+    // The one to keep is the profile that is not in the trash, or else the oldest one; the others are deleted,
+    // together with their avatar rows (ON DELETE CASCADE).
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const [profiles] = await queryInterface.sequelize.query(
+        'SELECT id, "userId" FROM "Profiles" ORDER BY "userId", CASE WHEN "deletedAt" IS NULL THEN 0 ELSE 1 END, id',
+        { transaction }
+      );
+
+      const kept = new Set();
+      const duplicateIds = [];
+      for (const profile of profiles) {
+        if (kept.has(profile.userId)) {
+          duplicateIds.push(profile.id);
+        } else {
+          kept.add(profile.userId);
+        }
+      }
+      if (duplicateIds.length > 0) {
+        await queryInterface.bulkDelete('Profiles', { id: duplicateIds }, { transaction });
+      }
+    });
+
+    await queryInterface.removeIndex('Profiles', ['userId']);
+    await queryInterface.addIndex('Profiles', ['userId'], { unique: true });
+  },
+
+  down: async (queryInterface) => {
+    // Deleted duplicates are not brought back; only the index goes back to allowing them.
+    await queryInterface.removeIndex('Profiles', ['userId']);
+    await queryInterface.addIndex('Profiles', ['userId']);
+  }
+};
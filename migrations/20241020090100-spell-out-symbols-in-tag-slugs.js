@@ -0,0 +1,44 @@
+'use strict';
+
+// The same normalization as utils/slugify.js, copied here so this migration keeps working if that file changes.
+// Unlike the copy in 20241013090000-add-slug-to-tags.js, it spells out the symbols that tell names apart.
+const SYMBOL_WORDS = { '+': 'plus', '#': 'sharp', '&': 'and', '@': 'at' };
+const slugify = (name) => String(name)
+  .normalize('NFKD')
+  .replace(/[̀-ͯ]/g, '')
+  .toLowerCase()
+  .replace(/[+#&@]/g, symbol => ` ${SYMBOL_WORDS[symbol]} `)
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// The normalization before this migration, which dropped the symbols.
+const previousSlugify = (name) => slugify(String(name).replace(/[+#&@]/g, ' '));
+
+// Give every tag the slug `toSlug` makes of its name.
+// - Tags in the trash are updated too, since they keep their slug until they are purged.
+// - A tag whose new slug is already taken in its workspace (e.g. 'C++' next to a 'C plus plus' tag) keeps its old one,
+//   so no tag is merged or deleted; an admin can merge the two with `POST /tags/:id/merge`.
+const reslugTags = (queryInterface, toSlug) => queryInterface.sequelize.transaction(async (transaction) => {
+  const [tags] = await queryInterface.sequelize.query(
+    'SELECT id, name, slug, "workspaceId" FROM "Tags" ORDER BY id',
+    { transaction }
+  );
+
+  const taken = new Set(tags.map(tag => `${tag.workspaceId}|${tag.slug}`));
+  for (const tag of tags) {
+    const slug = toSlug(tag.name);
+    if (!slug || slug === tag.slug || taken.has(`${tag.workspaceId}|${slug}`)) {
+      continue;
+    }
+    await queryInterface.bulkUpdate('Tags', { slug }, { id: tag.id }, { transaction });
+    taken.delete(`${tag.workspaceId}|${tag.slug}`);
+    taken.add(`${tag.workspaceId}|${slug}`);
+  }
+});
+
+module.exports = {
+  // 'C++' gets the slug 'c-plus-plus' instead of 'c', so a 'C' tag can exist next to it.
+  up: queryInterface => reslugTags(queryInterface, slugify),
+
+  down: queryInterface => reslugTags(queryInterface, previousSlugify)
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+// The unique index on email addresses covers (workspaceId, email) instead of the email alone, so the same person can
+// have an account in several workspaces (blogs). Login looks the email up within the workspace of the request.
+// Every email was unique across the deployment until now, so no existing rows conflict with the new index.
+
+// SQLite cannot drop the UNIQUE constraint written into the 'email' column by 20241007100000-create-users.js.
+// The table is rebuilt without it instead, as described in https://www.sqlite.org/lang_altertable.html#otheralter:
+// - Foreign keys are turned off first. Otherwise dropping the old table would delete the rows of every table that
+//   references it with ON DELETE CASCADE (posts, comments, follows, ...), and fail on the profiles.
+// - `PRAGMA foreign_keys` has no effect inside a transaction, and Sequelize opens a new connection for each
+//   transaction on a database file (with foreign keys on). So the transaction is started with plain BEGIN and COMMIT
+//   queries, on the same connection as the pragma.
+// - The rows are copied as they are, with the same IDs, so the references to them stay valid; the foreign key check
+//   before the commit makes sure of it.
+const rebuildSqliteUsersWithoutUniqueEmail = async (queryInterface) => {
+  const { sequelize } = queryInterface;
+  const [[table]] = await sequelize.query('SELECT sql FROM sqlite_master WHERE type = \'table\' AND name = \'Users\'');
+  const [indexes] = await sequelize.query(
+    'SELECT sql FROM sqlite_master WHERE type = \'index\' AND tbl_name = \'Users\' AND sql IS NOT NULL'
+  );
+  const uniqueEmail = /([`"]email[`"][^,]*?) UNIQUE/;
+  if (!uniqueEmail.test(table.sql)) {
+    return;
+  }
+  const createTable = table.sql
+    .replace(/^CREATE TABLE [`"]?Users[`"]?/, 'CREATE TABLE `Users_new`')
+    .replace(uniqueEmail, '$1');
+
+  await sequelize.query('PRAGMA foreign_keys = OFF');
+  try {
+    await sequelize.query('BEGIN');
+    try {
+      await sequelize.query(createTable);
+      await sequelize.query('INSERT INTO `Users_new` SELECT * FROM `Users`');
+      await sequelize.query('DROP TABLE `Users`');
+      await sequelize.query('ALTER TABLE `Users_new` RENAME TO `Users`');
+      for (const { sql } of indexes) {
+        await sequelize.query(sql);
+      }
+      const [problems] = await sequelize.query('PRAGMA foreign_key_check');
+      if (problems.length > 0) {
+        throw new Error(`Rebuilding the Users table broke ${problems.length} foreign keys`);
+      }
+      await sequelize.query('COMMIT');
+    } catch (error) {
+      await sequelize.query('ROLLBACK');
+      throw error;
+    }
+  } finally {
+    await sequelize.query('PRAGMA foreign_keys = ON');
+  }
+};
+
+module.exports = {
+  up: async (queryInterface) => {
+    // Drop the unique constraint on 'email', which each dialect stores in its own way.
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'sqlite') {
+      // A database migrated down and up again has the unique index added by `down` instead of the column constraint.
+      await queryInterface.sequelize.query('DROP INDEX IF EXISTS `email`;');
+      await rebuildSqliteUsersWithoutUniqueEmail(queryInterface);
+    } else if (dialect === 'postgres') {
+      await queryInterface.sequelize.query('ALTER TABLE "Users" DROP CONSTRAINT IF EXISTS "Users_email_key";');
+    } else {
+      // MySQL and MariaDB name the index of a unique column after the column.
+      await queryInterface.removeIndex('Users', 'email');
+    }
+
+    // The name matches the `unique` option of the User model, which reports a duplicate with its message.
+    await queryInterface.addIndex('Users', ['workspaceId', 'email'], { unique: true, name: 'users_workspace_id_email' });
+  },
+
+  down: async (queryInterface) => {
+    // Users with the same email in different workspaces must be merged or renamed first, or the unique index fails.
+    await queryInterface.removeIndex('Users', 'users_workspace_id_email');
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query('ALTER TABLE "Users" ADD CONSTRAINT "Users_email_key" UNIQUE ("email");');
+    } else {
+      // A unique index enforces the same rule as the original column constraint, without rebuilding the table again.
+      await queryInterface.addIndex('Users', ['email'], { unique: true, name: 'email' });
+    }
+  }
+};
@@ -0,0 +1,161 @@
+// The stored files are removed through the upload helpers, which use the configured storage (see utils/storage.js).
+const { isImage, removeStoredFiles } = require('../utils/uploads');
+
+module.exports = (sequelize, DataTypes) => {
+    // Defining the Attachment model, which describes an uploaded file: a profile avatar or a file attached to a post.
+    // - The row holds the details of the file; the bytes are kept in the storage under `storageKey`.
+    // Scenario:
+    // - An author attaches two photos and a PDF to a post; readers see them listed with the post and download them
+    //   from `/attachments/:id`, or show the small version from `/attachments/:id/thumbnail`.
+    // - A user uploads an avatar, which is shown with their profile.
+    const Attachment = sequelize.define('Attachment', {
+        // The 'workspaceId' field links the attachment to the workspace (blog) it belongs to (see utils/workspaces.js).
+        // - It is filled in from the workspace of the request when the attachment is created.
+        workspaceId: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // The 'postId' field links a post attachment to its post (null for an avatar).
+        postId: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // The 'profileId' field links an avatar to its profile (null for a post attachment).
+        profileId: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // The 'userId' field records who uploaded the file. It is cleared if that user is purged, while the file stays
+        // with its post or profile.
+        userId: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // The 'originalName' field is the file name sent by the client, returned for display and downloads only.
+        // - Files are stored under a generated name, so this name never reaches the storage.
+        originalName: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        // The 'mimeType' field is the type recognized from the content of the file, e.g. 'image/png'.
+        mimeType: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        // The 'size' field is the size of the file in bytes.
+        size: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // The 'width' and 'height' fields are the dimensions of images in pixels (null for other files).
+        width: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        height: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // The 'storageKey' field is where the file is kept in the storage, e.g. 'posts/12/3f2a...e1.png'.
+        storageKey: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            unique: true
+        },
+        // The 'thumbnailKey' field is where the thumbnail of an image is kept (null for other files).
+        thumbnailKey: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        // The 'url' and 'thumbnailUrl' fields are not stored: they tell clients where to download the file,
+        // without revealing where it is kept.
+        url: {
+            type: DataTypes.VIRTUAL(DataTypes.STRING, ['id']),
+            get() {
+                return `/attachments/${this.id}`;
+            }
+        },
+        thumbnailUrl: {
+            type: DataTypes.VIRTUAL(DataTypes.STRING, ['id', 'mimeType']),
+            get() {
+                return isImage(this.mimeType) ? `/attachments/${this.id}/thumbnail` : null;
+            }
+        }
+    }, {
+        indexes: [
+            { fields: ['postId'] },
+            { fields: ['profileId'] }
+        ],
+        // Model-wide validation: an attachment belongs to exactly one post or one profile.
+        validate: {
+            hasOneOwner() {
+                if ((this.postId == null) === (this.profileId == null)) {
+                    throw new Error('An attachment belongs to either a post or a profile.');
+                }
+            }
+        },
+        // The storage keys are internal: responses only carry the download URLs.
+        // - The 'withKeys' scope loads them, for the handlers that read or remove the stored files.
+        defaultScope: {
+            attributes: { exclude: ['storageKey', 'thumbnailKey'] }
+        },
+        scopes: {
+            withKeys: { attributes: { include: ['storageKey', 'thumbnailKey'] } }
+        },
+        // The hooks remove the stored files of deleted attachments.
+        // - Inside a transaction, the files are removed after the commit, so a rolled back delete keeps them.
+        // - The storage keys are not loaded by the default scope, so the 'before' hooks load them for the rows about
+        //   to be deleted, like the Reaction hooks do for bulk deletes. Bulk deletes include purging posts from the
+        //   trash (see `Attachment.destroyForOwners`).
+        hooks: {
+            beforeDestroy: (attachment, options) => loadRemovedKeys({ id: attachment.id }, options),
+            afterDestroy: (attachment, options) => removeAfterCommit(options),
+            beforeBulkDestroy: options => loadRemovedKeys(options.where, options),
+            afterBulkDestroy: options => removeAfterCommit(options)
+        }
+    });
+
+    // Remember the storage keys of the attachments about to be deleted, on the options of the delete.
+    const loadRemovedKeys = async (where, options) => {
+        options.removedAttachments = await Attachment.scope('withKeys').findAll({
+            where,
+            attributes: ['storageKey', 'thumbnailKey'],
+            transaction: options.transaction
+        });
+    };
+
+    // Remove the stored files of the deleted attachments, once their rows are gone for good.
+    const removeAfterCommit = ({ removedAttachments = [], transaction }) => {
+        const remove = () => removeStoredFiles(removedAttachments.flatMap(({ storageKey, thumbnailKey }) => [storageKey, thumbnailKey]));
+        if (transaction) {
+            transaction.afterCommit(remove);
+        } else {
+            return remove();
+        }
+    };
+
+    // Delete the attachments of posts or profiles that are being deleted permanently, together with their files.
+    // - Called from the 'beforeBulkDestroy' hooks of Post and Profile, with the options of that delete: `foreignKey`
+    //   is the Attachment column pointing at the owner ('postId' or 'profileId').
+    // - A soft delete keeps the attachments, so they come back when the post or profile is restored from the trash.
+    Attachment.destroyForOwners = async (owner, foreignKey, options) => {
+        if (!options.force) {
+            return;
+        }
+        const owners = await owner.findAll({
+            where: options.where,
+            attributes: ['id'],
+            paranoid: false,
+            transaction: options.transaction
+        });
+        if (owners.length > 0) {
+            await Attachment.destroy({
+                where: { [foreignKey]: owners.map(({ id }) => id) },
+                transaction: options.transaction
+            });
+        }
+    };
+
+    // Returning the Attachment model for use in associations and throughout the application.
+    return Attachment;
+};
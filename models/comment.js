@@ -0,0 +1,49 @@
+module.exports = (sequelize, DataTypes) => {
+    // Defining the Comment model to represent the discussion under a post.
+    // Each comment belongs to a post and to the user who wrote it, and may reply to another comment.
+    // Scenario:
+    // - Readers discuss a post by leaving top-level comments.
+    // - Other readers reply to those comments, forming a thread (a tree of comments).
+    const Comment = sequelize.define('Comment', {
+        // The 'content' field holds the text of the comment.
+        // It is of type TEXT to allow longer comments, and `allowNull: false` rejects empty comments.
+        content: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+            validate: {
+                notEmpty: true
+            }
+        },
+        // The 'postId' field links the comment to the post it was written under.
+        postId: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // The 'userId' field links the comment to its author.
+        userId: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // The 'parentId' field points to the comment this one replies to.
+        // - Top-level comments have no parent, so `allowNull: true`.
+        // - Replies can themselves be replied to, which is what makes the comments threaded.
+        parentId: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        }
+    }, {
+        // Comments belong to the workspace of their post (see utils/workspaces.js).
+        workspaceThrough: { model: 'Post', foreignKey: 'postId' }
+    });
+
+    // Count the comments of several posts with a single query.
+    // - Returns a Map from postId to comment count; posts without comments are simply missing from the map.
+    // - Grouping in the database avoids running one COUNT query per post (the "N+1 queries" problem) when listing posts.
+    Comment.countByPost = async (postIds) => {
+        const rows = await Comment.count({ where: { postId: postIds }, group: ['postId'] });
+        return new Map(rows.map(({ postId, count }) => [postId, Number(count)]));
+    };
+
+    // Returning the Comment model for use in other parts of the application.
+    return Comment;
+};
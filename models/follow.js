@@ -0,0 +1,45 @@
+module.exports = (sequelize, DataTypes) => {
+    // Defining the Follow model, which links two users: the follower and the user they follow.
+    // It is the join table of the self-referential many-to-many relationship between users (see models/index.js).
+    // Scenario:
+    // - A reader follows the authors they like, and their feed (`GET /users/:id/feed`) shows the latest posts of those authors.
+    // - Following is one-way: Alice can follow Bob without Bob following Alice back.
+    const Follow = sequelize.define('Follow', {
+        // The 'id' field is declared explicitly, since Sequelize would otherwise replace it with a composite key
+        // on a join table. A single-column key gives the follower and following lists a stable order for their cursors.
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        // The 'followerId' field stores the ID of the user who follows.
+        followerId: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // The 'followingId' field stores the ID of the user being followed.
+        // - A user cannot follow themselves; the controller rejects such requests, and this validator backs it up.
+        followingId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            validate: {
+                notSelf(value) {
+                    if (value === this.followerId) {
+                        throw new Error('Users cannot follow themselves.');
+                    }
+                }
+            }
+        }
+    }, {
+        // Follows belong to the workspace of the follower (see utils/workspaces.js).
+        workspaceThrough: { model: 'User', foreignKey: 'followerId' },
+        // The pair is unique: following someone twice has no effect (see the migration's unique index).
+        indexes: [
+            { unique: true, fields: ['followerId', 'followingId'] },
+            { fields: ['followingId'] }
+        ]
+    });
+
+    // Returning the Follow model for use in associations and throughout the application.
+    return Follow;
+};
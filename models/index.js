@@ -1,15 +1,35 @@
 const { Sequelize, DataTypes } = require('sequelize');
-const sequelize = new Sequelize('sequelize_demo', 'demo_user', 'password123', {
-  logging : false,
-  host: 'localhost',
-  dialect: 'postgres'  // Switch the dialect to 'postgres'
-});
+const { registerCacheInvalidation } = require('../utils/cache');
+const { registerWorkspaceScoping } = require('../utils/workspaces');
+
+// Load the connection settings for the current environment (NODE_ENV, defaulting to 'development').
+// - config/database.js reads config/config.json and applies environment variable overrides such as DATABASE_URL.
+// - The test environment uses an in-memory SQLite database, so it runs without a database server.
+const env = process.env.NODE_ENV || 'development';
+const config = require('../config/database')[env];
+if (!config) {
+  throw new Error(`No database configuration for NODE_ENV '${env}' in config/config.json`);
+}
+
+// A connection URL carries the database, user, and password itself; otherwise they are passed separately.
+const { url, database, username, password, ...options } = config;
+const sequelize = url
+  ? new Sequelize(url, options)
+  : new Sequelize(database, username, password, options);
 
+const Workspace = require('./workspace')(sequelize, DataTypes);
 const User = require('./user')(sequelize, DataTypes);
 const Profile = require('./profile')(sequelize, DataTypes);
 const Post = require('./post')(sequelize, DataTypes);
 const Tag = require('./tag')(sequelize, DataTypes);
 const PostTag = require('./postTag')(sequelize, DataTypes);
+const Comment = require('./comment')(sequelize, DataTypes);
+const PostRevision = require('./postRevision')(sequelize, DataTypes);
+const Webhook = require('./webhook')(sequelize, DataTypes);
+const WebhookDelivery = require('./webhookDelivery')(sequelize, DataTypes);
+const Follow = require('./follow')(sequelize, DataTypes);
+const Reaction = require('./reaction')(sequelize, DataTypes);
+const Attachment = require('./attachment')(sequelize, DataTypes);
 
 // Associations
 // Associations help describe how this model relates to other models in the application.
@@ -59,13 +79,107 @@ Post.belongsToMany(Tag, { through: PostTag, foreignKey: 'postId' });
 // - It also allows tags to group various posts under the same category, such as "Technology" or "Health".
 Tag.belongsToMany(Post, { through: PostTag, foreignKey: 'tagId' });
 
+// The join table also belongs to both sides directly.
+// - This lets PostTag rows be queried on their own with their post or tag included,
+//   e.g. to count the published posts of each tag, or to move rows from one tag to another when tags are merged.
+PostTag.belongsTo(Post, { foreignKey: 'postId' });
+PostTag.belongsTo(Tag, { foreignKey: 'tagId' });
+
+// One-to-Many Relationships for comments:
+// - Post.hasMany(Comment): each post can have many comments, and each comment belongs to one post.
+// - User.hasMany(Comment): each user can write many comments, and each comment has one author.
+// Scenario:
+// - When listing the discussion under a post, we include each comment's author so the client can show who wrote it.
+// - `onDelete: 'CASCADE'` removes the discussion together with the post it belongs to.
+Post.hasMany(Comment, { foreignKey: 'postId', onDelete: 'CASCADE' });
+Comment.belongsTo(Post, { foreignKey: 'postId' });
+User.hasMany(Comment, { foreignKey: 'userId' });
+Comment.belongsTo(User, { foreignKey: 'userId' });
+
+// Self-referential relationship for threaded replies:
+// - Comment.hasMany(Comment, { as: 'replies' }): a comment can have many replies.
+// - Comment.belongsTo(Comment, { as: 'parent' }): a reply points to the comment it answers.
+// - `onDelete: 'CASCADE'` with `hooks: true` deletes the whole thread below a comment when that comment is deleted.
+Comment.hasMany(Comment, { as: 'replies', foreignKey: 'parentId', onDelete: 'CASCADE', hooks: true });
+Comment.belongsTo(Comment, { as: 'parent', foreignKey: 'parentId' });
+
+// One-to-Many Relationship for post history:
+// - Post.hasMany(PostRevision): every change to a post is stored as a revision, and the history goes away with the post.
+// - PostRevision.belongsTo(User): each revision records who made the change.
+Post.hasMany(PostRevision, { as: 'revisions', foreignKey: 'postId', onDelete: 'CASCADE' });
+PostRevision.belongsTo(Post, { foreignKey: 'postId' });
+PostRevision.belongsTo(User, { foreignKey: 'userId' });
+
+// One-to-Many Relationship for the webhook delivery log:
+// - Webhook.hasMany(WebhookDelivery): every event sent to a webhook is recorded as a delivery.
+// - `onDelete: 'CASCADE'` removes the log together with the webhook.
+Webhook.hasMany(WebhookDelivery, { as: 'deliveries', foreignKey: 'webhookId', onDelete: 'CASCADE' });
+WebhookDelivery.belongsTo(Webhook, { foreignKey: 'webhookId' });
+
+// Self-referential Many-to-Many Relationship for the follow graph, through the Follow join table:
+// - User.belongsToMany(User, { as: 'following' }): the users someone follows (Follow.followerId is the user, followingId the other one).
+// - User.belongsToMany(User, { as: 'followers' }): the users who follow someone (the same rows, read the other way).
+// Scenario:
+// - `user.addFollowing(author)` starts following an author, and `author.getFollowers()` lists who follows them.
+// - The Follow rows also belong to both users directly, so the follower and following lists can be paginated
+//   over the Follow rows (newest first) with the other user included.
+User.belongsToMany(User, { through: Follow, as: 'following', foreignKey: 'followerId', otherKey: 'followingId' });
+User.belongsToMany(User, { through: Follow, as: 'followers', foreignKey: 'followingId', otherKey: 'followerId' });
+Follow.belongsTo(User, { as: 'follower', foreignKey: 'followerId' });
+Follow.belongsTo(User, { as: 'followed', foreignKey: 'followingId' });
+
+// One-to-Many Relationships for reactions:
+// - Post.hasMany(Reaction): each post can receive many reactions, and they go away with the post.
+// - Reaction.belongsTo(User): each reaction records who left it, so a post's reactions can be listed with their users.
+Post.hasMany(Reaction, { foreignKey: 'postId', onDelete: 'CASCADE' });
+Reaction.belongsTo(Post, { foreignKey: 'postId' });
+User.hasMany(Reaction, { foreignKey: 'userId' });
+Reaction.belongsTo(User, { foreignKey: 'userId' });
+
+// Relationships for uploaded files:
+// - Post.hasMany(Attachment, { as: 'attachments' }): the files attached to a post.
+// - Profile.hasOne(Attachment, { as: 'avatar' }): the picture shown with a profile.
+// - Attachment.belongsTo(User): each file records who uploaded it.
+// - `onDelete: 'CASCADE'` removes the rows with their post or profile; the stored files are removed by the hooks
+//   in models/attachment.js.
+Post.hasMany(Attachment, { as: 'attachments', foreignKey: 'postId', onDelete: 'CASCADE' });
+Attachment.belongsTo(Post, { foreignKey: 'postId' });
+Profile.hasOne(Attachment, { as: 'avatar', foreignKey: 'profileId', onDelete: 'CASCADE' });
+Attachment.belongsTo(Profile, { foreignKey: 'profileId' });
+Attachment.belongsTo(User, { foreignKey: 'userId' });
+
+// One-to-Many Relationships for workspaces:
+// - Workspace.hasMany(User/Post/Tag/Webhook/Attachment): each blog hosted by the deployment has its own data.
+// - Deleting a workspace deletes everything in it (see the migration).
+// - Queries are kept inside the workspace of the request by the hooks registered below, so these associations are
+//   rarely needed in controllers.
+[User, Post, Tag, Webhook, Attachment].forEach((Model) => {
+  Workspace.hasMany(Model, { foreignKey: 'workspaceId', onDelete: 'CASCADE' });
+  Model.belongsTo(Workspace, { foreignKey: 'workspaceId' });
+});
+
 // Initialize associations after all models are defined
 
+// Cached responses (see utils/cache.js) become outdated whenever a row of a model they were built from changes.
+// - The hooks are registered on the sequelize instance, so they apply to every model defined above.
+registerCacheInvalidation(sequelize);
+
+// Every query is scoped to the workspace of the request, and new rows are created in it (see utils/workspaces.js).
+registerWorkspaceScoping(sequelize);
+
 module.exports = {
   sequelize,
+  Workspace,
   User,
   Profile,
   Post,
   Tag,
-  PostTag
+  PostTag,
+  Comment,
+  PostRevision,
+  Webhook,
+  WebhookDelivery,
+  Follow,
+  Reaction,
+  Attachment
 };
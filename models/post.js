@@ -1,8 +1,56 @@
+const { ConflictError } = require('../utils/errors');
+
+// Domain events ('post.published', ...) are published from the hooks below (see utils/eventBus.js).
+const { publish } = require('../utils/eventBus');
+const { logger } = require('../utils/logger');
+
+// The events published when a post reaches a status, on top of 'post.created' or 'post.updated'.
+const STATUS_EVENTS = {
+    active: 'post.published',
+    archived: 'post.archived'
+};
+
+// The status workflow of a post: for each status, the statuses it may move to next.
+// Scenario:
+// - A draft is published (active) or shelved (archived).
+// - A published post can be archived, or taken back to draft for a rewrite.
+// - An archived post must go back through draft before it can be published again.
+const STATUS_TRANSITIONS = {
+    draft: ['active', 'archived'],
+    active: ['archived', 'draft'],
+    archived: ['draft']
+};
+
+// The timestamp recorded each time a post enters a status.
+const STATUS_TIMESTAMPS = {
+    active: 'publishedAt',
+    archived: 'archivedAt'
+};
+
+// The error thrown when a status change is not part of the workflow.
+// - It is a ConflictError, so the error handler responds with 409 (Conflict): the request clashes with the post's current state.
+// - `details` tells the client which statuses it may move to instead.
+class InvalidStatusTransitionError extends ConflictError {
+    constructor(from, to) {
+        const allowed = STATUS_TRANSITIONS[from] || [];
+        super(`Cannot change a post's status from '${from}' to '${to}'`, { from, to, allowed });
+        this.from = from;
+        this.to = to;
+        this.allowed = allowed;
+    }
+}
+
 module.exports = (sequelize, DataTypes) => {
     // Defining the Post model to represent blog posts or articles in our application.
     // Each post has fields like 'title', 'content', 'userId', and 'status'.
     // This structure enables us to store essential details for each post and link them to users and tags.
     const Post = sequelize.define('Post', {
+        // The 'workspaceId' field links the post to the workspace (blog) it belongs to (see utils/workspaces.js).
+        // - It is filled in from the workspace of the request when the post is created.
+        workspaceId: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
         // The 'title' field represents the title of the post.
         // It is of type STRING, which allows short textual content.
         // We set `allowNull: false` to ensure each post must have a title.
@@ -31,7 +79,46 @@ module.exports = (sequelize, DataTypes) => {
             type: DataTypes.ENUM('active', 'draft', 'archived'),
             defaultValue: 'draft'
         },
+        // The 'publishAt' field schedules a draft to be published automatically (see utils/scheduler.js).
+        // It is cleared once the post leaves the draft status, since the schedule has then been used up or cancelled.
+        publishAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        // The 'publishedAt' and 'archivedAt' fields record when the post last became active and archived.
+        // They are filled in by the beforeSave hook below; clients never set them directly.
+        publishedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        archivedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        // The 'reactionCount' field holds the total number of reactions to the post, of every type.
+        // It is maintained by the Reaction hooks (see models/reaction.js); clients never set it directly.
+        // Storing it lets `GET /posts?sort=popular` sort and paginate on an indexed column.
+        reactionCount: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        }
     }, {
+        // Model-wide validation: only drafts can be scheduled for publishing.
+        // - The check only applies when `publishAt` itself is being set; a leftover schedule is cleared by the beforeSave hook instead.
+        validate: {
+            publishAtRequiresDraft() {
+                if (this.publishAt && this.changed('publishAt') && this.status !== 'draft') {
+                    throw new Error('Only draft posts can be scheduled with publishAt.');
+                }
+            }
+        },
+        // Paranoid mode: deleting a post only sets its `deletedAt` timestamp, so it can be restored from the trash.
+        // - The post's PostTag rows are left untouched by a soft delete, so its tags come back with it on restore.
+        paranoid: true,
+        // Optimistic locking: two editors saving the same post cannot silently overwrite each other.
+        // - Every save increases `version`; saving a copy loaded before someone else's save fails with an OptimisticLockError.
+        version: true,
         // Scopes allow us to define reusable query filters on the model.
         // For example, we can filter posts by their status (active, draft, archived).
         // Scenarios:
@@ -47,17 +134,70 @@ module.exports = (sequelize, DataTypes) => {
         // Here, we use an 'afterCreate' hook to log information whenever a new post is created.
         // Scenario:
         // - This is useful for auditing and tracking activity, such as sending notifications or logging when new content is added.
+        // - Both hooks also record a PostRevision, so the full history of the post's title, content, and status is kept.
+        // - The 'beforeSave' hook enforces the status workflow and stamps the transition time.
+        //   Fields changed inside 'beforeSave' are saved along with the rest of the update.
+        // - The after* hooks publish domain events: 'post.created', 'post.updated', 'post.deleted', and, when a post
+        //   reaches a status, 'post.published' or 'post.archived'. Inside a transaction, they go out after the commit.
         hooks: {
-            afterCreate: async (post) => {
-                // Fetch the user directly using the userId field on the post
-                const user = await sequelize.models.User.findByPk(post.userId);
-                if (user) {
-                    console.log(`New post created by ${user.firstName} ${user.lastName}: Title - "${post.title}", Status - ${post.status}`);
+            beforeSave: (post) => {
+                if (!post.changed('status')) {
+                    return;
                 }
-            }
+                // A new post may start in any status; an existing one must follow STATUS_TRANSITIONS.
+                const from = post.previous('status');
+                if (!post.isNewRecord && !Post.canTransition(from, post.status)) {
+                    throw new InvalidStatusTransitionError(from, post.status);
+                }
+                // An existing schedule is used up (or cancelled) once the post leaves draft.
+                if (post.status !== 'draft') {
+                    post.publishAt = null;
+                }
+                if (STATUS_TIMESTAMPS[post.status]) {
+                    post[STATUS_TIMESTAMPS[post.status]] = new Date();
+                }
+            },
+            afterCreate: async (post, options) => {
+                logger.info('New post created', { postId: post.id, userId: post.userId, title: post.title, status: post.status });
+
+                // The first revision is the post as it was created, by its author.
+                const { PostRevision } = sequelize.models;
+                await PostRevision.record(post, PostRevision.TRACKED_FIELDS, { ...options, userId: post.userId });
+
+                publish('post.created', { post: post.toJSON() }, options);
+                if (STATUS_EVENTS[post.status]) {
+                    publish(STATUS_EVENTS[post.status], { post: post.toJSON() }, options);
+                }
+            },
+            // 'afterUpdate' runs after `post.update()` or `post.save()`, while `post.changed()` still lists the modified fields.
+            // - Bulk updates (`Post.update(values, { where })`) do not run this hook, so controllers update posts one instance at a time.
+            afterUpdate: async (post, options) => {
+                const { PostRevision } = sequelize.models;
+                const changedFields = PostRevision.TRACKED_FIELDS.filter(field => post.changed(field));
+                if (changedFields.length > 0) {
+                    await PostRevision.record(post, changedFields, options);
+                }
+
+                publish('post.updated', { post: post.toJSON(), changed: post.changed() || [] }, options);
+                if (post.changed('status') && STATUS_EVENTS[post.status]) {
+                    publish(STATUS_EVENTS[post.status], { post: post.toJSON(), previousStatus: post.previous('status') }, options);
+                }
+            },
+            afterDestroy: (post, options) => {
+                publish('post.deleted', { id: post.id, userId: post.userId, permanent: Boolean(options.force) }, options);
+            },
+            // Purging posts from the trash deletes their attachments and the stored files (see models/attachment.js).
+            beforeBulkDestroy: options => sequelize.models.Attachment.destroyForOwners(Post, 'postId', options)
         }
     });
 
+    // Check whether a post may move from one status to another.
+    // Moving to the same status is not a transition, so it is always allowed.
+    Post.canTransition = (from, to) => from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+    Post.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+    Post.STATUS_TIMESTAMPS = STATUS_TIMESTAMPS;
+    Post.InvalidStatusTransitionError = InvalidStatusTransitionError;
+
     // Returning the defined Post model so it can be used in other parts of the application.
     // This return statement makes the model available for queries, associations, and other database operations.
     return Post;
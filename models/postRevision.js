@@ -0,0 +1,80 @@
+module.exports = (sequelize, DataTypes) => {
+    // Defining the PostRevision model, which keeps the history of a post.
+    // Every time a post is created or its title, content, or status changes, a new revision is stored with a copy of those fields.
+    // Scenario:
+    // - An author overwrites a paragraph by mistake and wants the previous version back.
+    // - An editor wants to see who changed a post's status, and when.
+    const PostRevision = sequelize.define('PostRevision', {
+        // The post this revision belongs to.
+        postId: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // The revision number, counting up from 1 (the version created with the post) for each post separately.
+        revision: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // The user who made the change. It may be empty for changes made by the system rather than a person.
+        userId: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        // The names of the fields that changed in this revision, e.g. ["title", "status"].
+        changedFields: {
+            type: DataTypes.JSON,
+            allowNull: false
+        },
+        // A copy of the post's tracked fields as they were right after this change.
+        title: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        content: {
+            type: DataTypes.TEXT,
+            allowNull: false
+        },
+        status: {
+            type: DataTypes.ENUM('active', 'draft', 'archived'),
+            allowNull: false
+        },
+        // When this revision was created by restoring an older one, the number of that older revision.
+        restoredFrom: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        }
+    }, {
+        // Revisions belong to the workspace of their post (see utils/workspaces.js).
+        workspaceThrough: { model: 'Post', foreignKey: 'postId' },
+        // Revisions are never edited after they are written, so only `createdAt` is needed.
+        updatedAt: false,
+        // The same revision number must never be used twice for one post.
+        indexes: [
+            { unique: true, fields: ['postId', 'revision'] }
+        ]
+    });
+
+    // The post fields whose history is kept.
+    PostRevision.TRACKED_FIELDS = ['title', 'content', 'status'];
+
+    // Store a new revision of a post.
+    // - Called from the Post model's hooks, inside the same transaction as the change itself.
+    // - `options.userId` and `options.restoredFrom` are passed by the controllers through `post.update(values, options)`.
+    PostRevision.record = async (post, changedFields, options = {}) => {
+        const { transaction } = options;
+        const latest = await PostRevision.max('revision', { where: { postId: post.id }, transaction });
+        return PostRevision.create({
+            postId: post.id,
+            revision: (latest || 0) + 1,
+            userId: options.userId || null,
+            changedFields,
+            title: post.title,
+            content: post.content,
+            status: post.status,
+            restoredFrom: options.restoredFrom || null
+        }, { transaction });
+    };
+
+    // Returning the PostRevision model for use in other parts of the application.
+    return PostRevision;
+};
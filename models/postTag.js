@@ -1,3 +1,15 @@
+// Tagging events ('post.tagged', 'post.untagged') are published from the hooks below (see utils/eventBus.js).
+const { publish } = require('../utils/eventBus');
+
+// Group join table rows by post: [{ postId: 1, tagIds: [2, 3] }, ...].
+const groupByPost = (links) => {
+    const tagIdsByPost = new Map();
+    links.forEach(({ postId, tagId }) => {
+        tagIdsByPost.set(postId, [...(tagIdsByPost.get(postId) || []), tagId]);
+    });
+    return [...tagIdsByPost].map(([postId, tagIds]) => ({ postId, tagIds }));
+};
+
 module.exports = (sequelize, DataTypes) => {
     // Defining the PostTag model, which acts as a join table for the many-to-many relationship between Post and Tag models.
     // This model stores pairs of postId and tagId to link individual posts with specific tags.
@@ -20,6 +32,27 @@ module.exports = (sequelize, DataTypes) => {
             type: DataTypes.INTEGER,
             allowNull: false
         }
+    }, {
+        // Links between posts and tags belong to the workspace of their post (see utils/workspaces.js).
+        workspaceThrough: { model: 'Post', foreignKey: 'postId' },
+        // Tags are added and removed through `post.addTags()`, `post.removeTags()`, and similar bulk calls,
+        // so the events are published from the bulk hooks, one event per post.
+        // - 'beforeBulkDestroy' loads the rows about to be deleted, since the delete itself does not return them.
+        hooks: {
+            afterBulkCreate: (links, options) => {
+                groupByPost(links).forEach(data => publish('post.tagged', data, options));
+            },
+            beforeBulkDestroy: async (options) => {
+                options.removedLinks = await PostTag.findAll({
+                    where: options.where,
+                    attributes: ['postId', 'tagId'],
+                    transaction: options.transaction
+                });
+            },
+            afterBulkDestroy: (options) => {
+                groupByPost(options.removedLinks || []).forEach(data => publish('post.untagged', data, options));
+            }
+        }
     });
 
     // Returning the PostTag model for use in associations and throughout the application.
@@ -9,16 +9,32 @@ module.exports = (sequelize, DataTypes) => {
         // The 'bio' field stores a short description or biography of the user.
         // It is of type TEXT to accommodate longer descriptions, if necessary.
         // Since not all users may have a bio, we set `allowNull: true`.
+        // The column was renamed to 'description' by a migration (see the migrations folder), while the API still calls it 'bio'.
+        // `field` maps the attribute to the column, so queries use 'description' and responses keep 'bio'.
         bio: {
             type: DataTypes.TEXT,
-            allowNull: true
+            allowNull: true,
+            field: 'description'
         },
         // The 'userId' field links the profile to a specific user.
         // It is of type INTEGER, and `allowNull: false` ensures every profile is tied to a user.
         // This field acts as a foreign key, referencing the User model.
+        // A user has at most one profile, trashed or not; the unique index is created by the migrations.
         userId: {
             type: DataTypes.INTEGER,
-            allowNull: false
+            allowNull: false,
+            unique: { name: 'profiles_user_id', msg: 'This user already has a profile' }
+        }
+    }, {
+        // Profiles belong to the workspace of their user (see utils/workspaces.js).
+        workspaceThrough: { model: 'User', foreignKey: 'userId' },
+        // Paranoid mode: deleting a profile only hides it, so it can be restored together with its user.
+        paranoid: true,
+        // Optimistic locking with a `version` column, as on User (see utils/versioning.js).
+        version: true,
+        // Purging profiles from the trash deletes their avatars and the stored files (see models/attachment.js).
+        hooks: {
+            beforeBulkDestroy: options => sequelize.models.Attachment.destroyForOwners(Profile, 'profileId', options)
         }
     });
 
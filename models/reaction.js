@@ -0,0 +1,90 @@
+// The reaction types are configured in one place, shared with the request schemas.
+const { REACTION_TYPES } = require('../config/reactions');
+
+module.exports = (sequelize, DataTypes) => {
+    // Defining the Reaction model, which records a user's reaction (like, love, ...) to a post.
+    // Scenario:
+    // - A reader likes a post and finds it insightful: that is two reactions, one of each type.
+    // - The post shows how many reactions of each type it received, and the posts list can be sorted by popularity.
+    const Reaction = sequelize.define('Reaction', {
+        // The 'postId' field links the reaction to the post it was left on.
+        postId: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // The 'userId' field links the reaction to the user who left it.
+        userId: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // The 'type' field is the kind of reaction, one of the types in config/reactions.js.
+        type: {
+            type: DataTypes.ENUM(...REACTION_TYPES),
+            allowNull: false
+        }
+    }, {
+        // Reactions belong to the workspace of the post they were left on (see utils/workspaces.js).
+        workspaceThrough: { model: 'Post', foreignKey: 'postId' },
+        // A user leaves each type of reaction at most once per post (see the migration's unique index).
+        indexes: [
+            { unique: true, fields: ['postId', 'userId', 'type'] },
+            { fields: ['userId'] }
+        ],
+        // The hooks keep `Post.reactionCount` in step with the Reaction rows.
+        // - Reactions are added and removed one at a time by the controller, which runs the instance hooks.
+        // - Bulk deletes (e.g. purging a user from the trash) run the bulk hooks; like PostTag's, 'beforeBulkDestroy'
+        //   loads the rows about to be deleted, to know which posts to recount.
+        hooks: {
+            afterCreate: (reaction, options) => Reaction.refreshCounts([reaction.postId], options),
+            afterDestroy: (reaction, options) => Reaction.refreshCounts([reaction.postId], options),
+            beforeBulkDestroy: async (options) => {
+                options.removedReactions = await Reaction.findAll({
+                    where: options.where,
+                    attributes: ['postId'],
+                    transaction: options.transaction
+                });
+            },
+            afterBulkDestroy: (options) => Reaction.refreshCounts((options.removedReactions || []).map(({ postId }) => postId), options)
+        }
+    });
+
+    // Recount the reactions of some posts and store the totals in `Post.reactionCount`.
+    // - The count is recomputed by the database in the same UPDATE rather than incremented, so it stays exact
+    //   even when two users react to the same post at the same moment.
+    // - The update is `silent` and leaves `version` alone: a reaction is not an edit, so it neither touches `updatedAt`
+    //   nor invalidates the ETag an author is editing the post with.
+    Reaction.refreshCounts = async (postIds, { transaction } = {}) => {
+        const ids = [...new Set(postIds)];
+        if (ids.length === 0) {
+            return;
+        }
+        const { Post } = sequelize.models;
+        const { queryGenerator } = sequelize.getQueryInterface();
+        const reactions = queryGenerator.quoteTable(Reaction.getTableName());
+        const posts = queryGenerator.quoteTable(Post.getTableName());
+        await Post.update({
+            reactionCount: sequelize.literal(`(SELECT COUNT(*) FROM ${reactions} WHERE ${reactions}.${queryGenerator.quoteIdentifier('postId')} = ${posts}.${queryGenerator.quoteIdentifier('id')})`)
+        }, { where: { id: ids }, silent: true, paranoid: false, transaction });
+    };
+
+    // Count the reactions of several posts by type with a single query.
+    // - Returns a Map from postId to `{ like: 2, love: 0, ... }`, with every type present; posts without reactions
+    //   are missing from the map (see `Reaction.emptyCounts`).
+    // - Like `Comment.countByPost`, grouping in the database avoids one query per post when listing posts.
+    Reaction.countByPost = async (postIds) => {
+        const rows = await Reaction.count({ where: { postId: postIds }, group: ['postId', 'type'] });
+        return rows.reduce((counts, { postId, type, count }) => {
+            if (!counts.has(postId)) {
+                counts.set(postId, Reaction.emptyCounts());
+            }
+            counts.get(postId)[type] = Number(count);
+            return counts;
+        }, new Map());
+    };
+
+    // The counts of a post without reactions: every type at zero.
+    Reaction.emptyCounts = () => Object.fromEntries(REACTION_TYPES.map(type => [type, 0]));
+
+    // Returning the Reaction model for use in associations and throughout the application.
+    return Reaction;
+};
@@ -1,3 +1,8 @@
+const { Op } = require('sequelize');
+const { slugify } = require('../utils/slugify');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const { publish } = require('../utils/eventBus');
+
 module.exports = (sequelize, DataTypes) => {
     // Defining the Tag model to represent categories or labels used to organize posts.
     // Each tag has a name, which is used to label posts with relevant topics or themes.
@@ -5,15 +10,125 @@ module.exports = (sequelize, DataTypes) => {
     // - In a blogging platform, tags allow users to categorize content by topics.
     // - For example, a post about "JavaScript Tips" might be tagged as "Programming" or "JavaScript".
     const Tag = sequelize.define('Tag', {
+        // The 'workspaceId' field links the tag to the workspace (blog) it belongs to (see utils/workspaces.js).
+        // - It is filled in from the workspace of the request when the tag is created.
+        // - Tag slugs are unique per workspace (see `slug` below), so each blog has its own 'JavaScript' tag.
+        workspaceId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            unique: 'tags_workspace_id_slug'
+        },
         // The 'name' field stores the name of the tag (e.g., 'Technology', 'Programming').
         // It is of type STRING, suitable for short descriptive words.
         // Setting `allowNull: false` ensures each tag has a name, as tags without names would be meaningless.
+        // The setter keeps the slug in step with the name whenever the name is set, on create and on update.
         name: {
             type: DataTypes.STRING,
-            allowNull: false
+            allowNull: false,
+            set(value) {
+                this.setDataValue('name', value);
+                this.setDataValue('slug', slugify(value));
+            }
+        },
+        // The 'slug' field is the normalized form of the name (see utils/slugify.js), used in URLs such as /tags/web-development/posts.
+        // - It is unique within a workspace, which makes tag names unique regardless of case: 'Programming' and
+        //   'programming' are the same tag. The unique index covers (workspaceId, slug), see the workspaces migration.
+        // - It is derived from the name and never set directly.
+        slug: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            unique: {
+                name: 'tags_workspace_id_slug',
+                msg: 'A tag with this name already exists'
+            },
+            validate: {
+                notEmpty: {
+                    msg: 'A tag name must contain at least one letter or digit'
+                }
+            }
+        }
+    }, {
+        // Paranoid mode: deleted tags are kept with a `deletedAt` timestamp until they are purged from the trash.
+        // - The tag's PostTag rows are left untouched by a soft delete, so it is attached to the same posts again on restore.
+        paranoid: true,
+        // Optimistic locking with a `version` column, as on Post (see utils/versioning.js).
+        version: true,
+        // Domain events for subscribers such as webhooks (see utils/eventBus.js).
+        hooks: {
+            afterCreate: (tag, options) => publish('tag.created', { tag: tag.toJSON() }, options),
+            afterUpdate: (tag, options) => publish('tag.updated', { tag: tag.toJSON(), changed: tag.changed() || [] }, options),
+            afterDestroy: (tag, options) => publish('tag.deleted', { id: tag.id, permanent: Boolean(options.force) }, options)
         }
     });
 
+    // Find the tag with the same slug as a name, or create it.
+    // - Matching on the slug means 'programming' finds the existing 'Programming' tag instead of creating a duplicate.
+    // - A tag in the trash still holds its slug, so it cannot be created again. With `restore` (for callers allowed to
+    //   manage tags), it is restored; otherwise a ConflictError is thrown, answered with a 409 (Conflict) status,
+    //   so deleting a tag cannot be undone by simply tagging a post with it.
+    Tag.findOrCreateByName = async (name, { restore = false, transaction } = {}) => {
+        const existing = await Tag.findOne({ where: { slug: slugify(name) }, paranoid: false, transaction });
+        if (existing) {
+            if (existing.deletedAt) {
+                if (!restore) {
+                    throw new ConflictError(`The tag '${existing.name}' is in the trash`, { tag: name, slug: existing.slug });
+                }
+                await existing.restore({ transaction });
+            }
+            return existing;
+        }
+        return Tag.create({ name }, { transaction });
+    };
+
+    // Turn a list of tag references into tags, as accepted by the post-tag routes: IDs (numbers) and names (strings) may be mixed.
+    // - IDs must belong to existing tags. Names are matched by slug and, with `create`, created when missing.
+    //   `restore` brings back named tags that are in the trash, instead of failing (see `findOrCreateByName`).
+    // - References to the same tag ('JS', 'js' and its ID) give it only once, in the order it was first named.
+    // - Any unknown reference fails the whole call with a 404 listing them, so callers can run this inside their transaction.
+    // - Names are resolved one after another, so a name given twice is never created twice.
+    Tag.resolve = async (refs, { create = false, restore = false, transaction } = {}) => {
+        const ids = refs.filter(ref => typeof ref === 'number');
+        const byId = new Map((await Tag.findAll({ where: { id: ids }, transaction })).map(tag => [tag.id, tag]));
+
+        const tags = new Map();
+        const missing = [];
+        for (const ref of refs) {
+            let tag;
+            if (typeof ref === 'number') {
+                tag = byId.get(ref);
+            } else if (create) {
+                tag = await Tag.findOrCreateByName(ref, { restore, transaction });
+            } else {
+                tag = await Tag.findOne({ where: { slug: slugify(ref) }, transaction });
+            }
+
+            if (!tag) {
+                missing.push(ref);
+            } else if (!tags.has(tag.id)) {
+                tags.set(tag.id, tag);
+            }
+        }
+
+        if (missing.length > 0) {
+            throw new NotFoundError('Some of the tags were not found', { missing });
+        }
+        return [...tags.values()];
+    };
+
+    // Count the published posts of several tags with a single grouped query, e.g. for a tag cloud.
+    // - Only active posts that are not in the trash are counted, since those are the ones readers can see.
+    // - Returns a Map from tag ID to count; tags without posts are missing from the Map.
+    Tag.countPosts = async (tagIds, { transaction } = {}) => {
+        const { PostTag, Post } = sequelize.models;
+        const rows = await PostTag.count({
+            where: { tagId: { [Op.in]: tagIds } },
+            include: [{ model: Post, attributes: [], where: { status: 'active' } }],
+            group: ['PostTag.tagId'],
+            transaction
+        });
+        return new Map(rows.map(({ tagId, count }) => [tagId, Number(count)]));
+    };
+
     // Returning the Tag model for use throughout the application.
     // By exporting this model, we can interact with the Tag table, perform CRUD operations, and access associations.
     return Tag;
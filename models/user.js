@@ -1,3 +1,25 @@
+// bcryptjs is used to hash passwords before they are stored.
+// - A hash is a one-way transformation, so even someone with access to the database cannot read the original password.
+const bcrypt = require('bcryptjs');
+const { Op } = require('sequelize');
+
+// The number of salt rounds controls how expensive each hash is to compute.
+// - Higher values make brute-force attacks slower, at the cost of slower signups and logins.
+const SALT_ROUNDS = 10;
+
+// The list of roles is shared with the permission map, so both always agree on which roles exist.
+const { ROLES } = require('../config/permissions');
+
+// Domain events ('user.created', ...) are published from the hooks below (see utils/eventBus.js).
+const { publish } = require('../utils/eventBus');
+const { logger } = require('../utils/logger');
+
+// A user as it appears in events: the instance may still hold the password hash after a create or update, so it is removed.
+const eventUser = (user) => {
+    const { password, ...fields } = user.toJSON();
+    return fields;
+};
+
 module.exports = (sequelize, DataTypes) => {
     // Defining the User model to represent users in our application.
     // Each user has attributes such as firstName, lastName, and email.
@@ -5,6 +27,14 @@ module.exports = (sequelize, DataTypes) => {
     // - The User model is central to many applications, representing registered users who can create content, update their profile, and more.
     // - This model enables us to store essential user information and link each user to other resources, such as profiles and posts.
     const User = sequelize.define('User', {
+        // The 'workspaceId' field links the user to the workspace (blog) it belongs to (see utils/workspaces.js).
+        // - It is filled in from the workspace of the request when the user is created.
+        // - Email addresses are unique per workspace (see `email` below), so the same person can join several blogs.
+        workspaceId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            unique: 'users_workspace_id_email'
+        },
         // The 'firstName' field represents the user's first name.
         // It is of type STRING and is required, as indicated by `allowNull: false`.
         firstName: {
@@ -18,28 +48,120 @@ module.exports = (sequelize, DataTypes) => {
             allowNull: false
         },
         // The 'email' field stores the user's email address.
-        // This field is required (`allowNull: false`), unique (no two users can have the same email), and validated to be a proper email format.
-        // This setup helps enforce email uniqueness and correct formatting.
+        // This field is required (`allowNull: false`), unique within a workspace (no two users of a blog can have the same email),
+        // and validated to be a proper email format.
+        // - The unique index covers (workspaceId, email), see the migration that made emails unique per workspace.
+        //   Its name ties a duplicate to the message below, which the error handler returns with a 409 (Conflict) status.
         email: {
             type: DataTypes.STRING,
             allowNull: false,
-            unique: true,
+            unique: {
+                name: 'users_workspace_id_email',
+                msg: 'An account with this email already exists'
+            },
             validate: {
                 isEmail: true
             }
+        },
+        // The 'password' field stores the user's hashed password, never the plain text.
+        // - The length check runs against the plain text, before the `beforeSave` hook below replaces it with the hash.
+        password: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            validate: {
+                len: {
+                    args: [8, 128],
+                    msg: 'Password must be between 8 and 128 characters long.'
+                }
+            }
+        },
+        // The 'role' field decides what the user is allowed to do (see config/permissions.js).
+        // - New accounts are authors, so they can start writing posts right away.
+        // - Only admins can promote or demote users.
+        role: {
+            type: DataTypes.ENUM(...ROLES),
+            allowNull: false,
+            defaultValue: 'author'
         }
     }, {
+        // Paranoid mode turns `destroy` into a soft delete: instead of removing the row, Sequelize sets its `deletedAt` timestamp.
+        // - Soft-deleted rows are hidden from every query, but can be listed in the trash and brought back with `restore`.
+        // - Passing `force: true` to `destroy` deletes the row permanently (see the purge endpoint in trashController.js).
+        paranoid: true,
+        // Optimistic locking: every save increases the `version` column, and a save made from an outdated copy fails
+        // with an OptimisticLockError instead of overwriting newer changes. The version is also sent to clients as the ETag.
+        version: true,
+        // The default scope leaves the password hash out of every query.
+        // - This way the hash is never sent back to clients by accident, e.g. in `GET /users`.
+        // - The 'withPassword' scope is used by the login flow, which needs the hash to compare against.
+        defaultScope: {
+            attributes: { exclude: ['password'] }
+        },
+        scopes: {
+            withPassword: { attributes: { include: ['password'] } }
+        },
         // Hooks are functions that run automatically at specific points in the model's lifecycle.
         // This model includes an 'afterCreate' hook to log a message whenever a new user is registered.
         // Scenario:
         // - The afterCreate hook helps with logging and analytics, such as sending notifications or logging new registrations for monitoring purposes.
+        // - The beforeSave hook hashes the password whenever it is set or changed, on both create and update.
+        // - The afterDestroy and beforeRestore hooks move the user's profile and posts to the trash and back together with the user.
+        // - The after* hooks also publish 'user.created', 'user.updated', and 'user.deleted' events. The password hash is never part of them.
         hooks: {
-            afterCreate: (user) => {
-                console.log(`New user registered: ${user.firstName} ${user.lastName} (Email: ${user.email})`);
+            beforeSave: async (user) => {
+                if (user.changed('password')) {
+                    user.password = await User.hashPassword(user.password);
+                }
+            },
+            afterCreate: (user, options) => {
+                logger.info('New user registered', { userId: user.id, email: user.email });
+                publish('user.created', { user: eventUser(user) }, options);
+            },
+            afterUpdate: (user, options) => {
+                publish('user.updated', { user: eventUser(user), changed: user.changed() || [] }, options);
+            },
+            afterDestroy: async (user, options) => {
+                publish('user.deleted', { id: user.id, permanent: Boolean(options.force) }, options);
+
+                // A permanent delete is handled by the purge endpoint, which removes the dependent rows itself.
+                if (options.force) {
+                    return;
+                }
+                const { Profile, Post } = sequelize.models;
+                const { transaction } = options;
+                await Profile.destroy({ where: { userId: user.id }, transaction });
+                await Post.destroy({ where: { userId: user.id }, transaction });
+            },
+            beforeRestore: async (user, options) => {
+                // Only restore what was trashed together with the user (at the same moment or later),
+                // so posts the user had deleted on their own before stay in the trash.
+                const { Profile, Post } = sequelize.models;
+                const { transaction } = options;
+                const where = { userId: user.id, deletedAt: { [Op.gte]: user.deletedAt } };
+                await Profile.restore({ where, transaction });
+                await Post.restore({ where, transaction });
             }
         }
     });
 
+    // Hashes a plain-text password.
+    // - Used by the beforeSave hook, and by the seeder, which inserts users in bulk without running per-row hooks.
+    User.hashPassword = (password) => bcrypt.hash(password, SALT_ROUNDS);
+
+    // Compares a plain-text password with the stored hash.
+    // - Used by the login endpoint; the user must have been loaded with the 'withPassword' scope.
+    User.prototype.validPassword = function (password) {
+        return bcrypt.compare(password, this.password);
+    };
+
+    // Removes the password hash when a user is converted to JSON.
+    // - Instances returned by `create` or `save` still carry the hash in memory, so this is a second safety net on top of the default scope.
+    User.prototype.toJSON = function () {
+        const values = { ...this.get() };
+        delete values.password;
+        return values;
+    };
+
     // Returning the User model for use in other parts of the application.
     // By exporting this model, we enable interaction with the User table, perform CRUD operations, and manage associations.
     return User;
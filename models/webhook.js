@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { assertPublicUrl } = require('../utils/webhookUrls');
+
+module.exports = (sequelize, DataTypes) => {
+    // Defining the Webhook model to represent an outside service subscribed to the application's domain events.
+    // Scenario:
+    // - A newsletter service registers `https://newsletter.example.com/hooks` for 'post.published' events.
+    //   Every time a post is published, the application sends it a signed JSON request describing the post
+    //   (see utils/webhookDispatcher.js).
+    const Webhook = sequelize.define('Webhook', {
+        // The 'workspaceId' field links the webhook to the workspace (blog) it belongs to (see utils/workspaces.js).
+        // - It is filled in from the workspace of the request when the webhook is created.
+        workspaceId: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // The 'url' field is where the events are sent, with a POST request.
+        // - Its format (http or https) is checked by the request schema.
+        // - It must point at a public address: 'localhost', loopback, link-local and private network addresses are
+        //   rejected, so a webhook cannot make the server call internal services (see utils/webhookUrls.js).
+        //   A host name that does not resolve yet is accepted; the dispatcher checks the address again on every delivery.
+        url: {
+            type: DataTypes.STRING(2048),
+            allowNull: false,
+            validate: {
+                isPublicUrl: url => assertPublicUrl(url, { allowUnresolved: true })
+            }
+        },
+        // The 'events' field lists the event types the subscriber wants, e.g. ["post.published", "post.tagged"].
+        // - '*' subscribes to every event type.
+        events: {
+            type: DataTypes.JSON,
+            allowNull: false,
+            defaultValue: ['*']
+        },
+        // The 'secret' field is the key used to sign each delivery, so the subscriber can check it came from us.
+        // - It is shared with the subscriber once, when the webhook is created, and left out of every other response.
+        secret: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        // An inactive webhook keeps its settings and delivery log, but receives no new events.
+        active: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
+        },
+        // A note about what the webhook is for, e.g. 'Newsletter service'.
+        description: {
+            type: DataTypes.STRING,
+            allowNull: true
+        }
+    }, {
+        // The default scope leaves the secret out of every query, like the password hash on User.
+        // - The 'withSecret' scope is used by the dispatcher, which needs the secret to sign deliveries.
+        defaultScope: {
+            attributes: { exclude: ['secret'] }
+        },
+        scopes: {
+            withSecret: { attributes: { include: ['secret'] } }
+        },
+        hooks: {
+            // A webhook created without a secret gets a random one.
+            // - Only new records are checked: webhooks loaded with the default scope have no secret to compare.
+            beforeValidate: (webhook) => {
+                if (webhook.isNewRecord && !webhook.secret) {
+                    webhook.secret = crypto.randomBytes(32).toString('hex');
+                }
+            }
+        }
+    });
+
+    // Whether the webhook wants events of this type.
+    Webhook.prototype.isSubscribedTo = function (type) {
+        return this.active && (this.events.includes('*') || this.events.includes(type));
+    };
+
+    // Removes the secret when a webhook is converted to JSON, as a second safety net on top of the default scope.
+    Webhook.prototype.toJSON = function () {
+        const values = { ...this.get() };
+        delete values.secret;
+        return values;
+    };
+
+    return Webhook;
+};
@@ -0,0 +1,72 @@
+module.exports = (sequelize, DataTypes) => {
+    // Defining the WebhookDelivery model: the delivery log of the webhooks.
+    // One row is created for every event sent to every subscribed webhook, and records how its delivery went.
+    // Scenario:
+    // - The subscriber's server is down for a few minutes. The first attempt fails, and the delivery is retried later
+    //   with growing delays (see utils/webhookDispatcher.js) until it succeeds or runs out of attempts.
+    // - An admin can look at the failed deliveries and replay them once the subscriber is fixed.
+    const WebhookDelivery = sequelize.define('WebhookDelivery', {
+        // The webhook the event is delivered to.
+        webhookId: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // The ID and type of the event, e.g. 'post.published'.
+        eventId: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        eventType: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        // The event exactly as it is sent, so retries and replays send the same body.
+        payload: {
+            type: DataTypes.JSON,
+            allowNull: false
+        },
+        // - 'pending': waiting for its next attempt (the first one, or a retry).
+        // - 'succeeded': the subscriber answered with a 2xx status.
+        // - 'failed': every attempt failed; only a replay sends it again.
+        status: {
+            type: DataTypes.ENUM('pending', 'succeeded', 'failed'),
+            allowNull: false,
+            defaultValue: 'pending'
+        },
+        // How many attempts were made, and when the next one is due (null once the delivery is finished).
+        attempts: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        nextAttemptAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        // The outcome of the latest attempt: the HTTP status, or the error when there was no response (e.g. a timeout).
+        responseStatus: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        lastError: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        // Every attempt, oldest first: [{ "at": "...", "status": 500, "error": null, "durationMs": 120 }, ...].
+        log: {
+            type: DataTypes.JSON,
+            allowNull: false,
+            defaultValue: []
+        }
+    }, {
+        // Deliveries belong to the workspace of their webhook (see utils/workspaces.js).
+        workspaceThrough: { model: 'Webhook', foreignKey: 'webhookId' },
+        indexes: [
+            // The dispatcher looks for due deliveries; the log is listed per webhook.
+            { fields: ['status', 'nextAttemptAt'] },
+            { fields: ['webhookId'] }
+        ]
+    });
+
+    return WebhookDelivery;
+};
@@ -0,0 +1,34 @@
+module.exports = (sequelize, DataTypes) => {
+    // Defining the Workspace model, which represents one of the blogs hosted by the deployment.
+    // - Users, posts, tags, webhooks, and attachments belong to a workspace, and every query only sees the rows of
+    //   the workspace of the request (see utils/workspaces.js).
+    // Scenario:
+    // - Two teams share one server: requests to `acme.blog.example.com` work with the 'acme' workspace,
+    //   and requests to `globex.blog.example.com` with 'globex'. Neither team ever sees the other's posts.
+    // - The 'default' workspace, created by the migrations, holds the data of requests that name no workspace.
+    const Workspace = sequelize.define('Workspace', {
+        // The 'name' field is the display name of the workspace, e.g. 'Acme Engineering Blog'.
+        name: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        // The 'slug' field names the workspace in requests: as the subdomain, or in the X-Workspace header.
+        // - Lowercase letters, digits, and single hyphens, so it is always a valid subdomain.
+        slug: {
+            type: DataTypes.STRING(63),
+            allowNull: false,
+            unique: {
+                msg: 'A workspace with this slug already exists'
+            },
+            validate: {
+                is: {
+                    args: /^[a-z0-9]+(-[a-z0-9]+)*$/,
+                    msg: 'A workspace slug may only contain lowercase letters, digits, and hyphens'
+                }
+            }
+        }
+    });
+
+    // Returning the Workspace model for use in associations and throughout the application.
+    return Workspace;
+};
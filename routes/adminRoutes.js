@@ -0,0 +1,16 @@
+// Importing the express library and creating a new router instance.
+// - express.Router() allows us to define the admin routes in this file.
+const express = require('express');
+const router = express.Router();
+
+// Importing the adminController, and the middlewares that check the token and the user's role.
+const adminController = require('../controllers/adminController');
+const { authenticate } = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/roleMiddleware');
+
+// Defining the routes for operational endpoints. They are only available to admins.
+
+router.get('/migrations', authenticate, authorize('admin:migrations'), adminController.getMigrations);    // List applied and pending database migrations
+
+// Exporting the router so it can be mounted under '/admin' in index.js.
+module.exports = router;
@@ -0,0 +1,20 @@
+// Importing the express library and creating a new router instance.
+// - express.Router() allows us to define the download routes for uploaded files in this file.
+const express = require('express');
+const router = express.Router();
+
+// Importing the attachmentController, which streams the files from the storage.
+const attachmentController = require('../controllers/attachmentController');
+
+// Importing the validate middleware and the request schemas for these routes.
+const validate = require('../middlewares/validate');
+const attachmentSchemas = require('../validators/attachmentSchemas');
+
+// Downloads are public, like the posts and profiles the files belong to.
+// These are the `url` and `thumbnailUrl` of every attachment and avatar.
+
+router.get('/:id', validate(attachmentSchemas.download), attachmentController.downloadFile);                 // Download an uploaded file
+router.get('/:id/thumbnail', validate(attachmentSchemas.download), attachmentController.downloadThumbnail);  // Download the thumbnail of an uploaded image
+
+// Exporting the router so it can be mounted at '/attachments' in index.js.
+module.exports = router;
@@ -0,0 +1,25 @@
+// Importing the express library and creating a new router instance.
+// - express.Router() allows us to define authentication routes in this file.
+const express = require('express');
+const router = express.Router();
+
+// Importing the authController for the signup and login logic, and the authenticate middleware to protect routes.
+const authController = require('../controllers/authController');
+const { authenticate } = require('../middlewares/authMiddleware');
+
+// Importing the validate middleware and the request schemas for these routes.
+// - Requests that do not match a schema are rejected with a 422 (Unprocessable Entity) status before they reach the controller.
+const validate = require('../middlewares/validate');
+const authSchemas = require('../validators/authSchemas');
+
+// Defining the routes for authentication.
+// - Signup and login are public, since the caller does not have a token yet.
+// - '/me' requires a valid token and returns the user it belongs to.
+
+router.post('/signup', validate(authSchemas.signup), authController.signup);    // Register a new user and receive a token
+router.post('/login', validate(authSchemas.login), authController.login);       // Exchange email and password for a token
+router.get('/me', authenticate, authController.me);                             // Get the currently authenticated user
+
+// Exporting the router to make it available for use in the main server file (index.js).
+// This export allows our application to handle requests for '/auth' and pass them to these specific routes.
+module.exports = router;
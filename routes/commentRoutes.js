@@ -0,0 +1,28 @@
+// Importing the express library and creating a new router instance.
+// - `mergeParams: true` lets this router read `:postId` from the parent path it is mounted on ('/posts/:postId/comments').
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+
+// Importing the commentController to handle the logic for each route defined below.
+const commentController = require('../controllers/commentController');
+
+// Importing the authentication and authorization middlewares.
+// - Reading comments is public; writing them requires a token and the 'comments:create' permission.
+const { authenticate } = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/roleMiddleware');
+
+// Importing the validate middleware and the request schemas for these routes.
+// - Requests that do not match a schema are rejected with a 422 (Unprocessable Entity) status before they reach the controller.
+const validate = require('../middlewares/validate');
+const commentSchemas = require('../validators/commentSchemas');
+
+// Defining the routes for comments on a post.
+// All paths are relative to '/posts/:postId/comments'.
+
+router.post('/', authenticate, authorize('comments:create'), validate(commentSchemas.create), commentController.createComment);    // Comment on a post, or reply with `parentId`
+router.get('/', validate(commentSchemas.list), commentController.getComments);                                                     // List comments as a tree or a flat list with depth
+router.put('/:commentId', authenticate, validate(commentSchemas.update), commentController.updateComment);                         // Edit own comment (any comment for moderators)
+router.delete('/:commentId', authenticate, validate(commentSchemas.remove), commentController.deleteComment);                      // Delete own comment and its replies (any comment for moderators)
+
+// Exporting the router so it can be mounted under each post in postRoutes.js.
+module.exports = router;
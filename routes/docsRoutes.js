@@ -0,0 +1,13 @@
+// Importing the express library and creating a new router instance.
+// - express.Router() allows us to define the documentation routes in this file.
+const express = require('express');
+const router = express.Router();
+
+// Importing the docsController, which serves the generated OpenAPI document and the page that displays it.
+const docsController = require('../controllers/docsController');
+
+router.get('/openapi.json', docsController.getOpenApi);    // Get the OpenAPI 3 document of the API
+router.get('/docs', docsController.getDocsPage);           // Browse the API documentation
+
+// Exporting the router so it can be mounted at the root in index.js.
+module.exports = router;
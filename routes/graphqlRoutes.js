@@ -0,0 +1,17 @@
+// Importing the express library and creating a new router instance.
+// - express.Router() allows us to define the GraphQL route in this file.
+const express = require('express');
+const router = express.Router();
+
+// Importing the graphqlController, which runs queries and mutations against the schema in graphql/schema.js.
+// - Authentication happens inside the mutations, with the same checks as the REST routes they reuse, so reading is public.
+const graphqlController = require('../controllers/graphqlController');
+
+// Importing the validate middleware and the request schema for this route.
+const validate = require('../middlewares/validate');
+const graphqlSchemas = require('../validators/graphqlSchemas');
+
+router.post('/', validate(graphqlSchemas.request), graphqlController.execute);    // Run a GraphQL query or mutation
+
+// Exporting the router so it can be mounted under '/graphql' in index.js.
+module.exports = router;
@@ -0,0 +1,29 @@
+// Importing the express library and creating a new router instance.
+// - `mergeParams: true` lets this router read `:postId` from the parent path it is mounted on ('/posts/:postId/attachments').
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+
+// Importing the attachmentController to handle the logic for each route defined below.
+const attachmentController = require('../controllers/attachmentController');
+
+// Importing the authentication and authorization middlewares.
+// - Listing attachments is public; adding or removing them requires a token and the 'posts:update' permission.
+const { authenticate } = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/roleMiddleware');
+
+// Importing the validate middleware, the request schemas, and the upload middleware with the rules for attachments.
+// - The upload middleware answers 413 for files over the size limit and 415 for types that are not accepted.
+const validate = require('../middlewares/validate');
+const upload = require('../middlewares/uploadMiddleware');
+const attachmentSchemas = require('../validators/attachmentSchemas');
+const { ATTACHMENT_UPLOAD } = require('../utils/uploads');
+
+// Defining the routes for the attachments of a post.
+// All paths are relative to '/posts/:postId/attachments'.
+
+router.post('/', authenticate, authorize('posts:update'), validate(attachmentSchemas.upload), upload(ATTACHMENT_UPLOAD), attachmentController.uploadAttachments); // Upload files to a post (multipart, 'files' field)
+router.get('/', validate(attachmentSchemas.list), attachmentController.getAttachments);                                                                            // Get the files attached to a post
+router.delete('/:attachmentId', authenticate, authorize('posts:update'), validate(attachmentSchemas.remove), attachmentController.deleteAttachment);               // Delete a file attached to a post
+
+// Exporting the router so it can be mounted under each post in postRoutes.js.
+module.exports = router;
@@ -8,16 +8,52 @@ const router = express.Router();
 // - A controller manages the actual functionality of each route, such as creating, reading, updating, or deleting data.
 // - This separation keeps route definitions clean by placing the logic in a separate file (controller).
 const postController = require('../controllers/postController');
+const searchController = require('../controllers/searchController');
+const trashController = require('../controllers/trashController');
+
+// Importing the comment, revision, reaction, and attachment routes, which are nested under each post.
+const commentRoutes = require('./commentRoutes');
+const revisionRoutes = require('./revisionRoutes');
+const reactionRoutes = require('./reactionRoutes');
+const postAttachmentRoutes = require('./postAttachmentRoutes');
+
+// Importing the authenticate middleware to protect routes that modify data.
+// - Routes that use it require a valid token; the authenticated user is then available as `req.user`.
+const { authenticate } = require('../middlewares/authMiddleware');
+
+// Importing the authorize middleware to check the user's role against the permission map in config/permissions.js.
+// - It runs after `authenticate` and responds with 403 (Forbidden) when the role lacks the named permission.
+const { authorize } = require('../middlewares/roleMiddleware');
+
+// Importing the response cache middleware for the read routes.
+// - Cached responses carry ETag and Last-Modified headers, and are dropped automatically when any model they are built from changes.
+const { cacheResponse } = require('../middlewares/cacheMiddleware');
+const cachePostList = cacheResponse({ dependsOn: ['Post', 'User', 'Tag', 'PostTag', 'Comment', 'Reaction'] });
+const cachePost = cacheResponse({ dependsOn: ['Post', 'User', 'Tag', 'PostTag', 'Comment', 'Reaction', 'Attachment'] });
+
+// Importing the validate middleware and the request schemas for these routes.
+// - Requests that do not match a schema are rejected with a 422 (Unprocessable Entity) status before they reach the controller.
+const validate = require('../middlewares/validate');
+const postSchemas = require('../validators/postSchemas');
 
 // Defining the routes for post-related operations.
 // Each route specifies an HTTP method and a URL pattern, mapping to a corresponding controller function.
 // For example, when a POST request is made to '/', the createPost function in postController is called.
 
-router.post('/', postController.createPost);              // Create a new post
-router.get('/', postController.getAllPosts);              // Get all posts with pagination and status filtering
-router.get('/:id', postController.getPostById);           // Get post by ID
-router.put('/:id', postController.updatePost);            // Update post by ID
-router.delete('/:id', postController.deletePost);         // Delete post by ID
+router.post('/', authenticate, authorize('posts:create'), validate(postSchemas.create), postController.createPost);         // Create a new post for the authenticated user
+router.get('/', validate(postSchemas.list), cachePostList, postController.getAllPosts);                                     // Get posts in a status with filtering, sorting and cursor pagination
+router.get('/search', validate(postSchemas.search), searchController.searchPosts);                                          // Full-text search with ranking, highlights and facets (must come before '/:id')
+router.get('/:id', validate(postSchemas.get), cachePost, postController.getPostById);                                       // Get post by ID
+router.put('/:id', authenticate, authorize('posts:update'), validate(postSchemas.update), postController.updatePost);       // Update a post by ID (own post, or status only for editors)
+router.patch('/:id', authenticate, authorize('posts:update'), validate(postSchemas.patch), postController.patchPost);       // Apply a merge patch or JSON Patch to a post
+router.delete('/:id', authenticate, authorize('posts:delete'), validate(postSchemas.remove), postController.deletePost);    // Move a post to the trash (own post, or any post for admins)
+router.post('/:id/restore', authenticate, validate(postSchemas.restore), trashController.restore('posts'));                 // Restore a post from the trash, with its tags
+
+// Nesting the comment, revision, reaction, and attachment routes under a post, e.g. GET /posts/1/comments or GET /posts/1/attachments.
+router.use('/:postId/comments', commentRoutes);
+router.use('/:postId/revisions', revisionRoutes);
+router.use('/:postId/reactions', reactionRoutes);
+router.use('/:postId/attachments', postAttachmentRoutes);
 
 // Exporting the router to make it available for use in the main server file (index.js).
 // This export allows our application to handle requests for '/posts' and pass them to these specific routes.
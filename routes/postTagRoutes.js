@@ -9,12 +9,26 @@ const router = express.Router();
 // - By separating the logic into a controller file, we keep our routes clean and focused on defining the paths.
 const postTagController = require('../controllers/postTagController');
 
+// Importing the authenticate middleware to protect routes that modify data.
+// - Routes that use it require a valid token; the authenticated user is then available as `req.user`.
+const { authenticate } = require('../middlewares/authMiddleware');
+
+// Importing the authorize middleware to check the user's role against the permission map in config/permissions.js.
+// - It runs after `authenticate` and responds with 403 (Forbidden) when the role lacks the named permission.
+const { authorize } = require('../middlewares/roleMiddleware');
+
+// Importing the validate middleware and the request schemas for these routes.
+// - Requests that do not match a schema are rejected with a 422 (Unprocessable Entity) status before they reach the controller.
+const validate = require('../middlewares/validate');
+const postTagSchemas = require('../validators/postTagSchemas');
+
 // Defining the routes for managing the association between posts and tags.
 // Each route specifies an HTTP method, a URL pattern, and a corresponding controller function.
 // For example, when a POST request is made to '/:postId/tags', the addTagToPost function in postTagController is called.
 
-router.post('/:postId/tags', postTagController.addTagToPost);         // Add a tag to a post
-router.delete('/:postId/tags', postTagController.removeTagFromPost);  // Remove a tag from a post
+router.post('/:postId/tags', authenticate, authorize('posts:update'), validate(postTagSchemas.change), postTagController.addTagToPost);           // Add tags to own post
+router.put('/:postId/tags', authenticate, authorize('posts:update'), validate(postTagSchemas.replace), postTagController.replacePostTags);        // Replace the tags of own post
+router.delete('/:postId/tags', authenticate, authorize('posts:update'), validate(postTagSchemas.change), postTagController.removeTagFromPost);    // Remove tags from own post
 
 // Exporting the router to make it available for use in the main server file (index.js).
 // This export allows our application to handle requests for '/posts/:postId/tags' and pass them to these specific routes.
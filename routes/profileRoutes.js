@@ -8,15 +8,35 @@ const router = express.Router();
 // - The controller manages the functionality for each route, such as creating, updating, or retrieving profiles.
 // - By separating the logic into a controller, we maintain a clean separation between route definitions and business logic.
 const profileController = require('../controllers/profileController');
+const trashController = require('../controllers/trashController');
+
+// Importing the authenticate middleware to protect routes that modify data.
+// - Routes that use it require a valid token; the authenticated user is then available as `req.user`.
+const { authenticate } = require('../middlewares/authMiddleware');
+
+// Importing the validate middleware and the request schemas for these routes.
+// - Requests that do not match a schema are rejected with a 422 (Unprocessable Entity) status before they reach the controller.
+const validate = require('../middlewares/validate');
+const profileSchemas = require('../validators/profileSchemas');
+
+// Importing the upload middleware and the rules for avatars.
+// - Avatars are images sent as multipart/form-data in the 'avatar' field; other files are rejected with a 415 status.
+const upload = require('../middlewares/uploadMiddleware');
+const { AVATAR_UPLOAD } = require('../utils/uploads');
 
 // Defining routes for profile-related operations.
 // Each route specifies an HTTP method, a URL pattern, and a corresponding controller function.
 // For example, when a POST request is made to '/', the createProfile function in profileController is called.
 
-router.post('/', profileController.createProfile);             // Create a profile
-router.get('/:userId', profileController.getProfile);          // Get a profile by user ID
-router.put('/:userId', profileController.updateProfile);       // Update a profile by user ID
-router.delete('/:userId', profileController.deleteProfile);    // Delete a profile by user ID
+router.post('/', authenticate, validate(profileSchemas.create), profileController.createProfile);                                       // Create the authenticated user's profile
+router.get('/', validate(profileSchemas.list), profileController.getAllProfiles);                                                       // Get all profiles with filtering, sorting and cursor pagination
+router.get('/:userId', validate(profileSchemas.get), profileController.getProfile);                                                     // Get a profile by user ID
+router.put('/:userId', authenticate, validate(profileSchemas.update), profileController.updateProfile);                                 // Update own profile by user ID
+router.patch('/:userId', authenticate, validate(profileSchemas.patch), profileController.patchProfile);                                 // Apply a merge patch or JSON Patch to own profile
+router.delete('/:userId', authenticate, validate(profileSchemas.remove), profileController.deleteProfile);                              // Move own profile to the trash
+router.put('/:userId/avatar', authenticate, validate(profileSchemas.avatar), upload(AVATAR_UPLOAD), profileController.uploadAvatar);    // Upload or replace own avatar (multipart, 'avatar' field)
+router.delete('/:userId/avatar', authenticate, validate(profileSchemas.avatar), profileController.deleteAvatar);                        // Remove own avatar
+router.post('/:userId/restore', authenticate, validate(profileSchemas.restore), trashController.restore('profiles'));                   // Restore own profile from the trash
 
 // Exporting the router to make it available for use in the main server file (index.js).
 // This export allows our application to handle requests for '/profiles' and pass them to these specific routes.
@@ -0,0 +1,27 @@
+// Importing the express library and creating a new router instance.
+// - `mergeParams: true` lets this router read `:postId` from the parent path it is mounted on ('/posts/:postId/reactions').
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+
+// Importing the reactionController to handle the logic for each route defined below.
+const reactionController = require('../controllers/reactionController');
+
+// Importing the authentication and authorization middlewares.
+// - Reading reactions is public; reacting requires a token and the 'posts:react' permission.
+const { authenticate } = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/roleMiddleware');
+
+// Importing the validate middleware and the request schemas for these routes.
+// - Requests that do not match a schema are rejected with a 422 (Unprocessable Entity) status before they reach the controller.
+const validate = require('../middlewares/validate');
+const reactionSchemas = require('../validators/reactionSchemas');
+
+// Defining the routes for reactions to a post.
+// All paths are relative to '/posts/:postId/reactions'.
+
+router.post('/', authenticate, authorize('posts:react'), validate(reactionSchemas.create), reactionController.addReaction);          // React to a post (like, love, insightful, ...)
+router.get('/', validate(reactionSchemas.list), reactionController.getReactions);                                                    // Get the counts per type and the reactions with their users
+router.delete('/:type', authenticate, authorize('posts:react'), validate(reactionSchemas.remove), reactionController.removeReaction); // Remove own reaction of a type
+
+// Exporting the router so it can be mounted under each post in postRoutes.js.
+module.exports = router;
@@ -0,0 +1,27 @@
+// Importing the express library and creating a new router instance.
+// - `mergeParams: true` lets this router read `:postId` from the parent path it is mounted on ('/posts/:postId/revisions').
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+
+// Importing the revisionController to handle the logic for each route defined below.
+const revisionController = require('../controllers/revisionController');
+
+// Importing the authentication and authorization middlewares.
+// - Reading the history is public, like reading the post; rolling back requires the 'posts:update' permission.
+const { authenticate } = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/roleMiddleware');
+
+// Importing the validate middleware and the request schemas for these routes.
+// - Requests that do not match a schema are rejected with a 422 (Unprocessable Entity) status before they reach the controller.
+const validate = require('../middlewares/validate');
+const revisionSchemas = require('../validators/revisionSchemas');
+
+// Defining the routes for the history of a post.
+// All paths are relative to '/posts/:postId/revisions'.
+
+router.get('/', validate(revisionSchemas.list), revisionController.getRevisions);                                                                // List the revisions of a post
+router.get('/:rev', validate(revisionSchemas.get), revisionController.getRevision);                                                              // Get a revision with a diff against the current version
+router.post('/:rev/restore', authenticate, authorize('posts:update'), validate(revisionSchemas.restore), revisionController.restoreRevision);    // Roll the post back to this revision
+
+// Exporting the router so it can be mounted under each post in postRoutes.js.
+module.exports = router;
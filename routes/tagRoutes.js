@@ -8,15 +8,37 @@ const router = express.Router();
 // - The controller manages the functionality for each route, such as creating, retrieving, updating, or deleting tags.
 // - By using a controller, we keep the route definitions clean and the logic separate.
 const tagController = require('../controllers/tagController');
+const trashController = require('../controllers/trashController');
+
+// Importing the authentication and authorization middlewares.
+// - Tags are shared by every post, so only roles with the 'tags:manage' permission (admins) may change them.
+const { authenticate } = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/roleMiddleware');
+
+// Importing the response cache middleware for the read routes.
+// - Cached responses carry ETag and Last-Modified headers, and are dropped automatically when any model they are built from changes.
+// - Tag lists depend on posts too, for `?withCounts=true`.
+const { cacheResponse } = require('../middlewares/cacheMiddleware');
+const cacheTagList = cacheResponse({ dependsOn: ['Tag', 'PostTag', 'Post'] });
+const cacheTagPosts = cacheResponse({ dependsOn: ['Tag', 'PostTag', 'Post', 'User'] });
+
+// Importing the validate middleware and the request schemas for these routes.
+// - Requests that do not match a schema are rejected with a 422 (Unprocessable Entity) status before they reach the controller.
+const validate = require('../middlewares/validate');
+const tagSchemas = require('../validators/tagSchemas');
 
 // Defining routes for tag-related operations.
 // Each route specifies an HTTP method, a URL pattern, and a corresponding controller function.
 // For example, when a POST request is made to '/', the createTag function in tagController is called.
 
-router.post('/', tagController.createTag);              // Create a new tag
-router.get('/', tagController.getAllTags);              // Get all tags
-router.put('/:id', tagController.updateTag);            // Update tag by ID
-router.delete('/:id', tagController.deleteTag);         // Delete tag by ID
+router.post('/', authenticate, authorize('tags:manage'), validate(tagSchemas.create), tagController.createTag);            // Create a new tag
+router.get('/', validate(tagSchemas.list), cacheTagList, tagController.getAllTags);                                        // Get tags with filtering, sorting and cursor pagination
+router.put('/:id', authenticate, authorize('tags:manage'), validate(tagSchemas.update), tagController.updateTag);          // Update tag by ID
+router.patch('/:id', authenticate, authorize('tags:manage'), validate(tagSchemas.patch), tagController.patchTag);          // Apply a merge patch or JSON Patch to a tag
+router.get('/:slug/posts', validate(tagSchemas.posts), cacheTagPosts, tagController.getTagPosts);                          // Get the published posts of a tag by its slug
+router.post('/:id/merge', authenticate, authorize('tags:manage'), validate(tagSchemas.merge), tagController.mergeTags);    // Merge other tags into this one
+router.delete('/:id', authenticate, authorize('tags:manage'), validate(tagSchemas.remove), tagController.deleteTag);       // Move a tag to the trash
+router.post('/:id/restore', authenticate, validate(tagSchemas.restore), trashController.restore('tags'));                  // Restore a tag, re-attaching it to its posts
 
 // Exporting the router to make it available for use in the main server file (index.js).
 // This export allows our application to handle requests for '/tags' and pass them to these specific routes.
@@ -0,0 +1,25 @@
+// Importing the express library and creating a new router instance.
+// - express.Router() allows us to define the trash routes in this file.
+const express = require('express');
+const router = express.Router();
+
+// Importing the trashController, and the middlewares that check the token and the user's role.
+const trashController = require('../controllers/trashController');
+const { authenticate } = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/roleMiddleware');
+
+// Importing the validate middleware and the request schemas for these routes.
+// - Requests that do not match a schema are rejected with a 422 (Unprocessable Entity) status before they reach the controller.
+const validate = require('../middlewares/validate');
+const trashSchemas = require('../validators/trashSchemas');
+
+// Defining the routes for soft-deleted records.
+// `:resource` is one of users, posts, tags, or profiles.
+// Restoring a record is done through its own resource, e.g. POST /posts/:id/restore.
+
+router.get('/:resource', authenticate, validate(trashSchemas.list), trashController.listTrash);                                   // List deleted records (own records, or all for admins)
+router.delete('/:resource', authenticate, authorize('trash:purge'), validate(trashSchemas.purge), trashController.purgeTrash);    // Permanently delete records past the retention period
+
+// Exporting the router to make it available for use in the main server file (index.js).
+// This export allows our application to handle requests for '/trash' and pass them to these specific routes.
+module.exports = router;
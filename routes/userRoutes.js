@@ -8,16 +8,43 @@ const router = express.Router();
 // - The controller manages the functionality for each route, such as creating, retrieving, updating, or deleting users.
 // - By using a controller, we keep the route definitions clean, with the business logic in a separate file.
 const userController = require('../controllers/userController');
+const trashController = require('../controllers/trashController');
+const followController = require('../controllers/followController');
+
+// Importing the authenticate middleware to protect routes that modify data.
+// - Routes that use it require a valid token; the authenticated user is then available as `req.user`.
+const { authenticate } = require('../middlewares/authMiddleware');
+
+// Importing the authorize middleware to check the user's role against the permission map in config/permissions.js.
+// - It runs after `authenticate` and responds with 403 (Forbidden) when the role lacks the named permission.
+const { authorize } = require('../middlewares/roleMiddleware');
+
+// Importing the validate middleware and the request schemas for these routes.
+// - Requests that do not match a schema are rejected with a 422 (Unprocessable Entity) status before they reach the controller.
+const validate = require('../middlewares/validate');
+const userSchemas = require('../validators/userSchemas');
+
+// Importing the response cache middleware for the feed, which is rebuilt whenever posts, tags, or follows change, and
+// whenever comments or reactions change the counts shown with its posts.
+const { cacheResponse } = require('../middlewares/cacheMiddleware');
+const cacheFeed = cacheResponse({ dependsOn: ['Post', 'User', 'Tag', 'PostTag', 'Follow', 'Comment', 'Reaction'] });
 
 // Defining routes for user-related operations.
 // Each route specifies an HTTP method, a URL pattern, and a corresponding controller function.
 // For example, when a POST request is made to '/', the createUser function in userController is called.
 
-router.post('/', userController.createUser);           // Create a new user
-router.get('/', userController.getAllUsers);           // Get all users
-router.get('/:id', userController.getUserById);        // Get user by ID
-router.put('/:id', userController.updateUser);         // Update user by ID
-router.delete('/:id', userController.deleteUser);      // Delete user by ID
+router.post('/', authenticate, authorize('users:create'), validate(userSchemas.create), userController.createUser);                      // Create a new user (admins only)
+router.get('/', validate(userSchemas.list), userController.getAllUsers);                                                                 // Get users with filtering, sorting and cursor pagination
+router.get('/:id', validate(userSchemas.get), userController.getUserById);                                                               // Get user by ID
+router.put('/:id', authenticate, validate(userSchemas.update), userController.updateUser);                                               // Update own account by ID (any account for admins)
+router.patch('/:id', authenticate, validate(userSchemas.patch), userController.patchUser);                                               // Apply a merge patch or JSON Patch to a user
+router.delete('/:id', authenticate, validate(userSchemas.remove), userController.deleteUser);                                            // Move own account to the trash (any account for admins)
+router.post('/:id/restore', authenticate, validate(userSchemas.restore), trashController.restore('users'));                              // Restore an account with the profile and posts trashed with it
+router.post('/:id/follow', authenticate, authorize('users:follow'), validate(userSchemas.follow), followController.followUser);          // Follow a user
+router.delete('/:id/follow', authenticate, authorize('users:follow'), validate(userSchemas.unfollow), followController.unfollowUser);    // Stop following a user
+router.get('/:id/followers', validate(userSchemas.followers), followController.getFollowers);                                            // Get the users who follow a user, newest first
+router.get('/:id/following', validate(userSchemas.following), followController.getFollowing);                                            // Get the users a user follows, newest first
+router.get('/:id/feed', validate(userSchemas.feed), cacheFeed, followController.getFeed);                                                // Get the active posts of the authors a user follows, newest first
 
 // Exporting the router to make it available for use in the main server file (index.js).
 // This export allows our application to handle requests for '/users' and pass them to these specific routes.
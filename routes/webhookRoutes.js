@@ -0,0 +1,28 @@
+// Importing the express library and creating a new router instance.
+// - express.Router() allows us to define the webhook routes in this file.
+const express = require('express');
+const router = express.Router();
+
+// Importing the webhookController, and the middlewares that check the token and the user's role.
+// - Webhooks send the application's events to outside services, so only roles with 'webhooks:manage' (admins) may manage them.
+const webhookController = require('../controllers/webhookController');
+const { authenticate } = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/roleMiddleware');
+
+// Importing the validate middleware and the request schemas for these routes.
+const validate = require('../middlewares/validate');
+const webhookSchemas = require('../validators/webhookSchemas');
+
+// Defining the routes for webhooks and their delivery logs. They are only available to admins.
+
+router.post('/', authenticate, authorize('webhooks:manage'), validate(webhookSchemas.create), webhookController.createWebhook);                                      // Register a webhook (the response includes its secret)
+router.get('/', authenticate, authorize('webhooks:manage'), validate(webhookSchemas.list), webhookController.getAllWebhooks);                                        // Get webhooks with filtering, sorting and cursor pagination
+router.get('/:id', authenticate, authorize('webhooks:manage'), validate(webhookSchemas.get), webhookController.getWebhookById);                                      // Get a webhook by ID
+router.put('/:id', authenticate, authorize('webhooks:manage'), validate(webhookSchemas.update), webhookController.updateWebhook);                                    // Update a webhook's URL, events, secret or active flag
+router.delete('/:id', authenticate, authorize('webhooks:manage'), validate(webhookSchemas.remove), webhookController.deleteWebhook);                                 // Delete a webhook and its delivery log
+router.get('/:id/deliveries', authenticate, authorize('webhooks:manage'), validate(webhookSchemas.deliveries), webhookController.getDeliveries);                     // Get the delivery log of a webhook
+router.post('/:id/deliveries/:deliveryId/replay', authenticate, authorize('webhooks:manage'), validate(webhookSchemas.replay), webhookController.replayDelivery);    // Send a finished delivery again
+router.post('/:id/replay', authenticate, authorize('webhooks:manage'), validate(webhookSchemas.replayFailed), webhookController.replayFailedDeliveries);             // Send every failed delivery again
+
+// Exporting the router so it can be mounted under '/webhooks' in index.js.
+module.exports = router;
@@ -0,0 +1,23 @@
+// Importing the express library and creating a new router instance.
+// - express.Router() allows us to define the workspace routes in this file.
+const express = require('express');
+const router = express.Router();
+
+// Importing the workspaceController, and the middlewares that check the token and the user's role.
+// - Creating and listing workspaces needs 'workspaces:manage' (admins), and a request to the default workspace.
+const workspaceController = require('../controllers/workspaceController');
+const { authenticate } = require('../middlewares/authMiddleware');
+const { authorize } = require('../middlewares/roleMiddleware');
+
+// Importing the validate middleware and the request schemas for these routes.
+const validate = require('../middlewares/validate');
+const workspaceSchemas = require('../validators/workspaceSchemas');
+
+// Defining the routes for workspaces. The workspace of a request is chosen by the X-Workspace header or the subdomain.
+
+router.get('/current', workspaceController.getCurrentWorkspace);                                                                           // Get the workspace the request was sent to
+router.get('/', authenticate, authorize('workspaces:manage'), validate(workspaceSchemas.list), workspaceController.getAllWorkspaces);      // Get workspaces with filtering, sorting and cursor pagination
+router.post('/', authenticate, authorize('workspaces:manage'), validate(workspaceSchemas.create), workspaceController.createWorkspace);    // Create a workspace with its first admin
+
+// Exporting the router so it can be mounted under '/workspaces' in index.js.
+module.exports = router;
@@ -0,0 +1,41 @@
+// The 'demo' dataset: a handful of hand-written users, profiles, posts, and tags for trying out the API.
+// Records refer to each other by natural keys (a user's email, a tag's name, a post's title), never by ID,
+// so the dataset can be applied to a database that already contains data.
+
+// Every demo user shares the same password so the login endpoint can be tried out right away.
+const PASSWORD = 'password123';
+
+module.exports = {
+    description: 'Five users with profiles, eight posts in different statuses, and seven tags',
+    build: () => ({
+        // Alice is an admin, Bob an editor and Eve a reader; everyone else gets the default 'author' role.
+        users: [
+            { firstName: 'Alice', lastName: 'Johnson', email: 'alice@example.com', password: PASSWORD, role: 'admin' },
+            { firstName: 'Bob', lastName: 'Smith', email: 'bob@example.com', password: PASSWORD, role: 'editor' },
+            { firstName: 'Charlie', lastName: 'Brown', email: 'charlie@example.com', password: PASSWORD, role: 'author' },
+            { firstName: 'Diana', lastName: 'Doe', email: 'diana@example.com', password: PASSWORD, role: 'author' },
+            { firstName: 'Eve', lastName: 'Adams', email: 'eve@example.com', password: PASSWORD, role: 'reader' }
+        ],
+        // Profiles (One-to-One)
+        profiles: [
+            { email: 'alice@example.com', bio: 'Alice is a web developer' },
+            { email: 'bob@example.com', bio: 'Bob is a software engineer' },
+            { email: 'charlie@example.com', bio: 'Charlie is a data scientist' },
+            { email: 'diana@example.com', bio: 'Diana is a project manager' },
+            { email: 'eve@example.com', bio: 'Eve is a UI/UX designer' }
+        ],
+        // Tags (Many-to-Many)
+        tags: ['Technology', 'Programming', 'Lifestyle', 'Management', 'Data Science', 'Design', 'Web Development'],
+        // Posts (One-to-Many) with statuses, each with the names of its tags
+        posts: [
+            { email: 'alice@example.com', title: 'Alice’s first post', content: 'Alice discusses web development tips.', status: 'active', tags: ['Technology', 'Programming', 'Web Development'] },
+            { email: 'alice@example.com', title: 'Alice’s second post', content: 'Exploring JavaScript frameworks.', status: 'draft', tags: ['Programming', 'Web Development'] },
+            { email: 'bob@example.com', title: 'Bob’s first post', content: 'Understanding the software development life cycle.', status: 'archived', tags: ['Technology', 'Management'] },
+            { email: 'charlie@example.com', title: 'Charlie’s first post', content: 'An introduction to data science.', status: 'active', tags: ['Technology', 'Data Science'] },
+            { email: 'diana@example.com', title: 'Diana’s first post', content: 'Managing software projects effectively.', status: 'draft', tags: ['Technology', 'Management'] },
+            { email: 'eve@example.com', title: 'Eve’s first post', content: 'Designing for mobile applications.', status: 'archived', tags: ['Design', 'Lifestyle'] },
+            { email: 'bob@example.com', title: 'Bob’s second post', content: 'Version control with Git.', status: 'active', tags: ['Programming'] },
+            { email: 'alice@example.com', title: 'Alice’s third post', content: 'Introduction to CSS Grid.', status: 'active', tags: ['Web Development'] }
+        ]
+    })
+};
@@ -0,0 +1,5 @@
+// The datasets the seeder knows about, by name: `node utils/seed.js <name>`.
+module.exports = {
+    demo: require('./demo'),
+    'load-test': require('./loadTest')
+};
@@ -0,0 +1,60 @@
+// The 'load-test' dataset: thousands of generated users, posts, and tags for performance testing.
+// Everything is derived from a seeded random generator (utils/random.js), so the same options always produce
+// exactly the same records, and running the seeder twice updates them instead of adding duplicates.
+const { createRandom } = require('../utils/random');
+
+const FIRST_NAMES = ['Ada', 'Ben', 'Cleo', 'Dev', 'Elif', 'Femi', 'Gus', 'Hana', 'Ivo', 'Jun', 'Kira', 'Leo', 'Maya', 'Nils', 'Omar', 'Pia'];
+const LAST_NAMES = ['Garcia', 'Kim', 'Novak', 'Okafor', 'Patel', 'Rossi', 'Silva', 'Tanaka', 'Usman', 'Weber', 'Young', 'Zhang'];
+const WORDS = [
+    'api', 'cache', 'cloud', 'data', 'design', 'docker', 'graph', 'index', 'java', 'kernel', 'linux', 'model',
+    'node', 'query', 'react', 'rust', 'scale', 'search', 'server', 'stream', 'test', 'type', 'vector', 'web'
+];
+const STATUSES = ['active', 'active', 'active', 'draft', 'archived'];
+
+// Every generated user shares the same password, so any of them can log in during a load test.
+const PASSWORD = 'password123';
+
+// Records are dated within the year before this fixed moment, so the dates do not change between runs.
+const EPOCH = Date.parse('2024-10-01T00:00:00Z');
+const YEAR = 365 * 24 * 60 * 60 * 1000;
+
+// The default volume; each can be changed on the command line, e.g. `--users=10000`.
+const DEFAULTS = { users: 2000, posts: 10000, tags: 1000 };
+
+module.exports = {
+    description: 'Thousands of generated users, profiles, posts, and tags (options: --seed, --users, --posts, --tags)',
+    build: ({ seed = 1, users = DEFAULTS.users, posts = DEFAULTS.posts, tags = DEFAULTS.tags } = {}) => {
+        const random = createRandom(seed);
+        const sentence = (count) => Array.from({ length: count }, () => random.pick(WORDS)).join(' ');
+        const date = () => new Date(EPOCH - Math.floor(random.next() * YEAR));
+
+        // Numbered names and emails keep every record unique, whatever the random choices are.
+        const userRows = Array.from({ length: users }, (_, i) => ({
+            firstName: random.pick(FIRST_NAMES),
+            lastName: random.pick(LAST_NAMES),
+            email: `user${i + 1}@load.test`,
+            password: PASSWORD,
+            // Roughly 1 in 50 users is an editor; the rest are authors.
+            role: random.int(1, 50) === 1 ? 'editor' : 'author',
+            createdAt: date()
+        }));
+
+        const tagNames = Array.from({ length: tags }, (_, i) => `${random.pick(WORDS)}-${i + 1}`);
+
+        const postRows = Array.from({ length: posts }, (_, i) => ({
+            email: random.pick(userRows).email,
+            title: `${sentence(random.int(2, 6))} #${i + 1}`,
+            content: sentence(random.int(20, 120)),
+            status: random.pick(STATUSES),
+            tags: random.sample(tagNames, random.int(0, 4)),
+            createdAt: date()
+        }));
+
+        return {
+            users: userRows,
+            profiles: userRows.map(({ email }) => ({ email, bio: sentence(random.int(5, 15)) })),
+            tags: tagNames,
+            posts: postRows
+        };
+    }
+};
@@ -0,0 +1,94 @@
+// Route tests for authentication and ownership checks (see controllers/authController.js).
+const { app, request, useDatabase, signIn } = require('./helpers');
+
+useDatabase();
+
+describe('signup and login', () => {
+    const account = { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', password: 'password1' };
+
+    test('signup creates the user and returns a token without the password', async () => {
+        const res = await request(app).post('/auth/signup').send(account);
+
+        expect(res.status).toBe(201);
+        expect(res.body.token).toEqual(expect.any(String));
+        expect(res.body.user).toMatchObject({ email: account.email, role: 'author' });
+        expect(res.body.user).not.toHaveProperty('password');
+    });
+
+    test('signup rejects an email that is already registered', async () => {
+        const res = await request(app).post('/auth/signup').send(account);
+
+        expect(res.status).toBe(409);
+    });
+
+    test('login returns a token for the right password only', async () => {
+        const ok = await request(app).post('/auth/login').send({ email: account.email, password: account.password });
+        const wrong = await request(app).post('/auth/login').send({ email: account.email, password: 'wrong-password' });
+        const unknown = await request(app).post('/auth/login').send({ email: 'nobody@example.com', password: 'password1' });
+
+        expect(ok.status).toBe(200);
+        expect(ok.body.token).toEqual(expect.any(String));
+        expect(wrong.status).toBe(401);
+        expect(unknown.status).toBe(401);
+        expect(unknown.body.error.message).toBe(wrong.body.error.message);
+    });
+});
+
+describe('authentication', () => {
+    test('GET /auth/me returns the user of the token', async () => {
+        const { user, headers } = await signIn('reader');
+
+        const res = await request(app).get('/auth/me').set(headers);
+
+        expect(res.status).toBe(200);
+        expect(res.body.id).toBe(user.id);
+    });
+
+    test('requests without a valid token are rejected with 401', async () => {
+        const missing = await request(app).get('/auth/me');
+        const invalid = await request(app).get('/auth/me').set('Authorization', 'Bearer not-a-token');
+
+        expect(missing.status).toBe(401);
+        expect(invalid.status).toBe(401);
+    });
+
+    test('the token of a deleted user stops working', async () => {
+        const { user, headers } = await signIn('reader');
+        await user.destroy();
+
+        const res = await request(app).get('/auth/me').set(headers);
+
+        expect(res.status).toBe(401);
+    });
+});
+
+describe('ownership', () => {
+    test('authors can only change their own posts', async () => {
+        const owner = await signIn('author');
+        const other = await signIn('author');
+        const created = await request(app).post('/posts').set(owner.headers)
+            .send({ title: 'Owned post', content: 'Text', status: 'active' });
+
+        const byOther = await request(app).put(`/posts/${created.body.id}`).set(other.headers).send({ title: 'Taken over' });
+        const deleteByOther = await request(app).delete(`/posts/${created.body.id}`).set(other.headers);
+        const byOwner = await request(app).put(`/posts/${created.body.id}`).set(owner.headers).send({ title: 'Still mine' });
+
+        expect(created.status).toBe(201);
+        expect(created.body.userId).toBe(owner.user.id);
+        expect(byOther.status).toBe(403);
+        expect(deleteByOther.status).toBe(403);
+        expect(byOwner.status).toBe(200);
+        expect(byOwner.body.title).toBe('Still mine');
+    });
+
+    test('the author of a new post is the authenticated user, not a userId from the body', async () => {
+        const author = await signIn('author');
+        const other = await signIn('author');
+
+        const res = await request(app).post('/posts').set(author.headers)
+            .send({ title: 'Whose post', content: 'Text', userId: other.user.id });
+
+        // Unknown fields are rejected by the request schema, so the author cannot be chosen by the client.
+        expect(res.status).toBe(422);
+    });
+});
@@ -0,0 +1,77 @@
+// Route tests for response caching, ETags and invalidation (see middlewares/cacheMiddleware.js).
+const { app, request, useDatabase, signIn } = require('./helpers');
+const { Post } = require('../models');
+
+useDatabase();
+
+let author;
+let post;
+
+beforeAll(async () => {
+    author = await signIn('author');
+    post = (await request(app).post('/posts').set(author.headers)
+        .send({ title: 'A cached post', content: 'Text', status: 'active' })).body;
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const listedPost = res => res.body.data.find(row => row.id === post.id);
+
+test('a repeated request is answered from the cache, with an ETag and Last-Modified', async () => {
+    const first = await request(app).get('/posts');
+    const findAll = jest.spyOn(Post, 'findAll');
+    const second = await request(app).get('/posts');
+
+    expect(first.headers.etag).toEqual(expect.any(String));
+    expect(first.headers['last-modified']).toEqual(expect.any(String));
+    expect(second.headers.etag).toBe(first.headers.etag);
+    expect(second.body).toEqual(first.body);
+    expect(findAll).not.toHaveBeenCalled();
+});
+
+test('a client with a current copy gets 304 Not Modified', async () => {
+    const first = await request(app).get(`/posts/${post.id}`);
+
+    const byEtag = await request(app).get(`/posts/${post.id}`).set('If-None-Match', first.headers.etag);
+    const bySince = await request(app).get(`/posts/${post.id}`).set('If-Modified-Since', first.headers['last-modified']);
+    const stale = await request(app).get(`/posts/${post.id}`).set('If-None-Match', '"an-old-etag"');
+
+    expect(byEtag.status).toBe(304);
+    expect(byEtag.text).toBe('');
+    expect(bySince.status).toBe(304);
+    expect(stale.status).toBe(200);
+});
+
+test('changing a post drops the cached lists built from it', async () => {
+    const before = await request(app).get('/posts');
+
+    await request(app).put(`/posts/${post.id}`).set(author.headers).send({ title: 'A renamed cached post' });
+    const after = await request(app).get('/posts');
+
+    expect(listedPost(after).title).toBe('A renamed cached post');
+    expect(after.headers.etag).not.toBe(before.headers.etag);
+});
+
+test('commenting on a post updates its comment count in the cached list', async () => {
+    const before = await request(app).get('/posts');
+
+    await request(app).post(`/posts/${post.id}/comments`).set(author.headers).send({ content: 'A new comment' });
+    const after = await request(app).get('/posts');
+    const revalidated = await request(app).get('/posts').set('If-None-Match', before.headers.etag);
+
+    expect(listedPost(after).commentCount).toBe(listedPost(before).commentCount + 1);
+    expect(after.headers.etag).not.toBe(before.headers.etag);
+    expect(revalidated.status).toBe(200);
+});
+
+test('commenting on a post updates its comment count in the cached feed', async () => {
+    const follower = await signIn('author');
+    await request(app).post(`/users/${author.user.id}/follow`).set(follower.headers);
+    const feedUrl = `/users/${follower.user.id}/feed`;
+    const before = await request(app).get(feedUrl);
+
+    await request(app).post(`/posts/${post.id}/comments`).set(follower.headers).send({ content: 'A comment from the feed' });
+    const after = await request(app).get(feedUrl);
+
+    expect(listedPost(after).commentCount).toBe(listedPost(before).commentCount + 1);
+});
@@ -0,0 +1,88 @@
+// Route tests for sending webhook deliveries to a receiver (see utils/webhookDispatcher.js).
+// The receiver runs on this machine, so private addresses are allowed here; tests/webhooks.test.js covers the checks.
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+
+const http = require('http');
+const { useDatabase } = require('./helpers');
+const { Webhook, WebhookDelivery } = require('../models');
+const { attemptDelivery, sign } = require('../utils/webhookDispatcher');
+
+useDatabase();
+
+const SECRET = 'a-test-secret-of-some-length';
+
+// A receiver that records the requests it gets, and answers with `answer.status` (and `answer.headers`).
+let receiver;
+let requests;
+let answer;
+
+beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.writeHead(answer.status, answer.headers).end();
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+});
+
+beforeEach(() => {
+    requests = [];
+    answer = { status: 200, headers: {} };
+});
+
+afterAll(() => new Promise(resolve => receiver.close(resolve)));
+
+const receiverUrl = () => `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+// Create a webhook for a URL, record a delivery for it, and make its first attempt.
+const deliverTo = async (url) => {
+    const webhook = await Webhook.create({ url, secret: SECRET });
+    const delivery = await WebhookDelivery.create({
+        webhookId: webhook.id,
+        eventId: 'f0e1d2c3-b4a5-4697-8899-aabbccddeeff',
+        eventType: 'post.published',
+        payload: { type: 'post.published', data: { post: { id: 1 } } },
+        nextAttemptAt: new Date()
+    });
+    return attemptDelivery(delivery);
+};
+
+test('a delivery is sent as signed JSON, and succeeds on a 2xx answer', async () => {
+    const delivery = await deliverTo(receiverUrl());
+    const [{ headers, body }] = requests;
+
+    expect(delivery.status).toBe('succeeded');
+    expect(delivery.responseStatus).toBe(200);
+    expect(JSON.parse(body)).toEqual(delivery.payload);
+    expect(headers).toMatchObject({
+        'content-type': 'application/json',
+        'x-webhook-event': 'post.published',
+        'x-webhook-delivery': String(delivery.id),
+        'x-webhook-signature': sign(SECRET, headers['x-webhook-timestamp'], body)
+    });
+});
+
+test('a redirect is not followed, and counts as a failed attempt', async () => {
+    answer = { status: 302, headers: { Location: 'http://169.254.169.254/latest/meta-data' } };
+
+    const delivery = await deliverTo(receiverUrl());
+
+    expect(requests).toHaveLength(1);
+    expect(delivery.status).toBe('pending');
+    expect(delivery.lastError).toBe('The subscriber answered with status 302');
+});
+
+test('a refused connection is logged without the address and port', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    const delivery = await deliverTo(`http://127.0.0.1:${port}/hooks`);
+
+    expect(delivery.lastError).toBe('The connection was refused');
+    expect(delivery.log[0].error).toBe('The connection was refused');
+});
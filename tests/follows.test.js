@@ -0,0 +1,75 @@
+// Route tests for following users and the feed (see controllers/followController.js).
+const { app, request, useDatabase, signIn } = require('./helpers');
+
+useDatabase();
+
+let reader;
+let followed;
+let other;
+
+const createPost = (user, title, status = 'active') => request(app).post('/posts').set(user.headers)
+    .send({ title, content: 'Text', status });
+
+beforeAll(async () => {
+    reader = await signIn('reader');
+    followed = await signIn('author');
+    other = await signIn('author');
+    for (const title of ['First post', 'Second post', 'Third post']) {
+        await createPost(followed, title);
+    }
+    await createPost(followed, 'Unfinished post', 'draft');
+    await createPost(other, 'Not followed');
+});
+
+describe('follows', () => {
+    test('following twice keeps one follow, and nobody can follow themselves', async () => {
+        const first = await request(app).post(`/users/${followed.user.id}/follow`).set(reader.headers);
+        const again = await request(app).post(`/users/${followed.user.id}/follow`).set(reader.headers);
+        const self = await request(app).post(`/users/${reader.user.id}/follow`).set(reader.headers);
+        const followers = await request(app).get(`/users/${followed.user.id}/followers`);
+        const following = await request(app).get(`/users/${reader.user.id}/following`);
+
+        expect(first.status).toBe(201);
+        expect(again.status).toBe(200);
+        expect(again.body.id).toBe(first.body.id);
+        expect(self.status).toBe(400);
+        expect(followers.body.data.map(user => user.id)).toEqual([reader.user.id]);
+        expect(following.body.data).toEqual([expect.objectContaining({ id: followed.user.id, followedAt: expect.any(String) })]);
+    });
+});
+
+describe('GET /users/:id/feed', () => {
+    const feed = query => request(app).get(`/users/${reader.user.id}/feed`).query(query);
+
+    test('only shows the active posts of the followed authors, newest first', async () => {
+        const res = await feed({});
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.map(post => post.title)).toEqual(['Third post', 'Second post', 'First post']);
+        expect(res.body.data[0]).toMatchObject({ User: { id: followed.user.id }, commentCount: 0 });
+    });
+
+    test('pages forward and back with its cursors', async () => {
+        const first = await feed({ limit: 2 });
+        const second = await feed({ limit: 2, cursor: first.body.pageInfo.nextCursor });
+        const back = await feed({ limit: 2, cursor: second.body.pageInfo.prevCursor });
+
+        expect(first.body.data.map(post => post.title)).toEqual(['Third post', 'Second post']);
+        expect(second.body.data.map(post => post.title)).toEqual(['First post']);
+        expect(second.body.pageInfo).toMatchObject({ hasNextPage: false, hasPreviousPage: true });
+        expect(back.body.data.map(post => post.title)).toEqual(['Third post', 'Second post']);
+        expect(back.body.pageInfo).toMatchObject({ hasNextPage: true, hasPreviousPage: false });
+    });
+
+    test('shows new comments, and drops the authors no longer followed', async () => {
+        const [latest] = (await feed({})).body.data;
+
+        await request(app).post(`/posts/${latest.id}/comments`).set(reader.headers).send({ content: 'Nice' });
+        const commented = await feed({});
+        await request(app).delete(`/users/${followed.user.id}/follow`).set(reader.headers);
+        const unfollowed = await feed({});
+
+        expect(commented.body.data[0]).toMatchObject({ id: latest.id, commentCount: 1 });
+        expect(unfollowed.body.data).toEqual([]);
+    });
+});
@@ -0,0 +1,90 @@
+// Route tests for the GraphQL endpoint: nested lists, the depth limit, and mutations (see graphql/schema.js).
+const { app, request, useDatabase, signIn } = require('./helpers');
+
+useDatabase();
+
+let author;
+let reader;
+
+// Send a GraphQL request, as `user` when given.
+const graphql = (query, variables, user) => request(app).post('/graphql').set(user ? user.headers : {}).send({ query, variables });
+
+beforeAll(async () => {
+    author = await signIn('author');
+    reader = await signIn('reader');
+    for (const [title, status] of [['First', 'active'], ['Second', 'draft'], ['Third', 'active'], ['Fourth', 'active']]) {
+        await request(app).post('/posts').set(author.headers).send({ title, content: 'Text', status, tags: ['GraphQL'] });
+    }
+});
+
+describe('nested lists', () => {
+    const USER_POSTS = `query ($id: ID!, $status: PostStatus, $cursor: String) {
+        user(id: $id) { posts(status: $status, limit: 2, cursor: $cursor) { data { title status } pageInfo { hasNextPage nextCursor } } }
+    }`;
+
+    test('the posts of a user are paged, and filtered by status', async () => {
+        const first = await graphql(USER_POSTS, { id: author.user.id, status: 'active' });
+        const { nextCursor } = first.body.data.user.posts.pageInfo;
+        const second = await graphql(USER_POSTS, { id: author.user.id, status: 'active', cursor: nextCursor });
+        const drafts = await graphql(USER_POSTS, { id: author.user.id, status: 'draft' });
+
+        expect(first.body.data.user.posts.data.map(post => post.title)).toEqual(['Fourth', 'Third']);
+        expect(second.body.data.user.posts).toEqual({
+            data: [{ title: 'First', status: 'active' }],
+            pageInfo: { hasNextPage: false, nextCursor: null }
+        });
+        expect(drafts.body.data.user.posts.data).toEqual([{ title: 'Second', status: 'draft' }]);
+    });
+
+    test('the posts of a tag are its published posts, with the list parameters of the REST route', async () => {
+        const res = await graphql(`{
+            tag(slug: "graphql") { postCount posts(sort: "title", limit: 2) { data { title } pageInfo { hasNextPage } } }
+        }`);
+
+        expect(res.body.data.tag).toEqual({
+            postCount: 3,
+            posts: { data: [{ title: 'First' }, { title: 'Fourth' }], pageInfo: { hasNextPage: true } }
+        });
+    });
+
+    test('an invalid list parameter fails the field with 400', async () => {
+        const res = await graphql('query ($id: ID!) { user(id: $id) { posts(sort: "content") { data { id } } } }', { id: author.user.id });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.user).toBeNull();
+        expect(res.body.errors[0].extensions).toMatchObject({ status: 400 });
+    });
+});
+
+describe('depth limit', () => {
+    test('a query nested deeper than the limit is rejected before it runs, fragments included', async () => {
+        const res = await graphql(`
+            fragment Authors on Post { author { posts { data { author { posts { data { title } } } } } } }
+            { posts { data { ...Authors } } }
+        `);
+
+        expect(res.status).toBe(400);
+        expect(res.body.data).toBeUndefined();
+        expect(res.body.errors).toMatchObject([{ message: expect.stringContaining('9 levels deep'), extensions: { code: 'graphql_invalid' } }]);
+    });
+
+    test('a query within the limit runs', async () => {
+        const res = await graphql('{ posts(limit: 1) { data { author { posts(limit: 1) { data { title } } } } } }');
+
+        expect(res.status).toBe(200);
+        expect(res.body.errors).toBeUndefined();
+    });
+});
+
+describe('mutations', () => {
+    test('run with the permissions of the REST route', async () => {
+        const mutation = 'mutation { createPost(input: { title: "Over GraphQL", content: "Text" }) { title author { id } } }';
+
+        const created = await graphql(mutation, {}, author);
+        const forbidden = await graphql(mutation, {}, reader);
+
+        expect(created.body.data.createPost).toEqual({ title: 'Over GraphQL', author: { id: String(author.user.id) } });
+        expect(forbidden.body.data).toBeNull();
+        expect(forbidden.body.errors[0].extensions).toMatchObject({ code: 'forbidden', status: 403 });
+    });
+});
@@ -0,0 +1,46 @@
+// Helpers shared by the route tests.
+// The tests send requests to the Express app with supertest, without opening a port, against an in-memory database.
+const request = require('supertest');
+const { app, prepareDatabase } = require('../index');
+const { sequelize, User, Workspace } = require('../models');
+const { runInWorkspace } = require('../utils/workspaces');
+const { getOpenApiDocument } = require('../utils/openapi');
+const { checkSchema } = require('../utils/jsonSchema');
+
+// Build the database schema before the tests of a file, and close the connection after them.
+const useDatabase = () => {
+    beforeAll(() => prepareDatabase());
+    afterAll(() => sequelize.close());
+};
+
+// Create a user with the given role and log them in.
+// - `workspace` is the slug of the workspace to create the user in; the default workspace is used without it.
+// - Returns the user, their token, and `headers` to send with their requests (the token and the workspace).
+let userCount = 0;
+const signIn = async (role = 'author', { workspace, ...fields } = {}) => {
+    userCount += 1;
+    const email = `${role}${userCount}@example.com`;
+    const attributes = { firstName: 'Test', lastName: `User${userCount}`, email, password: 'password1', role, ...fields };
+
+    let user;
+    if (workspace) {
+        const { id } = await Workspace.findOne({ where: { slug: workspace } });
+        user = await runInWorkspace(id, () => User.create(attributes));
+    } else {
+        user = await User.create(attributes);
+    }
+
+    const workspaceHeader = workspace ? { 'X-Workspace': workspace } : {};
+    const res = await request(app).post('/auth/login').set(workspaceHeader).send({ email, password: 'password1' });
+    return { user, token: res.body.token, headers: { Authorization: `Bearer ${res.body.token}`, ...workspaceHeader } };
+};
+
+// Check a response body against the schema the OpenAPI document gives for its route and status.
+// - Returns the problems found, as text, so `expect(contractProblems(res, 'GET', '/posts')).toEqual([])` shows them all.
+const contractProblems = (res, method, route) => {
+    const document = getOpenApiDocument(app);
+    const { schema } = document.paths[route][method.toLowerCase()].responses[res.status].content['application/json'];
+    return checkSchema(res.body, schema, document).map(({ path, message }) => `${path} ${message}`);
+};
+
+module.exports = { app, request, useDatabase, signIn, contractProblems };
@@ -0,0 +1,78 @@
+// Route tests for optimistic concurrency with version ETags and If-Match (see utils/versioning.js).
+const { app, request, useDatabase, signIn } = require('./helpers');
+const { Post } = require('../models');
+
+useDatabase();
+
+let author;
+
+beforeAll(async () => {
+    author = await signIn('author');
+});
+
+const createPost = async () => {
+    const res = await request(app).post('/posts').set(author.headers)
+        .send({ title: 'A post edited twice', content: 'Text', status: 'active' });
+    expect(res.status).toBe(201);
+    return res;
+};
+
+test('single records carry an ETag with their version', async () => {
+    const created = await createPost();
+
+    const read = await request(app).get(`/posts/${created.body.id}`);
+
+    expect(created.headers.etag).toMatch(/^"v0-[\w-]+"$/);
+    expect(read.headers.etag).toMatch(/^"v0-[\w-]+"$/);
+});
+
+test('a save with the current ETag goes through and returns the next version', async () => {
+    const created = await createPost();
+
+    const res = await request(app).put(`/posts/${created.body.id}`).set(author.headers)
+        .set('If-Match', created.headers.etag).send({ title: 'Saved with If-Match' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.version).toBe(1);
+    expect(res.headers.etag).toMatch(/^"v1-/);
+});
+
+test('a save with an outdated ETag fails with 412 and the current record', async () => {
+    const created = await createPost();
+    await request(app).put(`/posts/${created.body.id}`).set(author.headers)
+        .set('If-Match', created.headers.etag).send({ title: 'Saved by the first editor' });
+
+    const res = await request(app).put(`/posts/${created.body.id}`).set(author.headers)
+        .set('If-Match', created.headers.etag).send({ title: 'Saved by the second editor' });
+
+    expect(res.status).toBe(412);
+    expect(res.body.error.details).toMatchObject({ currentVersion: 1, current: { title: 'Saved by the first editor' } });
+    expect(res.headers.etag).toMatch(/^"v1-/);
+    expect((await Post.findByPk(created.body.id)).title).toBe('Saved by the first editor');
+});
+
+test('PATCH and DELETE check If-Match too; only the version part is compared', async () => {
+    const created = await createPost();
+    const { id } = created.body;
+
+    const patch = await request(app).patch(`/posts/${id}`).set(author.headers).set('If-Match', '"v5"')
+        .set('Content-Type', 'application/merge-patch+json').send({ title: 'Patched too late' });
+    const remove = await request(app).delete(`/posts/${id}`).set(author.headers).set('If-Match', '"v5"');
+    const removeCurrent = await request(app).delete(`/posts/${id}`).set(author.headers).set('If-Match', '"v0"');
+
+    expect(patch.status).toBe(412);
+    expect(remove.status).toBe(412);
+    expect(removeCurrent.status).toBe(204);
+});
+
+test('If-Match: * matches any version, and saves without If-Match are not checked', async () => {
+    const created = await createPost();
+    const { id } = created.body;
+
+    const any = await request(app).put(`/posts/${id}`).set(author.headers).set('If-Match', '*').send({ content: 'Any version' });
+    const unchecked = await request(app).put(`/posts/${id}`).set(author.headers).send({ content: 'No If-Match' });
+
+    expect(any.status).toBe(200);
+    expect(unchecked.status).toBe(200);
+    expect(unchecked.body.version).toBe(2);
+});
@@ -0,0 +1,148 @@
+// Route tests for filtering, sorting and cursor pagination on the list endpoints (see utils/listQuery.js).
+const { app, request, useDatabase, signIn, contractProblems } = require('./helpers');
+
+useDatabase();
+
+let admin;
+let author;
+
+beforeAll(async () => {
+    admin = await signIn('admin');
+    author = await signIn('author');
+});
+
+// Follow `pageInfo.nextCursor` until the last page, collecting what `pick` returns for each row.
+const readAllPages = async (url, headers, pick = row => row.id) => {
+    const rows = [];
+    let cursor = null;
+    do {
+        const res = await request(app).get(url).set(headers).query({ limit: 2, ...(cursor && { cursor }) });
+        expect(res.status).toBe(200);
+        rows.push(...res.body.data.map(pick));
+        cursor = res.body.pageInfo.nextCursor;
+    } while (cursor);
+    return rows;
+};
+
+describe('GET /posts', () => {
+    beforeAll(async () => {
+        for (const title of ['Alpha post', 'Bravo post', 'Charlie post']) {
+            await request(app).post('/posts').set(author.headers).send({ title, content: 'Text', status: 'active' });
+        }
+    });
+
+    test('filters and sorts on the allowed fields, and pages with cursors', async () => {
+        const titles = await readAllPages('/posts?sort=title', {}, post => post.title);
+        const filtered = await request(app).get('/posts').query({ 'filter[title][contains]': 'Bravo' });
+
+        expect(titles).toEqual(['Alpha post', 'Bravo post', 'Charlie post']);
+        expect(filtered.body.data.map(post => post.title)).toEqual(['Bravo post']);
+    });
+
+    test('rejects fields that are not in the allowlists with 400', async () => {
+        const filter = await request(app).get('/posts').query({ 'filter[content]': 'Text' });
+        const sort = await request(app).get('/posts').query({ sort: 'content' });
+
+        expect(filter.status).toBe(400);
+        expect(sort.status).toBe(400);
+    });
+
+    test('rejects cursors that are not cursor objects with 400', async () => {
+        const encode = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+        const nullCursor = await request(app).get('/posts').query({ cursor: encode(null) });
+        const shortCursor = await request(app).get('/posts').query({ cursor: encode({ v: [], d: 'next', s: '-createdAt,id' }) });
+
+        expect(nullCursor.status).toBe(400);
+        expect(nullCursor.body.error.message).toBe('Invalid cursor');
+        expect(shortCursor.status).toBe(400);
+    });
+
+    test('rejects nested filter values with 400, and accepts a list for in', async () => {
+        const nested = await request(app).get('/posts?filter[title][eq][x]=1');
+        const list = await request(app).get('/posts?filter[title][in][]=Alpha%20post&filter[title][in][]=Charlie%20post&sort=title');
+
+        expect(nested.status).toBe(400);
+        expect(list.body.data.map(post => post.title)).toEqual(['Alpha post', 'Charlie post']);
+    });
+});
+
+describe('GET /posts/:postId/comments', () => {
+    let post;
+
+    beforeAll(async () => {
+        post = (await request(app).post('/posts').set(author.headers)
+            .send({ title: 'A discussed post', content: 'Text', status: 'active' })).body;
+        for (const content of ['First', 'Second', 'Third']) {
+            const comment = await request(app).post(`/posts/${post.id}/comments`).set(author.headers).send({ content });
+            await request(app).post(`/posts/${post.id}/comments`).set(admin.headers)
+                .send({ content: `Reply to ${content}`, parentId: comment.body.id });
+        }
+    });
+
+    test('pages through the threads, each with its replies', async () => {
+        const threads = await readAllPages(`/posts/${post.id}/comments`, {}, comment => [comment.content, comment.replies.map(reply => reply.content)]);
+
+        expect(threads).toEqual([
+            ['First', ['Reply to First']],
+            ['Second', ['Reply to Second']],
+            ['Third', ['Reply to Third']]
+        ]);
+    });
+
+    test('returns the documented list shape, as a tree or a flat list', async () => {
+        const tree = await request(app).get(`/posts/${post.id}/comments`).query({ limit: 1 });
+        const flat = await request(app).get(`/posts/${post.id}/comments`).query({ limit: 1, format: 'flat', sort: '-createdAt' });
+
+        expect(contractProblems(tree, 'GET', '/posts/{postId}/comments')).toEqual([]);
+        expect(tree.body.pageInfo).toMatchObject({ limit: 1, hasNextPage: true, hasPreviousPage: false });
+        expect(flat.body.data.map(comment => [comment.content, comment.depth])).toEqual([['Third', 0], ['Reply to Third', 1]]);
+    });
+
+    test('filters the top-level comments on the allowed fields only', async () => {
+        const byAdmin = await request(app).get(`/posts/${post.id}/comments`).query({ 'filter[userId]': admin.user.id });
+        const byContent = await request(app).get(`/posts/${post.id}/comments`).query({ 'filter[content]': 'First' });
+
+        expect(byAdmin.body.data).toEqual([]);
+        expect(byContent.status).toBe(400);
+    });
+});
+
+describe('GET /trash/:resource', () => {
+    beforeAll(async () => {
+        for (const title of ['Trashed one', 'Trashed two', 'Trashed three']) {
+            const created = await request(app).post('/posts').set(author.headers).send({ title, content: 'Text' });
+            await request(app).delete(`/posts/${created.body.id}`).set(author.headers);
+        }
+    });
+
+    test('pages through the deleted records, most recently deleted first', async () => {
+        const titles = await readAllPages('/trash/posts', author.headers, record => record.title);
+
+        expect(titles).toEqual(['Trashed three', 'Trashed two', 'Trashed one']);
+    });
+
+    test('returns the documented shape with the retention period', async () => {
+        const res = await request(app).get('/trash/posts').set(author.headers).query({ 'filter[title]': 'Trashed two' });
+
+        expect(contractProblems(res, 'GET', '/trash/{resource}')).toEqual([]);
+        expect(res.body.retentionDays).toBe(30);
+        expect(res.body.data.map(record => record.title)).toEqual(['Trashed two']);
+    });
+
+    test('only lists the records of the user, unless they may view any trash', async () => {
+        const other = await signIn('author');
+
+        const own = await request(app).get('/trash/posts').set(other.headers);
+        const all = await request(app).get('/trash/posts').set(admin.headers);
+
+        expect(own.body.data).toEqual([]);
+        expect(all.body.data).toHaveLength(3);
+    });
+
+    test.each(['users', 'tags', 'profiles'])('lists the %s trash in the same shape', async (resource) => {
+        const res = await request(app).get(`/trash/${resource}`).set(admin.headers).query({ sort: 'id' });
+
+        expect(res.status).toBe(200);
+        expect(contractProblems(res, 'GET', '/trash/{resource}')).toEqual([]);
+    });
+});
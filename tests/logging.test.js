@@ -0,0 +1,60 @@
+// Route tests for request IDs, access logs and SQL query logs (see utils/logger.js).
+// Logs are written for these tests, with every query, and read back from the standard output. The settings are read
+// when utils/logger.js and config/database.js load.
+process.env.LOG_LEVEL = 'info';
+process.env.DB_LOGGING = 'true';
+
+const { app, request, useDatabase } = require('./helpers');
+const { logQuery } = require('../utils/logger');
+
+// Capture the standard output from before the database is built, so the test report only shows the tests.
+let output;
+beforeAll(() => {
+    output = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+});
+afterAll(() => output.mockRestore());
+
+useDatabase();
+
+beforeEach(() => output.mockClear());
+
+// The log lines written so far, parsed; the access log is written when the response ends, so wait for the next turn first.
+const logLines = async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    return output.mock.calls.map(([line]) => JSON.parse(line));
+};
+
+describe('request IDs', () => {
+    test('a valid X-Request-Id is sent back, and any other gets replaced', async () => {
+        const given = await request(app).get('/tags').set('X-Request-Id', 'client-42');
+        const invalid = await request(app).get('/tags').set('X-Request-Id', 'not valid!');
+        const missing = await request(app).get('/tags');
+
+        expect(given.headers['x-request-id']).toBe('client-42');
+        expect(invalid.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+        expect(missing.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+        expect(missing.headers['x-request-id']).not.toBe(invalid.headers['x-request-id']);
+    });
+
+    test('the access log and the queries of a request carry its ID', async () => {
+        await request(app).get('/posts/999999').set('X-Request-Id', 'trace-me');
+
+        const lines = (await logLines()).filter(line => line.requestId === 'trace-me');
+        const access = lines.find(line => line.msg === 'Request completed');
+
+        expect(access).toMatchObject({ level: 'warn', method: 'GET', url: '/posts/999999', status: 404, workspaceId: 1 });
+        expect(access.durationMs).toEqual(expect.any(Number));
+        expect(lines.some(line => line.msg === 'Query' && line.sql.startsWith('SELECT'))).toBe(true);
+    });
+});
+
+describe('SQL queries', () => {
+    test('slow queries are logged as warnings, without the Sequelize prefix', async () => {
+        logQuery('Executed (default): SELECT 1', 750, { logAll: false, slowQueryMs: 500 });
+        logQuery('Executed (default): SELECT 2', 20, { logAll: false, slowQueryMs: 500 });
+
+        expect(await logLines()).toEqual([
+            expect.objectContaining({ level: 'warn', msg: 'Slow query', sql: 'SELECT 1', durationMs: 750, thresholdMs: 500 })
+        ]);
+    });
+});
@@ -0,0 +1,68 @@
+// Route tests for the post status workflow and scheduled publishing (see models/post.js and utils/scheduler.js).
+const { app, request, useDatabase, signIn } = require('./helpers');
+const { Post } = require('../models');
+const { publishDuePosts } = require('../utils/scheduler');
+
+useDatabase();
+
+let author;
+
+beforeAll(async () => {
+    author = await signIn('author');
+});
+
+const createPost = async (fields = {}) => {
+    const res = await request(app).post('/posts').set(author.headers)
+        .send({ title: 'A post with a status', content: 'Text', status: 'draft', ...fields });
+    expect(res.status).toBe(201);
+    return res.body;
+};
+
+const changeStatus = (post, status) => request(app).put(`/posts/${post.id}`).set(author.headers).send({ status });
+
+test('publishing and archiving a post stamps the time of each step', async () => {
+    const post = await createPost();
+
+    const published = await changeStatus(post, 'active');
+    const archived = await changeStatus(post, 'archived');
+
+    expect(published.status).toBe(200);
+    expect(published.body.publishedAt).toEqual(expect.any(String));
+    expect(archived.status).toBe(200);
+    expect(archived.body.archivedAt).toEqual(expect.any(String));
+});
+
+test('a change outside the workflow is rejected with 409 and the allowed statuses', async () => {
+    const post = await createPost({ status: 'archived' });
+
+    const res = await changeStatus(post, 'active');
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.details).toEqual({ from: 'archived', to: 'active', allowed: ['draft'] });
+    expect((await Post.findByPk(post.id)).status).toBe('archived');
+});
+
+test('an archived post can be published again through draft', async () => {
+    const post = await createPost({ status: 'archived' });
+
+    const draft = await changeStatus(post, 'draft');
+    const published = await changeStatus(post, 'active');
+
+    expect(draft.status).toBe(200);
+    expect(published.status).toBe(200);
+    expect(published.body.status).toBe('active');
+});
+
+test('the scheduler publishes drafts whose publishAt time has passed, and only those', async () => {
+    const due = await createPost({ publishAt: new Date(Date.now() + 60 * 1000).toISOString() });
+    const later = await createPost({ publishAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+    // Move the first schedule into the past, as if its time had come.
+    await Post.update({ publishAt: new Date(Date.now() - 1000) }, { where: { id: due.id } });
+
+    await publishDuePosts();
+
+    const dueRes = await request(app).get(`/posts/${due.id}`);
+    expect(dueRes.status).toBe(200);
+    expect(dueRes.body.status).toBe('active');
+    expect((await Post.findByPk(later.id)).status).toBe('draft');
+});
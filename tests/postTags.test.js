@@ -0,0 +1,73 @@
+// Route tests for adding, removing and replacing the tags of a post under /post-tags (see controllers/postTagController.js).
+const { app, request, useDatabase, signIn } = require('./helpers');
+const { Post, Tag } = require('../models');
+
+useDatabase();
+
+let admin;
+let author;
+let post;
+let tags;
+
+const names = list => list.map(tag => tag.name).sort();
+
+const tagNamesOf = async postId => names(await (await Post.findByPk(postId)).getTags());
+
+beforeAll(async () => {
+    admin = await signIn('admin');
+    author = await signIn('author');
+    tags = {};
+    for (const name of ['JavaScript', 'Node.js', 'SQL']) {
+        tags[name] = (await request(app).post('/tags').set(admin.headers).send({ name })).body;
+    }
+    post = (await request(app).post('/posts').set(author.headers)
+        .send({ title: 'Tagged in bulk', content: 'Text', tags: ['JavaScript'] })).body;
+});
+
+const changeTags = (method, body, user = author) => request(app)[method](`/post-tags/${post.id}/tags`).set(user.headers).send(body);
+
+test('adding reports the tags added and the ones the post already had, and creates new names', async () => {
+    const res = await changeTags('post', { tags: [tags['JavaScript'].id, tags['Node.js'].id, 'Sequelize'] });
+
+    expect(res.status).toBe(200);
+    expect(names(res.body.added)).toEqual(['Node.js', 'Sequelize']);
+    expect(names(res.body.unchanged)).toEqual(['JavaScript']);
+    expect(res.body.removed).toEqual([]);
+    expect(await tagNamesOf(post.id)).toEqual(['JavaScript', 'Node.js', 'Sequelize']);
+});
+
+test('removing reports the tags removed and the ones the post keeps', async () => {
+    const res = await changeTags('delete', { tags: ['Sequelize'] });
+
+    expect(names(res.body.removed)).toEqual(['Sequelize']);
+    expect(names(res.body.unchanged)).toEqual(['JavaScript', 'Node.js']);
+    expect(await Tag.count({ where: { name: 'Sequelize' } })).toBe(1);
+});
+
+test('replacing reports all three lists', async () => {
+    const res = await changeTags('put', { tags: ['Node.js', tags['SQL'].id] });
+
+    expect(names(res.body.added)).toEqual(['SQL']);
+    expect(names(res.body.removed)).toEqual(['JavaScript']);
+    expect(names(res.body.unchanged)).toEqual(['Node.js']);
+    expect(await tagNamesOf(post.id)).toEqual(['Node.js', 'SQL']);
+});
+
+test('an unknown tag ID changes nothing, not even the new names of the same request', async () => {
+    const res = await changeTags('put', { tags: ['Brand new tag', 999999] });
+
+    expect(res.status).toBe(404);
+    expect(await tagNamesOf(post.id)).toEqual(['Node.js', 'SQL']);
+    expect(await Tag.count({ where: { name: 'Brand new tag' } })).toBe(0);
+});
+
+test('only the author, or a role that may update any post, changes the tags', async () => {
+    const other = await signIn('author');
+
+    const forbidden = await changeTags('post', { tags: ['Elsewhere'] }, other);
+    const byAdmin = await changeTags('post', { tags: [tags['JavaScript'].id] }, admin);
+
+    expect(forbidden.status).toBe(403);
+    expect(byAdmin.status).toBe(200);
+    expect(await tagNamesOf(post.id)).toEqual(['JavaScript', 'Node.js', 'SQL']);
+});
@@ -0,0 +1,38 @@
+// Route tests for profiles: one profile per user, including profiles in the trash (see controllers/profileController.js).
+const { app, request, useDatabase, signIn } = require('./helpers');
+const { Profile } = require('../models');
+
+useDatabase();
+
+test('a user can create one profile only', async () => {
+    const { user, headers } = await signIn('reader');
+
+    const first = await request(app).post('/profiles').set(headers).send({ bio: 'First profile' });
+    const second = await request(app).post('/profiles').set(headers).send({ bio: 'Second profile' });
+
+    expect(first.status).toBe(201);
+    expect(first.body.userId).toBe(user.id);
+    expect(second.status).toBe(409);
+    expect(second.body.error.details).toEqual({ userId: user.id, deleted: false });
+});
+
+test('a profile in the trash must be restored rather than created again', async () => {
+    const { user, headers } = await signIn('reader');
+    await request(app).post('/profiles').set(headers).send({ bio: 'Trashed profile' });
+    await request(app).delete(`/profiles/${user.id}`).set(headers);
+
+    const again = await request(app).post('/profiles').set(headers).send({ bio: 'New profile' });
+    const restored = await request(app).post(`/profiles/${user.id}/restore`).set(headers);
+
+    expect(again.status).toBe(409);
+    expect(again.body.error.details).toEqual({ userId: user.id, deleted: true });
+    expect(restored.status).toBe(200);
+    expect(restored.body.bio).toBe('Trashed profile');
+});
+
+test('the database rejects a second profile for the same user', async () => {
+    const { user } = await signIn('reader');
+    await Profile.create({ userId: user.id, bio: 'First profile' });
+
+    await expect(Profile.create({ userId: user.id, bio: 'Second profile' })).rejects.toThrow('This user already has a profile');
+});
@@ -0,0 +1,87 @@
+// Route tests for role-based access control (see config/permissions.js).
+const { app, request, useDatabase, signIn } = require('./helpers');
+
+useDatabase();
+
+let admin;
+let editor;
+let author;
+let reader;
+
+beforeAll(async () => {
+    admin = await signIn('admin');
+    editor = await signIn('editor');
+    author = await signIn('author');
+    reader = await signIn('reader');
+});
+
+const createPost = async ({ headers }, fields = {}) => {
+    const res = await request(app).post('/posts').set(headers)
+        .send({ title: 'A post to check roles', content: 'Text', status: 'draft', ...fields });
+    expect(res.status).toBe(201);
+    return res.body;
+};
+
+test('a role without the permission gets 403 with the missing permission', async () => {
+    const res = await request(app).post('/posts').set(reader.headers)
+        .send({ title: 'Not allowed', content: 'Text' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.details).toEqual({ role: 'reader', permission: 'posts:create' });
+});
+
+test('only admins manage tags', async () => {
+    const byAuthor = await request(app).post('/tags').set(author.headers).send({ name: 'Authors' });
+    const byAdmin = await request(app).post('/tags').set(admin.headers).send({ name: 'Admins' });
+
+    expect(byAuthor.status).toBe(403);
+    expect(byAdmin.status).toBe(201);
+});
+
+test('editors may change the status of any post, but nothing else', async () => {
+    const post = await createPost(author);
+
+    const content = await request(app).put(`/posts/${post.id}`).set(editor.headers).send({ content: 'Edited' });
+    const status = await request(app).put(`/posts/${post.id}`).set(editor.headers).send({ status: 'active' });
+
+    expect(content.status).toBe(403);
+    expect(status.status).toBe(200);
+    expect(status.body.status).toBe('active');
+});
+
+test('authors may not change the status of someone else\'s post', async () => {
+    const post = await createPost(editor);
+
+    const res = await request(app).put(`/posts/${post.id}`).set(author.headers).send({ status: 'active' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.details.permission).toBe('posts:status:any');
+});
+
+test('admins may change and delete any post', async () => {
+    const post = await createPost(author);
+
+    const update = await request(app).put(`/posts/${post.id}`).set(admin.headers).send({ title: 'Changed by the admin' });
+    const remove = await request(app).delete(`/posts/${post.id}`).set(admin.headers);
+
+    expect(update.status).toBe(200);
+    expect(remove.status).toBe(204);
+});
+
+test('users cannot change their own role', async () => {
+    const own = await request(app).put(`/users/${author.user.id}`).set(author.headers).send({ role: 'admin' });
+    const byAdmin = await request(app).put(`/users/${author.user.id}`).set(admin.headers).send({ role: 'editor' });
+
+    expect(own.status).toBe(403);
+    expect(own.body.error.details.permission).toBe('users:role');
+    expect(byAdmin.status).toBe(200);
+    expect(byAdmin.body.role).toBe('editor');
+});
+
+test('only admins see operational endpoints', async () => {
+    const byEditor = await request(app).get('/admin/migrations').set(editor.headers);
+    const byAdmin = await request(app).get('/admin/migrations').set(admin.headers);
+
+    expect(byEditor.status).toBe(403);
+    expect(byAdmin.status).toBe(200);
+});
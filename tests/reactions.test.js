@@ -0,0 +1,74 @@
+// Route tests for post reactions, their counts, and the popular sort (see controllers/reactionController.js).
+const { app, request, useDatabase, signIn } = require('./helpers');
+
+useDatabase();
+
+let author;
+let readers;
+
+const createPost = async title => (await request(app).post('/posts').set(author.headers)
+    .send({ title, content: 'Text', status: 'active' })).body;
+
+const react = (post, user, type) => request(app).post(`/posts/${post.id}/reactions`).set(user.headers).send({ type });
+
+beforeAll(async () => {
+    author = await signIn('author');
+    readers = [await signIn('reader'), await signIn('reader')];
+});
+
+describe('reactions', () => {
+    let post;
+
+    beforeAll(async () => {
+        post = await createPost('A post to react to');
+    });
+
+    test('a user reacts once per type', async () => {
+        const first = await react(post, readers[0], 'like');
+        const again = await react(post, readers[0], 'like');
+        const love = await react(post, readers[0], 'love');
+        await react(post, readers[1], 'like');
+        const res = await request(app).get(`/posts/${post.id}/reactions`);
+
+        expect([first.status, again.status, love.status]).toEqual([201, 200, 201]);
+        expect(again.body.id).toBe(first.body.id);
+        expect(res.body.counts).toEqual({ like: 2, love: 1, insightful: 0, celebrate: 0, funny: 0 });
+        expect(res.body.data).toHaveLength(3);
+        expect(res.body.data[0].User).toEqual({ id: readers[1].user.id, firstName: 'Test', lastName: expect.any(String) });
+    });
+
+    test('removing a reaction updates the counts, and removing it again changes nothing', async () => {
+        const removed = await request(app).delete(`/posts/${post.id}/reactions/love`).set(readers[0].headers);
+        const again = await request(app).delete(`/posts/${post.id}/reactions/love`).set(readers[0].headers);
+        const res = await request(app).get(`/posts/${post.id}`);
+
+        expect([removed.status, again.status]).toEqual([204, 204]);
+        expect(res.body.reactionCounts).toMatchObject({ like: 2, love: 0 });
+    });
+
+    test('unknown types and anonymous users are rejected', async () => {
+        const unknown = await react(post, readers[0], 'angry');
+        const anonymous = await request(app).post(`/posts/${post.id}/reactions`).send({ type: 'like' });
+
+        expect(unknown.status).toBe(422);
+        expect(anonymous.status).toBe(401);
+    });
+});
+
+describe('GET /posts', () => {
+    test('shows the counts per type, and sorts by reactions with sort=popular', async () => {
+        const quiet = await createPost('Nobody reacted');
+        const liked = await createPost('Liked by everyone');
+        const loved = await createPost('Loved by one reader');
+        for (const reader of readers) {
+            await react(liked, reader, 'like');
+        }
+        await react(loved, readers[0], 'love');
+
+        const res = await request(app).get('/posts')
+            .query({ sort: 'popular', 'filter[title][in]': 'Nobody reacted,Liked by everyone,Loved by one reader' });
+
+        expect(res.body.data.map(post => [post.id, post.reactionCount])).toEqual([[liked.id, 2], [loved.id, 1], [quiet.id, 0]]);
+        expect(res.body.data[0].reactionCounts).toEqual({ like: 2, love: 0, insightful: 0, celebrate: 0, funny: 0 });
+    });
+});
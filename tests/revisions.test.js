@@ -0,0 +1,63 @@
+// Route tests for the post revision history (see models/postRevision.js and controllers/revisionController.js).
+const { app, request, useDatabase, signIn } = require('./helpers');
+const { Post, PostRevision } = require('../models');
+
+useDatabase();
+
+let author;
+
+beforeAll(async () => {
+    author = await signIn('author');
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const createPost = async () => {
+    const res = await request(app).post('/posts').set(author.headers)
+        .send({ title: 'First title', content: 'First content', status: 'draft' });
+    expect(res.status).toBe(201);
+    return res.body;
+};
+
+test('every update of a tracked field is recorded as a revision', async () => {
+    const post = await createPost();
+
+    await request(app).put(`/posts/${post.id}`).set(author.headers).send({ content: 'Second content' });
+    await request(app).patch(`/posts/${post.id}`).set(author.headers)
+        .set('Content-Type', 'application/merge-patch+json').send({ title: 'Second title' });
+    const res = await request(app).get(`/posts/${post.id}/revisions`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map(revision => [revision.revision, revision.changedFields])).toEqual([
+        [3, ['title']],
+        [2, ['content']],
+        [1, ['title', 'content', 'status']]
+    ]);
+});
+
+test('rolling back restores the old fields and is recorded as a new revision', async () => {
+    const post = await createPost();
+    await request(app).put(`/posts/${post.id}`).set(author.headers).send({ title: 'Changed title' });
+
+    const res = await request(app).post(`/posts/${post.id}/revisions/1/restore`).set(author.headers);
+    const revisions = await request(app).get(`/posts/${post.id}/revisions`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.title).toBe('First title');
+    expect(revisions.body[0]).toMatchObject({ revision: 3, restoredFrom: 1 });
+});
+
+test.each([
+    ['PUT', req => req.put, 'application/json'],
+    ['PATCH', req => req.patch, 'application/merge-patch+json']
+])('%s saves the post and its revision together, or not at all', async (method, route, type) => {
+    const post = await createPost();
+    jest.spyOn(PostRevision, 'record').mockRejectedValueOnce(new Error('The revision could not be saved'));
+
+    const res = await route(request(app))(`/posts/${post.id}`).set(author.headers)
+        .set('Content-Type', type).send({ title: 'Never saved' });
+
+    expect(res.status).toBe(500);
+    expect((await Post.findByPk(post.id)).title).toBe('First title');
+    expect(await PostRevision.count({ where: { postId: post.id } })).toBe(1);
+});
@@ -0,0 +1,38 @@
+// Route tests for full-text search and its highlights (see utils/postSearch.js).
+const { app, request, useDatabase, signIn } = require('./helpers');
+
+useDatabase();
+
+let author;
+
+beforeAll(async () => {
+    author = await signIn('author');
+});
+
+const createPost = fields => request(app).post('/posts').set(author.headers).send({ status: 'active', ...fields });
+
+const search = q => request(app).get('/posts/search').query({ q });
+
+test('matching posts are ranked, with title matches first', async () => {
+    const inContent = (await createPost({ title: 'A quiet morning', content: 'Notes about gardening and compost' })).body;
+    const inTitle = (await createPost({ title: 'Gardening for beginners', content: 'Start small' })).body;
+
+    const res = await search('gardening');
+
+    expect(res.status).toBe(200);
+    expect(res.body.results.map(result => result.post.id)).toEqual([inTitle.id, inContent.id]);
+    expect(res.body.results[0].highlights.title).toBe('<mark>Gardening</mark> for beginners');
+});
+
+test('the text of a post is HTML-escaped in highlights, so only the markers are markup', async () => {
+    await createPost({
+        title: 'Hello <img src=x onerror=alert(1)>',
+        content: 'Say "hello" & <script>alert(\'lt\')</script>'
+    });
+
+    const res = await search('hello lt');
+    const [{ highlights }] = res.body.results;
+
+    expect(highlights.title).toBe('<mark>Hello</mark> &lt;img src=x onerror=alert(1)&gt;');
+    expect(highlights.content).toBe('Say &quot;<mark>hello</mark>&quot; &amp; &lt;script&gt;alert(&#39;<mark>lt</mark>&#39;)&lt;/script&gt;');
+});
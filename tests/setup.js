@@ -0,0 +1,16 @@
+// Settings shared by every test file, applied before the application is loaded (see "jest" in package.json).
+// - Every test file gets its own empty in-memory SQLite database, built from the migrations by `prepareDatabase`,
+//   whatever database a local .env file points to.
+// - Logs are turned off, so the test report stays readable; run with LOG_LEVEL=debug to see them.
+// - Uploaded files go to a temporary folder instead of the project's uploads folder.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+// An empty DATABASE_URL is kept by dotenv and ignored by config/database.js, so a URL in .env cannot take over.
+process.env.DATABASE_URL = '';
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sequelize-demo-uploads-'));
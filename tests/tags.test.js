@@ -0,0 +1,71 @@
+// Route tests for tag slugs and tags in the trash (see models/tag.js and utils/slugify.js).
+const { app, request, useDatabase, signIn } = require('./helpers');
+const { Post, Tag } = require('../models');
+const { slugify } = require('../utils/slugify');
+
+useDatabase();
+
+let admin;
+let author;
+
+beforeAll(async () => {
+    admin = await signIn('admin');
+    author = await signIn('author');
+});
+
+test('slugs spell out the symbols that tell names apart', () => {
+    expect(slugify('Web Development')).toBe('web-development');
+    expect(slugify('Café')).toBe('cafe');
+    expect(slugify('C++')).toBe('c-plus-plus');
+    expect(slugify('C#')).toBe('c-sharp');
+    expect(slugify('R&D')).toBe('r-and-d');
+    expect(slugify('!!!')).toBe('');
+});
+
+test('C, C++ and C# are three tags, and names are matched regardless of case', async () => {
+    const created = [];
+    for (const name of ['C', 'C++', 'C#']) {
+        created.push(await request(app).post('/tags').set(admin.headers).send({ name }));
+    }
+    const duplicate = await request(app).post('/tags').set(admin.headers).send({ name: 'c++' });
+    const post = await request(app).post('/posts').set(author.headers)
+        .send({ title: 'Systems languages', content: 'Text', tags: ['c#', 'C'] });
+
+    expect(created.map(res => [res.status, res.body.slug])).toEqual([[201, 'c'], [201, 'c-plus-plus'], [201, 'c-sharp']]);
+    expect(duplicate.status).toBe(409);
+    expect(post.status).toBe(201);
+    const tags = await (await Post.findByPk(post.body.id)).getTags();
+    expect(tags.map(tag => tag.name).sort()).toEqual(['C', 'C#']);
+});
+
+describe('tags in the trash', () => {
+    let tag;
+
+    beforeEach(async () => {
+        tag = await Tag.create({ name: `Retired ${Date.now()}` });
+        await tag.destroy();
+    });
+
+    test('cannot be brought back by an author tagging a post with them', async () => {
+        const before = await Post.count();
+
+        const created = await request(app).post('/posts').set(author.headers)
+            .send({ title: 'Tagged with a deleted tag', content: 'Text', tags: [tag.name] });
+        const post = await request(app).post('/posts').set(author.headers).send({ title: 'An untagged post', content: 'Text' });
+        const added = await request(app).post(`/post-tags/${post.body.id}/tags`).set(author.headers).send({ tags: [tag.name] });
+
+        expect(created.status).toBe(409);
+        expect(created.body.error.message).toBe(`The tag '${tag.name}' is in the trash`);
+        expect(added.status).toBe(409);
+        expect(await Post.count()).toBe(before + 1);
+        expect((await Tag.findByPk(tag.id, { paranoid: false })).deletedAt).not.toBeNull();
+    });
+
+    test('are restored when an admin tags a post with them', async () => {
+        const res = await request(app).post('/posts').set(admin.headers)
+            .send({ title: 'Bringing a tag back', content: 'Text', tags: [tag.name] });
+
+        expect(res.status).toBe(201);
+        expect((await Tag.findByPk(tag.id)).deletedAt).toBeNull();
+    });
+});
@@ -0,0 +1,114 @@
+// Route tests for avatar and post attachment uploads (see middlewares/uploadMiddleware.js and utils/uploads.js).
+// A small avatar limit lets the size check be tested without sending megabytes; it is read when utils/uploads.js loads.
+process.env.AVATAR_MAX_BYTES = '4096';
+
+const sharp = require('sharp');
+const { app, request, useDatabase, signIn } = require('./helpers');
+
+useDatabase();
+
+let author;
+let png;
+
+beforeAll(async () => {
+    author = await signIn('author');
+    png = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#3366ff' } }).png().toBuffer();
+});
+
+const createPost = async () => (await request(app).post('/posts').set(author.headers)
+    .send({ title: 'A post with files', content: 'Text', status: 'active' })).body;
+
+const attach = (post, user, ...files) => files.reduce(
+    (req, [content, filename]) => req.attach('files', content, filename),
+    request(app).post(`/posts/${post.id}/attachments`).set(user.headers)
+);
+
+describe('post attachments', () => {
+    test('an uploaded image is stored with its size, and served with a WebP thumbnail', async () => {
+        const post = await createPost();
+
+        const res = await attach(post, author, [png, 'diagram.png']);
+        const [attachment] = res.body.data;
+        const file = await request(app).get(attachment.url);
+        const thumbnail = await request(app).get(attachment.thumbnailUrl);
+
+        expect(res.status).toBe(201);
+        expect(attachment).toMatchObject({ originalName: 'diagram.png', mimeType: 'image/png', width: 40, height: 30 });
+        expect(file.status).toBe(200);
+        expect(file.headers['content-type']).toMatch('image/png');
+        expect(Buffer.compare(file.body, png)).toBe(0);
+        expect(thumbnail.status).toBe(200);
+        expect(thumbnail.headers['content-type']).toMatch('image/webp');
+    });
+
+    test('the type comes from the content of the file, not from its name', async () => {
+        const post = await createPost();
+
+        const res = await attach(post, author, [Buffer.from('just some text'), 'notes.png']);
+
+        expect(res.status).toBe(415);
+    });
+
+    test('a request with one bad file stores none of its files', async () => {
+        const post = await createPost();
+
+        const res = await attach(post, author, [png, 'good.png'], [Buffer.from('not an image'), 'bad.png']);
+        const listed = await request(app).get(`/posts/${post.id}/attachments`);
+
+        expect(res.status).toBe(415);
+        expect(listed.body.data).toEqual([]);
+    });
+
+    test('only the author of a post can change its attachments', async () => {
+        const post = await createPost();
+        const other = await signIn('author');
+
+        const res = await attach(post, other, [png, 'diagram.png']);
+
+        expect(res.status).toBe(403);
+    });
+
+    test('the files of a post in the trash are not served', async () => {
+        const post = await createPost();
+        const [attachment] = (await attach(post, author, [png, 'diagram.png'])).body.data;
+
+        await request(app).delete(`/posts/${post.id}`).set(author.headers);
+        const res = await request(app).get(attachment.url);
+
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('avatars', () => {
+    beforeAll(async () => {
+        await request(app).post('/profiles').set(author.headers).send({ bio: 'Writes about uploads' });
+    });
+
+    const uploadAvatar = (content, filename, user = author) => request(app)
+        .put(`/profiles/${author.user.id}/avatar`).set(user.headers).attach('avatar', content, filename);
+
+    test('an avatar is shown on the profile, and replaced by the next one', async () => {
+        const first = await uploadAvatar(png, 'me.png');
+        const second = await uploadAvatar(png, 'me-again.png');
+        const profile = await request(app).get(`/profiles/${author.user.id}`);
+        const previous = await request(app).get(first.body.url);
+
+        expect(first.status).toBe(200);
+        expect(profile.body.avatar).toMatchObject({ id: second.body.id, originalName: 'me-again.png' });
+        expect(previous.status).toBe(404);
+    });
+
+    test('a file over the size limit is rejected with 413', async () => {
+        const res = await uploadAvatar(Buffer.alloc(5000), 'large.png');
+
+        expect(res.status).toBe(413);
+    });
+
+    test('users cannot change the avatar of someone else', async () => {
+        const other = await signIn('author');
+
+        const res = await uploadAvatar(png, 'me.png', other);
+
+        expect(res.status).toBe(403);
+    });
+});
@@ -0,0 +1,136 @@
+// Route tests for keeping webhooks away from local and private addresses (see utils/webhookUrls.js).
+const dns = require('dns');
+const http = require('http');
+const { app, request, useDatabase, signIn } = require('./helpers');
+const { Webhook, WebhookDelivery } = require('../models');
+const { attemptDelivery } = require('../utils/webhookDispatcher');
+
+useDatabase();
+
+let admin;
+
+beforeAll(async () => {
+    admin = await signIn('admin');
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const register = url => request(app).post('/webhooks').set(admin.headers).send({ url, events: ['post.published'] });
+
+// Pretend that DNS resolves every host name to the given address, when a webhook is registered.
+const resolveTo = address => jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address, family: 4 }]);
+
+// Pretend the same, when a delivery opens its connection; an Error is passed to the callback instead.
+const connectTo = result => jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => (
+    result instanceof Error ? callback(result) : callback(null, [{ address: result, family: 4 }])
+));
+
+// Create a webhook without checking its URL, like one registered before its host name moved to another address.
+// - Skipping validation skips the hook that generates the secret too, so one is given.
+const createUnchecked = url => Webhook.create({ url, secret: 'a-test-secret-of-some-length' }, { validate: false });
+
+// Record a delivery for a webhook and make its first attempt.
+const deliverTo = async (webhook) => {
+    const delivery = await WebhookDelivery.create({
+        webhookId: webhook.id,
+        eventId: 'f0e1d2c3-b4a5-4697-8899-aabbccddeeff',
+        eventType: 'post.published',
+        payload: { type: 'post.published', data: {} },
+        nextAttemptAt: new Date()
+    });
+    return attemptDelivery(delivery);
+};
+
+test.each([
+    'http://localhost:4000/hooks',
+    'http://127.0.0.1/hooks',
+    'http://2130706433/hooks',
+    'http://169.254.169.254/latest/meta-data',
+    'http://10.0.0.7/admin',
+    'http://[::1]/hooks',
+    'http://[::ffff:192.168.0.1]/hooks',
+    'http://[64:ff9b::7f00:1]/hooks',
+    'http://[2002:7f00:1::]/hooks'
+])('registering %s is rejected with 422', async (url) => {
+    const res = await register(url);
+
+    expect(res.status).toBe(422);
+    expect(res.body.error.details[0]).toMatchObject({ field: 'url' });
+});
+
+test('a host name that resolves to a private address is rejected', async () => {
+    resolveTo('10.1.2.3');
+
+    const res = await register('https://internal.example.com/hooks');
+
+    expect(res.status).toBe(422);
+    expect(res.body.error.details[0].message).toMatch('resolves to 10.1.2.3');
+});
+
+test('a host name that resolves to a public address is accepted', async () => {
+    resolveTo('93.184.216.34');
+
+    const res = await register('https://newsletter.example.com/hooks');
+
+    expect(res.status).toBe(201);
+});
+
+test('changing the URL of a webhook to a private address is rejected', async () => {
+    resolveTo('93.184.216.34');
+    const { body: webhook } = await register('https://newsletter.example.com/hooks');
+
+    const res = await request(app).put(`/webhooks/${webhook.id}`).set(admin.headers).send({ url: 'http://127.0.0.1/hooks' });
+
+    expect(res.status).toBe(422);
+});
+
+describe('deliveries', () => {
+    // A receiver on this machine, which a delivery must never reach.
+    let receiver;
+    let received;
+
+    beforeAll(async () => {
+        receiver = http.createServer((req, res) => {
+            received += 1;
+            res.end();
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    });
+
+    beforeEach(() => {
+        received = 0;
+    });
+
+    afterAll(() => new Promise(resolve => receiver.close(resolve)));
+
+    test('a host name that resolves to a public address for the check and a private one for the connection is not reached', async () => {
+        resolveTo('93.184.216.34');
+        const { body } = await register(`http://rebinding.example.com:${receiver.address().port}/hooks`);
+        const webhook = await Webhook.findByPk(body.id);
+        connectTo('127.0.0.1');
+
+        const delivery = await deliverTo(webhook);
+
+        expect(received).toBe(0);
+        expect(delivery.attempts).toBe(1);
+        expect(delivery.lastError).toBe('Webhook URLs must point at a public address, but rebinding.example.com resolves to 127.0.0.1');
+    });
+
+    test('a private IP address in the URL is not reached', async () => {
+        const webhook = await createUnchecked(`http://127.0.0.1:${receiver.address().port}/hooks`);
+
+        const delivery = await deliverTo(webhook);
+
+        expect(received).toBe(0);
+        expect(delivery.lastError).toBe('Webhook URLs must point at a public address, not 127.0.0.1');
+    });
+
+    test('the delivery log describes a failed connection without its error message', async () => {
+        const webhook = await createUnchecked('https://internal.example.com:6379/hooks');
+        connectTo(Object.assign(new Error('getaddrinfo ENOTFOUND internal.example.com'), { code: 'ENOTFOUND' }));
+
+        const delivery = await deliverTo(webhook);
+
+        expect(delivery.lastError).toBe('The host name could not be resolved');
+    });
+});
@@ -0,0 +1,82 @@
+// Route tests for workspaces: data isolation, and email addresses unique per workspace (see utils/workspaces.js).
+const { app, request, useDatabase, signIn } = require('./helpers');
+
+useDatabase();
+
+const ACME = { 'X-Workspace': 'acme' };
+
+let defaultAdmin;
+let acmeAuthor;
+
+beforeAll(async () => {
+    defaultAdmin = await signIn('admin');
+    const res = await request(app).post('/workspaces').set(defaultAdmin.headers).send({
+        name: 'Acme Engineering',
+        slug: 'acme',
+        admin: { firstName: 'Ada', lastName: 'Lee', email: 'ada@acme.example.com', password: 'password123' }
+    });
+    expect(res.status).toBe(201);
+    acmeAuthor = await signIn('author', { workspace: 'acme' });
+});
+
+describe('isolation', () => {
+    let acmePost;
+
+    beforeAll(async () => {
+        acmePost = (await request(app).post('/posts').set(acmeAuthor.headers)
+            .send({ title: 'An Acme post', content: 'Text', status: 'active' })).body;
+    });
+
+    test('a post is only listed and found in its own workspace', async () => {
+        const inAcme = await request(app).get('/posts').set(ACME);
+        const inDefault = await request(app).get('/posts');
+        const byId = await request(app).get(`/posts/${acmePost.id}`);
+
+        expect(inAcme.body.data.map(post => post.id)).toContain(acmePost.id);
+        expect(inDefault.body.data.map(post => post.id)).not.toContain(acmePost.id);
+        expect(byId.status).toBe(404);
+    });
+
+    test('a token only works in the workspace of its user', async () => {
+        const res = await request(app).get('/auth/me').set('Authorization', acmeAuthor.headers.Authorization);
+
+        expect(res.status).toBe(401);
+    });
+
+    test('an unknown workspace is rejected with 404', async () => {
+        const res = await request(app).get('/posts').set('X-Workspace', 'nowhere');
+
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('email addresses', () => {
+    const account = { firstName: 'Grace', lastName: 'Hopper', email: 'grace@example.com', password: 'password1' };
+
+    test('the same email can sign up in two workspaces, as two separate accounts', async () => {
+        const inDefault = await request(app).post('/auth/signup').send(account);
+        const inAcme = await request(app).post('/auth/signup').set(ACME).send({ ...account, password: 'password2' });
+
+        expect(inDefault.status).toBe(201);
+        expect(inAcme.status).toBe(201);
+        expect(inAcme.body.user.id).not.toBe(inDefault.body.user.id);
+    });
+
+    test('logging in finds the account of the workspace of the request', async () => {
+        const inDefault = await request(app).post('/auth/login').send({ email: account.email, password: 'password1' });
+        const inAcme = await request(app).post('/auth/login').set(ACME).send({ email: account.email, password: 'password2' });
+        const wrongWorkspace = await request(app).post('/auth/login').set(ACME).send({ email: account.email, password: 'password1' });
+
+        expect(inDefault.status).toBe(200);
+        expect(inAcme.status).toBe(200);
+        expect(inAcme.body.user.id).not.toBe(inDefault.body.user.id);
+        expect(wrongWorkspace.status).toBe(401);
+    });
+
+    test('an email already used in the workspace is rejected with 409', async () => {
+        const res = await request(app).post('/auth/signup').set(ACME).send(account);
+
+        expect(res.status).toBe(409);
+        expect(res.body.error.details).toEqual([{ field: 'email', message: 'An account with this email already exists' }]);
+    });
+});
@@ -0,0 +1,137 @@
+// Response cache for the read endpoints, with automatic invalidation.
+// Scenario:
+// - `GET /posts` joins User and Tag on every request. With the cache, the first request builds the response and
+//   the following ones are served from memory until a post, user, tag (or one of the other models the route reads) changes.
+//
+// How invalidation works:
+// - Every model has a *generation* number in the store. The model hooks registered by `registerCacheInvalidation`
+//   increase it whenever a row of that model is created, updated, deleted, or restored.
+// - A cached response is stored under a key containing the generations of the models it was built from, e.g.
+//   'response:GET /posts?limit=5|Post:3|User:1|Tag:7'. After a change, the key is different, so the old entry is
+//   never read again and simply expires. Nothing has to track which URLs a change affects.
+//
+// The store is pluggable: anything with `get`, `set`, and `incr` works, with the same meaning as the Redis commands
+// of the same name, so a Redis client can be swapped in with `setCacheStore` when several server processes share data.
+// Changes made outside the models (raw SQL, another process) are not seen by the in-process store before the entries expire.
+const { logger } = require('./logger');
+
+// Settings, read from environment variables:
+// - CACHE_DRIVER: 'memory' (the default) or 'none' to turn the cache off.
+// - CACHE_TTL: how long an entry is kept, in seconds.
+// - CACHE_MAX_ENTRIES: the most entries the memory store holds; the least recently used ones are dropped first.
+const DRIVER = process.env.CACHE_DRIVER || 'memory';
+const TTL_SECONDS = Number(process.env.CACHE_TTL || 60);
+const MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES || 1000);
+
+// The in-process store: a Map used as a least-recently-used list (a Map keeps its keys in insertion order).
+// - Its methods are async like those of a networked store, so callers do not depend on which store is in use.
+function createMemoryStore({ maxEntries = MAX_ENTRIES } = {}) {
+    const entries = new Map();
+
+    const read = (key) => {
+        const entry = entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        // Move the entry to the end of the Map, marking it as the most recently used.
+        entries.delete(key);
+        entries.set(key, entry);
+        return entry.value;
+    };
+
+    const write = (key, value, ttl) => {
+        entries.delete(key);
+        entries.set(key, { value, expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    };
+
+    return {
+        async get(key) {
+            return read(key);
+        },
+        // `ttl` is in seconds; without it the entry is kept until it is evicted.
+        async set(key, value, { ttl } = {}) {
+            write(key, value, ttl);
+        },
+        // Increase a counter by one and return its new value, starting from 0 for a missing key.
+        async incr(key) {
+            const value = Number(read(key) || 0) + 1;
+            write(key, String(value));
+            return value;
+        },
+        async clear() {
+            entries.clear();
+        }
+    };
+}
+
+// The store in use. `null` means caching is turned off.
+let store = DRIVER === 'none' ? null : createMemoryStore();
+
+const getCacheStore = () => store;
+
+// Replace the store, e.g. with a Redis client: `setCacheStore(redisClient)`. Pass `null` to turn caching off.
+const setCacheStore = (newStore) => {
+    store = newStore;
+};
+
+const generationKey = (modelName) => `generation:${modelName}`;
+
+// Read the current generation of each model, e.g. ['Post:3', 'User:1'].
+const getGenerations = async (modelNames) => Promise.all(
+    modelNames.map(async (modelName) => `${modelName}:${(await store.get(generationKey(modelName))) || 0}`)
+);
+
+// Mark the cached data of some models as outdated.
+// - A failing store is only logged: the write that triggered the invalidation has already succeeded.
+const invalidate = async (modelNames) => {
+    if (!store) {
+        return;
+    }
+    try {
+        await Promise.all(modelNames.map(modelName => store.incr(generationKey(modelName))));
+    } catch (error) {
+        logger.error('Error invalidating the cache', { error });
+    }
+};
+
+// Register the hooks that invalidate the cache whenever a model's rows change, on every model of `sequelize`.
+// - Single-row hooks (afterSave, afterDestroy, afterRestore) cover changes made through instances.
+// - Bulk hooks cover static calls such as `Post.update(...)`, `PostTag.destroy(...)`, and `bulkCreate`.
+// - A change made inside a transaction invalidates after the commit. Invalidating before it would let a request
+//   read the old rows in the meantime and cache them again under the new generation.
+const INVALIDATING_HOOKS = [
+    'afterSave', 'afterDestroy', 'afterRestore', 'afterUpsert',
+    'afterBulkCreate', 'afterBulkUpdate', 'afterBulkDestroy', 'afterBulkRestore'
+];
+
+function registerCacheInvalidation(sequelize) {
+    INVALIDATING_HOOKS.forEach((hookName) => {
+        sequelize.addHook(hookName, 'cacheInvalidation', function (...args) {
+            // Instance hooks receive (instance, options), bulk hooks receive (options); `this` is the model either way.
+            const options = args[args.length - 1] || {};
+            const modelNames = [this.name];
+            if (options.transaction) {
+                options.transaction.afterCommit(() => invalidate(modelNames));
+            } else {
+                return invalidate(modelNames);
+            }
+        });
+    });
+}
+
+module.exports = {
+    TTL_SECONDS,
+    createMemoryStore,
+    getCacheStore,
+    setCacheStore,
+    getGenerations,
+    invalidate,
+    registerCacheInvalidation
+};
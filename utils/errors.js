@@ -0,0 +1,105 @@
+// The application's error hierarchy.
+// Controllers and middlewares throw these errors instead of building error responses themselves,
+// and the central error handler (middlewares/errorMiddleware.js) turns them into HTTP responses.
+// Scenario:
+// - `throw new NotFoundError('Post not found')` in a controller always produces the same 404 response body,
+//   no matter which controller threw it.
+// Every error has an HTTP `status`, a machine-readable `code`, a human-readable `message`, and optional `details`.
+
+// The base class for all expected errors.
+// - Anything that is not an AppError (or a known Sequelize error) is treated as an unexpected 500 error.
+class AppError extends Error {
+    constructor(message, { status = 500, code = 'internal_error', details } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// 400 Bad Request: the request could not be understood, e.g. malformed JSON.
+class BadRequestError extends AppError {
+    constructor(message = 'Bad request', details) {
+        super(message, { status: 400, code: 'bad_request', details });
+    }
+}
+
+// 401 Unauthorized: the request needs a valid token.
+class UnauthorizedError extends AppError {
+    constructor(message = 'Authentication required', details) {
+        super(message, { status: 401, code: 'unauthorized', details });
+    }
+}
+
+// 403 Forbidden: the user is authenticated but not allowed to perform the action.
+class ForbiddenError extends AppError {
+    constructor(message = 'Forbidden', details) {
+        super(message, { status: 403, code: 'forbidden', details });
+    }
+}
+
+// 404 Not Found: the requested record or route does not exist.
+class NotFoundError extends AppError {
+    constructor(message = 'Not found', details) {
+        super(message, { status: 404, code: 'not_found', details });
+    }
+}
+
+// 409 Conflict: the request clashes with the current state of the data, e.g. a duplicate email.
+class ConflictError extends AppError {
+    constructor(message = 'Conflict', details) {
+        super(message, { status: 409, code: 'conflict', details });
+    }
+}
+
+// 412 Precondition Failed: the record changed since the client read it (its If-Match version is outdated).
+// - `details.current` holds the record as it is now, so the client can merge its changes and try again.
+class PreconditionFailedError extends AppError {
+    constructor(message = 'Precondition failed', details) {
+        super(message, { status: 412, code: 'precondition_failed', details });
+    }
+}
+
+// 413 Payload Too Large: an uploaded file is bigger than the route allows.
+class PayloadTooLargeError extends AppError {
+    constructor(message = 'Payload too large', details) {
+        super(message, { status: 413, code: 'payload_too_large', details });
+    }
+}
+
+// 415 Unsupported Media Type: the request body, or an uploaded file, is of a type the route does not accept.
+class UnsupportedMediaTypeError extends AppError {
+    constructor(message = 'Unsupported media type', details) {
+        super(message, { status: 415, code: 'unsupported_media_type', details });
+    }
+}
+
+// 428 Precondition Required: the server requires an If-Match header for this request (see REQUIRE_IF_MATCH).
+class PreconditionRequiredError extends AppError {
+    constructor(message = 'Precondition required', details) {
+        super(message, { status: 428, code: 'precondition_required', details });
+    }
+}
+
+// 422 Unprocessable Entity: the request is well-formed but its values are invalid.
+// - `details` is a list of `{ field, message }` entries, one per invalid field.
+class ValidationError extends AppError {
+    constructor(message = 'Validation failed', details = []) {
+        super(message, { status: 422, code: 'validation_error', details });
+    }
+}
+
+module.exports = {
+    AppError,
+    BadRequestError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    PreconditionFailedError,
+    PayloadTooLargeError,
+    UnsupportedMediaTypeError,
+    PreconditionRequiredError,
+    ValidationError
+};
@@ -0,0 +1,69 @@
+// In-process domain event bus.
+// The model hooks describe what happened in the application as typed events, e.g. 'post.published' or 'user.created',
+// and publish them here. Other parts of the application subscribe to the events they care about, without the models
+// having to know about them.
+// Scenario:
+// - An author publishes a post. The Post hook publishes 'post.published', and the webhook dispatcher
+//   (utils/webhookDispatcher.js) forwards it to every subscriber that asked for it.
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { currentWorkspaceId } = require('./workspaces');
+const { logger } = require('./logger');
+
+// Every event type the application publishes.
+const EVENT_TYPES = [
+    'user.created', 'user.updated', 'user.deleted',
+    'post.created', 'post.updated', 'post.published', 'post.archived', 'post.deleted',
+    'post.tagged', 'post.untagged',
+    'tag.created', 'tag.updated', 'tag.deleted'
+];
+
+const emitter = new EventEmitter();
+
+// Subscribe to one event type, or to every event with '*'.
+// - Handlers receive the event: `{ id, type, occurredAt, workspaceId, data }`.
+// - A failing handler is logged and does not affect the other handlers or the code that published the event.
+// - Returns a function that removes the subscription.
+const subscribe = (type, handler) => {
+    const listener = async (event) => {
+        try {
+            await handler(event);
+        } catch (error) {
+            logger.error('Error handling an event', { eventId: event.id, eventType: event.type, error });
+        }
+    };
+    emitter.on(type, listener);
+    return () => emitter.off(type, listener);
+};
+
+// Publish an event.
+// - `data` describes what happened, e.g. the post that was published.
+// - Inside a transaction, the event is only published once the transaction commits, so subscribers never hear about
+//   changes that were rolled back. It is published asynchronously either way: publishing never slows down a request.
+// - The event records the workspace it happened in (see utils/workspaces.js), or null outside of any workspace.
+// - Returns the event.
+const publish = (type, data, { transaction } = {}) => {
+    if (!EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown event type '${type}'`);
+    }
+    const event = {
+        id: crypto.randomUUID(),
+        type,
+        occurredAt: new Date().toISOString(),
+        workspaceId: currentWorkspaceId(),
+        data
+    };
+    const emit = () => setImmediate(() => {
+        emitter.emit(type, event);
+        emitter.emit('*', event);
+    });
+
+    if (transaction) {
+        transaction.afterCommit(emit);
+    } else {
+        emit();
+    }
+    return event;
+};
+
+module.exports = { EVENT_TYPES, subscribe, publish };
@@ -0,0 +1,85 @@
+// A small JSON Schema checker for the OpenAPI response schemas (see utils/openapi.js).
+// It covers the keywords the generated document uses: $ref, type, nullable, enum, format (date-time), properties,
+// required, items, oneOf, and the length and range limits. Unknown keywords are ignored.
+// Returns the problems found, e.g. `[{ path: 'data[0].status', message: "must be one of: active, draft, archived" }]`.
+
+// Follow a local reference such as '#/components/schemas/Post'.
+const resolveRef = (document, reference) => reference.slice(2).split('/').reduce((node, key) => node[key], document);
+
+const typeOf = (value) => {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number' && Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const checkSchema = (value, schema, document, path = '') => {
+    if (schema.$ref) {
+        return checkSchema(value, resolveRef(document, schema.$ref), document, path);
+    }
+    const at = path || '(root)';
+
+    if (value === null) {
+        return schema.nullable || !schema.type ? [] : [{ path: at, message: 'must not be null' }];
+    }
+    if (schema.oneOf) {
+        const matching = schema.oneOf.filter(option => checkSchema(value, option, document, path).length === 0);
+        return matching.length > 0 ? [] : [{ path: at, message: 'does not match any of the allowed schemas' }];
+    }
+    if (schema.type && !matchesType(value, schema.type)) {
+        return [{ path: at, message: `must be of type ${schema.type}, not ${typeOf(value)}` }];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [{ path: at, message: `must be one of: ${schema.enum.join(', ')}` }];
+    }
+
+    const problems = [];
+    if (typeof value === 'string') {
+        if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+            problems.push({ path: at, message: 'must be a date-time' });
+        }
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            problems.push({ path: at, message: `must be at least ${schema.minLength} characters long` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            problems.push({ path: at, message: `must be at most ${schema.maxLength} characters long` });
+        }
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            problems.push({ path: at, message: `must be at least ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            problems.push({ path: at, message: `must be at most ${schema.maximum}` });
+        }
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => problems.push(...checkSchema(item, schema.items, document, `${path}[${index}]`)));
+    }
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach((key) => {
+            if (!(key in value)) {
+                problems.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (key in value) {
+                problems.push(...checkSchema(value[key], propertySchema, document, path ? `${path}.${key}` : key));
+            }
+        });
+    }
+    return problems;
+};
+
+module.exports = { checkSchema };
@@ -0,0 +1,229 @@
+// Reusable query layer for list endpoints.
+// Every list endpoint (users, posts, tags, profiles) accepts the same query parameters:
+// - `filter[field]=value` for exact matches, or `filter[field][op]=value` with op one of eq, ne, gt, gte, lt, lte, in, contains.
+//   Example: `?filter[role][in]=admin,editor&filter[createdAt][gte]=2024-01-01`
+// - `sort=-createdAt,title`: comma-separated fields, a leading '-' meaning descending order,
+//   or a named sort defined by the endpoint, e.g. `sort=popular` for posts.
+// - `limit=20`: the page size (1 to 100).
+// - `cursor=...`: an opaque token from a previous response's `pageInfo`, pointing at the next or previous page.
+// Scenario:
+// - Offset pagination (`?page=3`) becomes slow on large tables and skips or repeats rows when data changes between requests.
+// - Cursor (keyset) pagination remembers the sort values of the last row seen and asks for the rows after it,
+//   which stays fast and stable no matter how deep the client pages.
+const { Op } = require('sequelize');
+const { BadRequestError } = require('./errors');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// The operators accepted in `filter[field][op]`, mapped to Sequelize operators.
+const OPERATORS = {
+    eq: Op.eq,
+    ne: Op.ne,
+    gt: Op.gt,
+    gte: Op.gte,
+    lt: Op.lt,
+    lte: Op.lte,
+    in: Op.in,
+    contains: Op.substring
+};
+
+// The error thrown for an invalid list query. The error handler answers it with a 400 (Bad Request) status.
+class ListQueryError extends BadRequestError {}
+
+// Convert a query-string value to the type of the model attribute it is compared with.
+// - Query strings are always text, so '42' must become 42 for an INTEGER column and a Date for a DATE column.
+// - ENUM values are checked against the allowed list.
+const coerce = (model, field, value) => {
+    const type = model.rawAttributes[field].type.key;
+    if (type === 'INTEGER' || type === 'BIGINT' || type === 'FLOAT' || type === 'DOUBLE' || type === 'DECIMAL') {
+        const number = Number(value);
+        if (Number.isNaN(number)) {
+            throw new ListQueryError(`'${value}' is not a valid number for '${field}'`);
+        }
+        return number;
+    }
+    if (type === 'DATE' || type === 'DATEONLY') {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw new ListQueryError(`'${value}' is not a valid date for '${field}'`);
+        }
+        return date;
+    }
+    if (type === 'BOOLEAN') {
+        return value === true || value === 'true' || value === '1';
+    }
+    if (type === 'ENUM' && !model.rawAttributes[field].values.includes(value)) {
+        throw new ListQueryError(`'${value}' is not a valid value for '${field}'. Expected one of: ${model.rawAttributes[field].values.join(', ')}`);
+    }
+    return value;
+};
+
+// Build the WHERE clause from `filter[...]` parameters.
+const parseFilter = (model, filter = {}, filterable) => {
+    if (typeof filter !== 'object' || Array.isArray(filter)) {
+        throw new ListQueryError('filter must be given as filter[field]=value');
+    }
+    return Object.entries(filter).reduce((where, [field, condition]) => {
+        if (!filterable.includes(field)) {
+            throw new ListQueryError(`Cannot filter on '${field}'. Filterable fields: ${filterable.join(', ')}`);
+        }
+        // `filter[field]=value` is shorthand for `filter[field][eq]=value`.
+        const conditions = typeof condition === 'object' ? condition : { eq: condition };
+        where[field] = Object.entries(conditions).reduce((clauses, [op, value]) => {
+            if (!OPERATORS[op]) {
+                throw new ListQueryError(`Unknown filter operator '${op}'. Expected one of: ${Object.keys(OPERATORS).join(', ')}`);
+            }
+            // The query string parser turns `filter[title][eq][x]=1` into an object, which must not reach Sequelize:
+            // only text is accepted, and for `in` also a list of texts (`filter[role][in][]=admin&filter[role][in][]=editor`).
+            const items = op === 'in' && Array.isArray(value) ? value : [value];
+            if (!items.every(item => typeof item === 'string')) {
+                throw new ListQueryError(`filter[${field}][${op}] must be ${op === 'in' ? 'a comma-separated list' : 'a single value'}`);
+            }
+            clauses[OPERATORS[op]] = op === 'in'
+                ? items.flatMap(item => item.split(',')).map(item => coerce(model, field, item))
+                : coerce(model, field, value);
+            return clauses;
+        }, {});
+        return where;
+    }, {});
+};
+
+// Parse `sort=-createdAt,title` into a list of [field, direction] pairs.
+// - A named sort from `sortAliases` is replaced by the fields it stands for.
+// - The primary key is always added last, so rows with equal sort values still have a fixed order (required for cursors).
+const parseSort = (model, sort, sortable, defaultSort, sortAliases = {}) => {
+    const requested = sort || defaultSort;
+    const fields = (sortAliases[requested] || requested).split(',').map(field => field.trim()).filter(Boolean);
+    const order = fields.map((field) => {
+        const descending = field.startsWith('-');
+        const name = descending ? field.slice(1) : field;
+        if (!sortable.includes(name)) {
+            throw new ListQueryError(`Cannot sort on '${name}'. Sortable fields: ${sortable.join(', ')}`);
+        }
+        return [name, descending ? 'DESC' : 'ASC'];
+    });
+    const primaryKey = model.primaryKeyAttribute;
+    if (!order.some(([field]) => field === primaryKey)) {
+        order.push([primaryKey, order.length > 0 ? order[order.length - 1][1] : 'ASC']);
+    }
+    return order;
+};
+
+// Cursors are base64url-encoded JSON, so clients treat them as opaque strings.
+// - `v` holds the sort values of the row the cursor points at, `d` the direction ('next' or 'prev'),
+//   and `s` the sort it was created for, since a cursor only makes sense with the same sort.
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+// - Any other JSON, such as `null` or `[1]`, is not a cursor either.
+const decodeCursor = (cursor) => {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new ListQueryError('Invalid cursor');
+    }
+    if (typeof payload !== 'object' || payload === null || Array.isArray(payload)) {
+        throw new ListQueryError('Invalid cursor');
+    }
+    return payload;
+};
+
+// A short text form of the sort, stored in each cursor.
+const sortSignature = (order) => order.map(([field, direction]) => (direction === 'DESC' ? `-${field}` : field)).join(',');
+
+// Build the keyset condition "rows after (or before) the cursor row" for a multi-column sort.
+// For a sort on (a DESC, id DESC) and cursor values (A, I), the rows after the cursor are:
+//   a < A  OR  (a = A AND id < I)
+const keysetWhere = (model, order, values, direction) => ({
+    [Op.or]: order.map(([field, sortDirection], index) => {
+        const ascending = (sortDirection === 'ASC') === (direction === 'next');
+        const clause = { [field]: { [ascending ? Op.gt : Op.lt]: coerce(model, field, values[index]) } };
+        order.slice(0, index).forEach(([previous], previousIndex) => {
+            clause[previous] = coerce(model, previous, values[previousIndex]);
+        });
+        return clause;
+    })
+});
+
+// Parse and validate the list query parameters for a model.
+// Options:
+// - `filterable`: attributes allowed in `filter[...]`.
+// - `sortable`: attributes allowed in `sort`. They should not contain NULLs, which cursors cannot compare.
+// - `sortAliases`: named sorts, e.g. `{ popular: '-reactionCount,-createdAt' }`, made of `sortable` fields.
+// - `defaultSort`: the sort used when `sort` is missing, e.g. '-createdAt'.
+// Throws a ListQueryError when a parameter is invalid.
+const parseListQuery = (model, query, { filterable = [], sortable = [], sortAliases = {}, defaultSort = '-createdAt' } = {}) => {
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new ListQueryError(`limit must be a whole number between 1 and ${MAX_LIMIT}`);
+    }
+
+    const order = parseSort(model, query.sort, sortable, defaultSort, sortAliases);
+    const where = parseFilter(model, query.filter, filterable);
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeCursor(query.cursor);
+        // One sort value per sort field, each a plain value as `cursorFor` stores them (dates are stored as text).
+        const validValues = Array.isArray(cursor.v) && cursor.v.length === order.length
+            && cursor.v.every(value => ['string', 'number', 'boolean'].includes(typeof value));
+        if (cursor.s !== sortSignature(order) || !validValues || !['next', 'prev'].includes(cursor.d)) {
+            throw new ListQueryError('The cursor does not match this query; start again without a cursor');
+        }
+    }
+
+    return { model, where, order, limit, cursor };
+};
+
+// Run a parsed list query and build the `{ data, pageInfo }` response.
+// - `target` is the model, or a scoped model such as `Post.scope('active')`.
+// - `findOptions` adds anything else the endpoint needs, such as `include` or an extra `where`.
+// One row more than the page size is requested to find out whether another page exists.
+const paginate = async (target, { model, where, order, limit, cursor }, findOptions = {}) => {
+    const direction = cursor ? cursor.d : 'next';
+    const conditions = [where];
+    if (findOptions.where) {
+        conditions.push(findOptions.where);
+    }
+    if (cursor) {
+        conditions.push(keysetWhere(model, order, cursor.v, direction));
+    }
+
+    // For a 'prev' page, walk backwards from the cursor by reversing the sort, then restore the order of the results.
+    const queryOrder = direction === 'next'
+        ? order
+        : order.map(([field, sortDirection]) => [field, sortDirection === 'ASC' ? 'DESC' : 'ASC']);
+
+    const rows = await target.findAll({
+        ...findOptions,
+        where: { [Op.and]: conditions },
+        order: queryOrder,
+        limit: limit + 1
+    });
+
+    const hasMore = rows.length > limit;
+    const data = rows.slice(0, limit);
+    if (direction === 'prev') {
+        data.reverse();
+    }
+
+    const signature = sortSignature(order);
+    const cursorFor = (row, d) => encodeCursor({ v: order.map(([field]) => row.get(field)), d, s: signature });
+
+    // Coming from a 'next' cursor means there is a page before this one, and vice versa.
+    const hasNextPage = direction === 'next' ? hasMore : true;
+    const hasPreviousPage = direction === 'next' ? Boolean(cursor) : hasMore;
+
+    return {
+        data,
+        pageInfo: {
+            limit,
+            hasNextPage,
+            hasPreviousPage,
+            nextCursor: hasNextPage && data.length > 0 ? cursorFor(data[data.length - 1], 'next') : null,
+            prevCursor: hasPreviousPage && data.length > 0 ? cursorFor(data[0], 'prev') : null
+        }
+    };
+};
+
+module.exports = { parseListQuery, paginate, ListQueryError };
@@ -0,0 +1,73 @@
+// Structured logging.
+// Every log line is one JSON object, so log collectors (CloudWatch, Loki, Datadog, ...) can search and filter on its
+// fields instead of parsing free text.
+// Scenario:
+// - A client reports a 500 error and sends the `X-Request-Id` of the response. Searching the logs for that ID finds the
+//   access log of the request, the SQL it ran, and the error with its stack trace:
+//   {"time":"2024-10-20T09:00:00.120Z","level":"error","msg":"Unhandled error","requestId":"7f3c...","workspaceId":1,"error":{...}}
+//
+// What every line contains:
+// - `time`, `level` ('debug', 'info', 'warn' or 'error'), and `msg`: a short, fixed description of what happened.
+// - The values of the request context (see utils/requestContext.js): the `requestId` set by the request ID middleware
+//   and the `workspaceId` of the request. Code running for a request never passes them along itself.
+// - The fields given by the caller, e.g. `logger.info('Post published', { postId: 3 })`. Errors in fields are written
+//   with their name, message, and stack trace.
+//
+// Settings, read from environment variables:
+// - LOG_LEVEL: the lowest level written, 'debug', 'info' (the default), 'warn', 'error', or 'silent' to write nothing.
+// - DB_LOGGING and DB_SLOW_QUERY_MS choose which SQL queries are logged (see config/database.js).
+const { getContext } = require('./requestContext');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+// Errors have no enumerable properties, so JSON.stringify would write them as `{}`.
+const serializeError = error => ({
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack
+});
+
+const replacer = (key, value) => (value instanceof Error ? serializeError(value) : value);
+
+// Write one log line to the standard output, where the process manager or container runtime collects it.
+// - A field that cannot be written as JSON (e.g. a circular structure) never makes logging throw: the line is written
+//   without the fields instead.
+const write = (level, msg, fields = {}) => {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) {
+        return;
+    }
+    const base = { time: new Date().toISOString(), level, msg, ...getContext() };
+    let line;
+    try {
+        line = JSON.stringify({ ...base, ...fields }, replacer);
+    } catch (error) {
+        line = JSON.stringify({ ...base, logError: error.message });
+    }
+    process.stdout.write(`${line}\n`);
+};
+
+// The logger used by the whole application: `logger.info('Server started', { port: 3000 })`.
+const logger = {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields)
+};
+
+// Log a SQL query run by Sequelize, with how long it took (see the `logging` setting in config/database.js).
+// - Sequelize passes the query as 'Executed (default): SELECT ...'; the prefix is dropped.
+// - Queries taking `slowQueryMs` or longer are logged as warnings, so slow queries show up in production logs; with
+//   `logAll`, every other query is logged too, for development.
+// - Sequelize logs a query in the code that ran it, so the line carries the ID of the request the query belongs to.
+const logQuery = (sql, durationMs, { logAll, slowQueryMs }) => {
+    const fields = { sql: String(sql).replace(/^Executed \([^)]*\): /, ''), durationMs };
+    if (slowQueryMs > 0 && durationMs >= slowQueryMs) {
+        logger.warn('Slow query', { ...fields, thresholdMs: slowQueryMs });
+    } else if (logAll) {
+        logger.info('Query', fields);
+    }
+};
+
+module.exports = { logger, logQuery, LOG_LEVEL };
@@ -0,0 +1,47 @@
+// Programmatic migration runner.
+// The files in the migrations folder are the history of the database schema, and each one is applied exactly once.
+// - Applied migrations are recorded in the 'SequelizeMeta' table, the same table sequelize-cli uses,
+//   so `npx sequelize-cli db:migrate` and this runner can be used side by side.
+// - The server applies pending migrations on startup when MIGRATE_ON_START=true (see index.js).
+// - `node utils/sync.js` applies them from the command line.
+const path = require('path');
+const { Sequelize } = require('sequelize');
+const { Umzug, SequelizeStorage } = require('umzug');
+const { sequelize } = require('../models');
+
+// Umzug finds the migration files, keeps track of the applied ones, and runs the pending ones in order of their file names.
+// - Each migration receives the query interface and the Sequelize library, the same arguments sequelize-cli passes.
+const migrator = new Umzug({
+    migrations: {
+        glob: path.join(__dirname, '../migrations/*.js'),
+        resolve: ({ name, path: file, context }) => {
+            const migration = require(file);
+            return {
+                name,
+                up: () => migration.up(context, Sequelize),
+                down: () => migration.down(context, Sequelize)
+            };
+        }
+    },
+    context: sequelize.getQueryInterface(),
+    storage: new SequelizeStorage({ sequelize }),
+    // Progress is reported by the callers (index.js and utils/sync.js), so Umzug's own logging is turned off.
+    logger: undefined
+});
+
+// Apply every pending migration and return the names of the ones that ran.
+const runPendingMigrations = async () => {
+    const migrations = await migrator.up();
+    return migrations.map(migration => migration.name);
+};
+
+// List the applied and the pending migrations, each in the order they run.
+const getMigrationStatus = async () => {
+    const [executed, pending] = await Promise.all([migrator.executed(), migrator.pending()]);
+    return {
+        executed: executed.map(migration => migration.name),
+        pending: pending.map(migration => migration.name)
+    };
+};
+
+module.exports = { migrator, runPendingMigrations, getMigrationStatus };
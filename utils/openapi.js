@@ -0,0 +1,572 @@
+// OpenAPI 3 document, generated from the application itself.
+// Scenario:
+// - A frontend developer opens `/docs` and sees every route, its parameters, request body, and responses, or points a
+//   client generator at `/openapi.json`. Since the document is built from the code, it cannot drift from it.
+//
+// Where each part of the document comes from:
+// - Paths and methods: the Express routes, walked from the app's router, including nested routers.
+// - Summaries: the comment at the end of each route line in the routes folder.
+// - Parameters and request bodies: the Joi schemas passed to `validate` (see middlewares/validate.js).
+// - Security and permissions: the `authenticate` and `authorize` middlewares of each route.
+// - Response bodies: the Sequelize model attributes (types, ENUM values, required fields) of the route's resource,
+//   following the REST conventions below, with `RESPONSES` for the routes that answer differently.
+const fs = require('fs');
+const path = require('path');
+const models = require('../models');
+const { authenticate } = require('../middlewares/authMiddleware');
+const { ACCEPT_PATCH } = require('./patch');
+const { WORKSPACE_HEADER } = require('./workspaces');
+const { name, version } = require('../package.json');
+
+const ROUTES_DIR = path.join(__dirname, '..', 'routes');
+
+// The model returned by the routes mounted at each path.
+const RESOURCE_MODELS = {
+    '/users': 'User',
+    '/profiles': 'Profile',
+    '/posts': 'Post',
+    '/tags': 'Tag',
+    '/webhooks': 'Webhook',
+    '/workspaces': 'Workspace',
+    '/posts/{postId}/comments': 'Comment',
+    '/posts/{postId}/revisions': 'PostRevision',
+    '/posts/{postId}/reactions': 'Reaction'
+};
+
+const ref = schemaName => ({ $ref: `#/components/schemas/${schemaName}` });
+const listOf = schema => ({
+    type: 'object',
+    required: ['data', 'pageInfo'],
+    properties: { data: { type: 'array', items: schema }, pageInfo: ref('PageInfo') }
+});
+const tagChanges = {
+    type: 'object',
+    required: ['postId', 'added', 'removed', 'unchanged'],
+    properties: {
+        postId: { type: 'integer' },
+        added: { type: 'array', items: ref('Tag') },
+        removed: { type: 'array', items: ref('Tag') },
+        unchanged: { type: 'array', items: ref('Tag') }
+    }
+};
+const followedUser = {
+    type: 'object',
+    required: ['id', 'firstName', 'lastName', 'followedAt'],
+    properties: {
+        id: { type: 'integer' },
+        firstName: { type: 'string' },
+        lastName: { type: 'string' },
+        followedAt: { type: 'string', format: 'date-time' }
+    }
+};
+const attachmentList = {
+    type: 'object',
+    required: ['data'],
+    properties: { data: { type: 'array', items: ref('Attachment') } }
+};
+const file = { type: 'string', format: 'binary' };
+const session = {
+    type: 'object',
+    required: ['user', 'token'],
+    properties: { user: ref('User'), token: { type: 'string' } }
+};
+
+// The success responses of the routes that do not follow the REST conventions, by `METHOD /path`.
+// Routes found in neither place are documented with a generic JSON response.
+const RESPONSES = {
+    'POST /auth/signup': { status: 201, schema: session },
+    'POST /auth/login': { status: 200, schema: session },
+    'GET /auth/me': { status: 200, schema: ref('User') },
+    // Following someone again returns the existing follow with a 200 status.
+    'POST /users/{id}/follow': { status: 201, also: [200], schema: ref('Follow') },
+    'DELETE /users/{id}/follow': { status: 204 },
+    'GET /users/{id}/followers': { status: 200, schema: listOf(followedUser) },
+    'GET /users/{id}/following': { status: 200, schema: listOf(followedUser) },
+    'GET /users/{id}/feed': { status: 200, schema: listOf(ref('Post')) },
+    // Top-level comments are paginated; `format=flat` adds a `depth` to each comment instead of nesting `replies`.
+    'GET /posts/{postId}/comments': { status: 200, schema: listOf(ref('Comment')) },
+    // The revision list leaves out the title and content of each revision.
+    'GET /posts/{postId}/revisions': { status: 200, schema: { type: 'array', items: { type: 'object' } } },
+    'GET /posts/{postId}/revisions/{rev}': {
+        status: 200,
+        schema: { type: 'object', required: ['revision', 'diff'], properties: { revision: ref('PostRevision'), diff: { type: 'object' } } }
+    },
+    'POST /posts/{postId}/revisions/{rev}/restore': { status: 200, schema: ref('Post') },
+    // Reacting again with the same type returns the existing reaction with a 200 status.
+    'POST /posts/{postId}/reactions': { status: 201, also: [200], schema: ref('Reaction') },
+    'GET /posts/{postId}/reactions': {
+        status: 200,
+        schema: {
+            type: 'object',
+            required: ['counts', 'data', 'pageInfo'],
+            properties: {
+                counts: { type: 'object', additionalProperties: { type: 'integer' } },
+                data: { type: 'array', items: ref('Reaction') },
+                pageInfo: ref('PageInfo')
+            }
+        }
+    },
+    // Attachments are listed in full, without pagination: a post has a handful of files at most.
+    'POST /posts/{postId}/attachments': { status: 201, schema: attachmentList },
+    'GET /posts/{postId}/attachments': { status: 200, schema: attachmentList },
+    'PUT /profiles/{userId}/avatar': { status: 200, schema: ref('Attachment') },
+    'DELETE /profiles/{userId}/avatar': { status: 204 },
+    // Downloads send the file itself, with its own type, rather than JSON.
+    'GET /attachments/{id}': { status: 200, mediaType: '*/*', schema: file },
+    'GET /attachments/{id}/thumbnail': { status: 200, mediaType: 'image/webp', schema: file },
+    'GET /workspaces/current': { status: 200, schema: ref('Workspace') },
+    'POST /workspaces': {
+        status: 201,
+        schema: { type: 'object', required: ['workspace', 'admin'], properties: { workspace: ref('Workspace'), admin: ref('User') } }
+    },
+    'GET /tags/{slug}/posts': {
+        status: 200,
+        schema: {
+            type: 'object',
+            required: ['tag', 'data', 'pageInfo'],
+            properties: { tag: ref('Tag'), data: { type: 'array', items: ref('Post') }, pageInfo: ref('PageInfo') }
+        }
+    },
+    'POST /tags/{id}/merge': {
+        status: 200,
+        schema: {
+            type: 'object',
+            required: ['tag', 'merged', 'movedPosts'],
+            properties: { tag: ref('Tag'), merged: { type: 'array', items: { type: 'object' } }, movedPosts: { type: 'integer' } }
+        }
+    },
+    // The records of any resource with a trash, with how many days they are kept there.
+    'GET /trash/{resource}': {
+        status: 200,
+        schema: {
+            type: 'object',
+            required: ['retentionDays', 'data', 'pageInfo'],
+            properties: {
+                retentionDays: { type: 'integer' },
+                data: { type: 'array', items: { oneOf: ['User', 'Post', 'Tag', 'Profile'].map(ref) } },
+                pageInfo: ref('PageInfo')
+            }
+        }
+    },
+    'DELETE /trash/{resource}': {
+        status: 200,
+        schema: { type: 'object', required: ['purged', 'deletedBefore'], properties: { purged: { type: 'integer' }, deletedBefore: { type: 'string', format: 'date-time' } } }
+    },
+    'POST /post-tags/{postId}/tags': { status: 200, schema: tagChanges },
+    'PUT /post-tags/{postId}/tags': { status: 200, schema: tagChanges },
+    'DELETE /post-tags/{postId}/tags': { status: 200, schema: tagChanges },
+    'GET /webhooks/{id}/deliveries': { status: 200, schema: listOf(ref('WebhookDelivery')) },
+    'POST /webhooks/{id}/deliveries/{deliveryId}/replay': { status: 200, schema: ref('WebhookDelivery') },
+    'POST /webhooks/{id}/replay': {
+        status: 200,
+        schema: { type: 'object', required: ['replayed', 'succeeded'], properties: { replayed: { type: 'integer' }, succeeded: { type: 'integer' } } }
+    }
+};
+
+// The JSON Schema of a model's attributes, as they appear in responses.
+// - Attributes hidden by the default scope (the password hash, webhook secrets) are left out.
+// - Attributes that can be null are `nullable`; the others are `required`, along with the primary key and timestamps.
+const SQL_TYPES = {
+    INTEGER: { type: 'integer' },
+    BIGINT: { type: 'integer' },
+    FLOAT: { type: 'number' },
+    DOUBLE: { type: 'number' },
+    DECIMAL: { type: 'number' },
+    STRING: { type: 'string' },
+    TEXT: { type: 'string' },
+    UUID: { type: 'string', format: 'uuid' },
+    BOOLEAN: { type: 'boolean' },
+    DATE: { type: 'string', format: 'date-time' },
+    DATEONLY: { type: 'string', format: 'date' },
+    JSON: {},
+    JSONB: {}
+};
+
+const modelSchema = (model) => {
+    const defaultScope = model.options.defaultScope || {};
+    const hidden = (defaultScope.attributes && defaultScope.attributes.exclude) || [];
+    const properties = {};
+    const required = [];
+
+    Object.entries(model.rawAttributes).forEach(([attribute, definition]) => {
+        if (hidden.includes(attribute)) {
+            return;
+        }
+        // VIRTUAL attributes (e.g. the download URLs of attachments) are described by the type they return.
+        const { key, returnType } = definition.type;
+        const type = key === 'VIRTUAL' && returnType ? returnType.key : key;
+        const schema = type === 'ENUM'
+            ? { type: 'string', enum: definition.values }
+            : { ...(SQL_TYPES[type] || {}) };
+        const nullable = definition.allowNull !== false && !definition.primaryKey;
+        if (nullable) {
+            schema.nullable = true;
+        } else {
+            required.push(attribute);
+        }
+        properties[attribute] = schema;
+    });
+
+    return { type: 'object', required, properties };
+};
+
+// The JSON Schema of a Joi schema, from its `describe()` output.
+// - Covers the Joi features used in the validators folder: objects, arrays, strings, numbers, booleans, dates,
+//   alternatives, `valid` (enum), `allow(null)` (nullable), defaults, and the usual length and range rules.
+const joiToSchema = (description) => {
+    const { type, flags = {}, rules = [], allow = [] } = description;
+    const rule = ruleName => rules.find(({ name: candidate }) => candidate === ruleName);
+    let schema;
+
+    switch (type) {
+        case 'object': {
+            schema = { type: 'object' };
+            if (description.keys) {
+                schema.properties = {};
+                const required = [];
+                Object.entries(description.keys).forEach(([key, child]) => {
+                    schema.properties[key] = joiToSchema(child);
+                    if (child.flags && child.flags.presence === 'required') {
+                        required.push(key);
+                    }
+                });
+                if (required.length > 0) {
+                    schema.required = required;
+                }
+            }
+            if (rule('min')) {
+                schema.minProperties = rule('min').args.limit;
+            }
+            break;
+        }
+        case 'array':
+            schema = { type: 'array' };
+            if (description.items && description.items.length > 0) {
+                schema.items = description.items.length === 1
+                    ? joiToSchema(description.items[0])
+                    : { oneOf: description.items.map(joiToSchema) };
+            }
+            if (rule('min')) {
+                schema.minItems = rule('min').args.limit;
+            }
+            if (rule('max')) {
+                schema.maxItems = rule('max').args.limit;
+            }
+            if (rule('unique')) {
+                schema.uniqueItems = true;
+            }
+            break;
+        case 'string':
+            schema = { type: 'string' };
+            if (rule('min')) {
+                schema.minLength = rule('min').args.limit;
+            }
+            if (rule('max')) {
+                schema.maxLength = rule('max').args.limit;
+            }
+            if (rule('email')) {
+                schema.format = 'email';
+            }
+            if (rule('uri')) {
+                schema.format = 'uri';
+            }
+            break;
+        case 'number':
+            schema = { type: rule('integer') ? 'integer' : 'number' };
+            if (rule('min')) {
+                schema.minimum = rule('min').args.limit;
+            }
+            if (rule('max')) {
+                schema.maximum = rule('max').args.limit;
+            }
+            if (rule('sign') && rule('sign').args.sign === 'positive') {
+                schema.minimum = rule('integer') ? 1 : 0;
+            }
+            break;
+        case 'boolean':
+            schema = { type: 'boolean' };
+            break;
+        case 'date':
+            schema = { type: 'string', format: 'date-time' };
+            break;
+        case 'alternatives':
+            schema = { oneOf: description.matches.map(match => joiToSchema(match.schema)) };
+            break;
+        default:
+            schema = {};
+    }
+
+    const values = allow.filter(value => value !== null);
+    if (flags.only && values.length > 0) {
+        schema.enum = values;
+    }
+    if (allow.includes(null)) {
+        schema.nullable = true;
+    }
+    if (flags.default !== undefined && typeof flags.default !== 'function') {
+        schema.default = flags.default;
+    }
+    return schema;
+};
+
+// The OpenAPI form of an Express path: '/posts/:postId/comments' becomes '/posts/{postId}/comments'.
+const toOpenApiPath = expressPath => expressPath.replace(/:(\w+)/g, '{$1}').replace(/(.)\/$/, '$1');
+
+// The path a router is mounted at, rebuilt from the regular expression Express keeps for it.
+// - `app.use('/posts', router)` gives /^\/posts\/?(?=\/|$)/i, and a parameter such as ':postId' becomes a `(?:\/([^/]+?))` group.
+const mountPath = (layer) => {
+    if (layer.regexp.fast_slash) {
+        return '';
+    }
+    let keyIndex = 0;
+    return layer.regexp.source
+        .replace(/^\^/, '')
+        .replace('\\/?(?=\\/|$)', '')
+        .replace(/\(\?:\\\/\(\[\^\/\]\+\?\)\)/g, () => `/:${layer.keys[keyIndex++].name}`)
+        .replace(/\\\//g, '/');
+};
+
+// Read the summaries of every route file: the comment at the end of each route line, by router and `METHOD /path`.
+// - Route modules are cached by `require`, so the router objects here are the ones mounted in the app.
+const readSummaries = () => {
+    const summaries = new Map();
+    fs.readdirSync(ROUTES_DIR).filter(file => file.endsWith('.js')).forEach((file) => {
+        const router = require(path.join(ROUTES_DIR, file));
+        const source = fs.readFileSync(path.join(ROUTES_DIR, file), 'utf8');
+        const routeSummaries = new Map();
+        source.split('\n').forEach((line) => {
+            const match = /^router\.(get|post|put|patch|delete)\('([^']*)'.*\);\s*\/\/\s*(.+)$/.exec(line.trim());
+            if (match) {
+                routeSummaries.set(`${match[1].toUpperCase()} ${match[2]}`, match[3].trim());
+            }
+        });
+        summaries.set(router, routeSummaries);
+    });
+    return summaries;
+};
+
+// Collect every route of a router stack: `{ method, path, routePath, prefix, handlers, summary }`.
+const collectRoutes = (stack, prefix, router, summaries) => stack.flatMap((layer) => {
+    if (layer.route) {
+        return Object.keys(layer.route.methods).filter(method => method !== '_all').map((method) => {
+            const routeSummaries = summaries.get(router);
+            return {
+                method: method.toUpperCase(),
+                path: toOpenApiPath(prefix + layer.route.path),
+                routePath: layer.route.path,
+                prefix: toOpenApiPath(prefix || '/'),
+                handlers: layer.route.stack.map(routeLayer => routeLayer.handle),
+                summary: routeSummaries && routeSummaries.get(`${method.toUpperCase()} ${layer.route.path}`)
+            };
+        });
+    }
+    if (layer.name === 'router') {
+        return collectRoutes(layer.handle.stack, prefix + mountPath(layer), layer.handle, summaries);
+    }
+    return [];
+});
+
+// The success response of a route, by the REST conventions of this API:
+// - `GET /` lists the resource with cursor pagination, `GET /:id` returns one record.
+// - `POST /` creates a record (201); `PUT`, `PATCH`, and `POST /:id/restore` return the record; `DELETE` answers 204.
+const successResponse = (route) => {
+    const override = RESPONSES[`${route.method} ${route.path}`];
+    if (override) {
+        return override;
+    }
+    const modelName = RESOURCE_MODELS[route.prefix];
+    const single = /^\/:\w+$/.test(route.routePath);
+    if (route.method === 'DELETE' && single) {
+        return { status: 204 };
+    }
+    if (modelName) {
+        if (route.method === 'GET' && route.routePath === '/') {
+            return { status: 200, schema: listOf(ref(modelName)) };
+        }
+        if (route.method === 'POST' && route.routePath === '/') {
+            return { status: 201, schema: ref(modelName) };
+        }
+        if ((['GET', 'PUT', 'PATCH'].includes(route.method) && single) || /^\/:\w+\/restore$/.test(route.routePath)) {
+            return { status: 200, schema: ref(modelName) };
+        }
+    }
+    return { status: 200, schema: { type: 'object' } };
+};
+
+const errorResponse = description => ({
+    description,
+    content: { 'application/json': { schema: ref('Error') } }
+});
+
+// Describe one route as an OpenAPI operation.
+const buildOperation = (route) => {
+    const validation = route.handlers.find(handler => handler.schemas);
+    const schemas = (validation && validation.schemas) || {};
+    const permission = route.handlers.find(handler => handler.permission);
+    const authenticated = route.handlers.includes(authenticate);
+    const upload = route.handlers.find(handler => handler.upload);
+
+    const operation = {
+        tags: [route.path.split('/')[1] || 'root'],
+        summary: route.summary,
+        parameters: []
+    };
+    if (permission) {
+        operation.description = `Requires the \`${permission.permission}\` permission.`;
+        operation['x-permission'] = permission.permission;
+    }
+
+    // Path parameters; routes without a params schema still declare theirs, as strings.
+    const pathParams = (schemas.params && joiToSchema(schemas.params.describe()).properties) || {};
+    (route.path.match(/\{\w+\}/g) || []).forEach((param) => {
+        const paramName = param.slice(1, -1);
+        operation.parameters.push({ name: paramName, in: 'path', required: true, schema: pathParams[paramName] || { type: 'string' } });
+    });
+
+    // Query parameters; objects such as `filter` use the `filter[field][op]=value` form.
+    if (schemas.query) {
+        const query = joiToSchema(schemas.query.describe());
+        Object.entries(query.properties || {}).forEach(([paramName, schema]) => {
+            operation.parameters.push({
+                name: paramName,
+                in: 'query',
+                required: (query.required || []).includes(paramName),
+                schema,
+                ...(schema.type === 'object' && { style: 'deepObject', explode: true })
+            });
+        });
+    }
+
+    // Every route works inside a workspace, named by a header or the subdomain (see middlewares/workspaceMiddleware.js).
+    operation.parameters.push({ $ref: '#/components/parameters/Workspace' });
+
+    if (schemas.body) {
+        operation.requestBody = {
+            required: true,
+            content: { 'application/json': { schema: joiToSchema(schemas.body.describe()) } }
+        };
+    } else if (upload) {
+        // File uploads are checked by the upload middleware (see middlewares/uploadMiddleware.js).
+        const { field, maxCount, types } = upload.upload;
+        operation.requestBody = {
+            required: true,
+            content: {
+                'multipart/form-data': {
+                    schema: {
+                        type: 'object',
+                        required: [field],
+                        properties: { [field]: maxCount > 1 ? { type: 'array', items: file, maxItems: maxCount } : file }
+                    },
+                    encoding: { [field]: { contentType: types.join(', ') } }
+                }
+            }
+        };
+    } else if (route.method === 'PATCH') {
+        // PATCH bodies are checked by utils/patch.js rather than a request schema.
+        operation.requestBody = {
+            required: true,
+            content: Object.fromEntries(ACCEPT_PATCH.split(', ').map(mediaType => [mediaType, {
+                schema: mediaType.includes('json-patch') ? { type: 'array', items: { type: 'object' } } : { type: 'object' }
+            }]))
+        };
+    }
+
+    // `also` lists other success statuses with the same body.
+    const success = successResponse(route);
+    operation.responses = {};
+    [success.status, ...(success.also || [])].forEach((status) => {
+        operation.responses[status] = success.schema
+            ? { description: 'Success', content: { [success.mediaType || 'application/json']: { schema: success.schema } } }
+            : { description: 'Success, with no content' };
+    });
+    if (authenticated) {
+        operation.security = [{ bearerAuth: [] }];
+        operation.responses[401] = errorResponse('Authentication required');
+    }
+    if (permission) {
+        operation.responses[403] = errorResponse('The role lacks the permission');
+    }
+    if (operation.parameters.some(param => param.in === 'path')) {
+        operation.responses[404] = errorResponse('Not found');
+    }
+    if (upload) {
+        operation.responses[413] = errorResponse(`A file is larger than ${upload.upload.maxBytes} bytes`);
+        operation.responses[415] = errorResponse('The request is not multipart/form-data, or a file is not of an accepted type');
+    }
+    if (validation || upload) {
+        operation.responses[422] = errorResponse('The request does not match its schema');
+    }
+    operation.responses.default = errorResponse('Error');
+    return operation;
+};
+
+// Build the OpenAPI document of an Express app. Call it after every route has been registered.
+const buildOpenApiDocument = (app) => {
+    const routes = collectRoutes(app._router.stack, '', null, readSummaries());
+
+    const paths = {};
+    routes.forEach((route) => {
+        paths[route.path] = paths[route.path] || {};
+        paths[route.path][route.method.toLowerCase()] = buildOperation(route);
+    });
+
+    const modelSchemas = Object.fromEntries(Object.entries(models)
+        .filter(([, model]) => model && model.rawAttributes && model.name !== 'PostTag')
+        .map(([modelName, model]) => [modelName, modelSchema(model)]));
+
+    return {
+        openapi: '3.0.3',
+        info: { title: name, version },
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+            },
+            parameters: {
+                Workspace: {
+                    name: WORKSPACE_HEADER,
+                    in: 'header',
+                    required: false,
+                    description: 'The slug of the workspace (blog) the request is for. Without it, the subdomain of the request names the workspace, or else the default workspace is used.',
+                    schema: { type: 'string' }
+                }
+            },
+            schemas: {
+                ...modelSchemas,
+                PageInfo: {
+                    type: 'object',
+                    required: ['limit', 'hasNextPage', 'hasPreviousPage', 'nextCursor', 'prevCursor'],
+                    properties: {
+                        limit: { type: 'integer' },
+                        hasNextPage: { type: 'boolean' },
+                        hasPreviousPage: { type: 'boolean' },
+                        nextCursor: { type: 'string', nullable: true },
+                        prevCursor: { type: 'string', nullable: true }
+                    }
+                },
+                Error: {
+                    type: 'object',
+                    required: ['error'],
+                    properties: {
+                        error: {
+                            type: 'object',
+                            required: ['code', 'message'],
+                            properties: { code: { type: 'string' }, message: { type: 'string' }, details: {} }
+                        }
+                    }
+                }
+            }
+        }
+    };
+};
+
+// The document of an app, built on first use and kept for the life of the process.
+const documents = new WeakMap();
+const getOpenApiDocument = (app) => {
+    if (!documents.has(app)) {
+        documents.set(app, buildOpenApiDocument(app));
+    }
+    return documents.get(app);
+};
+
+module.exports = { buildOpenApiDocument, getOpenApiDocument, modelSchema, joiToSchema };
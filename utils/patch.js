@@ -0,0 +1,212 @@
+// Partial updates for the PATCH routes.
+// A PATCH request describes changes to a record, in one of two standard formats chosen by its Content-Type:
+// - JSON Merge Patch (RFC 7396), `application/merge-patch+json` or plain `application/json`:
+//   `{ "title": "New title", "publishAt": null }` sets the title, clears publishAt, and leaves every other field alone.
+// - JSON Patch (RFC 6902), `application/json-patch+json`: a list of operations, e.g.
+//   `[{ "op": "test", "path": "/status", "value": "draft" }, { "op": "replace", "path": "/status", "value": "active" }]`.
+// Either way the patch is applied to the record's editable fields, the result is validated as a whole against the
+// resource's document schema (see the `document` schemas in the validators folder), and only the fields that
+// actually changed are saved.
+const { isDeepStrictEqual } = require('util');
+const { BadRequestError, ConflictError, UnsupportedMediaTypeError, ValidationError } = require('./errors');
+
+const MERGE_PATCH = 'application/merge-patch+json';
+const JSON_PATCH = 'application/json-patch+json';
+
+// The media types accepted by the PATCH routes, also sent in the `Accept-Patch` response header.
+const ACCEPT_PATCH = [MERGE_PATCH, JSON_PATCH].join(', ');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Apply a JSON Merge Patch (RFC 7396) to a document, without changing the original.
+// - A member set to null is removed; an object is merged recursively; anything else replaces the current value.
+const applyMergePatch = (target, patch) => {
+    if (!isPlainObject(patch)) {
+        return patch;
+    }
+    const result = isPlainObject(target) ? { ...target } : {};
+    Object.entries(patch).forEach(([key, value]) => {
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = applyMergePatch(result[key], value);
+        }
+    });
+    return result;
+};
+
+// Split a JSON Pointer (RFC 6901) such as '/tags/0' into its reference tokens, e.g. ['tags', '0'].
+const parsePointer = (pointer) => {
+    if (pointer === '') {
+        return [];
+    }
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+        throw new BadRequestError(`Invalid JSON Pointer '${pointer}'`);
+    }
+    return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+// Find the container (object or array) a pointer refers into, and the key within it.
+const locate = (document, pointer) => {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) {
+        throw new BadRequestError('Operations on the whole document are not supported');
+    }
+    const key = tokens.pop();
+    const parent = tokens.reduce((node, token) => {
+        if (node === null || typeof node !== 'object' || !(token in node)) {
+            throw new ConflictError(`The path '${pointer}' does not exist`);
+        }
+        return node[token];
+    }, document);
+    if (parent === null || typeof parent !== 'object') {
+        throw new ConflictError(`The path '${pointer}' does not exist`);
+    }
+    return { parent, key };
+};
+
+// The index an array operation refers to; '-' means the end of the array when adding.
+const arrayIndex = (array, key, pointer, forAdd) => {
+    if (forAdd && key === '-') {
+        return array.length;
+    }
+    const index = /^(0|[1-9][0-9]*)$/.test(key) ? Number(key) : NaN;
+    if (Number.isNaN(index) || index > array.length || (!forAdd && index === array.length)) {
+        throw new ConflictError(`The path '${pointer}' does not exist`);
+    }
+    return index;
+};
+
+const getValue = (document, pointer) => {
+    const { parent, key } = locate(document, pointer);
+    if (Array.isArray(parent)) {
+        return parent[arrayIndex(parent, key, pointer, false)];
+    }
+    if (!(key in parent)) {
+        throw new ConflictError(`The path '${pointer}' does not exist`);
+    }
+    return parent[key];
+};
+
+const addValue = (document, pointer, value) => {
+    const { parent, key } = locate(document, pointer);
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(parent, key, pointer, true), 0, value);
+    } else {
+        parent[key] = value;
+    }
+};
+
+const removeValue = (document, pointer) => {
+    const { parent, key } = locate(document, pointer);
+    if (Array.isArray(parent)) {
+        return parent.splice(arrayIndex(parent, key, pointer, false), 1)[0];
+    }
+    if (!(key in parent)) {
+        throw new ConflictError(`The path '${pointer}' does not exist`);
+    }
+    const value = parent[key];
+    delete parent[key];
+    return value;
+};
+
+// Apply a JSON Patch (RFC 6902) to a document, without changing the original.
+// - The operations are applied in order, and the patch is all-or-nothing: any failing operation fails the whole patch.
+// - A malformed operation gets a 400 status; an operation that does not fit the document
+//   (a missing path, or a failing `test`) gets a 409 status.
+const applyJsonPatch = (document, operations) => {
+    if (!Array.isArray(operations)) {
+        throw new BadRequestError('A JSON Patch must be an array of operations');
+    }
+    const result = JSON.parse(JSON.stringify(document));
+
+    operations.forEach((operation, index) => {
+        if (!isPlainObject(operation) || typeof operation.path !== 'string') {
+            throw new BadRequestError(`Operation ${index} must be an object with an 'op' and a 'path'`);
+        }
+        const { op, path, from, value } = operation;
+        const needsValue = ['add', 'replace', 'test'].includes(op);
+        if (needsValue && !('value' in operation)) {
+            throw new BadRequestError(`Operation ${index} ('${op}') needs a 'value'`);
+        }
+
+        switch (op) {
+            case 'add':
+                addValue(result, path, value);
+                break;
+            case 'remove':
+                removeValue(result, path);
+                break;
+            case 'replace':
+                removeValue(result, path);
+                addValue(result, path, value);
+                break;
+            case 'move':
+                addValue(result, path, removeValue(result, from));
+                break;
+            case 'copy':
+                addValue(result, path, JSON.parse(JSON.stringify(getValue(result, from))));
+                break;
+            case 'test':
+                if (!isDeepStrictEqual(getValue(result, path), value)) {
+                    throw new ConflictError(`Test failed: '${path}' does not have the expected value`, { operation: index });
+                }
+                break;
+            default:
+                throw new BadRequestError(`Operation ${index} has an unknown 'op' '${op}'`);
+        }
+    });
+    return result;
+};
+
+// Work out the changes a PATCH request makes to a record.
+// - `documentSchema` is a Joi object schema listing the record's editable fields and the rules for the patched result,
+//   e.g. `postSchemas.document`. Fields it does not list cannot be patched.
+// - A field the patch removes (`null` in a merge patch, `remove` in a JSON Patch) is set to null,
+//   which the schema only accepts for fields that may be empty, such as a profile's bio.
+// - Returns only the fields whose value differs from the record, ready for `record.update(changes)`;
+//   fields the patch does not touch are never written.
+const buildPatchChanges = (req, record, documentSchema) => {
+    const fields = Object.keys(documentSchema.describe().keys);
+
+    // The record's editable fields in their JSON form (dates become strings), as a client would see them.
+    const current = JSON.parse(JSON.stringify(fields.reduce((doc, field) => ({ ...doc, [field]: record.get(field) }), {})));
+
+    let patched;
+    if (req.is(JSON_PATCH)) {
+        patched = applyJsonPatch(current, req.body);
+    } else if (req.is(MERGE_PATCH) || req.is('application/json')) {
+        if (!isPlainObject(req.body)) {
+            throw new BadRequestError('A merge patch must be a JSON object');
+        }
+        patched = applyMergePatch(current, req.body);
+    } else {
+        throw new UnsupportedMediaTypeError(`PATCH requests must be sent as ${ACCEPT_PATCH}`);
+    }
+
+    // Fields the record had and the patch removed are cleared.
+    Object.keys(current).forEach((field) => {
+        if (!(field in patched)) {
+            patched[field] = null;
+        }
+    });
+
+    const { error, value } = documentSchema.validate(patched, { abortEarly: false });
+    if (error) {
+        throw new ValidationError('The patched record is not valid', error.details.map(({ path, message }) => ({
+            field: ['body', ...path].join('.'),
+            message
+        })));
+    }
+
+    return Object.keys(value).reduce((changes, field) => {
+        const previous = record.get(field);
+        const next = value[field];
+        const same = previous instanceof Date && next instanceof Date
+            ? previous.getTime() === next.getTime()
+            : isDeepStrictEqual(previous, next);
+        return same ? changes : { ...changes, [field]: next };
+    }, {});
+};
+
+module.exports = { ACCEPT_PATCH, applyMergePatch, applyJsonPatch, buildPatchChanges };
@@ -0,0 +1,21 @@
+// The counts shown with posts in `GET /posts`, `GET /posts/:id`, and the feed.
+// - `commentCount`: the number of comments under the post.
+// - `reactionCounts`: the number of reactions of each type, e.g. `{ like: 12, love: 3, insightful: 0, ... }`.
+// Both are counted for all the posts at once, with one grouped query each, however many posts there are.
+const { Comment, Reaction } = require('../models');
+
+// Add the counts to a list of posts, returning their JSON form.
+const withCounts = async (posts) => {
+    const postIds = posts.map(post => post.id);
+    const [commentCounts, reactionCounts] = await Promise.all([
+        Comment.countByPost(postIds),
+        Reaction.countByPost(postIds)
+    ]);
+    return posts.map(post => ({
+        ...post.toJSON(),
+        commentCount: commentCounts.get(post.id) || 0,
+        reactionCounts: reactionCounts.get(post.id) || Reaction.emptyCounts()
+    }));
+};
+
+module.exports = { withCounts };
@@ -0,0 +1,205 @@
+// Full-text search over posts.
+// This module finds the posts matching a search query, ranks them by relevance, highlights the matched text,
+// and counts the matches per tag and per author (facets), so clients can offer "narrow down by tag/author" filters.
+// Scenario:
+// - On Postgres, the database does the heavy lifting with its built-in full-text search (tsvector, ts_rank, ts_headline).
+// - On other dialects (MySQL, SQLite), a portable fallback uses LIKE queries and ranks the results in JavaScript.
+//   The fallback loads every matching post, so it is meant for development and small datasets.
+const { Op } = require('sequelize');
+const { sequelize, Post, Tag, User, PostTag } = require('../models');
+const { currentWorkspaceId } = require('./workspaces');
+
+// Markers wrapped around matched words in highlights. Clients can style them, e.g. with CSS for <mark>.
+const HIGHLIGHT_START = '<mark>';
+const HIGHLIGHT_END = '</mark>';
+
+// Highlights are HTML fragments, so the text of the post is HTML-escaped before the markers are added.
+// - Otherwise a post titled `<img src=x onerror=...>` would run its script in every client that shows the highlights.
+// - '&' comes first, so the '&' of the other entities is not escaped again.
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = text => text.replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+// The same escaping in SQL, for the text Postgres highlights, e.g. `replace(replace(p.title, '&', '&amp;'), ...)`.
+// - Postgres's text search parser reads entities such as `&lt;` as single tokens, so it never highlights or cuts them.
+const escapeHtmlSql = column => Object.entries(HTML_ENTITIES).reduce(
+    (sql, [char, entity]) => `replace(${sql}, '${char.replace(/'/g, "''")}', '${entity}')`,
+    column
+);
+
+// How many characters of content to show around the first match in a snippet (fallback only).
+const SNIPPET_RADIUS = 80;
+
+// Split a search query into lowercase words, ignoring punctuation.
+// - Words only contain letters and digits, so they can be used in LIKE patterns without escaping '%' or '_'.
+const tokenize = (q) => q.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Escape a word so it can be used literally inside a regular expression.
+const escapeRegExp = (term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// HTML-escape a text, and wrap every occurrence of the search terms in highlight markers.
+// - The terms are found in the original text and each part is escaped on its own, so a term such as 'lt' is never
+//   highlighted inside an entity such as `&lt;`.
+const highlight = (text, terms) => {
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'giu');
+    // With a capturing group, `split` keeps the matches, at the odd positions.
+    return text.split(pattern)
+        .map((part, index) => (index % 2 === 1 ? `${HIGHLIGHT_START}${escapeHtml(part)}${HIGHLIGHT_END}` : escapeHtml(part)))
+        .join('');
+};
+
+// Cut a short excerpt of the content around the first matched term, and highlight the terms in it.
+const snippet = (content, terms) => {
+    const lower = content.toLowerCase();
+    const positions = terms.map(term => lower.indexOf(term)).filter(index => index >= 0);
+    const first = positions.length > 0 ? Math.min(...positions) : 0;
+    const start = Math.max(0, first - SNIPPET_RADIUS);
+    const end = Math.min(content.length, first + SNIPPET_RADIUS);
+    const excerpt = `${start > 0 ? '…' : ''}${content.slice(start, end)}${end < content.length ? '…' : ''}`;
+    return highlight(excerpt, terms);
+};
+
+// Count how often each term occurs in a piece of text.
+const countOccurrences = (text, terms) => {
+    const lower = text.toLowerCase();
+    return terms.reduce((total, term) => total + (lower.split(term).length - 1), 0);
+};
+
+// Postgres search
+// Uses a weighted document (title matches count more than content matches) and `websearch_to_tsquery`,
+// which understands quoted phrases, `or`, and `-excluded` words like a web search engine does.
+const searchPostgres = async ({ q, status, tagId, userId, limit, offset }) => {
+    const posts = Post.getTableName();
+    const postTags = PostTag.getTableName();
+    const tags = Tag.getTableName();
+    const users = User.getTableName();
+
+    // The matching posts, shared by the result, count, and facet queries below.
+    // - Raw queries bypass paranoid mode, so soft-deleted posts, tags, and users are excluded explicitly.
+    // - Filters are added only when provided, and every value is passed as a replacement to prevent SQL injection.
+    // - Raw queries are not scoped by the model hooks either, so the posts are limited to the current workspace here
+    //   (see utils/workspaces.js). Tags and authors are reached through the posts, so they are in the same workspace.
+    const workspaceId = currentWorkspaceId();
+    const matches = `
+        WITH query AS (SELECT websearch_to_tsquery('english', :q) AS tsq),
+        matches AS (
+            SELECT p.*,
+                ts_rank(
+                    setweight(to_tsvector('english', p.title), 'A') || setweight(to_tsvector('english', p.content), 'B'),
+                    query.tsq
+                ) AS rank
+            FROM "${posts}" p, query
+            WHERE p.status = :status
+                AND p."deletedAt" IS NULL
+                AND (setweight(to_tsvector('english', p.title), 'A') || setweight(to_tsvector('english', p.content), 'B')) @@ query.tsq
+                ${workspaceId ? 'AND p."workspaceId" = :workspaceId' : ''}
+                ${userId ? 'AND p."userId" = :userId' : ''}
+                ${tagId ? `AND EXISTS (SELECT 1 FROM "${postTags}" pt WHERE pt."postId" = p.id AND pt."tagId" = :tagId)` : ''}
+        )`;
+    const replacements = { q, status, workspaceId, tagId, userId, limit, offset };
+    const headline = `'StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}`;
+
+    const [hits, [{ total }], tagFacets, authorFacets] = await Promise.all([
+        sequelize.query(`${matches}
+            SELECT m.id, m.rank,
+                ts_headline('english', ${escapeHtmlSql('m.title')}, query.tsq, ${headline}, HighlightAll=true') AS "title",
+                ts_headline('english', ${escapeHtmlSql('m.content')}, query.tsq, ${headline}, MaxFragments=2, MaxWords=30, MinWords=10') AS "content"
+            FROM matches m, query
+            ORDER BY m.rank DESC, m."createdAt" DESC
+            LIMIT :limit OFFSET :offset`, { replacements, type: sequelize.QueryTypes.SELECT }),
+        sequelize.query(`${matches} SELECT COUNT(*)::int AS total FROM matches`,
+            { replacements, type: sequelize.QueryTypes.SELECT }),
+        sequelize.query(`${matches}
+            SELECT t.id, t.name, COUNT(*)::int AS count
+            FROM matches m
+            JOIN "${postTags}" pt ON pt."postId" = m.id
+            JOIN "${tags}" t ON t.id = pt."tagId" AND t."deletedAt" IS NULL
+            GROUP BY t.id, t.name
+            ORDER BY count DESC, t.name`, { replacements, type: sequelize.QueryTypes.SELECT }),
+        sequelize.query(`${matches}
+            SELECT u.id, u."firstName", u."lastName", COUNT(*)::int AS count
+            FROM matches m
+            JOIN "${users}" u ON u.id = m."userId" AND u."deletedAt" IS NULL
+            GROUP BY u.id, u."firstName", u."lastName"
+            ORDER BY count DESC, u."lastName"`, { replacements, type: sequelize.QueryTypes.SELECT })
+    ]);
+
+    return {
+        total,
+        hits: hits.map(({ id, rank, title, content }) => ({ id, rank: Number(rank), highlights: { title, content } })),
+        facets: { tags: tagFacets, authors: authorFacets }
+    };
+};
+
+// Portable search
+// Every term must appear in either the title or the content (case-insensitive LIKE).
+// Results are ranked by how often the terms occur, with title matches counting three times as much as content matches.
+const searchPortable = async ({ q, status, tagId, userId, limit, offset }) => {
+    const terms = tokenize(q);
+    if (terms.length === 0) {
+        return { total: 0, hits: [], facets: { tags: [], authors: [] } };
+    }
+
+    const where = {
+        [Op.and]: terms.map((term) => {
+            const pattern = `%${term}%`;
+            return { [Op.or]: [{ title: { [Op.like]: pattern } }, { content: { [Op.like]: pattern } }] };
+        })
+    };
+    if (userId) {
+        where.userId = userId;
+    }
+    if (tagId) {
+        const tagged = await PostTag.findAll({ attributes: ['postId'], where: { tagId } });
+        where.id = tagged.map(row => row.postId);
+    }
+
+    const candidates = await Post.scope(status).findAll({
+        attributes: ['id', 'title', 'content', 'userId', 'createdAt'],
+        where
+    });
+
+    const ranked = candidates
+        .map(post => ({
+            post,
+            rank: 3 * countOccurrences(post.title, terms) + countOccurrences(post.content, terms)
+        }))
+        .sort((a, b) => b.rank - a.rank || b.post.createdAt - a.post.createdAt);
+
+    // Facets are counted over every match, not just the current page.
+    const ids = ranked.map(({ post }) => post.id);
+    const [tagFacets, authorFacets] = await Promise.all([
+        PostTag.count({ where: { postId: ids }, group: ['tagId'] }),
+        Post.count({ where: { id: ids }, group: ['userId'] })
+    ]);
+    const [facetTags, facetUsers] = await Promise.all([
+        Tag.findAll({ attributes: ['id', 'name'], where: { id: tagFacets.map(row => row.tagId) } }),
+        User.findAll({ attributes: ['id', 'firstName', 'lastName'], where: { id: authorFacets.map(row => row.userId) } })
+    ]);
+    const tagCounts = new Map(tagFacets.map(row => [row.tagId, Number(row.count)]));
+    const authorCounts = new Map(authorFacets.map(row => [row.userId, Number(row.count)]));
+
+    return {
+        total: ranked.length,
+        hits: ranked.slice(offset, offset + limit).map(({ post, rank }) => ({
+            id: post.id,
+            rank,
+            highlights: { title: highlight(post.title, terms), content: snippet(post.content, terms) }
+        })),
+        facets: {
+            tags: facetTags
+                .map(tag => ({ id: tag.id, name: tag.name, count: tagCounts.get(tag.id) }))
+                .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+            authors: facetUsers
+                .map(user => ({ id: user.id, firstName: user.firstName, lastName: user.lastName, count: authorCounts.get(user.id) }))
+                .sort((a, b) => b.count - a.count || a.lastName.localeCompare(b.lastName))
+        }
+    };
+};
+
+// Search posts
+// Picks the search strategy that matches the configured database dialect.
+// - Returns the total number of matches, the hits for the requested page (ID, rank, and highlights) in relevance order, and the facets.
+exports.searchPosts = (options) => (
+    sequelize.getDialect() === 'postgres' ? searchPostgres(options) : searchPortable(options)
+);
@@ -0,0 +1,39 @@
+// A small seeded pseudo-random number generator.
+// `Math.random()` gives different numbers on every run; a seeded generator gives the same sequence for the same seed.
+// Scenario:
+// - The load-test dataset generates thousands of records. With the same seed, every run (and every developer)
+//   gets exactly the same users, posts, and tags, so results can be compared and seeding stays idempotent.
+// The generator is Mulberry32: fast, tiny, and more than random enough for test data (not for anything security related).
+
+const createRandom = (seed = 1) => {
+    let state = seed >>> 0;
+
+    // A number between 0 (inclusive) and 1 (exclusive), like Math.random().
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    // A whole number between min and max, both inclusive.
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+
+    // One random item of a list.
+    const pick = (items) => items[int(0, items.length - 1)];
+
+    // `count` different items of a list, in random order.
+    const sample = (items, count) => {
+        const pool = [...items];
+        const picked = [];
+        while (picked.length < count && pool.length > 0) {
+            picked.push(pool.splice(int(0, pool.length - 1), 1)[0]);
+        }
+        return picked;
+    };
+
+    return { next, int, pick, sample };
+};
+
+module.exports = { createRandom };
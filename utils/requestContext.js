@@ -0,0 +1,26 @@
+// Values that belong to the request being handled, available anywhere in the code that handles it.
+// Scenario:
+// - The workspace middleware stores the workspace of the request here. The model hooks that scope every query to that
+//   workspace (see utils/workspaces.js) read it back, without every controller and helper passing it along.
+// - The request ID middleware stores the ID of the request here, and the logger adds it to every line (see utils/logger.js).
+//
+// It is built on Node's AsyncLocalStorage: everything started while handling a request (awaited promises, timers,
+// database callbacks) sees the same context, and concurrent requests never see each other's.
+// Outside of any request (the scheduler, the seeder, scripts), the context is empty unless code sets one itself.
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// The context of the code that is running, e.g. `{ workspaceId: 2 }`, or an empty object outside of any context.
+const getContext = () => storage.getStore() || {};
+
+// Run `fn` with some values added to the current context, and return its result.
+// - The values are only visible inside `fn` and the asynchronous work it starts; the outer context is unchanged.
+const runWithContext = (values, fn) => storage.run({ ...getContext(), ...values }, fn);
+
+// Keep the current context for a callback that is called later from an event, and return the bound callback.
+// - Callbacks run from the events of the request and response streams (e.g. when a body parser has read the body, or
+//   when the response is finished) otherwise run without the context of the request.
+const bindContext = fn => AsyncResource.bind(fn);
+
+module.exports = { getContext, runWithContext, bindContext };
@@ -0,0 +1,50 @@
+// In-process scheduler for timed post publishing.
+// A timer runs inside the web server and regularly publishes the drafts whose `publishAt` time has passed.
+// Scenario:
+// - An author writes a post on Friday and sets `publishAt` to Monday 9:00; the post goes live on Monday without anyone touching it.
+// Because the timer lives in this process, run a single server instance (or disable the scheduler on all but one)
+// to avoid two processes publishing the same post at once.
+const { Op } = require('sequelize');
+const { Post } = require('../models');
+const { runInWorkspace } = require('./workspaces');
+const { logger } = require('./logger');
+
+// How often to look for posts to publish, in milliseconds. Set SCHEDULER_INTERVAL_MS=0 to turn the scheduler off.
+const INTERVAL_MS = Number(process.env.SCHEDULER_INTERVAL_MS || 60 * 1000);
+
+// Publish every draft whose scheduled time has passed.
+// - Each post is updated on its own, so the Post hooks check the status workflow and record a revision for the change.
+// - A post that fails to publish is logged and retried on the next run; it does not stop the others.
+// - The drafts of every workspace are found at once; each one is published inside its own workspace, so its hooks
+//   (revisions, events for the webhooks) run as they would in a request to that workspace (see utils/workspaces.js).
+async function publishDuePosts() {
+    const duePosts = await Post.scope('draft').findAll({
+        where: { publishAt: { [Op.lte]: new Date() } }
+    });
+
+    for (const post of duePosts) {
+        try {
+            await runInWorkspace(post.workspaceId, () => post.update({ status: 'active' }));
+            logger.info('Scheduled post published', { postId: post.id, title: post.title });
+        } catch (error) {
+            logger.error('Error publishing a scheduled post', { postId: post.id, error });
+        }
+    }
+    return duePosts.length;
+}
+
+// Start the scheduler.
+// - `unref()` lets the process exit normally (e.g. in scripts) even while the timer is active.
+// - Returns the timer, or null when the scheduler is turned off.
+function startScheduler() {
+    if (!INTERVAL_MS) {
+        return null;
+    }
+    const timer = setInterval(() => {
+        publishDuePosts().catch(error => logger.error('Error running the post scheduler', { error }));
+    }, INTERVAL_MS);
+    timer.unref();
+    return timer;
+}
+
+module.exports = { publishDuePosts, startScheduler };
@@ -1,53 +1,46 @@
-const { User, Profile, Post, Tag } = require('../models');
+// Command-line entry point for the seeder (see utils/seeder.js and the seeds folder).
+// Usage:
+//   node utils/seed.js                          Seed the 'demo' dataset
+//   node utils/seed.js load-test --seed=42      Seed the 'load-test' dataset, generated from the seed value 42
+//   node utils/seed.js load-test --users=10000  Change the volume of a generated dataset
+//   node utils/seed.js demo --reset             Delete the existing data first
+//   node utils/seed.js demo --workspace=acme    Seed the 'acme' workspace instead of the default one
+// Running the same command twice is safe: existing records are updated instead of duplicated.
+const { seed, datasets } = require('./seeder');
+const { sequelize } = require('../models');
+const { DEFAULT_WORKSPACE } = require('./workspaces');
+
+// Turn `['load-test', '--reset', '--seed=42']` into `{ name: 'load-test', options: { reset: true, seed: 42 } }`.
+// Numeric option values are converted to numbers.
+const parseArgs = (args) => args.reduce(({ name, options }, arg) => {
+    if (!arg.startsWith('--')) {
+        return { name: arg, options };
+    }
+    const [flag, value] = arg.slice(2).split('=');
+    const parsed = value === undefined ? true : (Number.isNaN(Number(value)) ? value : Number(value));
+    return { name, options: { ...options, [flag]: parsed } };
+}, { name: 'demo', options: {} });
 
 async function seedData() {
+    const { name, options } = parseArgs(process.argv.slice(2));
     try {
-        // Create Users
-        const user1 = await User.create({ firstName: 'Alice', lastName: 'Johnson', email: 'alice@example.com' });
-        const user2 = await User.create({ firstName: 'Bob', lastName: 'Smith', email: 'bob@example.com' });
-        const user3 = await User.create({ firstName: 'Charlie', lastName: 'Brown', email: 'charlie@example.com' });
-        const user4 = await User.create({ firstName: 'Diana', lastName: 'Doe', email: 'diana@example.com' });
-        const user5 = await User.create({ firstName: 'Eve', lastName: 'Adams', email: 'eve@example.com' });
-
-        // Create Profiles (One-to-One)
-        await Profile.create({ bio: 'Alice is a web developer', userId: user1.id });
-        await Profile.create({ bio: 'Bob is a software engineer', userId: user2.id });
-        await Profile.create({ bio: 'Charlie is a data scientist', userId: user3.id });
-        await Profile.create({ bio: 'Diana is a project manager', userId: user4.id });
-        await Profile.create({ bio: 'Eve is a UI/UX designer', userId: user5.id });
-
-        // Create Posts (One-to-Many) with statuses
-        const post1 = await Post.create({ title: 'Alice’s first post', content: 'Alice discusses web development tips.', userId: user1.id, status: 'active' });
-        const post2 = await Post.create({ title: 'Alice’s second post', content: 'Exploring JavaScript frameworks.', userId: user1.id, status: 'draft' });
-        const post3 = await Post.create({ title: 'Bob’s first post', content: 'Understanding the software development life cycle.', userId: user2.id, status: 'archived' });
-        const post4 = await Post.create({ title: 'Charlie’s first post', content: 'An introduction to data science.', userId: user3.id, status: 'active' });
-        const post5 = await Post.create({ title: 'Diana’s first post', content: 'Managing software projects effectively.', userId: user4.id, status: 'draft' });
-        const post6 = await Post.create({ title: 'Eve’s first post', content: 'Designing for mobile applications.', userId: user5.id, status: 'archived' });
-        const post7 = await Post.create({ title: 'Bob’s second post', content: 'Version control with Git.', userId: user2.id, status: 'active' });
-        const post8 = await Post.create({ title: 'Alice’s third post', content: 'Introduction to CSS Grid.', userId: user1.id, status: 'active' });
-
-        // Create Tags (Many-to-Many)
-        const tag1 = await Tag.create({ name: 'Technology' });
-        const tag2 = await Tag.create({ name: 'Programming' });
-        const tag3 = await Tag.create({ name: 'Lifestyle' });
-        const tag4 = await Tag.create({ name: 'Management' });
-        const tag5 = await Tag.create({ name: 'Data Science' });
-        const tag6 = await Tag.create({ name: 'Design' });
-        const tag7 = await Tag.create({ name: 'Web Development' });
+        if (!datasets[name]) {
+            throw new Error(`Unknown dataset '${name}'. Available datasets:\n${Object.entries(datasets).map(([key, { description }]) => `- ${key}: ${description}`).join('\n')}`);
+        }
 
-        // Associate Tags with Posts (Many-to-Many)
-        await post1.addTags([tag1, tag2, tag7]); // Alice's first post (Web development, technology)
-        await post2.addTags([tag2, tag7]); // Alice's second post (Programming, web development)
-        await post3.addTags([tag1, tag4]); // Bob's first post (Technology, Management)
-        await post4.addTags([tag1, tag5]); // Charlie's first post (Technology, Data Science)
-        await post5.addTags([tag1, tag4]); // Diana's first post (Technology, Management)
-        await post6.addTags([tag6, tag3]); // Eve's first post (Design, Lifestyle)
-        await post7.addTags([tag2]); // Bob's second post (Programming)
-        await post8.addTags([tag7]); // Alice's third post (Web Development)
+        const started = Date.now();
+        const summary = await seed(name, options);
 
-        console.log('Data populated successfully with more users, posts, statuses, and tags.');
+        const workspace = options.workspace || DEFAULT_WORKSPACE;
+        console.log(`Seeded the '${name}' dataset into the '${workspace}' workspace in ${Date.now() - started} ms${options.reset ? ' (after deleting its existing data)' : ''}:`);
+        Object.entries(summary).forEach(([table, { created, updated }]) => {
+            console.log(`- ${table}: ${created} created, ${updated} updated`);
+        });
     } catch (error) {
-        console.error('Error populating data:', error);
+        console.error('Error populating data:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await sequelize.close();
     }
 }
 
@@ -0,0 +1,169 @@
+// Seeding framework.
+// A dataset (see the seeds folder) describes users, profiles, tags, and posts, referring to each other by natural keys
+// (a user's email, a tag's slug, a post's author and title). The seeder turns them into rows and upserts them:
+// - Rows that already exist (matched on their natural key) are updated, new rows are inserted, so re-running is safe.
+// - Rows are written with bulk inserts, a batch at a time, which is much faster than one INSERT per record.
+// - Everything happens in one transaction: a failing seed leaves the database exactly as it was.
+// - With `reset`, the existing data is deleted first, so the database ends up containing only the dataset.
+// - The dataset is seeded into one workspace (see utils/workspaces.js): the default one, or the one named by `workspace`.
+//   Natural keys are matched within that workspace, and `reset` only deletes its data.
+// Bulk inserts skip the per-row model hooks, so seeded users get their password hashed here, seeded posts get their
+// status timestamps here, and no post revisions are recorded for them.
+const { Op } = require('sequelize');
+const { sequelize, Workspace, User, Profile, Post, Tag, PostTag, Comment, PostRevision } = require('../models');
+const { slugify } = require('./slugify');
+const { DEFAULT_WORKSPACE, currentWorkspaceId, runInWorkspace, workspaceCondition } = require('./workspaces');
+const datasets = require('../seeds');
+
+// How many rows are written or looked up per query. Large enough to be fast,
+// small enough to stay under the databases' limits on bind parameters per statement.
+const BATCH_SIZE = 500;
+
+// The tables emptied by `reset`, in an order that deletes referencing rows before the rows they refer to.
+const RESET_ORDER = [PostRevision, Comment, PostTag, Post, Profile, Tag, User];
+
+// Split a list into batches.
+const inBatches = (items) => Array.from(
+    { length: Math.ceil(items.length / BATCH_SIZE) },
+    (_, i) => items.slice(i * BATCH_SIZE, (i + 1) * BATCH_SIZE)
+);
+
+// Build a string that identifies a row by its natural key, e.g. '3|Hello world' for a post.
+const keyOf = (row, key) => key.map(field => (row.get ? row.get(field) : row[field])).join('|');
+
+// Load the IDs of the rows matching the natural keys of `rows`, as a Map from key to ID.
+// - Soft-deleted rows count as existing: upserting them brings them back (every seeded row has `deletedAt: null`).
+const findIds = async (Model, rows, key, transaction) => {
+    const ids = new Map();
+    for (const batch of inBatches(rows)) {
+        const where = key.reduce((conditions, field) => ({
+            ...conditions,
+            [field]: { [Op.in]: [...new Set(batch.map(row => row[field]))] }
+        }), {});
+        const records = await Model.findAll({ where, attributes: ['id', ...key], paranoid: false, transaction });
+        records.forEach(record => ids.set(keyOf(record, key), record.id));
+    }
+    return ids;
+};
+
+// Insert or update rows, matching existing ones on their natural key.
+// Returns the Map from key to ID, and how many rows were created and updated.
+// - New rows are inserted with `bulkCreate`.
+// - Existing rows get their ID and are written with `bulkCreate({ updateOnDuplicate })`, which the database turns into
+//   an "insert, or update on conflict" statement, so a whole batch is updated in one query.
+const upsertAll = async (Model, rows, key, transaction) => {
+    if (rows.length === 0) {
+        return { ids: new Map(), created: 0, updated: 0 };
+    }
+
+    const existing = await findIds(Model, rows, key, transaction);
+    const created = rows.filter(row => !existing.has(keyOf(row, key)));
+    const updated = rows
+        .filter(row => existing.has(keyOf(row, key)))
+        .map(row => ({ ...row, id: existing.get(keyOf(row, key)) }));
+
+    for (const batch of inBatches(created)) {
+        await Model.bulkCreate(batch, { transaction, validate: true });
+    }
+
+    // Only the fields the dataset provides are updated; a join table row has nothing to update besides its key.
+    const fields = Object.keys(rows[0]).filter(field => !key.includes(field));
+    if (fields.length > 0) {
+        for (const batch of inBatches(updated)) {
+            await Model.bulkCreate(batch, {
+                transaction,
+                validate: true,
+                updateOnDuplicate: [...fields, 'updatedAt'],
+                // The rows carry their existing ID, so the conflict is always on the primary key.
+                conflictAttributes: ['id']
+            });
+        }
+    }
+
+    const ids = created.length > 0 ? await findIds(Model, created, key, transaction) : new Map();
+    existing.forEach((id, rowKey) => ids.set(rowKey, id));
+    return { ids, created: created.length, updated: fields.length > 0 ? updated.length : 0 };
+};
+
+// Delete all data of the current workspace from the seeded tables, including the comments and revisions that refer to them.
+// - The deletes bypass the models (and their hooks), so each one is given the workspace condition the hooks would add.
+const resetData = async (transaction) => {
+    const queryInterface = sequelize.getQueryInterface();
+    for (const Model of RESET_ORDER) {
+        await queryInterface.bulkDelete(Model.getTableName(), workspaceCondition(Model, currentWorkspaceId()), { transaction });
+    }
+};
+
+// Seed a dataset by name and return how many rows were created and updated per table.
+// Options:
+// - `reset`: delete the existing data of the workspace first.
+// - `workspace`: the slug of the workspace to seed (default: DEFAULT_WORKSPACE).
+// - Any other option (e.g. `seed`, `users`) is passed to the dataset's `build` function.
+const seed = async (name, { reset = false, workspace = DEFAULT_WORKSPACE, ...options } = {}) => {
+    const dataset = datasets[name];
+    if (!dataset) {
+        throw new Error(`Unknown dataset '${name}'. Available datasets: ${Object.keys(datasets).join(', ')}`);
+    }
+    const target = await Workspace.findOne({ where: { slug: String(workspace) } });
+    if (!target) {
+        throw new Error(`Unknown workspace '${workspace}'`);
+    }
+    const data = dataset.build(options);
+
+    // Hash each distinct password once; bcrypt is deliberately slow, and thousands of users usually share a few passwords.
+    const hashes = new Map();
+    for (const password of new Set(data.users.map(user => user.password))) {
+        hashes.set(password, await User.hashPassword(password));
+    }
+
+    return runInWorkspace(target.id, () => sequelize.transaction(async (transaction) => {
+        if (reset) {
+            await resetData(transaction);
+        }
+        const summary = {};
+
+        const users = await upsertAll(User, data.users.map(user => ({
+            ...user,
+            password: hashes.get(user.password),
+            deletedAt: null
+        })), ['email'], transaction);
+        summary.users = users;
+        const userId = (email) => users.ids.get(email);
+
+        summary.profiles = await upsertAll(Profile, data.profiles.map(({ email, bio }) => ({
+            userId: userId(email),
+            bio,
+            deletedAt: null
+        })), ['userId'], transaction);
+
+        // Tags are identified by their slug, the same way `Tag.findOrCreateByName` matches them.
+        const tagRows = data.tags.map(tagName => ({ name: tagName, slug: slugify(tagName), deletedAt: null }));
+        const tags = await upsertAll(Tag, tagRows, ['slug'], transaction);
+        summary.tags = tags;
+
+        // Posts are identified by their author and title. The status timestamp the Post hooks would normally set
+        // is filled in here, dated at the post's creation.
+        const postRows = data.posts.map(({ email, tags: postTags, ...post }) => {
+            const row = { ...post, userId: userId(email), publishedAt: null, archivedAt: null, deletedAt: null };
+            const stamp = Post.STATUS_TIMESTAMPS[post.status];
+            if (stamp) {
+                row[stamp] = post.createdAt || new Date();
+            }
+            return row;
+        });
+        const posts = await upsertAll(Post, postRows, ['userId', 'title'], transaction);
+        summary.posts = posts;
+
+        // Link each post to its tags. Existing links are kept; links are never removed by seeding.
+        const links = data.posts.flatMap(({ email, title, tags: postTags = [] }) => postTags.map(tagName => ({
+            postId: posts.ids.get(keyOf({ userId: userId(email), title }, ['userId', 'title'])),
+            tagId: tags.ids.get(slugify(tagName))
+        })));
+        summary.postTags = await upsertAll(PostTag, links, ['postId', 'tagId'], transaction);
+
+        // Report counts only; the ID maps are an internal detail.
+        return Object.fromEntries(Object.entries(summary).map(([table, { created = 0, updated = 0 }]) => [table, { created, updated }]));
+    }));
+};
+
+module.exports = { seed, datasets };
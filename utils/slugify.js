@@ -0,0 +1,22 @@
+// Symbols that tell tag names apart, spelled out so they survive in the slug: 'C++' and 'C#' must not both become 'c'.
+const SYMBOL_WORDS = {
+    '+': 'plus',
+    '#': 'sharp',
+    '&': 'and',
+    '@': 'at'
+};
+
+// Turn a name into a URL-friendly slug, e.g. 'Web Development' becomes 'web-development'.
+// - Letters are lowercased and accents removed, so 'Programming', 'programming', and 'PROGRAMMING' share one slug.
+// - The symbols in SYMBOL_WORDS are replaced by their word: 'C++' becomes 'c-plus-plus', 'C#' 'c-sharp', 'R&D' 'r-and-d'.
+// - Every run of characters other than letters and digits becomes a single '-', and leading or trailing dashes are dropped.
+// - A name without any letters, digits, or symbols from SYMBOL_WORDS (e.g. '!!!') gives an empty slug.
+const slugify = (name) => String(name)
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .replace(/[+#&@]/g, symbol => ` ${SYMBOL_WORDS[symbol]} `)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+module.exports = { slugify };
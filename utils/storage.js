@@ -0,0 +1,89 @@
+// File storage for uploads (profile avatars and post attachments).
+// The Attachment rows in the database describe the files; the bytes themselves live in a storage backend,
+// addressed by a key such as 'posts/12/3f2a...e1.png'.
+// Scenario:
+// - In development, files are written under the `uploads` folder of the project.
+// - In production, several server instances need to see the same files, so an S3-compatible bucket is swapped in
+//   with `setStorage(createS3Storage({ client, bucket }))`, without changing the controllers.
+//
+// The storage is pluggable: anything with these async methods works.
+// - `put(key, buffer, { contentType })`: store a file under a key, replacing any file already there.
+// - `get(key)`: a readable stream of the file, or null when there is no such file.
+// - `delete(key)`: remove a file; removing a missing file is not an error.
+//
+// Settings, read from environment variables:
+// - UPLOAD_DIR: where the local storage keeps its files (default: the `uploads` folder of the project).
+const fs = require('fs');
+const path = require('path');
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+
+// The local filesystem storage: each key is a path below `root`.
+// - Keys are generated by the application, but are still checked to stay inside `root`, so a bad key can never
+//   read or delete another file on the server.
+function createLocalStorage({ root = UPLOAD_DIR } = {}) {
+    const resolve = (key) => {
+        const file = path.resolve(root, key);
+        if (!file.startsWith(path.resolve(root) + path.sep)) {
+            throw new Error(`Invalid storage key '${key}'`);
+        }
+        return file;
+    };
+
+    return {
+        async put(key, buffer) {
+            const file = resolve(key);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, buffer);
+        },
+        async get(key) {
+            const file = resolve(key);
+            try {
+                await fs.promises.access(file);
+            } catch (error) {
+                return null;
+            }
+            return fs.createReadStream(file);
+        },
+        async delete(key) {
+            await fs.promises.rm(resolve(key), { force: true });
+        }
+    };
+}
+
+// An S3-compatible storage (AWS S3, MinIO, Cloudflare R2, ...).
+// - `client` is an `S3` client from the `@aws-sdk/client-s3` package (not installed by default), created with the
+//   region, endpoint, and credentials of the bucket: `new S3({ region, endpoint, credentials })`.
+function createS3Storage({ client, bucket }) {
+    return {
+        async put(key, buffer, { contentType } = {}) {
+            await client.putObject({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType });
+        },
+        async get(key) {
+            try {
+                const { Body } = await client.getObject({ Bucket: bucket, Key: key });
+                return Body;
+            } catch (error) {
+                if (error.name === 'NoSuchKey') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+        async delete(key) {
+            await client.deleteObject({ Bucket: bucket, Key: key });
+        }
+    };
+}
+
+// The storage in use.
+let storage = createLocalStorage();
+
+const getStorage = () => storage;
+
+// Replace the storage, e.g. `setStorage(createS3Storage({ client: new S3({ region }), bucket: 'uploads' }))` at startup.
+const setStorage = (newStorage) => {
+    storage = newStorage;
+};
+
+module.exports = { createLocalStorage, createS3Storage, getStorage, setStorage };
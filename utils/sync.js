@@ -1,25 +1,30 @@
-// Importing the sequelize instance from the models directory.
+// Importing the migration runner and the sequelize instance.
 // Sequelize is an ORM (Object-Relational Mapper) that allows us to interact with the database using JavaScript code.
+const { runPendingMigrations } = require('./migrator');
 const { sequelize } = require('../models');
 
-// Defining an asynchronous function to synchronize our models with the database.
-// This function will create tables for each model in the database, based on their definitions.
+// Defining an asynchronous function to bring the database schema up to date.
+// Instead of `sequelize.sync({ force: true })`, which drops every table and all of its data, the schema is built
+// by the migrations in the migrations folder. Only the migrations that have not run yet are applied,
+// so running this script again is safe and keeps existing data.
 async function syncModels() {
     try {
-        // Synchronize all defined models with the database.
-        // The `force: true` option drops tables first if they already exist, and then recreates them.
-        // This is useful in development to reset the database structure if changes are made to the models.
-        await sequelize.sync({ force: true });
+        const applied = await runPendingMigrations();
 
-        // Log a success message to indicate that the database and tables have been created successfully.
-        console.log('Database & tables created!');
+        // Log which migrations ran, or that there was nothing to do.
+        if (applied.length > 0) {
+            console.log(`Applied ${applied.length} migration(s):\n- ${applied.join('\n- ')}`);
+        } else {
+            console.log('Database schema is already up to date.');
+        }
     } catch (error) {
-        // If there is any error during the synchronization process, it will be caught here.
-        // This error message will help in debugging issues related to database syncing.
-        console.error('Error syncing the models:', error);
+        // If a migration fails, the error says which one, so it can be fixed and the script run again.
+        console.error('Error running the migrations:', error);
+        process.exitCode = 1;
+    } finally {
+        await sequelize.close();
     }
 }
 
-// Calling the syncModels function to initiate the synchronization process.
-// Running this function will create or reset the database tables, based on the model definitions.
+// Calling the syncModels function to apply the pending migrations.
 syncModels();
@@ -0,0 +1,107 @@
+// Handling of uploaded files: what may be uploaded, and how it is stored.
+// Scenario:
+// - A user uploads a photo as their avatar. The file is checked (size, and its actual type rather than the name or
+//   the type the client claims), stored with a generated name, and a small thumbnail is made for lists and comments.
+// - An author attaches a PDF to a post. It is checked and stored the same way; only images get thumbnails.
+//
+// Settings, read from environment variables:
+// - AVATAR_MAX_BYTES: the largest avatar accepted (default 2 MB).
+// - ATTACHMENT_MAX_BYTES: the largest post attachment accepted (default 10 MB).
+// - ATTACHMENT_MAX_FILES: how many attachments can be sent in one request (default 5).
+// - THUMBNAIL_SIZE: the largest width and height of thumbnails, in pixels (default 256).
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+const { UnsupportedMediaTypeError } = require('./errors');
+const { logger } = require('./logger');
+
+const AVATAR_MAX_BYTES = Number(process.env.AVATAR_MAX_BYTES || 2 * 1024 * 1024);
+const ATTACHMENT_MAX_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES || 10 * 1024 * 1024);
+const ATTACHMENT_MAX_FILES = Number(process.env.ATTACHMENT_MAX_FILES || 5);
+const THUMBNAIL_SIZE = Number(process.env.THUMBNAIL_SIZE || 256);
+
+// The file types the application knows, recognized by the first bytes of the file (its "magic number").
+// - The extension of the stored file comes from here too, never from the name the client sent.
+const FILE_TYPES = [
+    { mimeType: 'image/jpeg', extension: 'jpg', matches: bytes => bytes.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+    { mimeType: 'image/png', extension: 'png', matches: bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { mimeType: 'image/gif', extension: 'gif', matches: bytes => ['GIF87a', 'GIF89a'].includes(bytes.toString('latin1', 0, 6)) },
+    { mimeType: 'image/webp', extension: 'webp', matches: bytes => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP' },
+    { mimeType: 'application/pdf', extension: 'pdf', matches: bytes => bytes.toString('latin1', 0, 5) === '%PDF-' }
+];
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// The upload rules of each route, used by the upload middleware (middlewares/uploadMiddleware.js).
+// - `field` is the name of the multipart form field holding the file(s).
+const AVATAR_UPLOAD = { field: 'avatar', maxCount: 1, maxBytes: AVATAR_MAX_BYTES, types: IMAGE_TYPES };
+const ATTACHMENT_UPLOAD = {
+    field: 'files',
+    maxCount: ATTACHMENT_MAX_FILES,
+    maxBytes: ATTACHMENT_MAX_BYTES,
+    types: [...IMAGE_TYPES, 'application/pdf']
+};
+
+// Recognize the type of a file from its content. Returns an entry of FILE_TYPES, or null for anything else.
+const detectFileType = buffer => FILE_TYPES.find(type => type.matches(buffer)) || null;
+
+const isImage = mimeType => IMAGE_TYPES.includes(mimeType);
+
+// Store an uploaded file (from the upload middleware) under `prefix`, e.g. 'posts/12', with a thumbnail for images.
+// - Returns the Attachment attributes that describe the stored file.
+// - An image that cannot be decoded is rejected with a 415 status before anything is stored.
+async function storeUpload(file, prefix) {
+    const { mimeType, extension } = file.fileType;
+    const name = crypto.randomUUID();
+    const attributes = {
+        originalName: file.originalname,
+        mimeType,
+        size: file.size,
+        storageKey: `${prefix}/${name}.${extension}`,
+        thumbnailKey: null,
+        width: null,
+        height: null
+    };
+
+    let thumbnail = null;
+    if (isImage(mimeType)) {
+        try {
+            const { width, height } = await sharp(file.buffer).metadata();
+            Object.assign(attributes, { width, height });
+            // `rotate()` applies the EXIF orientation of photos taken with a phone; `inside` keeps the aspect ratio.
+            thumbnail = await sharp(file.buffer)
+                .rotate()
+                .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+                .webp()
+                .toBuffer();
+            attributes.thumbnailKey = `${prefix}/${name}-thumbnail.webp`;
+        } catch (error) {
+            throw new UnsupportedMediaTypeError(`'${file.originalname}' is not a valid image`);
+        }
+    }
+
+    const storage = getStorage();
+    await storage.put(attributes.storageKey, file.buffer, { contentType: mimeType });
+    if (thumbnail) {
+        await storage.put(attributes.thumbnailKey, thumbnail, { contentType: 'image/webp' });
+    }
+    return attributes;
+}
+
+// Remove stored files, e.g. those of deleted attachments. Missing keys (null) are skipped.
+// - A file that cannot be removed is logged rather than failing the request: the database no longer refers to it.
+async function removeStoredFiles(keys) {
+    const storage = getStorage();
+    await Promise.all(keys.filter(Boolean).map(key => storage.delete(key).catch((error) => {
+        logger.error('Error removing a stored file', { key, error });
+    })));
+}
+
+module.exports = {
+    AVATAR_UPLOAD,
+    ATTACHMENT_UPLOAD,
+    detectFileType,
+    isImage,
+    storeUpload,
+    removeStoredFiles
+};
@@ -0,0 +1,67 @@
+// Optimistic concurrency control over HTTP, built on the `version` column of User, Profile, Post, and Tag.
+// Scenario:
+// - Two editors open post 1 at version 3. The first saves with `If-Match: "v3-..."`; the post becomes version 4.
+// - The second saves with the same If-Match. Version 3 is outdated, so instead of silently overwriting the first
+//   editor's changes, the request fails with 412 (Precondition Failed) and the post as it is now.
+//
+// ETags of single records look like `"v4-Xk3..."`: the record's version, then a hash of the response body.
+// - The hash changes whenever the response does (e.g. a tag is added to a post, which does not change its version),
+//   so the ETag also works for If-None-Match and 304 responses (see middlewares/cacheMiddleware.js).
+// - If-Match only compares the version part, so `If-Match: "v4"` works as well.
+const crypto = require('crypto');
+const { PreconditionFailedError, PreconditionRequiredError } = require('./errors');
+
+// With REQUIRE_IF_MATCH=true, PUT, PATCH, and DELETE requests on versioned records must send If-Match (428 otherwise).
+// By default If-Match is optional, so existing clients keep working, and requests without it are not checked.
+const REQUIRE_IF_MATCH = process.env.REQUIRE_IF_MATCH === 'true';
+
+// A short hash of a response body.
+const bodyHash = (body) => crypto.createHash('sha1').update(body).digest('base64url');
+
+// The ETag of a record's response, e.g. `"v4-Xk3..."`.
+const versionETag = (version, body) => `"v${version}-${bodyHash(JSON.stringify(body))}"`;
+
+// Send a single record with its ETag, e.g. `sendVersioned(res, 200, post)`.
+// - `body` is what is sent when it differs from the record itself, e.g. the post with its comment count.
+const sendVersioned = (res, status, record, body = record) => {
+    res.set('ETag', versionETag(record.version, body));
+    res.status(status).json(body);
+};
+
+// The versions listed in an If-Match header: `"v3-Xk3...", "v4"` gives [3, 4], and `*` gives '*'.
+// Tags that are not versions (e.g. the ETag of a list) give NaN and never match.
+const parseIfMatch = (header) => {
+    if (header.trim() === '*') {
+        return '*';
+    }
+    return header.split(',').map((tag) => {
+        const match = /^"v(\d+)(-[^"]*)?"$/.exec(tag.trim());
+        return match ? Number(match[1]) : NaN;
+    });
+};
+
+// Check the request's If-Match header against the version of the record it is about to change.
+// - Without the header, the change goes ahead (or fails with 428 when REQUIRE_IF_MATCH is on).
+// - With an outdated version, it fails with 412: the response carries the current record in `details.current`
+//   and its ETag, so the client can merge its changes and retry without another GET.
+// - `name` is used in the error message, e.g. 'post'.
+const checkIfMatch = (req, res, record, name) => {
+    const header = req.get('If-Match');
+    if (!header) {
+        if (REQUIRE_IF_MATCH) {
+            throw new PreconditionRequiredError(`Changing a ${name} requires an If-Match header with its ETag`);
+        }
+        return;
+    }
+
+    const versions = parseIfMatch(header);
+    if (versions !== '*' && !versions.includes(record.version)) {
+        res.set('ETag', versionETag(record.version, record));
+        throw new PreconditionFailedError(`The ${name} was changed since you last read it`, {
+            currentVersion: record.version,
+            current: record.toJSON()
+        });
+    }
+};
+
+module.exports = { bodyHash, versionETag, sendVersioned, checkIfMatch };
@@ -0,0 +1,215 @@
+// Outgoing webhooks: forwards domain events (see utils/eventBus.js) to the subscribers registered at `/webhooks`.
+// Scenario:
+// - A newsletter service subscribes to 'post.published'. When a post is published, a delivery is recorded for it and
+//   the event is POSTed to its URL as JSON, signed with the webhook's secret.
+// - If the service is down (a network error, a timeout, or a non-2xx status), the delivery is retried with
+//   exponential backoff: after 30 seconds, then 1, 2, 4 minutes, ... until it succeeds or runs out of attempts.
+// - Every attempt is recorded in the delivery log, and failed deliveries can be replayed from the API.
+//
+// Each request carries these headers:
+// - X-Webhook-Id, X-Webhook-Event, X-Webhook-Delivery: the webhook, the event type, and the delivery ID
+//   (the same on every retry, so subscribers can ignore duplicates).
+// - X-Webhook-Timestamp: when the request was signed, in seconds since the epoch.
+// - X-Webhook-Signature: `sha256=` followed by the hex HMAC-SHA256 of `<timestamp>.<body>` with the webhook's secret.
+// Every attempt connects only to public addresses: the address the host name resolves to is checked as the connection is
+// opened (see utils/webhookUrls.js). Redirects are not followed: a public URL could otherwise redirect to an internal one.
+// Like the post scheduler, the retry timer lives in this process, so run it in a single server instance.
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { Op } = require('sequelize');
+const { Webhook, WebhookDelivery } = require('../models');
+const { subscribe } = require('./eventBus');
+const { logger } = require('./logger');
+const { assertPublicHost, publicLookup, PrivateUrlError } = require('./webhookUrls');
+
+// Settings, read from environment variables:
+// - WEBHOOK_TIMEOUT_MS: how long to wait for a subscriber's response.
+// - WEBHOOK_MAX_ATTEMPTS: attempts per delivery, the first one included, before it is marked as failed.
+// - WEBHOOK_RETRY_BASE_MS: the delay before the first retry; it doubles after every failed attempt.
+// - WEBHOOK_INTERVAL_MS: how often to look for retries that are due. Set it to 0 to turn retries off.
+// - WEBHOOK_ALLOW_PRIVATE_URLS=true: allow deliveries to local and private addresses, for development (see utils/webhookUrls.js).
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10 * 1000);
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 30 * 1000);
+const INTERVAL_MS = Number(process.env.WEBHOOK_INTERVAL_MS || 15 * 1000);
+
+// The signature of a request body, e.g. `sha256=5d41...`.
+// - Subscribers compute the same HMAC with their copy of the secret and compare; the timestamp is part of the signed
+//   text, so an old request cannot be sent again later with a new timestamp.
+const sign = (secret, timestamp, body) => `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// The delay before the next attempt, after `attempts` failed ones: 30s, 1m, 2m, 4m, ... with the default base.
+const retryDelay = (attempts) => RETRY_BASE_MS * 2 ** (attempts - 1);
+
+// Send a POST request, and resolve with the status of the response.
+// - Node's http and https modules are used rather than `fetch`, because they accept a `lookup` function:
+//   `publicLookup` checks the address the connection is actually made to.
+// - A redirect is returned as it is (these modules never follow one), so it counts as a failed attempt.
+// - The response body is not used; it is read and dropped, which frees the connection.
+const post = (url, headers, body) => new Promise((resolve, reject) => {
+    const client = new URL(url).protocol === 'https:' ? https : http;
+    const request = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: publicLookup,
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+    }, (response) => {
+        response.on('error', reject);
+        response.on('end', () => resolve(response.statusCode));
+        response.resume();
+    });
+    request.on('error', reject);
+    request.end(body);
+});
+
+// What the delivery log says about a request that got no response.
+// - Only these fixed descriptions are recorded, never the error message: a message such as
+//   'connect ECONNREFUSED 10.0.0.5:6379' would let webhook owners find out which addresses and ports are open.
+const REQUEST_ERRORS = {
+    ENOTFOUND: 'The host name could not be resolved',
+    EAI_AGAIN: 'The host name could not be resolved',
+    ECONNREFUSED: 'The connection was refused',
+    ECONNRESET: 'The connection was closed before a response',
+    EHOSTUNREACH: 'The host could not be reached',
+    ENETUNREACH: 'The host could not be reached',
+    ETIMEDOUT: 'The connection timed out'
+};
+
+const describeRequestError = (error) => {
+    if (error instanceof PrivateUrlError) {
+        return error.message;
+    }
+    if (error.name === 'AbortError') {
+        return `No response within ${TIMEOUT_MS} ms`;
+    }
+    if (/^ERR_TLS|CERT|SSL/.test(error.code)) {
+        return 'The TLS connection could not be established';
+    }
+    return REQUEST_ERRORS[error.code] || 'The request could not be sent';
+};
+
+// Send a delivery once, and record the outcome.
+// - The delivery is claimed first by moving its next attempt past the timeout. If the retry timer (or a replay) claimed it
+//   in the meantime, this call does nothing, so a delivery is never sent twice at once.
+// - Returns the updated delivery, or null when it was claimed by someone else.
+async function attemptDelivery(delivery) {
+    const [claimed] = await WebhookDelivery.update(
+        { nextAttemptAt: new Date(Date.now() + TIMEOUT_MS + 1000) },
+        { where: { id: delivery.id, status: 'pending', attempts: delivery.attempts } }
+    );
+    if (claimed === 0) {
+        return null;
+    }
+
+    const webhook = await Webhook.scope('withSecret').findByPk(delivery.webhookId);
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    let responseStatus = null;
+    let error = null;
+
+    try {
+        // IP addresses in the URL are not looked up, so they are checked here; a failed check is a failed attempt.
+        assertPublicHost(webhook.url);
+        responseStatus = await post(webhook.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'sequelize-demo-webhooks',
+            'X-Webhook-Id': String(webhook.id),
+            'X-Webhook-Event': delivery.eventType,
+            'X-Webhook-Delivery': String(delivery.id),
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': sign(webhook.secret, timestamp, body)
+        }, body);
+        if (responseStatus < 200 || responseStatus >= 300) {
+            error = `The subscriber answered with status ${responseStatus}`;
+        }
+    } catch (requestError) {
+        error = describeRequestError(requestError);
+    }
+
+    const attempts = delivery.attempts + 1;
+    const succeeded = error === null;
+    const finished = succeeded || attempts >= MAX_ATTEMPTS;
+
+    return delivery.update({
+        attempts,
+        status: succeeded ? 'succeeded' : (finished ? 'failed' : 'pending'),
+        nextAttemptAt: finished ? null : new Date(Date.now() + retryDelay(attempts)),
+        responseStatus,
+        lastError: error,
+        log: [...delivery.log, {
+            at: new Date(startedAt).toISOString(),
+            status: responseStatus,
+            error,
+            durationMs: Date.now() - startedAt
+        }]
+    });
+}
+
+// Record a delivery of an event for every active webhook subscribed to its type, and send them right away.
+// - Only the webhooks of the workspace the event happened in receive it (see utils/workspaces.js).
+async function dispatchEvent(event) {
+    const webhooks = await Webhook.findAll({ where: { active: true, workspaceId: event.workspaceId } });
+    const subscribed = webhooks.filter(webhook => webhook.isSubscribedTo(event.type));
+
+    await Promise.all(subscribed.map(async (webhook) => {
+        const delivery = await WebhookDelivery.create({
+            webhookId: webhook.id,
+            eventId: event.id,
+            eventType: event.type,
+            payload: event,
+            nextAttemptAt: new Date()
+        });
+        await attemptDelivery(delivery);
+    }));
+    return subscribed.length;
+}
+
+// Send every delivery whose next attempt is due: retries, and first attempts interrupted by a restart.
+// - A delivery whose webhook was deactivated in the meantime is still sent: the event happened while it was active.
+async function deliverDueWebhooks() {
+    const due = await WebhookDelivery.findAll({
+        where: { status: 'pending', nextAttemptAt: { [Op.lte]: new Date() } },
+        order: [['nextAttemptAt', 'ASC']],
+        limit: 100
+    });
+
+    for (const delivery of due) {
+        try {
+            await attemptDelivery(delivery);
+        } catch (error) {
+            logger.error('Error sending a webhook delivery', { deliveryId: delivery.id, error });
+        }
+    }
+    return due.length;
+}
+
+// Send a finished delivery again, e.g. a failed one once the subscriber is fixed.
+// - The delivery starts over with a full set of attempts; its log keeps the earlier ones.
+async function replayDelivery(delivery) {
+    await delivery.update({ status: 'pending', attempts: 0, nextAttemptAt: new Date() });
+    return attemptDelivery(delivery);
+}
+
+// Start forwarding events to the webhooks, and the timer that retries failed deliveries.
+// - `unref()` lets the process exit normally (e.g. in scripts) even while the timer is active.
+// - Returns a function that stops both.
+function startWebhookDispatcher() {
+    const unsubscribe = subscribe('*', dispatchEvent);
+
+    let timer = null;
+    if (INTERVAL_MS) {
+        timer = setInterval(() => {
+            deliverDueWebhooks().catch(error => logger.error('Error retrying webhook deliveries', { error }));
+        }, INTERVAL_MS);
+        timer.unref();
+    }
+
+    return () => {
+        unsubscribe();
+        clearInterval(timer);
+    };
+}
+
+module.exports = { sign, attemptDelivery, dispatchEvent, deliverDueWebhooks, replayDelivery, startWebhookDispatcher };
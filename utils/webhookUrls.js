@@ -0,0 +1,126 @@
+// Protection against server-side request forgery (SSRF) through webhooks.
+// Scenario:
+// - Whoever registers a webhook chooses where the server sends requests. Without a check, `http://169.254.169.254/...`
+//   would make the server call the cloud metadata endpoint, and `http://localhost:5432` or `http://10.0.0.7/admin`
+//   would reach services that are only meant to be reachable from inside the network.
+// - So webhook URLs must point at public addresses. The host is checked when a webhook is registered or its URL changes
+//   (see models/webhook.js), and again on every delivery (see utils/webhookDispatcher.js), since the address a host
+//   name resolves to can change after it was registered.
+// - On delivery, the check runs on the address the connection is made to (see `publicLookup`), not in a DNS query of
+//   its own. Otherwise a host name could resolve to a public address for the check and to 127.0.0.1 for the connection
+//   a moment later (DNS rebinding).
+//
+// Settings, read from environment variables:
+// - WEBHOOK_ALLOW_PRIVATE_URLS=true: turn the check off, e.g. to receive webhooks on `http://localhost:4000` during
+//   development. Never set it in production.
+const dns = require('dns');
+const net = require('net');
+
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// The address ranges webhooks may not be sent to: addresses that are not reachable on the public internet.
+// - IPv4-mapped IPv6 addresses (e.g. `::ffff:127.0.0.1`) are matched against the IPv4 ranges too.
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8, 'ipv4'],         // "This" network; 0.0.0.0 reaches the local host
+    ['10.0.0.0', 8, 'ipv4'],        // Private network
+    ['100.64.0.0', 10, 'ipv4'],     // Carrier-grade NAT
+    ['127.0.0.0', 8, 'ipv4'],       // Loopback
+    ['169.254.0.0', 16, 'ipv4'],    // Link-local, including the cloud metadata endpoint 169.254.169.254
+    ['172.16.0.0', 12, 'ipv4'],     // Private network
+    ['192.0.0.0', 24, 'ipv4'],      // Protocol assignments
+    ['192.168.0.0', 16, 'ipv4'],    // Private network
+    ['198.18.0.0', 15, 'ipv4'],     // Benchmarking
+    ['224.0.0.0', 4, 'ipv4'],       // Multicast
+    ['240.0.0.0', 4, 'ipv4'],       // Reserved, and the broadcast address
+    ['::', 128, 'ipv6'],            // Unspecified address
+    ['::1', 128, 'ipv6'],           // Loopback
+    ['64:ff9b::', 96, 'ipv6'],      // NAT64: IPv4 addresses in IPv6 form, e.g. 64:ff9b::7f00:1 for 127.0.0.1
+    ['2002::', 16, 'ipv6'],         // 6to4: IPv4 addresses in IPv6 form, e.g. 2002:7f00:1:: for 127.0.0.1
+    ['fc00::', 7, 'ipv6'],          // Unique local addresses (private network)
+    ['fe80::', 10, 'ipv6'],         // Link-local
+    ['ff00::', 8, 'ipv6']           // Multicast
+].forEach(([network, prefix, type]) => PRIVATE_RANGES.addSubnet(network, prefix, type));
+
+// Whether an IP address (e.g. '10.0.0.7' or 'fe80::1') is in one of the private ranges.
+const isPrivateAddress = address => PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// The error thrown for a URL that points at a private address.
+class PrivateUrlError extends Error {
+    constructor(host, address) {
+        super(address === host
+            ? `Webhook URLs must point at a public address, not ${host}`
+            : `Webhook URLs must point at a public address, but ${host} resolves to ${address}`);
+        this.name = 'PrivateUrlError';
+    }
+}
+
+// The host name of a URL, without the brackets of an IPv6 address.
+// - The URL parser already turns other spellings of an address into the usual one: 'http://2130706433' and
+//   'http://127.1' both have the host name '127.0.0.1'.
+const hostOf = url => new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+
+// Check the hosts of a URL that need no DNS query, and throw a PrivateUrlError for a private one: 'localhost' (and its
+// subdomains), and IP addresses.
+// - Node connects to an IP address in a URL without looking it up, so `publicLookup` never sees it: the dispatcher
+//   calls this before each delivery instead.
+// - Does nothing when WEBHOOK_ALLOW_PRIVATE_URLS is on.
+const assertPublicHost = (url) => {
+    if (ALLOW_PRIVATE_URLS) {
+        return;
+    }
+    const host = hostOf(url);
+    if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateAddress(host))) {
+        throw new PrivateUrlError(host, host);
+    }
+};
+
+// Check that a URL points at a public address, and throw a PrivateUrlError if it does not.
+// - Used when a webhook is registered. Host names are resolved with DNS, and every address they resolve to must be public.
+// - With `allowUnresolved`, a host name that cannot be resolved passes: a subscriber may register its URL before its
+//   DNS record exists. Otherwise the DNS error is thrown.
+// - Does nothing when WEBHOOK_ALLOW_PRIVATE_URLS is on.
+const assertPublicUrl = async (url, { allowUnresolved = false } = {}) => {
+    assertPublicHost(url);
+    const host = hostOf(url);
+    if (ALLOW_PRIVATE_URLS || net.isIP(host)) {
+        return;
+    }
+
+    let addresses;
+    try {
+        addresses = (await dns.promises.lookup(host, { all: true })).map(({ address }) => address);
+    } catch (error) {
+        if (allowUnresolved) {
+            return;
+        }
+        throw error;
+    }
+
+    const privateAddress = addresses.find(isPrivateAddress);
+    if (privateAddress) {
+        throw new PrivateUrlError(host, privateAddress);
+    }
+};
+
+// A `lookup` function for `http.request` that only lets connections be made to public addresses.
+// - Node calls it when it opens the connection, and connects to the addresses it returns, so the address checked is
+//   the address used. A private one fails the request with a PrivateUrlError before anything is sent.
+// - It takes the same arguments as `dns.lookup`, and answers with one address or all of them, as `options.all` asks.
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        const privateAddress = !ALLOW_PRIVATE_URLS && addresses.find(({ address }) => isPrivateAddress(address));
+        if (privateAddress) {
+            return callback(new PrivateUrlError(hostname, privateAddress.address));
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+module.exports = { assertPublicHost, assertPublicUrl, publicLookup, isPrivateAddress, PrivateUrlError, ALLOW_PRIVATE_URLS };
@@ -0,0 +1,118 @@
+// Workspaces: several independent blogs hosted by one deployment.
+// Scenario:
+// - The 'acme' and 'globex' teams each have their own blog on the same server and database. A request to
+//   `acme.blog.example.com` (or with `X-Workspace: acme`) only ever sees and changes the users, posts, and tags of acme.
+//
+// How queries are kept inside a workspace:
+// - The workspace middleware (middlewares/workspaceMiddleware.js) stores the workspace of each request in the request
+//   context (see utils/requestContext.js).
+// - The hooks registered by `registerWorkspaceScoping` add a condition on that workspace to every find, count, bulk
+//   update, bulk delete, and bulk restore, and fill in `workspaceId` on every new row, for every model. Controllers,
+//   scopes such as `Post.scope('active')`, and helpers such as `Tag.findOrCreateByName` need no changes, and a
+//   forgotten condition cannot leak another workspace's data.
+// - Users, posts, tags, webhooks, and attachments have a `workspaceId` column. The rows that hang off them (profiles,
+//   comments, reactions, follows, revisions, ...) are scoped through their parent, named by the `workspaceThrough`
+//   option of their model, e.g. a comment is in the workspace of its post.
+// - Only the root of each query is scoped: included rows are reached through their links, and rows are only ever
+//   linked to rows of the same workspace.
+// - Raw SQL is not seen by the hooks, so raw queries (e.g. the Postgres search in utils/postSearch.js) add the
+//   condition themselves.
+//
+// Outside of a request (the scheduler, the seeder, scripts), queries are not scoped, and new rows go to the default
+// workspace unless the code runs inside `runInWorkspace`.
+//
+// Settings, read from environment variables:
+// - DEFAULT_WORKSPACE: the slug of the workspace used when a request names none (default: 'default', created by the migrations).
+const { Op } = require('sequelize');
+const { getContext, runWithContext } = require('./requestContext');
+
+const DEFAULT_WORKSPACE = process.env.DEFAULT_WORKSPACE || 'default';
+
+// The request header naming the workspace by its slug, e.g. `X-Workspace: acme`.
+const WORKSPACE_HEADER = 'X-Workspace';
+
+// The ID of the workspace the running code belongs to, or null outside of any workspace.
+const currentWorkspaceId = () => getContext().workspaceId || null;
+
+// Run `fn` inside a workspace, e.g. to publish the scheduled posts of each workspace with that workspace's hooks.
+const runInWorkspace = (workspaceId, fn) => runWithContext({ workspaceId }, fn);
+
+// The condition matching the rows of a model that belong to a workspace, or null for models shared by all workspaces.
+// - A model scoped through its parent matches the rows whose parent is in the workspace, with a subquery:
+//   `"postId" IN (SELECT "id" FROM "Posts" WHERE "workspaceId" = 2)`.
+const workspaceCondition = (model, workspaceId) => {
+    if (model.rawAttributes.workspaceId) {
+        return { workspaceId };
+    }
+    const through = model.options.workspaceThrough;
+    if (!through) {
+        return null;
+    }
+    const { sequelize } = model;
+    const parent = sequelize.models[through.model];
+    const parentIds = sequelize.getQueryInterface().queryGenerator.selectQuery(parent.getTableName(), {
+        attributes: [parent.primaryKeyAttribute],
+        where: workspaceCondition(parent, workspaceId)
+    }).slice(0, -1); // Without the trailing ';', to be used as a subquery
+    return { [through.foreignKey]: { [Op.in]: sequelize.literal(`(${parentIds})`) } };
+};
+
+// The query hooks whose `options.where` is narrowed to the current workspace.
+const SCOPED_QUERY_HOOKS = ['beforeFind', 'beforeCount', 'beforeBulkUpdate', 'beforeBulkDestroy', 'beforeBulkRestore'];
+
+function registerWorkspaceScoping(sequelize) {
+    // The ID of the default workspace, looked up once, for rows created outside of any workspace.
+    let defaultWorkspaceId = null;
+    const targetWorkspaceId = async () => {
+        if (currentWorkspaceId()) {
+            return currentWorkspaceId();
+        }
+        if (!defaultWorkspaceId) {
+            const workspace = await sequelize.models.Workspace.findOne({ where: { slug: DEFAULT_WORKSPACE } });
+            if (!workspace) {
+                throw new Error(`The default workspace '${DEFAULT_WORKSPACE}' does not exist`);
+            }
+            defaultWorkspaceId = workspace.id;
+        }
+        return defaultWorkspaceId;
+    };
+
+    SCOPED_QUERY_HOOKS.forEach((hookName) => {
+        sequelize.addHook(hookName, 'workspaceScoping', function (options) {
+            const workspaceId = currentWorkspaceId();
+            const condition = workspaceId && workspaceCondition(this, workspaceId);
+            if (condition) {
+                options.where = options.where ? { [Op.and]: [options.where, condition] } : condition;
+            }
+        });
+    });
+
+    // New rows of the models with a `workspaceId` column are created in the current workspace.
+    // - 'beforeValidate' runs before the `allowNull: false` check; bulk inserts skip it unless they validate, so
+    //   'beforeBulkCreate' fills in the rows as well.
+    const assignWorkspace = async (model, instances) => {
+        const unassigned = instances.filter(instance => instance.isNewRecord && instance.workspaceId == null);
+        if (!model.rawAttributes.workspaceId || unassigned.length === 0) {
+            return;
+        }
+        const workspaceId = await targetWorkspaceId();
+        unassigned.forEach((instance) => {
+            instance.workspaceId = workspaceId;
+        });
+    };
+    sequelize.addHook('beforeValidate', 'workspaceScoping', function (instance) {
+        return assignWorkspace(this, [instance]);
+    });
+    sequelize.addHook('beforeBulkCreate', 'workspaceScoping', function (instances) {
+        return assignWorkspace(this, instances);
+    });
+}
+
+module.exports = {
+    DEFAULT_WORKSPACE,
+    WORKSPACE_HEADER,
+    currentWorkspaceId,
+    runInWorkspace,
+    workspaceCondition,
+    registerWorkspaceScoping
+};
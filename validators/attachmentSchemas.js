@@ -0,0 +1,12 @@
+// Request schemas for the attachment routes: /posts/:postId/attachments and /attachments.
+// The files themselves are multipart uploads, checked by the upload middleware (middlewares/uploadMiddleware.js).
+const { idParams } = require('./common');
+
+exports.upload = { params: idParams('postId') };
+
+exports.list = { params: idParams('postId') };
+
+exports.remove = { params: idParams('postId', 'attachmentId') };
+
+// Downloads name the attachment alone: `/attachments/7` and `/attachments/7/thumbnail`.
+exports.download = { params: idParams('id') };
@@ -0,0 +1,19 @@
+// Request schemas for the /auth routes.
+const Joi = require('joi');
+
+// Signing up needs the same details as creating a user, except the role: new accounts always get the default role.
+exports.signup = {
+    body: Joi.object({
+        firstName: Joi.string().trim().required(),
+        lastName: Joi.string().trim().required(),
+        email: Joi.string().trim().email().required(),
+        password: Joi.string().min(8).max(128).required()
+    })
+};
+
+exports.login = {
+    body: Joi.object({
+        email: Joi.string().trim().required(),
+        password: Joi.string().required()
+    })
+};
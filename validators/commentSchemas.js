@@ -0,0 +1,30 @@
+// Request schemas for the /posts/:postId/comments routes.
+const Joi = require('joi');
+const { id, idParams, listQuery } = require('./common');
+
+const content = Joi.string().trim().min(1);
+
+exports.create = {
+    params: idParams('postId'),
+    body: Joi.object({
+        content: content.required(),
+        parentId: id.allow(null)
+    })
+};
+
+exports.list = {
+    params: idParams('postId'),
+    query: Joi.object({
+        ...listQuery,
+        format: Joi.string().valid('tree', 'flat').default('tree')
+    })
+};
+
+exports.update = {
+    params: idParams('postId', 'commentId'),
+    body: Joi.object({
+        content: content.required()
+    })
+};
+
+exports.remove = { params: idParams('postId', 'commentId') };
@@ -0,0 +1,27 @@
+// Schema pieces shared by the request schemas in this folder.
+const Joi = require('joi');
+
+// A database ID in the URL or body, e.g. `/posts/42`. The string '42' is converted to the number 42.
+const id = Joi.number().integer().positive();
+
+// Route parameters made of IDs, e.g. `idParams('postId', 'commentId')` for `/posts/:postId/comments/:commentId`.
+const idParams = (...names) => Joi.object(
+    names.reduce((keys, name) => ({ ...keys, [name]: id.required() }), {})
+);
+
+// The generic list parameters handled by utils/listQuery.js.
+// - Only their shape is checked here; which fields may be filtered and sorted on is checked per model by `parseListQuery`.
+const listQuery = {
+    filter: Joi.object().unknown(true),
+    sort: Joi.string(),
+    limit: Joi.number().integer().min(1).max(100),
+    cursor: Joi.string()
+};
+
+// Offset pagination parameters for the endpoints that still use `page` and `limit`.
+const pageQuery = {
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10)
+};
+
+module.exports = { id, idParams, listQuery, pageQuery };
@@ -0,0 +1,11 @@
+// Request schemas for the /graphql route.
+// - The query itself is checked by GraphQL, which reports problems in the `errors` of the response.
+const Joi = require('joi');
+
+exports.request = {
+    body: Joi.object({
+        query: Joi.string().required(),
+        variables: Joi.object().allow(null),
+        operationName: Joi.string().allow(null)
+    })
+};
@@ -0,0 +1,67 @@
+// Request schemas for the /posts routes.
+const Joi = require('joi');
+const { id, idParams, listQuery, pageQuery } = require('./common');
+
+const STATUSES = ['active', 'draft', 'archived'];
+const params = idParams('id');
+
+// A post title must be at least 5 characters long.
+const title = Joi.string().trim().min(5);
+
+exports.create = {
+    body: Joi.object({
+        title: title.required(),
+        content: Joi.string().required(),
+        status: Joi.string().valid(...STATUSES),
+        publishAt: Joi.date().iso(),
+        tags: Joi.array().items(Joi.string().trim().min(1))
+    })
+};
+
+// `status` chooses the Post scope to list; it defaults to published posts.
+exports.list = {
+    query: Joi.object({
+        status: Joi.string().valid(...STATUSES).default('active'),
+        ...listQuery
+    })
+};
+
+exports.search = {
+    query: Joi.object({
+        q: Joi.string().trim().required(),
+        status: Joi.string().valid(...STATUSES).default('active'),
+        tagId: id,
+        userId: id,
+        ...pageQuery
+    })
+};
+
+exports.get = { params };
+
+// Every field is optional on update, but at least one must be sent. `publishAt: null` cancels a scheduled publication.
+exports.update = {
+    params,
+    body: Joi.object({
+        title,
+        content: Joi.string(),
+        status: Joi.string().valid(...STATUSES),
+        publishAt: Joi.date().iso().allow(null)
+    }).min(1)
+};
+
+// PATCH only checks the URL here: the body is a merge patch or a JSON Patch, applied by utils/patch.js,
+// and the patched result is validated against `document` below.
+exports.patch = { params };
+
+// A post as a whole, as it must look after a PATCH. `publishAt` is the only field that may be cleared.
+exports.document = Joi.object({
+    title: title.required(),
+    content: Joi.string().required(),
+    status: Joi.string().valid(...STATUSES).required(),
+    publishAt: Joi.date().iso().allow(null)
+});
+
+exports.remove = { params };
+
+// Restoring from the trash names the record the same way as the other routes.
+exports.restore = { params };
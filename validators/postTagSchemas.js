@@ -0,0 +1,30 @@
+// Request schemas for the /post-tags routes.
+const Joi = require('joi');
+const { id, idParams } = require('./common');
+
+const params = idParams('postId');
+
+// A tag is named by its ID (a JSON number) or by its name (a string), e.g. `[1, "Node.js"]`.
+// - `strict()` keeps a name made of digits, such as "2024", a name instead of turning it into an ID.
+const tagRef = Joi.alternatives().try(
+    id.strict(),
+    Joi.string().trim().min(1)
+);
+
+// Adding and removing tags name the post in the URL and the tags in the body:
+// either a list of tags in `tags`, or a single tag ID in `tagId`.
+exports.change = {
+    params,
+    body: Joi.object({
+        tagId: id,
+        tags: Joi.array().items(tagRef).min(1)
+    }).xor('tagId', 'tags')
+};
+
+// Replacing the tags always takes the full list; an empty list removes every tag.
+exports.replace = {
+    params,
+    body: Joi.object({
+        tags: Joi.array().items(tagRef).required()
+    })
+};
@@ -0,0 +1,39 @@
+// Request schemas for the /profiles routes.
+const Joi = require('joi');
+const { idParams, listQuery } = require('./common');
+
+const params = idParams('userId');
+
+exports.create = {
+    body: Joi.object({
+        bio: Joi.string().allow('', null)
+    })
+};
+
+exports.list = { query: Joi.object(listQuery) };
+
+exports.get = { params };
+
+exports.update = {
+    params,
+    body: Joi.object({
+        bio: Joi.string().allow('', null).required()
+    })
+};
+
+// PATCH only checks the URL here: the body is a merge patch or a JSON Patch, applied by utils/patch.js,
+// and the patched result is validated against `document` below.
+exports.patch = { params };
+
+// A profile as a whole, as it must look after a PATCH. The bio may be cleared, e.g. with `{ "bio": null }`.
+exports.document = Joi.object({
+    bio: Joi.string().allow('', null)
+});
+
+exports.remove = { params };
+
+// The avatar routes only name the profile: the image itself is a multipart upload, checked by the upload middleware.
+exports.avatar = { params };
+
+// Restoring from the trash names the record the same way as the other routes.
+exports.restore = { params };
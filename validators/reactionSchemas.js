@@ -0,0 +1,28 @@
+// Request schemas for the /posts/:postId/reactions routes.
+const Joi = require('joi');
+const { REACTION_TYPES } = require('../config/reactions');
+const { idParams, listQuery } = require('./common');
+
+const type = Joi.string().valid(...REACTION_TYPES);
+
+exports.create = {
+    params: idParams('postId'),
+    body: Joi.object({
+        type: type.required()
+    })
+};
+
+// The list has a fixed order (newest first) and can be narrowed to one type with `filter[type]=like`.
+exports.list = {
+    params: idParams('postId'),
+    query: Joi.object({
+        filter: Joi.object({ type }),
+        limit: listQuery.limit,
+        cursor: listQuery.cursor
+    })
+};
+
+// A reaction is named by its type: `DELETE /posts/1/reactions/like` removes your like.
+exports.remove = {
+    params: idParams('postId').keys({ type: type.required() })
+};
@@ -0,0 +1,9 @@
+// Request schemas for the /posts/:postId/revisions routes.
+const { idParams } = require('./common');
+
+exports.list = { params: idParams('postId') };
+
+// `rev` is the revision number, counted per post from 1.
+exports.get = { params: idParams('postId', 'rev') };
+
+exports.restore = { params: idParams('postId', 'rev') };
@@ -0,0 +1,48 @@
+// Request schemas for the /tags routes.
+const Joi = require('joi');
+const { id, idParams, listQuery } = require('./common');
+
+const params = idParams('id');
+const body = Joi.object({
+    name: Joi.string().trim().min(1).required()
+});
+
+exports.create = { body };
+
+// `withCounts=true` adds the number of published posts to each tag.
+exports.list = {
+    query: Joi.object({
+        withCounts: Joi.boolean().default(false),
+        ...listQuery
+    })
+};
+
+// The posts of a tag are listed by its slug, e.g. `/tags/web-development/posts`.
+exports.posts = {
+    params: Joi.object({ slug: Joi.string().trim().lowercase().required() }),
+    query: Joi.object(listQuery)
+};
+
+exports.update = { params, body };
+
+// The tags in `sourceIds` are merged into the tag in the URL.
+exports.merge = {
+    params,
+    body: Joi.object({
+        sourceIds: Joi.array().items(id).min(1).unique().required()
+    })
+};
+
+// PATCH only checks the URL here: the body is a merge patch or a JSON Patch, applied by utils/patch.js,
+// and the patched result is validated against `document` below.
+exports.patch = { params };
+
+// A tag as a whole, as it must look after a PATCH. Its slug follows the name and cannot be patched.
+exports.document = Joi.object({
+    name: Joi.string().trim().min(1).required()
+});
+
+exports.remove = { params };
+
+// Restoring from the trash names the record the same way as the other routes.
+exports.restore = { params };
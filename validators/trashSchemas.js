@@ -0,0 +1,12 @@
+// Request schemas for the /trash routes.
+// The resource name itself is checked by the trash controller, which answers 404 for resources without a trash.
+const Joi = require('joi');
+const { listQuery } = require('./common');
+
+const params = Joi.object({
+    resource: Joi.string().required()
+});
+
+exports.list = { params, query: Joi.object(listQuery) };
+
+exports.purge = { params };
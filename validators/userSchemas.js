@@ -0,0 +1,62 @@
+// Request schemas for the /users routes.
+const Joi = require('joi');
+const { ROLES } = require('../config/permissions');
+const { idParams, listQuery } = require('./common');
+
+const params = idParams('id');
+
+exports.create = {
+    body: Joi.object({
+        firstName: Joi.string().trim().required(),
+        lastName: Joi.string().trim().required(),
+        email: Joi.string().trim().email().required(),
+        password: Joi.string().min(8).max(128).required(),
+        role: Joi.string().valid(...ROLES)
+    })
+};
+
+exports.list = { query: Joi.object(listQuery) };
+
+exports.get = { params };
+
+// Every field is optional on update, but at least one must be sent.
+exports.update = {
+    params,
+    body: Joi.object({
+        firstName: Joi.string().trim(),
+        lastName: Joi.string().trim(),
+        email: Joi.string().trim().email(),
+        password: Joi.string().min(8).max(128),
+        role: Joi.string().valid(...ROLES)
+    }).min(1)
+};
+
+// PATCH only checks the URL here: the body is a merge patch or a JSON Patch, applied by utils/patch.js,
+// and the patched result is validated against `document` below.
+exports.patch = { params };
+
+// A user as a whole, as it must look after a PATCH.
+// - `password` is write-only: it is never part of the user a client reads, but a patch may set a new one.
+// - Changing `role` still needs the 'users:role' permission, checked by the controller.
+exports.document = Joi.object({
+    firstName: Joi.string().trim().required(),
+    lastName: Joi.string().trim().required(),
+    email: Joi.string().trim().email().required(),
+    role: Joi.string().valid(...ROLES).required(),
+    password: Joi.string().min(8).max(128)
+});
+
+exports.remove = { params };
+
+// Restoring from the trash names the record the same way as the other routes.
+exports.restore = { params };
+
+// Following and unfollowing name the other user in the URL; the follower is always the authenticated user.
+exports.follow = { params };
+exports.unfollow = { params };
+
+// The follower and following lists and the feed have a fixed order, so they only take the page parameters.
+const pageOnly = Joi.object({ limit: listQuery.limit, cursor: listQuery.cursor });
+exports.followers = { params, query: pageOnly };
+exports.following = { params, query: pageOnly };
+exports.feed = { params, query: pageOnly };
@@ -0,0 +1,41 @@
+// Request schemas for the /webhooks routes.
+const Joi = require('joi');
+const { idParams, listQuery } = require('./common');
+const { EVENT_TYPES } = require('../utils/eventBus');
+
+const params = idParams('id');
+
+// The event types a webhook subscribes to: any of the types published by the application, or '*' for all of them.
+const events = Joi.array().items(Joi.string().valid('*', ...EVENT_TYPES)).min(1).unique();
+
+const fields = {
+    url: Joi.string().trim().uri({ scheme: ['http', 'https'] }),
+    events,
+    // Without a secret, a random one is generated. Either way it is only shown in the response to the create request.
+    secret: Joi.string().min(16).max(255),
+    active: Joi.boolean(),
+    description: Joi.string().trim().max(255).allow(null, '')
+};
+
+exports.create = {
+    body: Joi.object({ ...fields, url: fields.url.required() })
+};
+
+exports.list = { query: Joi.object(listQuery) };
+
+exports.get = { params };
+
+// An update changes only the fields it sends, e.g. `{ "active": false }` pauses a webhook.
+exports.update = {
+    params,
+    body: Joi.object(fields).min(1)
+};
+
+exports.remove = { params };
+
+// `filter[status]=failed` lists the failed deliveries, e.g. to decide which to replay.
+exports.deliveries = { params, query: Joi.object(listQuery) };
+
+exports.replay = { params: idParams('id', 'deliveryId') };
+
+exports.replayFailed = { params };
@@ -0,0 +1,21 @@
+// Request schemas for the /workspaces routes.
+const Joi = require('joi');
+const { listQuery } = require('./common');
+
+exports.list = { query: Joi.object(listQuery) };
+
+// A new workspace comes with its first admin, who can then invite the rest of the team.
+// - The slug becomes the subdomain of the workspace, so it is limited to what a subdomain may contain.
+exports.create = {
+    body: Joi.object({
+        name: Joi.string().trim().max(255).required(),
+        slug: Joi.string().trim().lowercase().max(63).pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/).required()
+            .messages({ 'string.pattern.base': '"slug" may only contain lowercase letters, digits, and hyphens' }),
+        admin: Joi.object({
+            firstName: Joi.string().trim().required(),
+            lastName: Joi.string().trim().required(),
+            email: Joi.string().trim().email().required(),
+            password: Joi.string().min(8).max(128).required()
+        }).required()
+    })
+};